@@ -3,7 +3,7 @@
  *
  * @package     WP_Customer
  * @subpackage  Assets/JS/Company
- * @version     1.0.0
+ * @version     1.6.2
  * @author      arisciwek
  *
  * Path: /wp-customer/assets/js/company/company-invoice-datatable-script.js
@@ -17,8 +17,49 @@
  * - DataTables
  * - WordPress AJAX
  * - CompanyInvoice object (dari company-invoice-script.js)
+ * - wpapp-datatable.js (WPAppDataTable bootstrapper + wpapp-datatable-state.js)
  *
  * Changelog:
+ * 1.6.2 - 2026-10-18
+ * - Filter bar (filterBuilder) dimatikan lagi: handle_company_invoice_datatable
+ *   belum membaca payload `filters` (model invoice belum punya
+ *   $filterable_columns), chip tampil tapi hasil tidak berubah. Filter status
+ *   lewat checkbox (filters) tetap
+ *
+ * 1.6.1 - 2026-10-18
+ * - Aksi massal (bulk) dimatikan lagi: handler company_invoice_bulk_action
+ *   belum ada di wp-customer, setiap aksi gagal dengan "Request failed".
+ *   Aktifkan kembali (bulk: { action, actions }) setelah handler mengikuti
+ *   protokol wpAppDataTableBulk (lihat PlatformStaffDashboardController)
+ *
+ * 1.6.0 - 2026-10-18
+ * - Export CSV / XLSX dari query saat ini (semua baris atau halaman ini)
+ * - Kolom Jumlah tampil dengan formatCurrency, Status dengan getStatusBadge (teks badge
+ *   yang sama dipakai di export)
+ * - Kolom Aksi tidak ikut di-export (exportable: false)
+ *
+ * 1.5.0 - 2026-10-18
+ * - Pilih baris (checkbox) dan aksi massal: ubah status, export CSV (bulk)
+ * - Handler company_invoice_bulk_action di wp-customer perlu mengikuti protokol
+ *   wpAppDataTableBulk (operation resolve / status / export)
+ *
+ * 1.4.0 - 2026-10-18
+ * - Filter bar (filterBuilder): status, jatuh tempo (rentang tanggal), jumlah (rentang)
+ * - Dikirim sebagai payload `filters`, handle_company_invoice_datatable di wp-customer
+ *   perlu membaca payload ini (DataTableModel::$filterable_columns)
+ *
+ * 1.3.0 - 2026-10-18
+ * - Pilihan kolom (tampil/sembunyi, urutan) dan saved views (views: true)
+ *
+ * 1.2.0 - 2026-10-18
+ * - Inisialisasi lewat WPAppDataTable.register() / init() (language pack bersama,
+ *   filter_* dan state URL ditangani bootstrapper)
+ * - Instance tersedia lewat WPAppDataTable.get('invoices')
+ *
+ * 1.1.0 - 2026-10-18
+ * - Search, sort, page dan filter status disimpan di URL (invoices_q, invoices_o,
+ *   invoices_p, invoices_l, invoices_pending, ...) sehingga link bisa dibagikan
+ *
  * 1.0.1 - 2025-10-10
  * - Added element existence check before DataTable initialization
  * - Added DataTables library availability check
@@ -46,33 +87,28 @@
                 return null;
             }
 
-            // Check if DataTable is available
-            if (typeof $.fn.DataTable === 'undefined') {
-                console.error('DataTables library not loaded. Cannot initialize invoice table.');
+            if (!window.WPAppDataTable) {
+                console.error('WPAppDataTable not loaded. Cannot initialize invoice table.');
                 return null;
             }
 
-            const dataTable = $table.DataTable({
-                serverSide: true,
-                processing: true,
-                ajax: {
-                    url: wpCustomerData.ajaxUrl,
-                    type: 'POST',
-                    data: function(d) {
-                        return $.extend({}, d, {
-                            action: 'handle_company_invoice_datatable',
-                            nonce: wpCustomerData.nonce,
-                            filter_pending: $('#filter-pending').is(':checked') ? 1 : 0,
-                            filter_pending_payment: $('#filter-pending-payment').is(':checked') ? 1 : 0,
-                            filter_paid: $('#filter-paid').is(':checked') ? 1 : 0,
-                            filter_cancelled: $('#filter-cancelled').is(':checked') ? 1 : 0
-                        });
-                    },
-                    error: function(xhr, error, thrown) {
-                        console.error('DataTable error:', error, thrown);
-                        if (self.showToast) {
-                            self.showToast('error', 'Gagal memuat data invoice');
-                        }
+            WPAppDataTable.register('invoices', {
+                action: 'handle_company_invoice_datatable',
+                ajaxUrl: wpCustomerData.ajaxUrl,
+                nonce: wpCustomerData.nonce,
+                stateKey: 'invoices',
+                views: true,
+                export: { filename: 'invoices' },
+                // Status checkboxes, sent as filter_pending, filter_paid, ...
+                filters: {
+                    pending: '#filter-pending',
+                    pending_payment: '#filter-pending-payment',
+                    paid: '#filter-paid',
+                    cancelled: '#filter-cancelled'
+                },
+                onError: function() {
+                    if (self.showToast) {
+                        self.showToast('error', 'Gagal memuat data invoice');
                     }
                 },
                 columns: [
@@ -107,12 +143,26 @@
                     {
                         data: 'amount',
                         title: 'Jumlah',
-                        orderable: true
+                        orderable: true,
+                        render: function(data, type) {
+                            if (type !== 'display' || data === null || data === undefined) {
+                                return data;
+                            }
+
+                            return 'Rp ' + (self.formatCurrency ? self.formatCurrency(data) : data);
+                        }
                     },
                     {
                         data: 'status',
                         title: 'Status',
-                        orderable: true
+                        orderable: true,
+                        render: function(data, type) {
+                            if (type !== 'display' || !self.getStatusBadge) {
+                                return data;
+                            }
+
+                            return self.getStatusBadge(data);
+                        }
                     },
                     {
                         data: 'due_date',
@@ -123,6 +173,7 @@
                         data: null,
                         title: 'Aksi',
                         orderable: false,
+                        exportable: false,
                         render: function(data, type, row) {
                             return `<button class="button button-small view-company-invoice" data-id="${row.id}">View</button>`;
                         }
@@ -131,20 +182,8 @@
                 pageLength: 10,
                 order: [[6, 'desc']], // Default sort by due date
                 language: {
-                    processing: 'Memuat...',
                     emptyTable: 'Tidak ada data invoice',
-                    zeroRecords: 'Tidak ada invoice yang cocok',
-                    search: 'Cari:',
-                    lengthMenu: 'Tampilkan _MENU_ data',
-                    info: 'Menampilkan _START_ hingga _END_ dari _TOTAL_ data',
-                    infoEmpty: 'Menampilkan 0 hingga 0 dari 0 data',
-                    infoFiltered: '(disaring dari _MAX_ total data)',
-                    paginate: {
-                        first: 'Pertama',
-                        last: 'Terakhir',
-                        next: 'Berikutnya',
-                        previous: 'Sebelumnya'
-                    }
+                    zeroRecords: 'Tidak ada invoice yang cocok'
                 },
                 drawCallback: function() {
                     if (self.bindActionButtons) {
@@ -153,13 +192,7 @@
                 }
             });
 
-            // Bind filter checkbox events
-            $('#filter-pending, #filter-pending-payment, #filter-paid, #filter-cancelled').on('change', function() {
-                console.log('Filter changed, reloading table...');
-                dataTable.ajax.reload();
-            });
-
-            return dataTable;
+            return WPAppDataTable.init($table, { key: 'invoices' });
         }
     };
 
@@ -3,7 +3,7 @@
  *
  * @package     WP_Customer
  * @subpackage  Assets/JS
- * @version     1.0.3
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-customer/assets/js/company/company-invoice-script.js
@@ -17,10 +17,21 @@
  * Dependencies:
  * - jQuery
  * - DataTables
- * - WordPress AJAX
- * - Custom toast notifications
+ * - WPAppAjax (wp-app-core, request AJAX)
+ * - WPAppNotify (toast notifications, CustomerToast as fallback)
  *
  * Changelog:
+ * 1.3.0 - 2026-10-18
+ * - Changed: Detail, pembayaran dan statistik invoice lewat WPAppAjax
+ *   (nonce wp_customer_nonce di-refresh bila didaftarkan wp-customer)
+ *
+ * 1.2.0 - 2026-10-18
+ * - Changed: showToast() memakai WPAppNotify, CustomerToast / console hanya fallback
+ *
+ * 1.1.0 - 2026-10-18
+ * - Added: Invoice yang dibuka disimpan di hash (#invoice/42), dibuka ulang saat load
+ * - Bersama state DataTable di query string (invoices_q, invoices_p, ...) link bisa dibagikan
+ *
  * 1.0.3 - 2025-10-18 (Task-2162 Review-02)
  * - Fixed: Added "Lihat Bukti Pembayaran" button for 'pending_payment' status
  * - User can now view uploaded payment proof even before validation
@@ -80,6 +91,28 @@
             this.initDataTable();
             this.bindEvents();
             this.loadStats();
+            this.openFromHash();
+        },
+
+        /**
+         * Open invoice from shared link (#invoice/42)
+         */
+        openFromHash() {
+            const match = window.location.hash.match(/^#invoice\/(\d+)$/);
+
+            if (match) {
+                this.viewInvoiceDetails(parseInt(match[1], 10));
+            }
+        },
+
+        /**
+         * Reflect open invoice in hash (no history entry)
+         *
+         * @param {number|null} invoiceId Invoice ID (null clears hash)
+         */
+        updateHash(invoiceId) {
+            const url = window.location.pathname + window.location.search + (invoiceId ? '#invoice/' + invoiceId : '');
+            history.replaceState(history.state, '', url);
         },
 
         initDataTable() {
@@ -169,6 +202,7 @@
         viewInvoiceDetails(invoiceId) {
             this.currentId = invoiceId;
             this.showRightPanel();
+            this.updateHash(invoiceId);
 
             // Load invoice details
             this.loadInvoiceDetails(invoiceId);
@@ -186,30 +220,20 @@
         loadInvoiceDetails(invoiceId) {
             const self = this;
 
-            $.ajax({
-                url: wpCustomerData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'get_company_invoice_details',
-                    id: invoiceId,
-                    nonce: wpCustomerData.nonce
-                },
-                beforeSend: function() {
-                    self.showLoading('invoice-details');
-                },
-                success: function(response) {
-                    if (response.success) {
-                        self.renderInvoiceDetails(response.data);
-                    } else {
-                        self.showToast('error', response.data.message || 'Failed to load invoice details');
-                    }
-                },
-                error: function() {
-                    self.showToast('error', 'Failed to load invoice details');
-                },
-                complete: function() {
-                    self.hideLoading('invoice-details');
-                }
+            self.showLoading('invoice-details');
+
+            WPAppAjax.post('get_company_invoice_details', {
+                id: invoiceId,
+                nonce: wpCustomerData.nonce
+            }, {
+                nonce: 'wp_customer_nonce',
+                url: wpCustomerData.ajaxUrl
+            }).done(function(data) {
+                self.renderInvoiceDetails(data);
+            }).fail(function(error) {
+                self.showToast('error', error.message || 'Failed to load invoice details');
+            }).always(function() {
+                self.hideLoading('invoice-details');
             });
         },
 
@@ -218,40 +242,26 @@
 
             console.log('[DEBUG Review-03 JS] Loading payment info for invoice:', invoiceId);
 
-            $.ajax({
-                url: wpCustomerData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'get_company_invoice_payments',
-                    id: invoiceId,
-                    nonce: wpCustomerData.nonce
-                },
-                beforeSend: function() {
-                    console.log('[DEBUG Review-03 JS] AJAX request started');
-                    self.showLoading('payment-info');
-                },
-                success: function(response) {
-                    console.log('[DEBUG Review-03 JS] AJAX response received:', response);
-                    console.log('[DEBUG Review-03 JS] Response.success:', response.success);
-                    console.log('[DEBUG Review-03 JS] Response.data:', response.data);
-
-                    if (response.success) {
-                        console.log('[DEBUG Review-03 JS] Payments array:', response.data.payments);
-                        console.log('[DEBUG Review-03 JS] Payments count:', response.data.payments ? response.data.payments.length : 0);
-                        self.renderPaymentInfo(response.data);
-                    } else {
-                        console.error('[DEBUG Review-03 JS] Error in response:', response.data.message);
-                        self.showToast('error', response.data.message || 'Failed to load payment info');
-                    }
-                },
-                error: function(xhr, status, error) {
-                    console.error('[DEBUG Review-03 JS] AJAX error:', {xhr, status, error});
-                    self.showToast('error', 'Failed to load payment info');
-                },
-                complete: function() {
-                    console.log('[DEBUG Review-03 JS] AJAX request completed');
-                    self.hideLoading('payment-info');
-                }
+            console.log('[DEBUG Review-03 JS] AJAX request started');
+            self.showLoading('payment-info');
+
+            WPAppAjax.post('get_company_invoice_payments', {
+                id: invoiceId,
+                nonce: wpCustomerData.nonce
+            }, {
+                nonce: 'wp_customer_nonce',
+                url: wpCustomerData.ajaxUrl
+            }).done(function(data, response) {
+                console.log('[DEBUG Review-03 JS] AJAX response received:', response);
+                console.log('[DEBUG Review-03 JS] Payments array:', data.payments);
+                console.log('[DEBUG Review-03 JS] Payments count:', data.payments ? data.payments.length : 0);
+                self.renderPaymentInfo(data);
+            }).fail(function(error) {
+                console.error('[DEBUG Review-03 JS] AJAX error:', error);
+                self.showToast('error', error.message || 'Failed to load payment info');
+            }).always(function() {
+                console.log('[DEBUG Review-03 JS] AJAX request completed');
+                self.hideLoading('payment-info');
             });
         },
 
@@ -353,21 +363,15 @@
         loadStats() {
             const self = this;
 
-            $.ajax({
-                url: wpCustomerData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'get_company_invoice_stats',
-                    nonce: wpCustomerData.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        self.updateStats(response.data);
-                    }
-                },
-                error: function() {
-                    console.error('Failed to load stats');
-                }
+            WPAppAjax.post('get_company_invoice_stats', {
+                nonce: wpCustomerData.nonce
+            }, {
+                nonce: 'wp_customer_nonce',
+                url: wpCustomerData.ajaxUrl
+            }).done(function(data) {
+                self.updateStats(data);
+            }).fail(function() {
+                console.error('Failed to load stats');
             });
         },
 
@@ -394,6 +398,10 @@
         closeRightPanel() {
             this.components.rightPanel.removeClass('visible').addClass('hidden');
             this.components.container.removeClass('with-right-panel');
+
+            if (this.currentId) {
+                this.updateHash(null);
+            }
             this.currentId = null;
         },
 
@@ -519,8 +527,10 @@
         },
 
         showToast(type, message) {
-            // Use customer toast if available
-            if (typeof CustomerToast !== 'undefined' && CustomerToast[type]) {
+            // Shared toast service from wp-app-core, customer toast on older installs
+            if (window.WPAppNotify) {
+                WPAppNotify.show({ type: type, message: message });
+            } else if (typeof CustomerToast !== 'undefined' && CustomerToast[type]) {
                 CustomerToast[type](message);
             } else if (console) {
                 console.log(`${type}: ${message}`);
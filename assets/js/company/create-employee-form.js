@@ -3,7 +3,7 @@
  *
  * @package     WP_Agency
  * @subpackage  Assets/JS/Employee
- * @version     1.0.1
+ * @version     1.0.2
  * @author      arisciwek
  *
  * Path: /wp-agency/assets/js/employee/create-employee-form.js
@@ -18,9 +18,13 @@
  * - jQuery Validation
  * - EmployeeToast for notifications
  * - WIModal for confirmations
+ * - WPAppAjax (wp-app-core) for requests
  *
- * Last modified: 2024-07-27
- * - Updated to handle multiple select roles instead of department checkboxes
+ * Last modified: 2026-10-18
+ * - Request dikirim lewat WPAppAjax (pesan error seragam, retry nonce
+ *   kedaluwarsa bila action nonce wp-agency terdaftar di
+ *   filter wpapp_ajax_nonce_actions)
+ * - Invalidate cached DataTable panels after save
  */
 (function($) {
     'use strict';
@@ -93,27 +97,17 @@
 
         async loadDivisions(agencyId) {
             try {
-                const response = await $.ajax({
-                    url: wpAgencyData.ajaxUrl,
-                    type: 'POST',
-                    data: {
-                        action: 'get_agency_divisions',
-                        agency_id: agencyId,
-                        nonce: wpAgencyData.nonce
-                    }
-                });
+                const divisions = await WPAppAjax.post('get_agency_divisions', {
+                    agency_id: agencyId,
+                    nonce: wpAgencyData.nonce
+                }, { url: wpAgencyData.ajaxUrl });
 
-                if (response.success && response.data) {
-                    const $select = this.form.find('[name="division_id"]');
-                    $select.find('option:not(:first)').remove();
+                const $select = this.form.find('[name="division_id"]');
+                $select.find('option:not(:first)').remove();
 
-                    response.data.forEach(division => {
-                        $select.append(new Option(division.name, division.id));
-                    });
-                } else {
-                    console.error('Division load error:', response);
-                    EmployeeToast.error('Gagal memuat data cabang');
-                }
+                (divisions || []).forEach(division => {
+                    $select.append(new Option(division.name, division.id));
+                });
             } catch (error) {
                 console.error('Load divisions error:', error);
                 EmployeeToast.error('Gagal memuat data cabang');
@@ -286,26 +280,23 @@
             this.setLoadingState(true);
 
             try {
-                const response = await $.ajax({
-                    url: wpAgencyData.ajaxUrl,
-                    type: 'POST',
-                    data: formData
+                const employee = await WPAppAjax.post(formData.action, formData, {
+                    url: wpAgencyData.ajaxUrl
                 });
 
-                if (response.success) {
-                    EmployeeToast.success('Karyawan berhasil ditambahkan');
-                    this.hideModal();
-                    $(document).trigger('employee:created', [response.data]);
+                EmployeeToast.success('Karyawan berhasil ditambahkan');
+                this.hideModal();
+                $(document).trigger('employee:created', [employee]);
 
-                    if (window.EmployeeDataTable) {
-                        window.EmployeeDataTable.refresh();
-                    }
-                } else {
-                    EmployeeToast.error(response.data?.message || 'Gagal menambah karyawan');
+                // Employee lists live in parent panel tabs - drop cached panels
+                $(document).trigger('wpapp:panel-cache-invalidate');
+
+                if (window.EmployeeDataTable) {
+                    window.EmployeeDataTable.refresh();
                 }
             } catch (error) {
                 console.error('Create employee error:', error);
-                EmployeeToast.error('Gagal menghubungi server');
+                EmployeeToast.error(error.message || 'Gagal menambah karyawan');
             } finally {
                 this.setLoadingState(false);
             }
@@ -3,7 +3,7 @@
  *
  * @package     WP_Agency
  * @subpackage  Assets/JS/Employee
- * @version     1.0.1
+ * @version     1.0.2
  * @author      arisciwek
  *
  * Path: /wp-agency/assets/js/employee/edit-employee-form.js
@@ -18,9 +18,13 @@
  * - jQuery Validation
  * - AgencyToast for notifications
  * - WIModal for confirmations
+ * - WPAppAjax (wp-app-core) for requests
  *
- * Last modified: 2024-07-27
- * - Updated to handle multiple select roles instead of department checkboxes
+ * Last modified: 2026-10-18
+ * - Request dikirim lewat WPAppAjax (pesan error seragam, retry nonce
+ *   kedaluwarsa bila action nonce wp-agency terdaftar di
+ *   filter wpapp_ajax_nonce_actions)
+ * - Invalidate cached DataTable panels after save
  */
 (function($) {
     'use strict';
@@ -69,60 +73,48 @@
 
 	async loadEmployeeData(id) {
 	    try {
-		const response = await $.ajax({
-		    url: wpAgencyData.ajaxUrl,
-		    type: 'POST',
-		    data: {
-		        action: 'get_employee',
-		        id: id,
-		        nonce: wpAgencyData.nonce
-		    }
-		});
-
-		if (response.success && response.data) {
-		    console.log('Employee data received:', response.data);
+		const employee = await WPAppAjax.post('get_employee', {
+		    id: id,
+		    nonce: wpAgencyData.nonce
+		}, { url: wpAgencyData.ajaxUrl });
+
+		if (employee) {
+		    console.log('Employee data received:', employee);
 		    
 		    // Store agency ID for division loading
-		    this.agencyId = response.data.agency_id;
+		    this.agencyId = employee.agency_id;
 
 		    // Load divisions then show form
-		    await this.loadDivisions(response.data.agency_id, response.data.division_id);
+		    await this.loadDivisions(employee.agency_id, employee.division_id);
 		    
 		    // Show form with data (user_roles will be included)
-		    this.showEditForm(response.data);
+		    this.showEditForm(employee);
 		} else {
-		    AgencyToast.error(response.data?.message || 'Gagal memuat data karyawan');
+		    AgencyToast.error('Gagal memuat data karyawan');
 		}
 	    } catch (error) {
 		console.error('Load employee error:', error);
-		AgencyToast.error('Gagal menghubungi server');
+		AgencyToast.error(error.message || 'Gagal memuat data karyawan');
 	    }
 	},
 
         async loadDivisions(agencyId, selectedDivisionId = null) {
             try {
-                const response = await $.ajax({
-                    url: wpAgencyData.ajaxUrl,
-                    type: 'POST',
-                    data: {
-                        action: 'get_agency_divisions',
-                        agency_id: agencyId,
-                        nonce: wpAgencyData.nonce
+                const divisions = await WPAppAjax.post('get_agency_divisions', {
+                    agency_id: agencyId,
+                    nonce: wpAgencyData.nonce
+                }, { url: wpAgencyData.ajaxUrl });
+
+                const $select = this.form.find('#edit-employee-division');
+                $select.find('option:not(:first)').remove();
+
+                (divisions || []).forEach(division => {
+                    const option = new Option(division.name, division.id);
+                    if (division.id === selectedDivisionId) {
+                        option.selected = true;
                     }
+                    $select.append(option);
                 });
-
-                if (response.success && response.data) {
-                    const $select = this.form.find('#edit-employee-division');
-                    $select.find('option:not(:first)').remove();
-
-                    response.data.forEach(division => {
-                        const option = new Option(division.name, division.id);
-                        if (division.id === selectedDivisionId) {
-                            option.selected = true;
-                        }
-                        $select.append(option);
-                    });
-                }
             } catch (error) {
                 console.error('Load divisions error:', error);
                 AgencyToast.error('Gagal memuat daftar cabang');
@@ -371,26 +363,23 @@
             this.setLoadingState(true);
 
             try {
-                const response = await $.ajax({
-                    url: wpAgencyData.ajaxUrl,
-                    type: 'POST',
-                    data: formData
+                const employee = await WPAppAjax.post(formData.action, formData, {
+                    url: wpAgencyData.ajaxUrl
                 });
 
-                if (response.success) {
-                    AgencyToast.success('Data karyawan berhasil diperbarui');
-                    this.hideModal();
-                    $(document).trigger('employee:updated', [response.data]);
+                AgencyToast.success('Data karyawan berhasil diperbarui');
+                this.hideModal();
+                $(document).trigger('employee:updated', [employee]);
 
-                    if (window.EmployeeDataTable) {
-                        window.EmployeeDataTable.refresh();
-                    }
-                } else {
-                    AgencyToast.error(response.data?.message || 'Gagal memperbarui karyawan');
+                // Employee lists live in parent panel tabs - drop cached panels
+                $(document).trigger('wpapp:panel-cache-invalidate');
+
+                if (window.EmployeeDataTable) {
+                    window.EmployeeDataTable.refresh();
                 }
             } catch (error) {
                 console.error('Update employee error:', error);
-                AgencyToast.error('Gagal menghubungi server');
+                AgencyToast.error(error.message || 'Gagal memperbarui karyawan');
             } finally {
                 this.setLoadingState(false);
             }
@@ -3,7 +3,7 @@
  *
  * @package     WPAppCore
  * @subpackage  Assets/JS/Components
- * @version     1.0.0
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/components/completeness-bar.js
@@ -21,6 +21,7 @@
  *
  * Dependencies:
  * - jQuery
+ * - WPAppAjax (refresh request)
  * - wp-app-core/completeness-bar.css
  *
  * Events Fired:
@@ -39,6 +40,14 @@
  * ```
  *
  * Changelog:
+ * 1.2.0 - 2026-10-18
+ * - Refresh sent through WPAppAjax (wpapp_panel_nonce refreshed when expired)
+ *
+ * 1.1.0 - 2026-10-18
+ * - Registered as "completeness" component (wpAppComponents)
+ * - Bars injected into panels / layers are observed on mount
+ * - Pending refresh timers cleared and observer released on unmount
+ *
  * 1.0.0 - 2025-11-01 (TODO-1195)
  * - Initial implementation
  * - AJAX refresh functionality
@@ -71,14 +80,57 @@
          */
         refreshTimers: {},
 
+        /**
+         * Intersection observer (null when unsupported)
+         */
+        observer: null,
+
         /**
          * Initialize component
          */
         init: function() {
             this.bindEvents();
+            this.registerComponent();
             this.log('Completeness component initialized');
         },
 
+        /**
+         * Register with component registry
+         *
+         * Bars rendered inside panel content are mounted after injection
+         * and released before the content is replaced or the panel closes.
+         */
+        registerComponent: function() {
+            var self = this;
+
+            if (!window.wpAppComponents) {
+                return;
+            }
+
+            window.wpAppComponents.register('completeness', {
+                selector: '.wpapp-completeness-container',
+                mount: function(el) {
+                    if (self.observer) {
+                        self.observer.observe(el);
+                    } else if (self.isElementInViewport(el)) {
+                        self.animateProgressBar($(el));
+                    }
+                },
+                unmount: function(el) {
+                    var containerId = $(el).attr('id');
+
+                    if (self.observer) {
+                        self.observer.unobserve(el);
+                    }
+
+                    if (containerId && self.refreshTimers[containerId]) {
+                        clearTimeout(self.refreshTimers[containerId]);
+                        delete self.refreshTimers[containerId];
+                    }
+                }
+            });
+        },
+
         /**
          * Bind event listeners
          */
@@ -136,30 +188,25 @@
             self.refreshTimers[containerId] = setTimeout(function() {
                 self.log('Refreshing completeness:', entityType, entityId);
 
-                $.ajax({
-                    url: self.config.ajaxUrl,
-                    method: 'POST',
-                    data: {
-                        action: 'wpapp_get_completeness',
-                        entity_type: entityType,
-                        entity_id: entityId,
-                        nonce: wpAppConfig ? wpAppConfig.nonce : ''
-                    },
-                    success: function(response) {
-                        if (response.success && response.data) {
-                            self.updateDisplay($container, response.data);
-                            $(document).trigger('wpapp:completeness-updated', [response.data]);
-                        } else {
-                            self.log('Refresh failed:', response);
-                        }
-                    },
-                    error: function(xhr, status, error) {
-                        self.log('AJAX error:', error);
-                    },
-                    complete: function() {
-                        $container.removeClass('wpapp-loading');
-                        delete self.refreshTimers[containerId];
+                WPAppAjax.post('wpapp_get_completeness', {
+                    entity_type: entityType,
+                    entity_id: entityId,
+                    nonce: window.wpAppConfig ? wpAppConfig.nonce : ''
+                }, {
+                    nonce: 'wpapp_panel_nonce',
+                    url: self.config.ajaxUrl
+                }).done(function(data) {
+                    if (data) {
+                        self.updateDisplay($container, data);
+                        $(document).trigger('wpapp:completeness-updated', [data]);
+                    } else {
+                        self.log('Refresh failed: empty response');
                     }
+                }).fail(function(error) {
+                    self.log('Refresh failed:', error.code, error.message);
+                }).always(function() {
+                    $container.removeClass('wpapp-loading');
+                    delete self.refreshTimers[containerId];
                 });
             }, self.config.refreshDelay);
         },
@@ -296,7 +343,7 @@
                 return;
             }
 
-            var observer = new IntersectionObserver(function(entries) {
+            var observer = this.observer = new IntersectionObserver(function(entries) {
                 entries.forEach(function(entry) {
                     if (entry.isIntersecting) {
                         var $container = $(entry.target);
@@ -304,6 +351,7 @@
                             wpAppCompleteness.animateProgressBar($container);
                             $container.addClass('wpapp-animated');
                         }
+                        observer.unobserve(entry.target);
                     }
                 });
             }, {
@@ -0,0 +1,478 @@
+/**
+ * AJAX Client - JavaScript
+ *
+ * @package     WPAppCore
+ * @subpackage  Assets/JS/Components
+ * @version     1.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/assets/js/components/wpapp-ajax.js
+ *
+ * Description: Shared admin-ajax client. Resolves ajaxUrl and nonces from one
+ *              place (wpAppAjaxConfig), refreshes an expired nonce and retries
+ *              the request once (AjaxController marks failed nonce checks
+ *              with X-WPApp-Nonce-Expired), optionally retries network
+ *              errors, and turns wp_send_json_error() responses and HTTP /
+ *              transport failures into one error shape.
+ *
+ * Error Shape (fail callback):
+ * - code: Server data.code, or invalid_nonce | session_expired | not_allowed |
+ *         network_error | timeout | abort | server_error | http_error |
+ *         invalid_response | error
+ * - message: Server data.message or a translated fallback
+ * - status: HTTP status (0 without response)
+ * - data: Server data of a wp_send_json_error() response
+ * - action: AJAX action
+ *
+ * Dependencies:
+ * - jQuery
+ * - wpAppAjaxConfig (ajaxUrl, nonces, timeout, i18n)
+ *
+ * Events Fired:
+ * - wpapp:ajax-send: Request sent ({ id, action, attempt })
+ * - wpapp:ajax-complete: Request finished ({ id, action, success, error, attempts, duration })
+ * - wpapp:ajax-error: Request failed ({ id, action, error })
+ * - wpapp:ajax-nonce-refreshed: Nonces renewed ({ nonces })
+ *
+ * Usage:
+ * ```js
+ * const request = WPAppAjax.post('save_customer', { id: 12, name: 'Acme' }, { nonce: 'wp_customer_nonce' })
+ *     .done((data) => WPAppNotify.success(data.message))
+ *     .fail((error) => {
+ *         if (error.code !== 'abort') WPAppNotify.error(error.message);
+ *     });
+ *
+ * request.abort();
+ *
+ * // Idempotent reads may retry network errors / timeouts
+ * WPAppAjax.post('get_customer_stats', {}, { nonce: 'wpapp_panel_nonce', retries: 2, timeout: 10000 });
+ * ```
+ *
+ * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - options.envelope: false resolves JSON objects without `success`
+ *   (DataTables responses) as they are
+ *
+ * 1.0.1 - 2026-10-18
+ * - JSON responses without `success` fail instead of resolving: bare -1
+ *   (nonce check, refreshed and retried once) → invalid_nonce, bare 0 →
+ *   not_allowed, anything else → invalid_response
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+(function($) {
+    'use strict';
+
+    const WPAppAjax = {
+        /**
+         * Error codes worth another attempt (options.retries)
+         */
+        RETRYABLE: ['network_error', 'timeout', 'server_error'],
+
+        /**
+         * Request id sequence
+         */
+        counter: 0,
+
+        /**
+         * Nonce refresh in flight (shared by all requests)
+         */
+        refreshing: null,
+
+        /**
+         * POST an admin-ajax action
+         *
+         * @param {string} action AJAX action
+         * @param {Object|FormData} data Request data
+         * @param {Object} options See request()
+         * @return {Promise} jQuery promise with abort()
+         */
+        post(action, data = {}, options = {}) {
+            return this.request($.extend({}, options, { action: action, data: data, method: 'POST' }));
+        },
+
+        /**
+         * GET an admin-ajax action
+         *
+         * @param {string} action AJAX action
+         * @param {Object} data Query data
+         * @param {Object} options See request()
+         * @return {Promise} jQuery promise with abort()
+         */
+        get(action, data = {}, options = {}) {
+            return this.request($.extend({}, options, { action: action, data: data, method: 'GET' }));
+        },
+
+        /**
+         * Send a request
+         *
+         * @param {Object} options
+         *   - action: AJAX action
+         *   - data: Object or FormData
+         *   - method: POST (default) | GET
+         *   - nonce: Nonce action name, value taken from wpAppAjaxConfig.nonces
+         *            (a nonce already in data is kept when the name is unknown)
+         *   - nonceField: Request field of the nonce (default 'nonce')
+         *   - refreshNonce: Refresh an expired nonce and retry once (default true)
+         *   - retries: Extra attempts on network errors / timeouts / 5xx (default 0)
+         *   - retryDelay: ms before a retry, multiplied by the attempt (default 1000)
+         *   - timeout: ms (default wpAppAjaxConfig.timeout or 30000)
+         *   - dataType: Expected response (default 'json')
+         *   - envelope: Response is a wp_send_json_* envelope (default true); false
+         *               resolves any JSON object but success: false as it is
+         *               (DataTables responses)
+         *   - url: Override admin-ajax URL
+         *   - global: Trigger jQuery global AJAX events (default true)
+         * @return {Promise} done(data, response) / fail(error), plus abort() and id
+         */
+        request(options = {}) {
+            const config = this.getConfig();
+            const settings = $.extend({
+                method: 'POST',
+                data: {},
+                dataType: 'json',
+                envelope: true,
+                nonceField: 'nonce',
+                refreshNonce: true,
+                retries: 0,
+                retryDelay: 1000,
+                timeout: config.timeout || 30000,
+                global: true
+            }, options);
+
+            const id = ++this.counter;
+            const deferred = $.Deferred();
+            const payload = this.buildPayload(settings);
+            const state = { xhr: null, timer: null, attempt: 0, nonceRetried: false, aborted: false, started: Date.now() };
+
+            const finish = (error, data, response) => {
+                if (deferred.state() !== 'pending') {
+                    return;
+                }
+
+                $(document).trigger('wpapp:ajax-complete', {
+                    id: id,
+                    action: settings.action,
+                    success: !error,
+                    error: error || null,
+                    attempts: state.attempt,
+                    duration: Date.now() - state.started
+                });
+
+                if (error) {
+                    $(document).trigger('wpapp:ajax-error', { id: id, action: settings.action, error: error });
+                    deferred.reject(error);
+                } else {
+                    deferred.resolve(data, response);
+                }
+            };
+
+            // Expired nonce: renew once, then send again with the new value
+            const retryNonce = (nonceAction, fallbackError) => {
+                if (!settings.refreshNonce || state.nonceRetried || !nonceAction) {
+                    return false;
+                }
+
+                state.nonceRetried = true;
+
+                this.refreshNonces(settings.url).done((nonces) => {
+                    if (!nonces[nonceAction]) {
+                        finish(fallbackError);
+                        return;
+                    }
+
+                    this.setField(payload, settings.nonceField, nonces[nonceAction]);
+                    send();
+                }).fail((error) => finish(error));
+
+                return true;
+            };
+
+            const send = () => {
+                if (state.aborted) {
+                    return;
+                }
+
+                state.attempt++;
+
+                $(document).trigger('wpapp:ajax-send', { id: id, action: settings.action, attempt: state.attempt });
+
+                const isFormData = window.FormData && payload instanceof FormData;
+
+                state.xhr = $.ajax({
+                    url: settings.url || config.ajaxUrl,
+                    type: settings.method,
+                    data: payload,
+                    dataType: settings.dataType,
+                    timeout: settings.timeout,
+                    global: settings.global,
+                    processData: !isFormData,
+                    contentType: isFormData ? false : 'application/x-www-form-urlencoded; charset=UTF-8'
+                }).done((response, textStatus, xhr) => {
+                    // Other formats (options.dataType) are passed through as they are
+                    if (settings.dataType !== 'json') {
+                        finish(null, response, response);
+                        return;
+                    }
+
+                    // wp_send_json_error() still fails
+                    if (!settings.envelope && response && typeof response === 'object' && response.success !== false) {
+                        finish(null, response, response);
+                        return;
+                    }
+
+                    // wp_die('-1') / wp_die('0') and other bodies without a wp_send_json_* envelope
+                    if (!response || typeof response !== 'object' || !('success' in response)) {
+                        const body = xhr && typeof xhr.responseText === 'string' ? xhr.responseText.trim() : '';
+                        const expired = this.getExpiredNonce(xhr) || (body === '-1' ? settings.nonce : null);
+                        const error = this.normalize(xhr, 'parsererror', null, expired, settings.action);
+
+                        if (!retryNonce(expired, error)) {
+                            finish(error);
+                        }
+                        return;
+                    }
+
+                    if (response.success) {
+                        finish(null, response.data, response);
+                        return;
+                    }
+
+                    const expired = this.getExpiredNonce(xhr);
+                    const error = this.normalize(xhr, 'success', response, expired, settings.action);
+
+                    if (!retryNonce(expired, error)) {
+                        finish(error);
+                    }
+                }).fail((xhr, textStatus) => {
+                    // wp_send_json_error($data, $status_code) arrives here with its JSON
+                    const json = xhr.responseJSON && typeof xhr.responseJSON === 'object' && 'success' in xhr.responseJSON ? xhr.responseJSON : null;
+                    const expired = this.getExpiredNonce(xhr) || (xhr.responseText === '-1' ? settings.nonce : null);
+                    const error = this.normalize(xhr, textStatus, json, expired, settings.action);
+
+                    if (retryNonce(expired, error)) {
+                        return;
+                    }
+
+                    if (this.RETRYABLE.indexOf(error.code) !== -1 && state.attempt <= settings.retries) {
+                        state.timer = setTimeout(send, settings.retryDelay * state.attempt);
+                        return;
+                    }
+
+                    finish(error);
+                });
+            };
+
+            send();
+
+            const promise = deferred.promise();
+
+            promise.id = id;
+            promise.abort = () => {
+                state.aborted = true;
+                clearTimeout(state.timer);
+
+                if (state.xhr && state.xhr.readyState !== 4) {
+                    state.xhr.abort();
+                } else {
+                    finish(this.normalize(null, 'abort', null, null, settings.action));
+                }
+
+                return promise;
+            };
+
+            return promise;
+        },
+
+        /**
+         * Request data with action and resolved nonce
+         *
+         * @param {Object} settings Request settings
+         * @return {Object|FormData}
+         */
+        buildPayload(settings) {
+            const data = settings.data;
+            const payload = window.FormData && data instanceof FormData ? data : $.extend({}, data);
+            const nonce = settings.nonce ? this.getNonce(settings.nonce) : '';
+
+            this.setField(payload, 'action', settings.action);
+
+            if (nonce) {
+                this.setField(payload, settings.nonceField, nonce);
+            }
+
+            return payload;
+        },
+
+        /**
+         * Set a field of an object or FormData payload
+         *
+         * @param {Object|FormData} payload Request data
+         * @param {string} name Field name
+         * @param {string} value Field value
+         */
+        setField(payload, name, value) {
+            if (window.FormData && payload instanceof FormData) {
+                payload.set(name, value);
+            } else {
+                payload[name] = value;
+            }
+        },
+
+        /**
+         * Fetch fresh nonces of the registered actions
+         *
+         * Requests failing at the same time share one refresh.
+         *
+         * @param {string} url Override admin-ajax URL
+         * @return {Promise} done(nonces) / fail(error)
+         */
+        refreshNonces(url) {
+            if (this.refreshing) {
+                return this.refreshing;
+            }
+
+            const config = this.getConfig();
+
+            this.refreshing = $.ajax({
+                url: url || config.ajaxUrl,
+                type: 'POST',
+                data: { action: 'wpapp_refresh_nonces' },
+                dataType: 'json',
+                global: false
+            }).then((response) => {
+                if (!response || !response.success || !response.data || !response.data.nonces) {
+                    return $.Deferred().reject(this.normalize(null, 'session', null, null, 'wpapp_refresh_nonces'));
+                }
+
+                config.nonces = $.extend(config.nonces || {}, response.data.nonces);
+                $(document).trigger('wpapp:ajax-nonce-refreshed', { nonces: response.data.nonces });
+
+                return response.data.nonces;
+            }, (xhr) => {
+                // Logged out: wp_ajax_* not reachable
+                return $.Deferred().reject(this.normalize(xhr, 'session', null, null, 'wpapp_refresh_nonces'));
+            }).always(() => {
+                this.refreshing = null;
+            });
+
+            return this.refreshing;
+        },
+
+        /**
+         * Turn a failed request into { code, message, status, data, action }
+         *
+         * @param {jqXHR|null} xhr Request
+         * @param {string} textStatus jQuery status (success for wp_send_json_error)
+         * @param {Object|null} response wp_send_json_error() response
+         * @param {string|null} expired Nonce action from X-WPApp-Nonce-Expired
+         * @param {string} action AJAX action
+         * @return {Object}
+         */
+        normalize(xhr, textStatus, response, expired, action) {
+            const i18n = this.getI18n();
+            const status = xhr ? xhr.status : 0;
+            const body = xhr && typeof xhr.responseText === 'string' ? xhr.responseText.trim() : '';
+            let code;
+            let message = '';
+            let data = null;
+
+            if (response) {
+                data = response.data;
+                code = (data && data.code) || (expired ? 'invalid_nonce' : 'error');
+                message = (data && typeof data === 'object' && data.message) || (typeof data === 'string' ? data : '');
+            } else if (textStatus === 'session') {
+                code = 'session_expired';
+            } else if (textStatus === 'abort') {
+                code = 'abort';
+            } else if (textStatus === 'timeout') {
+                code = 'timeout';
+            } else if (expired || body === '-1') {
+                code = 'invalid_nonce';
+            } else if (body === '0') {
+                code = 'not_allowed';
+            } else if (status === 0) {
+                code = 'network_error';
+            } else if (status >= 500) {
+                code = 'server_error';
+            } else if (status >= 400) {
+                code = 'http_error';
+            } else {
+                code = 'invalid_response';
+            }
+
+            return {
+                code: String(code),
+                message: message || i18n[code] || i18n.error,
+                status: status,
+                data: data,
+                action: action
+            };
+        },
+
+        /**
+         * Nonce action named by X-WPApp-Nonce-Expired
+         *
+         * @param {jqXHR} xhr Request
+         * @return {string|null}
+         */
+        getExpiredNonce(xhr) {
+            const header = xhr && xhr.getResponseHeader ? xhr.getResponseHeader('X-WPApp-Nonce-Expired') : null;
+
+            return header ? decodeURIComponent(header) : null;
+        },
+
+        /**
+         * Current nonce of a registered action
+         *
+         * @param {string} action Nonce action
+         * @return {string}
+         */
+        getNonce(action) {
+            return (this.getConfig().nonces || {})[action] || '';
+        },
+
+        /**
+         * Localized config with defaults
+         *
+         * @return {Object}
+         */
+        getConfig() {
+            if (!window.wpAppAjaxConfig) {
+                window.wpAppAjaxConfig = {};
+            }
+
+            if (!wpAppAjaxConfig.ajaxUrl) {
+                wpAppAjaxConfig.ajaxUrl = window.ajaxurl || '/wp-admin/admin-ajax.php';
+            }
+
+            return wpAppAjaxConfig;
+        },
+
+        /**
+         * Get i18n strings (message per error code)
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                error: 'The request failed. Please try again.',
+                invalid_nonce: 'The page has expired. Please reload and try again.',
+                session_expired: 'Your session has expired. Please log in again.',
+                not_allowed: 'This request is not allowed.',
+                network_error: 'Network error. Please check your connection and try again.',
+                timeout: 'The server took too long to respond. Please try again.',
+                abort: 'The request was cancelled.',
+                server_error: 'Server error. Please try again later.',
+                http_error: 'The request failed. Please try again.',
+                invalid_response: 'Unexpected response from the server.'
+            }, (window.wpAppAjaxConfig && wpAppAjaxConfig.i18n) || {});
+        }
+    };
+
+    // Export to global scope
+    window.WPAppAjax = WPAppAjax;
+
+})(jQuery);
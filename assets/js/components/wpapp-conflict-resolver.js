@@ -0,0 +1,410 @@
+/**
+ * Save Conflict Resolver - JavaScript
+ *
+ * @package     WPAppCore
+ * @subpackage  Assets/JS/Components
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/assets/js/components/wpapp-conflict-resolver.js
+ *
+ * Description: Optimistic concurrency for edit forms. When the server
+ *              rejects a stale write (record changed since the form was
+ *              loaded), shows the fields that differ inside the form:
+ *              your value vs. the current value, "keep mine / take theirs"
+ *              per field. Applying writes the chosen values into the form
+ *              and hands back the new version token for the resubmit.
+ *
+ * Features:
+ * - Only differing fields are listed (inputs found by name or name[])
+ * - Default choice: mine for fields the user edited, theirs otherwise
+ * - Select values shown with their option labels
+ * - Nothing to choose (same values) resolves immediately
+ *
+ * Server Protocol (error response of the save action):
+ * ```php
+ * wp_send_json_error([
+ *     'code' => 'conflict',
+ *     'message' => __('Changed by someone else...', 'my-plugin'),
+ *     'version' => $new_version,
+ *     'current' => ['full_name' => 'Budi', 'status' => 'aktif'],
+ * ]);
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ * - wpAppConflictResolverConfig (i18n, optional)
+ *
+ * Events Fired:
+ * - wpapp:save-conflict: Conflict shown ({ form, fields })
+ *
+ * Usage:
+ * ```js
+ * if (WPAppConflictResolver.isConflict(response)) {
+ *     WPAppConflictResolver.show($form, {
+ *         current: response.data.current,
+ *         version: response.data.version,
+ *         message: response.data.message,
+ *         onResolve: (version) => {
+ *             $form.find('[name="version"]').val(version);
+ *             this.save($form);
+ *         }
+ *     });
+ * }
+ * ```
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+(function($) {
+    'use strict';
+
+    const WPAppConflictResolver = {
+        /**
+         * Whether an AJAX response is a stale-write rejection
+         *
+         * @param {Object} response wp_send_json_* response
+         * @return {boolean}
+         */
+        isConflict(response) {
+            return !!(response && !response.success && response.data && response.data.code === 'conflict');
+        },
+
+        /**
+         * Show conflict choices at the top of a form
+         *
+         * @param {jQuery|HTMLElement} form Edit form
+         * @param {Object} options { current, version, original, message, onResolve, onCancel }
+         *   - current: Server values by field name
+         *   - version: Server version token (sent with the resubmit)
+         *   - original: Values the form was loaded with (default: HTML default values)
+         */
+        show(form, options) {
+            const $form = $(form);
+            const settings = $.extend({
+                current: {},
+                version: '',
+                original: null,
+                message: '',
+                onResolve: null,
+                onCancel: null
+            }, options);
+
+            this.close($form);
+
+            const fields = this.getFields($form, settings);
+
+            if (fields.length === 0) {
+                this.resolve($form, fields, settings);
+                return;
+            }
+
+            const $panel = this.render(fields, settings);
+
+            $panel.on('click', '.wpapp-conflict-apply', (e) => {
+                e.preventDefault();
+                this.resolve($form, fields, settings);
+            });
+
+            $panel.on('click', '.wpapp-conflict-cancel', (e) => {
+                e.preventDefault();
+                this.close($form);
+
+                if (typeof settings.onCancel === 'function') {
+                    settings.onCancel();
+                }
+            });
+
+            $form.prepend($panel);
+            $panel[0].scrollIntoView({ block: 'nearest' });
+
+            $(document).trigger('wpapp:save-conflict', { form: $form[0], fields: fields });
+        },
+
+        /**
+         * Remove conflict panel from a form
+         *
+         * @param {jQuery|HTMLElement} form Edit form
+         */
+        close(form) {
+            $(form).find('.wpapp-conflict').remove();
+        },
+
+        /**
+         * Collect fields whose form value differs from the server value
+         *
+         * @param {jQuery} $form Edit form
+         * @param {Object} settings Options
+         * @return {Array} [{ name, label, $input, mine, theirs, choice }]
+         */
+        getFields($form, settings) {
+            const fields = [];
+
+            $.each(settings.current || {}, (name, theirs) => {
+                const $input = $form.find('[name="' + name + '"], [name="' + name + '[]"]').not(':disabled');
+
+                if (!$input.length) {
+                    return;
+                }
+
+                const mine = this.getValue($input);
+
+                if (this.normalize(mine) === this.normalize(theirs)) {
+                    return;
+                }
+
+                const original = settings.original && name in settings.original
+                    ? settings.original[name]
+                    : this.getDefaultValue($input);
+
+                fields.push({
+                    name: name,
+                    label: this.getLabel($form, $input, name),
+                    $input: $input,
+                    mine: mine,
+                    theirs: theirs,
+                    choice: this.normalize(mine) !== this.normalize(original) ? 'mine' : 'theirs'
+                });
+            });
+
+            return fields;
+        },
+
+        /**
+         * Build conflict panel
+         *
+         * @param {Array} fields Differing fields
+         * @param {Object} settings Options
+         * @return {jQuery}
+         */
+        render(fields, settings) {
+            const i18n = this.getI18n();
+            const $panel = $('<div class="wpapp-conflict notice notice-warning inline" role="alert"></div>');
+            const $table = $('<table class="wpapp-conflict-table widefat striped"></table>');
+            const $body = $('<tbody></tbody>');
+
+            $panel.append(
+                $('<p></p>')
+                    .append($('<strong></strong>').text(i18n.title))
+                    .append(' ')
+                    .append(document.createTextNode(settings.message || i18n.message))
+            );
+
+            $table.append(
+                $('<thead></thead>').append(
+                    $('<tr></tr>')
+                        .append($('<th scope="col"></th>').text(i18n.field))
+                        .append($('<th scope="col"></th>').text(i18n.mine))
+                        .append($('<th scope="col"></th>').text(i18n.theirs))
+                )
+            );
+
+            fields.forEach((field, index) => {
+                const group = 'wpapp-conflict-' + index;
+                const $row = $('<tr></tr>').attr('data-field', field.name);
+
+                $row.append($('<th scope="row"></th>').text(field.label));
+
+                ['mine', 'theirs'].forEach((choice) => {
+                    const $radio = $('<input type="radio" data-wpapp-guard="off">')
+                        .attr('name', group)
+                        .val(choice)
+                        .prop('checked', field.choice === choice)
+                        .on('change', () => {
+                            field.choice = choice;
+                        });
+
+                    $row.append(
+                        $('<td></td>').append(
+                            $('<label></label>')
+                                .append($radio)
+                                .append(' ')
+                                .append($('<span class="wpapp-conflict-value"></span>').text(
+                                    this.getDisplay(field.$input, choice === 'mine' ? field.mine : field.theirs)
+                                ))
+                        )
+                    );
+                });
+
+                $body.append($row);
+            });
+
+            $panel.append($table.append($body));
+
+            $panel.append(
+                $('<p class="wpapp-conflict-actions"></p>')
+                    .append($('<button type="button" class="button button-primary wpapp-conflict-apply"></button>').text(i18n.apply))
+                    .append(' ')
+                    .append($('<button type="button" class="button-link wpapp-conflict-cancel"></button>').text(i18n.cancel))
+            );
+
+            return $panel;
+        },
+
+        /**
+         * Write chosen values into the form and hand back the new version
+         *
+         * @param {jQuery} $form Edit form
+         * @param {Array} fields Differing fields
+         * @param {Object} settings Options
+         */
+        resolve($form, fields, settings) {
+            fields.forEach((field) => {
+                if (field.choice === 'theirs') {
+                    this.setValue(field.$input, field.theirs);
+                }
+            });
+
+            this.close($form);
+
+            if (typeof settings.onResolve === 'function') {
+                settings.onResolve(settings.version);
+            }
+        },
+
+        /**
+         * Current value of a form input
+         *
+         * @param {jQuery} $input Input(s) of one field
+         * @return {string|Array}
+         */
+        getValue($input) {
+            if ($input.is(':checkbox, :radio')) {
+                const values = $input.filter(':checked').map(function() {
+                    return this.value;
+                }).get();
+
+                return $input.length > 1 || $input.attr('name').slice(-2) === '[]' ? values : (values[0] || '');
+            }
+
+            return $input.val();
+        },
+
+        /**
+         * Value the input was rendered with
+         *
+         * @param {jQuery} $input Input(s) of one field
+         * @return {string|Array}
+         */
+        getDefaultValue($input) {
+            if ($input.is('select')) {
+                const values = $input.find('option').filter(function() {
+                    return this.defaultSelected;
+                }).map(function() {
+                    return this.value;
+                }).get();
+
+                return $input.prop('multiple') ? values : (values[0] || $input.find('option').first().val() || '');
+            }
+
+            if ($input.is(':checkbox, :radio')) {
+                return $input.filter(function() {
+                    return this.defaultChecked;
+                }).map(function() {
+                    return this.value;
+                }).get();
+            }
+
+            return $input[0].defaultValue;
+        },
+
+        /**
+         * Apply server value to a form input
+         *
+         * @param {jQuery} $input Input(s) of one field
+         * @param {string|Array} value Value
+         */
+        setValue($input, value) {
+            if ($input.is(':checkbox, :radio')) {
+                const values = [].concat(value).map(String);
+
+                $input.each(function() {
+                    this.checked = values.includes(this.value);
+                });
+            } else {
+                $input.val(value === null || value === undefined ? '' : value);
+            }
+
+            $input.trigger('change');
+        },
+
+        /**
+         * Comparable form of a value
+         *
+         * @param {*} value Value
+         * @return {string}
+         */
+        normalize(value) {
+            if (Array.isArray(value)) {
+                return value.map(String).sort().join(',');
+            }
+
+            return value === null || value === undefined ? '' : String(value).trim();
+        },
+
+        /**
+         * Human readable value (option labels for selects)
+         *
+         * @param {jQuery} $input Input(s) of one field
+         * @param {string|Array} value Value
+         * @return {string}
+         */
+        getDisplay($input, value) {
+            const values = [].concat(value === null || value === undefined ? [] : value).map(String);
+            const labels = values.filter((item) => item !== '').map((item) => {
+                if ($input.is('select')) {
+                    const $option = $input.find('option').filter(function() {
+                        return this.value === item;
+                    });
+
+                    return $option.length ? $.trim($option.first().text()) : item;
+                }
+
+                return item;
+            });
+
+            return labels.length ? labels.join(', ') : this.getI18n().empty;
+        },
+
+        /**
+         * Field label from <label for>, falling back to the field name
+         *
+         * @param {jQuery} $form Edit form
+         * @param {jQuery} $input Input(s) of one field
+         * @param {string} name Field name
+         * @return {string}
+         */
+        getLabel($form, $input, name) {
+            const id = $input.first().attr('id');
+            const $label = id ? $form.find('label[for="' + id + '"]').first().clone() : $();
+
+            $label.find('.required').remove();
+
+            return $.trim($label.text()) || name;
+        },
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                title: 'Save conflict.',
+                message: 'This record was changed by someone else while you were editing.',
+                field: 'Field',
+                mine: 'Keep mine',
+                theirs: 'Take theirs',
+                empty: '(empty)',
+                apply: 'Apply and save',
+                cancel: 'Cancel'
+            }, (window.wpAppConflictResolverConfig && wpAppConflictResolverConfig.i18n) || {});
+        }
+    };
+
+    // Export to global scope
+    window.WPAppConflictResolver = WPAppConflictResolver;
+
+})(jQuery);
@@ -0,0 +1,370 @@
+/**
+ * Unsaved Changes Guard - JavaScript
+ *
+ * @package     WPAppCore
+ * @subpackage  Assets/JS/Components
+ * @version     1.0.1
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/assets/js/components/wpapp-form-guard.js
+ *
+ * Description: Tracks edited forms inside DataTable panels, modals and
+ *              settings pages. Asks "discard changes?" (WPModal confirm)
+ *              before the panel closes, another record opens, a tab
+ *              switches, a settings tab link is followed or the page unloads.
+ *
+ * Features:
+ * - Dirty state by form snapshot (reverting an edit makes the form clean again)
+ * - Vetoes wpapp:panel-closing, wpapp:panel-opening (record switch), wpapp:tab-switching
+ * - Settings page tab links (.nav-tab-wrapper a.nav-tab) confirmed before leaving
+ * - Native beforeunload prompt while any watched form is dirty
+ * - Submitted forms become clean (AJAX forms call markClean())
+ *
+ * Dependencies:
+ * - jQuery
+ * - WPModal (optional, falls back to native confirm)
+ *
+ * Opt-out:
+ * - <form data-wpapp-guard="off"> or <input data-wpapp-guard="off">
+ *
+ * Events Fired:
+ * - wpapp:form-dirty-changed: Form became dirty / clean ({ form, dirty })
+ *
+ * Usage:
+ * ```js
+ * // After saving a panel form via AJAX
+ * WPAppFormGuard.markClean($form);
+ *
+ * // Watch forms in a custom container
+ * WPAppFormGuard.configure({ scopes: WPAppFormGuard.config.scopes.concat(['.my-editor']) });
+ * ```
+ *
+ * Changelog:
+ * 1.0.1 - 2026-10-18
+ * - Fixed: Discarding on a route-driven panel open / close (back/forward)
+ *   navigates to that route again (replaces the restored entry, keeps the
+ *   tab) instead of pushing a new history entry
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+(function($) {
+    'use strict';
+
+    const WPAppFormGuard = {
+        /**
+         * Configuration
+         */
+        config: {
+            scopes: [
+                '.wpapp-right-panel',   // DataTable detail panel + stack layers
+                '[role="dialog"]',      // WPModal forms
+                '.wrap .tab-content'    // Settings page tabs
+            ],
+            debug: false
+        },
+
+        /**
+         * Dirty forms
+         */
+        dirtyForms: [],
+
+        /**
+         * Initialize guard
+         */
+        init() {
+            this.bindTrackingEvents();
+            this.bindGuardEvents();
+            this.debugLog('Initialized');
+        },
+
+        /**
+         * Track edits in watched forms
+         */
+        bindTrackingEvents() {
+            // Snapshot before first edit
+            $(document).on('focusin', 'form', (e) => {
+                const $form = $(e.currentTarget);
+
+                if (this.isWatched($form) && $form.data('wpappGuardSnapshot') === undefined) {
+                    $form.data('wpappGuardSnapshot', this.serialize($form));
+                }
+            });
+
+            $(document).on('input change', 'form :input', (e) => {
+                const $input = $(e.target);
+                const $form = $input.closest('form');
+
+                if ($input.attr('data-wpapp-guard') === 'off' || !this.isWatched($form)) {
+                    return;
+                }
+
+                this.check($form);
+            });
+
+            // Submitted form is no longer "unsaved"
+            $(document).on('submit', 'form', (e) => {
+                this.markClean(e.currentTarget);
+            });
+        },
+
+        /**
+         * Veto navigation while forms are dirty
+         */
+        bindGuardEvents() {
+            const panelScope = '.wpapp-right-panel';
+
+            $(document).on('wpapp:panel-closing', (e) => {
+                this.guard(e, panelScope, () => {
+                    const panel = window.wpAppPanelManager;
+
+                    if (e.fromRoute && panel && panel.router) {
+                        // Panel manager put the record hash back
+                        panel.router.navigate(null, { replace: true });
+                    } else if (panel) {
+                        panel.closePanel();
+                    }
+                });
+            });
+
+            // Opening another record replaces panel content
+            $(document).on('wpapp:panel-opening', (e) => {
+                const panel = window.wpAppPanelManager;
+
+                if (!panel || !panel.isOpen) {
+                    return;
+                }
+
+                this.guard(e, panelScope, () => {
+                    if (e.fromRoute && e.route && panel.router) {
+                        // Panel manager put the previous hash back
+                        panel.router.navigate(e.route, { replace: true });
+                    } else {
+                        panel.openPanel(e.id);
+                    }
+                });
+            });
+
+            $(document).on('wpapp:tab-switching', (e) => {
+                if (!e.fromTab) {
+                    return;
+                }
+
+                this.guard(e, '#' + e.fromTab + '.wpapp-tab-content', () => {
+                    if (window.wpAppTabManager) {
+                        window.wpAppTabManager.switchTab(e.toTab);
+                    }
+                });
+            });
+
+            // Settings page tabs are plain links (full page load)
+            $(document).on('click', '.nav-tab-wrapper a.nav-tab', (e) => {
+                const href = $(e.currentTarget).attr('href');
+
+                if (!href || href.charAt(0) === '#') {
+                    return;
+                }
+
+                this.guard(e, null, () => {
+                    window.location.href = href;
+                });
+            });
+
+            window.addEventListener('beforeunload', (e) => {
+                if (this.getDirtyForms().length === 0) {
+                    return;
+                }
+
+                e.preventDefault();
+                e.returnValue = '';
+            });
+        },
+
+        /**
+         * Prevent event and confirm when forms in scope are dirty
+         *
+         * Discarding marks the forms clean, so retrying the action passes.
+         *
+         * @param {Object} e jQuery event (preventable)
+         * @param {string|null} scope Selector (null = all watched forms)
+         * @param {Function} proceed Retry action after discard
+         */
+        guard(e, scope, proceed) {
+            const dirty = this.getDirtyForms(scope);
+
+            if (dirty.length === 0) {
+                return;
+            }
+
+            // Other listeners (e.g. panel stack clearing layers) must not react
+            e.preventDefault();
+            e.stopImmediatePropagation();
+
+            this.confirmDiscard(() => {
+                dirty.forEach((form) => this.markClean(form));
+                proceed();
+            });
+        },
+
+        /**
+         * Show "discard changes?" confirmation
+         *
+         * @param {Function} onDiscard Called when user discards changes
+         */
+        confirmDiscard(onDiscard) {
+            const i18n = (window.wpAppFormGuardConfig && wpAppFormGuardConfig.i18n) || {};
+            const title = i18n.title || 'Discard changes?';
+            const message = i18n.message || 'You have unsaved changes. If you leave now, your changes will be lost.';
+
+            if (typeof WPModal === 'undefined') {
+                if (window.confirm(message)) {
+                    onDiscard();
+                }
+                return;
+            }
+
+            WPModal.confirm({
+                title: title,
+                message: message,
+                danger: true,
+                confirmLabel: i18n.discard || 'Discard changes',
+                cancelLabel: i18n.keepEditing || 'Keep editing',
+                onConfirm: onDiscard
+            });
+        },
+
+        /**
+         * Check if form is inside a watched scope
+         *
+         * @param {jQuery} $form Form element
+         * @return {boolean}
+         */
+        isWatched($form) {
+            if ($form.length === 0 || $form.attr('data-wpapp-guard') === 'off') {
+                return false;
+            }
+
+            return $form.closest(this.config.scopes.join(', ')).length > 0;
+        },
+
+        /**
+         * Serialize form values (opted-out inputs excluded)
+         *
+         * @param {jQuery} $form Form element
+         * @return {string}
+         */
+        serialize($form) {
+            return $form.find(':input').not('[data-wpapp-guard="off"]').serialize();
+        },
+
+        /**
+         * Compare form with snapshot and update dirty state
+         *
+         * @param {jQuery} $form Form element
+         */
+        check($form) {
+            const snapshot = $form.data('wpappGuardSnapshot');
+            const dirty = snapshot !== undefined && this.serialize($form) !== snapshot;
+
+            this.setDirty($form[0], dirty);
+        },
+
+        /**
+         * Update dirty list
+         *
+         * @param {HTMLElement} form Form element
+         * @param {boolean} dirty Dirty state
+         */
+        setDirty(form, dirty) {
+            const index = this.dirtyForms.indexOf(form);
+
+            if (dirty === (index !== -1)) {
+                return;
+            }
+
+            if (dirty) {
+                this.dirtyForms.push(form);
+            } else {
+                this.dirtyForms.splice(index, 1);
+            }
+
+            $(form).toggleClass('wpapp-form-dirty', dirty);
+            this.debugLog('Form dirty state:', form.id || form, dirty);
+
+            $(document).trigger('wpapp:form-dirty-changed', {
+                form: form,
+                dirty: dirty
+            });
+        },
+
+        /**
+         * Public API: Get dirty forms
+         *
+         * Forms removed from DOM (closed modal, replaced panel content) are dropped.
+         *
+         * @param {string|null} scope Limit to forms inside selector
+         * @return {HTMLElement[]}
+         */
+        getDirtyForms(scope) {
+            this.dirtyForms = this.dirtyForms.filter((form) => document.body.contains(form));
+
+            if (!scope) {
+                return this.dirtyForms.slice();
+            }
+
+            return this.dirtyForms.filter((form) => $(form).closest(scope).length > 0);
+        },
+
+        /**
+         * Public API: Check for unsaved changes
+         *
+         * @param {string|null} scope Limit to forms inside selector
+         * @return {boolean}
+         */
+        isDirty(scope) {
+            return this.getDirtyForms(scope).length > 0;
+        },
+
+        /**
+         * Public API: Mark form(s) as saved (current values become new snapshot)
+         *
+         * @param {jQuery|HTMLElement|string} target Form(s) or container
+         */
+        markClean(target) {
+            const $target = $(target);
+            const $forms = $target.filter('form').add($target.find('form'));
+
+            $forms.each((index, form) => {
+                const $form = $(form);
+
+                $form.data('wpappGuardSnapshot', this.serialize($form));
+                this.setDirty(form, false);
+            });
+        },
+
+        /**
+         * Debug logging
+         */
+        debugLog(...args) {
+            if (this.config.debug || (window.wpAppConfig && wpAppConfig.debug)) {
+                console.log('[WPAppFormGuard]', ...args);
+            }
+        },
+
+        /**
+         * Update configuration
+         */
+        configure(options) {
+            this.config = { ...this.config, ...options };
+        }
+    };
+
+    // Make guard globally available
+    window.WPAppFormGuard = WPAppFormGuard;
+
+    // Initialize immediately (document-level handlers only), so the guard
+    // listens before modules bound on document ready
+    WPAppFormGuard.init();
+
+})(jQuery);
@@ -0,0 +1,507 @@
+/**
+ * Notification Service - JavaScript
+ *
+ * @package     WPAppCore
+ * @subpackage  Assets/JS/Components
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/assets/js/components/wpapp-notify.js
+ *
+ * Description: Single toast service for all wp-app-* admin pages. Stacking
+ *              toasts with severity levels, optional actions (Undo, Retry,
+ *              View...), auto-hide per severity (paused while hovered or
+ *              focused) and screen reader announcements through live
+ *              regions. Text is always inserted as text, never as HTML.
+ *              Notices pushed by the server (NotifyController::push()) are
+ *              shown from AJAX responses and on the next page load.
+ *
+ * Features:
+ * - Severity: success, info (polite), warning, error (assertive)
+ * - Same id replaces the previous toast (e.g. repeated save messages)
+ * - At most 5 visible, oldest closed first
+ * - Escape closes the focused toast
+ *
+ * Server Notices:
+ * - Response header X-WPApp-Notices (NotifyController::push() during AJAX)
+ * - data.notices of a JSON response: [{ type, message, title, duration, link }]
+ * - wpAppNotifyConfig.notices: queued for the next page load
+ *
+ * Dependencies:
+ * - jQuery
+ * - wpAppNotifyConfig (notices, i18n, optional)
+ *
+ * Events Fired:
+ * - wpapp:notify: Toast shown ({ id, type, message })
+ *
+ * Usage:
+ * ```js
+ * WPAppNotify.success('Staff saved');
+ * WPAppNotify.error('Failed to delete staff', {
+ *     actions: [{ label: 'Retry', onClick: () => this.handleDelete(id) }]
+ * });
+ * const toast = WPAppNotify.show({ type: 'info', message: 'Importing...', duration: 0 });
+ * toast.update({ type: 'success', message: 'Import done', duration: 4000 });
+ * ```
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+(function($) {
+    'use strict';
+
+    const WPAppNotify = {
+        /**
+         * Severity levels
+         */
+        TYPES: ['success', 'info', 'warning', 'error'],
+
+        /**
+         * Default auto-hide per severity in ms (0 = stays until closed)
+         */
+        DURATIONS: {
+            success: 4000,
+            info: 5000,
+            warning: 7000,
+            error: 10000
+        },
+
+        /**
+         * Maximum toasts visible at once
+         */
+        MAX_VISIBLE: 5,
+
+        /**
+         * Open toasts by id ({ handle, $el, options, timer, remaining, started })
+         */
+        items: {},
+
+        /**
+         * Id sequence
+         */
+        counter: 0,
+
+        /**
+         * Bind server notice handlers and show queued notices
+         */
+        init() {
+            $(document).ajaxComplete((event, xhr) => {
+                this.showNotices(this.parseResponse(xhr));
+            });
+
+            $(document).on('keydown', '.wpapp-notify', (e) => {
+                if (e.key === 'Escape') {
+                    this.close($(e.currentTarget).data('notifyId'), 'dismiss');
+                }
+            });
+
+            const config = window.wpAppNotifyConfig || {};
+
+            if (Array.isArray(config.notices)) {
+                $(() => this.showNotices(config.notices));
+            }
+        },
+
+        /**
+         * Show a toast
+         *
+         * @param {Object} options
+         *   - type: success | info | warning | error (default info)
+         *   - message: Text (newlines kept)
+         *   - title: Bold text before the message (optional)
+         *   - duration: Auto-hide in ms, 0 = until closed (default per type)
+         *   - actions: [{ label, onClick(handle), dismiss = true }]
+         *   - progress: Countdown bar length in ms (optional)
+         *   - pauseOnHover: Pause auto-hide while hovered / focused (default true)
+         *   - dismissible: Show close button (default true)
+         *   - id: Replaces an open toast with the same id
+         *   - onClose(reason, handle): reason timeout | dismiss | action | replace | overflow | api
+         * @return {Object} Handle { id, $el, close(), update(options) }
+         */
+        show(options = {}) {
+            const id = String(options.id || 'wpapp-notify-' + (++this.counter));
+
+            if (this.items[id]) {
+                this.close(id, 'replace');
+            }
+
+            const item = {
+                options: $.extend({ pauseOnHover: true, dismissible: true }, options),
+                $el: $('<div class="wpapp-notify" tabindex="-1"></div>').attr('data-notify-id', id)
+            };
+
+            item.handle = {
+                id: id,
+                $el: item.$el,
+                close: () => this.close(id, 'api'),
+                update: (changes) => this.update(id, changes)
+            };
+
+            // Pause while hovered or focused, resume when both have left
+            item.$el.on('mouseenter focusin', () => {
+                if (item.options.pauseOnHover) {
+                    this.pauseTimer(item);
+                }
+            }).on('mouseleave', () => {
+                if (item.options.pauseOnHover && !item.$el[0].contains(document.activeElement)) {
+                    this.startTimer(item);
+                }
+            }).on('focusout', (e) => {
+                if (item.options.pauseOnHover && !item.$el[0].contains(e.relatedTarget) && !item.$el.is(':hover')) {
+                    this.startTimer(item);
+                }
+            });
+
+            this.items[id] = item;
+            this.render(item);
+            item.$el.hide().appendTo(this.getStack()).fadeIn(150);
+            this.startTimer(item, true);
+            this.trim();
+
+            this.announce(item.options, item.options.type === 'error');
+
+            $(document).trigger('wpapp:notify', {
+                id: id,
+                type: this.getType(item.options.type),
+                message: item.options.message
+            });
+
+            return item.handle;
+        },
+
+        /**
+         * Shortcuts per severity
+         *
+         * @param {string} message Text
+         * @param {Object} options See show()
+         * @return {Object} Handle
+         */
+        success(message, options = {}) {
+            return this.show($.extend({}, options, { type: 'success', message: message }));
+        },
+
+        info(message, options = {}) {
+            return this.show($.extend({}, options, { type: 'info', message: message }));
+        },
+
+        warning(message, options = {}) {
+            return this.show($.extend({}, options, { type: 'warning', message: message }));
+        },
+
+        error(message, options = {}) {
+            return this.show($.extend({}, options, { type: 'error', message: message }));
+        },
+
+        /**
+         * Change an open toast (type, title, message, actions, duration, progress)
+         *
+         * @param {string} id Toast id
+         * @param {Object} changes Options to change
+         */
+        update(id, changes = {}) {
+            const item = this.items[id];
+
+            if (!item) {
+                return;
+            }
+
+            $.extend(item.options, changes);
+            this.render(item);
+
+            if ('duration' in changes) {
+                this.pauseTimer(item);
+                this.startTimer(item, true);
+            }
+
+            if ('message' in changes || 'type' in changes) {
+                this.announce(item.options, item.options.type === 'error');
+            }
+        },
+
+        /**
+         * Close a toast
+         *
+         * @param {string} id Toast id
+         * @param {string} reason Close reason passed to onClose
+         */
+        close(id, reason = 'api') {
+            const item = this.items[id];
+
+            if (!item) {
+                return;
+            }
+
+            clearTimeout(item.timer);
+            delete this.items[id];
+
+            item.$el.fadeOut(150, () => item.$el.remove());
+
+            if (typeof item.options.onClose === 'function') {
+                item.options.onClose(reason, item.handle);
+            }
+        },
+
+        /**
+         * Close all toasts
+         */
+        closeAll() {
+            Object.keys(this.items).forEach((id) => this.close(id, 'api'));
+        },
+
+        /**
+         * Show notices sent by the server
+         *
+         * @param {Array} notices [{ type, message, title, duration, link: { label, url } }]
+         */
+        showNotices(notices) {
+            (notices || []).forEach((notice) => {
+                if (!notice || !notice.message) {
+                    return;
+                }
+
+                const link = notice.link && notice.link.url && !/^\s*(javascript|data|vbscript):/i.test(notice.link.url) ? notice.link : null;
+
+                this.show({
+                    type: notice.type,
+                    title: notice.title || '',
+                    message: String(notice.message),
+                    duration: notice.duration !== undefined && notice.duration !== null ? notice.duration : undefined,
+                    actions: link ? [{
+                        label: link.label || this.getI18n().view,
+                        onClick: () => { window.location.href = link.url; }
+                    }] : []
+                });
+            });
+        },
+
+        /**
+         * Server notices of an AJAX response (header and data.notices)
+         *
+         * @param {jqXHR} xhr Completed request
+         * @return {Array}
+         */
+        parseResponse(xhr) {
+            let notices = [];
+
+            try {
+                const header = xhr && xhr.getResponseHeader ? xhr.getResponseHeader('X-WPApp-Notices') : null;
+
+                if (header) {
+                    notices = notices.concat(JSON.parse(decodeURIComponent(header)) || []);
+                }
+            } catch (e) {
+                console.warn('[WPAppNotify] Invalid X-WPApp-Notices header', e);
+            }
+
+            const json = xhr && xhr.responseJSON;
+
+            if (json && json.data && Array.isArray(json.data.notices)) {
+                notices = notices.concat(json.data.notices);
+            }
+
+            return notices;
+        },
+
+        /**
+         * Build toast content from its options
+         *
+         * @param {Object} item Toast item
+         */
+        render(item) {
+            const options = item.options;
+            const type = this.getType(options.type);
+            const i18n = this.getI18n();
+            const $content = $('<div class="wpapp-notify-content"></div>');
+
+            item.$el.removeClass(this.TYPES.map((t) => 'wpapp-notify-' + t).join(' '))
+                .addClass('wpapp-notify-' + type)
+                .empty();
+
+            item.$el.append($('<span class="wpapp-notify-icon dashicons" aria-hidden="true"></span>').addClass(this.getIcon(type)));
+
+            if (options.title) {
+                $content.append($('<strong class="wpapp-notify-title"></strong>').text(options.title)).append(' ');
+            }
+
+            $content.append($('<span class="wpapp-notify-message"></span>').text(options.message || ''));
+            item.$el.append($content);
+
+            if (Array.isArray(options.actions) && options.actions.length) {
+                const $actions = $('<div class="wpapp-notify-actions"></div>');
+
+                options.actions.forEach((action) => {
+                    $('<button type="button" class="button button-small wpapp-notify-action"></button>')
+                        .text(action.label)
+                        .on('click', () => {
+                            if (typeof action.onClick === 'function') {
+                                action.onClick(item.handle);
+                            }
+
+                            if (action.dismiss !== false) {
+                                this.close(item.handle.id, 'action');
+                            }
+                        })
+                        .appendTo($actions);
+                });
+
+                item.$el.append($actions);
+            }
+
+            if (options.dismissible) {
+                $('<button type="button" class="wpapp-notify-dismiss"></button>')
+                    .attr('aria-label', i18n.dismiss)
+                    .html('<span class="dashicons dashicons-no-alt" aria-hidden="true"></span>')
+                    .on('click', () => this.close(item.handle.id, 'dismiss'))
+                    .appendTo(item.$el);
+            }
+
+            if (options.progress) {
+                $('<span class="wpapp-notify-progress" aria-hidden="true"></span>')
+                    .css('animation-duration', (parseInt(options.progress, 10) / 1000) + 's')
+                    .appendTo(item.$el);
+            }
+        },
+
+        /**
+         * Start (or resume) auto-hide
+         *
+         * @param {Object} item Toast item
+         * @param {boolean} reset Start from the full duration
+         */
+        startTimer(item, reset = false) {
+            if (reset) {
+                const duration = item.options.duration;
+                item.remaining = duration !== undefined ? Math.max(0, parseInt(duration, 10) || 0) : this.DURATIONS[this.getType(item.options.type)];
+            }
+
+            if (!item.remaining || item.timer) {
+                return;
+            }
+
+            item.started = Date.now();
+            item.timer = setTimeout(() => this.close(item.handle.id, 'timeout'), item.remaining);
+        },
+
+        /**
+         * Pause auto-hide
+         *
+         * @param {Object} item Toast item
+         */
+        pauseTimer(item) {
+            if (!item.timer) {
+                return;
+            }
+
+            clearTimeout(item.timer);
+            item.timer = null;
+            item.remaining = Math.max(1000, item.remaining - (Date.now() - item.started));
+        },
+
+        /**
+         * Close the oldest toasts above MAX_VISIBLE
+         */
+        trim() {
+            const ids = Object.keys(this.items);
+
+            ids.slice(0, Math.max(0, ids.length - this.MAX_VISIBLE)).forEach((id) => this.close(id, 'overflow'));
+        },
+
+        /**
+         * Read a toast to screen readers
+         *
+         * @param {Object} options Toast options (title, message)
+         * @param {boolean} assertive Interrupt (errors)
+         */
+        announce(options, assertive = false) {
+            const text = [options.title, options.message].filter(Boolean).join(' ');
+            const $region = this.getLiveRegion(assertive);
+
+            $region.text('');
+            setTimeout(() => $region.text(text), 100);
+        },
+
+        /**
+         * Toast container (created on first use)
+         *
+         * @return {jQuery}
+         */
+        getStack() {
+            let $stack = $('.wpapp-notify-stack');
+
+            if (!$stack.length) {
+                $stack = $('<div class="wpapp-notify-stack" role="region"></div>')
+                    .attr('aria-label', this.getI18n().region)
+                    .appendTo('body');
+            }
+
+            return $stack;
+        },
+
+        /**
+         * Live region for announcements (created on first use)
+         *
+         * @param {boolean} assertive Assertive region
+         * @return {jQuery}
+         */
+        getLiveRegion(assertive) {
+            const politeness = assertive ? 'assertive' : 'polite';
+            let $region = $('.wpapp-notify-live-' + politeness);
+
+            if (!$region.length) {
+                $region = $('<div class="screen-reader-text" aria-atomic="true"></div>')
+                    .addClass('wpapp-notify-live-' + politeness)
+                    .attr('aria-live', politeness)
+                    .attr('role', assertive ? 'alert' : 'status')
+                    .appendTo('body');
+            }
+
+            return $region;
+        },
+
+        /**
+         * Known severity or info
+         *
+         * @param {string} type Severity
+         * @return {string}
+         */
+        getType(type) {
+            return this.TYPES.indexOf(type) !== -1 ? type : 'info';
+        },
+
+        /**
+         * Dashicon per severity
+         *
+         * @param {string} type Severity
+         * @return {string}
+         */
+        getIcon(type) {
+            return {
+                success: 'dashicons-yes-alt',
+                info: 'dashicons-info',
+                warning: 'dashicons-warning',
+                error: 'dashicons-dismiss'
+            }[type];
+        },
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                region: 'Notifications',
+                dismiss: 'Dismiss',
+                view: 'View'
+            }, (window.wpAppNotifyConfig && wpAppNotifyConfig.i18n) || {});
+        }
+    };
+
+    // Export to global scope
+    window.WPAppNotify = WPAppNotify;
+
+    WPAppNotify.init();
+
+})(jQuery);
@@ -0,0 +1,277 @@
+/**
+ * Undo Toast - JavaScript
+ *
+ * @package     WPAppCore
+ * @subpackage  Assets/JS/Components
+ * @version     1.2.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/assets/js/components/wpapp-undo.js
+ *
+ * Description: Grace-period toast for destructive actions registered with
+ *              UndoController::defer(). Shows the action message with an
+ *              "Undo" button and a countdown; Undo restores through
+ *              wpapp_undo_restore, the end of the window (or closing the
+ *              toast) commits through wpapp_undo_commit. Pages left while
+ *              a toast is open commit with a beacon. The toast itself is a
+ *              WPAppNotify toast (Undo action, countdown bar).
+ *
+ * Server Protocol (success response of the destructive action):
+ * ```php
+ * $model->mark_deleted($id);
+ * wp_send_json_success([
+ *     'message' => __('Staff deleted', 'wp-app-core'),
+ *     'undo' => UndoController::defer('platform_staff_delete', ['id' => $id], $message),
+ * ]);
+ * ```
+ *
+ * Dependencies:
+ * - jQuery
+ * - WPAppNotify
+ * - WPAppAjax
+ * - wpAppUndoConfig (ajaxUrl, nonce, i18n)
+ *
+ * Events Fired:
+ * - wpapp:undo-restored: Action undone ({ token, data })
+ * - wpapp:undo-committed: Window ended, action final ({ token, data })
+ *
+ * Usage:
+ * ```js
+ * if (WPAppUndo.isUndoable(response)) {
+ *     WPAppUndo.show(response.data.undo, {
+ *         onUndo: () => table.ajax.reload(null, false),
+ *         onCommit: (data) => console.log('final', data)
+ *     });
+ * }
+ * ```
+ *
+ * Changelog:
+ * 1.2.0 - 2026-10-18
+ * - Requests sent through WPAppAjax (expired nonce refreshed, server message
+ *   shown on failure)
+ *
+ * 1.1.0 - 2026-10-18
+ * - Toast rendered by WPAppNotify (own stack and styles removed)
+ * - "Action undone" confirmation after a successful undo
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+(function($) {
+    'use strict';
+
+    const WPAppUndo = {
+        /**
+         * Open toasts by token ({ handle, options })
+         */
+        pending: {},
+
+        /**
+         * Whether beforeunload / pagehide handlers are bound
+         */
+        bound: false,
+
+        /**
+         * Whether an AJAX response carries an undo token
+         *
+         * @param {Object} response wp_send_json_* response
+         * @return {boolean}
+         */
+        isUndoable(response) {
+            return !!(response && response.success && response.data && response.data.undo && response.data.undo.token);
+        },
+
+        /**
+         * Show the undo toast of a pending action
+         *
+         * @param {Object} undo { token, window, message } from UndoController::defer()
+         * @param {Object} options { message, onUndo(data), onCommit(data), onError(message) }
+         */
+        show(undo, options = {}) {
+            if (!undo || !undo.token || this.pending[undo.token]) {
+                return;
+            }
+
+            const i18n = this.getI18n();
+            const duration = Math.max(1, parseInt(undo.window, 10) || 10) * 1000;
+
+            this.bindUnload();
+
+            this.pending[undo.token] = {
+                options: options,
+                handle: WPAppNotify.show({
+                    id: 'wpapp-undo-' + undo.token,
+                    type: 'info',
+                    message: options.message || undo.message || i18n.done,
+                    duration: duration,
+                    progress: duration,
+                    pauseOnHover: false,
+                    actions: [{
+                        label: i18n.undo,
+                        dismiss: false,
+                        onClick: () => this.restore(undo.token)
+                    }],
+                    // Window ended, toast closed or pushed out of the stack
+                    onClose: () => this.commit(undo.token)
+                })
+            };
+        },
+
+        /**
+         * Undo a pending action
+         *
+         * @param {string} token Undo token
+         */
+        restore(token) {
+            const entry = this.take(token);
+
+            if (!entry) {
+                return;
+            }
+
+            entry.handle.$el.addClass('is-busy').find('button').prop('disabled', true);
+
+            this.request('wpapp_undo_restore', token).done((data) => {
+                entry.handle.close();
+                WPAppNotify.success((data && data.message) || this.getI18n().done);
+
+                if (typeof entry.options.onUndo === 'function') {
+                    entry.options.onUndo(data || {});
+                }
+
+                $(document).trigger('wpapp:undo-restored', { token: token, data: data || {} });
+            }).fail((error) => {
+                this.fail(entry, error.data ? error.message : this.getI18n().failed);
+            });
+        },
+
+        /**
+         * Make a pending action final (window ended or toast closed)
+         *
+         * @param {string} token Undo token
+         */
+        commit(token) {
+            const entry = this.take(token);
+
+            if (!entry) {
+                return;
+            }
+
+            entry.handle.close();
+
+            this.request('wpapp_undo_commit', token).done((data) => {
+                if (typeof entry.options.onCommit === 'function') {
+                    entry.options.onCommit(data || {});
+                }
+
+                $(document).trigger('wpapp:undo-committed', { token: token, data: data || {} });
+            }).fail((error) => {
+                if (typeof entry.options.onError === 'function') {
+                    entry.options.onError(error.message);
+                }
+            });
+        },
+
+        /**
+         * Remove a token from the pending list
+         *
+         * @param {string} token Undo token
+         * @return {Object|null} Entry or null when already handled
+         */
+        take(token) {
+            const entry = this.pending[token];
+
+            if (!entry) {
+                return null;
+            }
+
+            delete this.pending[token];
+
+            return entry;
+        },
+
+        /**
+         * Turn the toast into an error toast
+         *
+         * @param {Object} entry Pending entry
+         * @param {string} message Error message
+         */
+        fail(entry, message) {
+            entry.handle.$el.removeClass('is-busy');
+            entry.handle.update({
+                type: 'error',
+                message: message,
+                actions: [],
+                progress: 0,
+                duration: 6000
+            });
+
+            if (typeof entry.options.onError === 'function') {
+                entry.options.onError(message);
+            }
+        },
+
+        /**
+         * POST to an undo endpoint
+         *
+         * @param {string} action wpapp_undo_restore | wpapp_undo_commit
+         * @param {string} token Undo token
+         * @return {Promise} WPAppAjax promise
+         */
+        request(action, token) {
+            const config = window.wpAppUndoConfig || {};
+
+            return WPAppAjax.post(action, {
+                nonce: config.nonce || '',
+                token: token
+            }, {
+                nonce: 'wpapp_undo_nonce'
+            });
+        },
+
+        /**
+         * Commit open toasts when the page is left
+         */
+        bindUnload() {
+            if (this.bound) {
+                return;
+            }
+
+            this.bound = true;
+
+            $(window).on('pagehide', () => {
+                const config = window.wpAppUndoConfig || {};
+
+                Object.keys(this.pending).forEach((token) => {
+                    this.take(token);
+
+                    if (navigator.sendBeacon) {
+                        const data = new FormData();
+                        data.append('action', 'wpapp_undo_commit');
+                        data.append('nonce', config.nonce || '');
+                        data.append('token', token);
+                        navigator.sendBeacon(config.ajaxUrl || window.ajaxurl, data);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                done: 'Done.',
+                undo: 'Undo',
+                failed: 'The action could not be undone.'
+            }, (window.wpAppUndoConfig && wpAppUndoConfig.i18n) || {});
+        }
+    };
+
+    // Export to global scope
+    window.WPAppUndo = WPAppUndo;
+
+})(jQuery);
@@ -0,0 +1,200 @@
+/**
+ * WP App Core - Component Registry
+ *
+ * Lifecycle registry for components living inside server-rendered panel
+ * content (maps, completeness bars, nested DataTables, ...). The panel
+ * manager and panel stack mount components after content is injected and
+ * unmount them before content is replaced, the record switches or the
+ * panel closes.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.0.0
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - register(name, { selector, mount, unmount })
+ * - mountAll / unmountAll on container, each element mounted once per component
+ * - Built-in "datatable" component destroys nested DataTables on unmount
+ *
+ * Component Definition:
+ * - selector: Elements to mount inside container (omit = container itself)
+ * - mount(element, context): Initialize component (element is a DOM node)
+ * - unmount(element, context): Destroy component, unbind handlers
+ *
+ * Context:
+ * - { entity, id, source } - source: 'panel' or 'layer'
+ *
+ * Usage:
+ * ```javascript
+ * wpAppComponents.register('branch-chart', {
+ *     selector: '.branch-chart',
+ *     mount: function(el, context) {
+ *         $(el).data('chart', new Chart(el, { ... }));
+ *     },
+ *     unmount: function(el) {
+ *         $(el).data('chart').destroy();
+ *     }
+ * });
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Component Registry Class
+     */
+    class WPAppComponentRegistry {
+        constructor() {
+            this.components = {};
+        }
+
+        /**
+         * Register component
+         *
+         * @param {string} name Unique component name
+         * @param {Object} definition { selector, mount, unmount }
+         */
+        register(name, definition) {
+            if (!name || !definition) {
+                return;
+            }
+
+            this.components[name] = $.extend({
+                selector: null,
+                mount: null,
+                unmount: null
+            }, definition);
+        }
+
+        /**
+         * Unregister component
+         *
+         * @param {string} name Component name
+         */
+        unregister(name) {
+            delete this.components[name];
+        }
+
+        /**
+         * Check if component is registered
+         *
+         * @param {string} name Component name
+         * @return {boolean}
+         */
+        has(name) {
+            return Object.prototype.hasOwnProperty.call(this.components, name);
+        }
+
+        /**
+         * Find component elements inside container (container included)
+         *
+         * @param {jQuery} $container Container
+         * @param {string|null} selector Component selector
+         * @return {jQuery} Elements
+         */
+        findElements($container, selector) {
+            if (!selector) {
+                return $container;
+            }
+
+            return $container.filter(selector).add($container.find(selector));
+        }
+
+        /**
+         * Mount all registered components inside container
+         *
+         * @param {jQuery|HTMLElement} container Container
+         * @param {Object} context { entity, id, source }
+         */
+        mountAll(container, context = {}) {
+            const $container = $(container);
+
+            if ($container.length === 0) {
+                return;
+            }
+
+            $.each(this.components, (name, component) => {
+                if (typeof component.mount !== 'function') {
+                    return;
+                }
+
+                this.findElements($container, component.selector).each((index, el) => {
+                    const mounted = $(el).data('wpappComponents') || [];
+
+                    if (mounted.indexOf(name) !== -1) {
+                        return;
+                    }
+
+                    try {
+                        component.mount(el, context);
+                        $(el).data('wpappComponents', mounted.concat(name));
+                    } catch (error) {
+                        console.error('[WPApp Components] Mount failed:', name, error);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Unmount all mounted components inside container
+         *
+         * Components are unmounted in reverse registration order.
+         *
+         * @param {jQuery|HTMLElement} container Container
+         * @param {Object} context { entity, id, source }
+         */
+        unmountAll(container, context = {}) {
+            const $container = $(container);
+
+            if ($container.length === 0) {
+                return;
+            }
+
+            Object.keys(this.components).reverse().forEach((name) => {
+                const component = this.components[name];
+
+                this.findElements($container, component.selector).each((index, el) => {
+                    const mounted = $(el).data('wpappComponents') || [];
+                    const position = mounted.indexOf(name);
+
+                    // Built-in components without mount still clean up
+                    if (position === -1 && typeof component.mount === 'function') {
+                        return;
+                    }
+
+                    try {
+                        if (typeof component.unmount === 'function') {
+                            component.unmount(el, context);
+                        }
+                    } catch (error) {
+                        console.error('[WPApp Components] Unmount failed:', name, error);
+                    }
+
+                    if (position !== -1) {
+                        mounted.splice(position, 1);
+                        $(el).data('wpappComponents', mounted);
+                    }
+                });
+            });
+        }
+    }
+
+    // Create global instance immediately so modules can register on load
+    window.WPAppComponentRegistry = WPAppComponentRegistry;
+    window.wpAppComponents = new WPAppComponentRegistry();
+
+    // Nested DataTables (initialized by plugins inside tabs / layers)
+    window.wpAppComponents.register('datatable', {
+        selector: 'table',
+        unmount: function(el) {
+            if ($.fn.DataTable && $.fn.DataTable.isDataTable(el)) {
+                $(el).DataTable().destroy();
+            }
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,852 @@
+/**
+ * WP App Core - DataTable Bulk Actions
+ *
+ * Row checkboxes and bulk action bar for server-side tables initialized by
+ * WPAppDataTable. Selection survives paging; "select all matching" covers
+ * every row of the current search / filters (not only the visible page) and
+ * is resolved to IDs on the server when an action runs.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.3.1
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.3.1 - 2026-10-18
+ * - Requests sent through WPAppAjax (expired nonce refreshed and retried,
+ *   server message or normalised error)
+ *
+ * 1.3.0 - 2026-10-18
+ * - Row `version` of drawn rows posted as versions[id] (server may skip
+ *   rows changed since the user saw them)
+ *
+ * 1.2.0 - 2026-10-18
+ * - Undoable actions: the chunks of a batch share the server's undo entry
+ *   (undo_token), one WPAppUndo toast undoes the whole batch
+ *
+ * 1.1.0 - 2026-10-18
+ * - CSV download through wpAppDataTableExport.download()
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Checkbox column (DOM only, server column indexes unchanged)
+ * - Select page / select all matching, selection cleared when search or filters change
+ * - Bulk bar with action buttons and inline parameter select (status, role)
+ * - WPModal confirmation with selected count
+ * - Progress dialog: chunked requests, cancel, per-item error list
+ * - CSV download for export actions
+ *
+ * Config (WPAppDataTable `bulk` / data-bulk JSON):
+ * - action: AJAX action handling all operations
+ * - nonce, ajaxUrl: Default to the table's nonce / AJAX URL
+ * - chunkSize: IDs per request (default 20)
+ * - actions: [{ id, label, options, confirm, danger, download }]
+ *   - options: [{ value, label }] parameter choices, sent as params[value]
+ *   - confirm: Message with %d for count, false to skip confirmation
+ *   - download: CSV filename, rows returned by the server are downloaded
+ *
+ * Server Protocol (POST action, nonce, operation):
+ * - operation=resolve, query={ last DataTables request } → { ids: [] }
+ * - operation={action id}, ids[], params[value], versions[id], undo_token → { processed: [], errors: [{ id, label, message }], rows: [], undo }
+ *   - versions: Row data `version` of the chunk's rows drawn in the table
+ *     (rows only resolved on the server have none)
+ *   - undo: UndoController::defer() entry; later chunks post its token as
+ *     undo_token to join it. Shown with WPAppUndo when loaded, otherwise
+ *     the entry is committed when its window ends
+ *
+ * Events Triggered:
+ * - wpapp:datatable-selection-changed - Selection changed ({ key, count, mode })
+ * - wpapp:datatable-bulk-complete - Action finished ({ key, action, processed, errors })
+ *
+ * Usage:
+ * ```javascript
+ * WPAppDataTable.register('invoices', {
+ *     bulk: {
+ *         action: 'company_invoice_bulk_action',
+ *         actions: [
+ *             { id: 'status', label: 'Change status', options: [{ value: 'paid', label: 'Paid' }] },
+ *             { id: 'delete', label: 'Delete', confirm: 'Delete %d invoices?', danger: true }
+ *         ]
+ *     },
+ *     ...
+ * });
+ *
+ * wpAppDataTableBulk.getSelection('invoices'); // { mode: 'ids', ids: [1, 2], count: 2 }
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * DataTable Bulk Actions Class
+     */
+    class WPAppDataTableBulk {
+        constructor() {
+            this.tables = {};
+        }
+
+        /**
+         * Attach checkboxes and bulk bar to a DataTable
+         *
+         * @param {Object} dataTable DataTables API instance
+         * @param {string} key Table key
+         * @param {Object} config Bulk config
+         */
+        attach(dataTable, key, config) {
+            if (!dataTable || !key || !config || !config.action || !Array.isArray(config.actions) || config.actions.length === 0) {
+                return;
+            }
+
+            this.detach(key);
+
+            const table = {
+                key: key,
+                dataTable: dataTable,
+                config: $.extend({ chunkSize: 20 }, config),
+                mode: 'ids',
+                selected: new Set(),
+                excluded: new Set(),
+                versions: new Map(),
+                total: 0,
+                query: null,
+                signature: null,
+                running: false,
+                $bar: null
+            };
+
+            // First request was sent during DataTables init
+            if (dataTable.ajax.params()) {
+                table.signature = this.getQuerySignature(dataTable.ajax.params());
+            }
+
+            this.tables[key] = table;
+            this.renderBar(table);
+            this.ensureCells(table);
+            this.bindEvents(table);
+        }
+
+        /**
+         * Remove checkboxes, bar and handlers
+         *
+         * @param {string} key Table key
+         */
+        detach(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            table.dataTable.off('.wpappBulk');
+            $(table.dataTable.table().node()).off('.wpappBulk').find('.wpapp-dt-select-cell').remove();
+
+            if (table.$bar) {
+                table.$bar.remove();
+            }
+
+            delete this.tables[key];
+        }
+
+        /**
+         * Render bulk action bar (hidden until something is selected)
+         *
+         * @param {Object} table Table entry
+         */
+        renderBar(table) {
+            const i18n = this.getI18n();
+            const $bar = $('<div class="wpapp-dt-bulk" role="region" hidden></div>').attr('aria-label', i18n.bulkActions);
+            const $actions = $('<div class="wpapp-dt-bulk-actions"></div>');
+
+            table.config.actions.forEach((action) => {
+                const $button = $('<button type="button" class="button wpapp-dt-bulk-action"></button>')
+                    .attr('data-action', action.id)
+                    .text(action.label || action.id)
+                    .toggleClass('wpapp-dt-bulk-danger', !!action.danger);
+
+                if (Array.isArray(action.options) && action.options.length > 0) {
+                    const $select = $('<select class="wpapp-dt-bulk-param"></select>')
+                        .attr({ 'data-action': action.id, 'aria-label': action.label || action.id });
+
+                    action.options.forEach((option) => {
+                        $select.append($('<option></option>').val(option.value).text(option.label || option.value));
+                    });
+
+                    $actions.append($('<span class="wpapp-dt-bulk-group"></span>').append($select, $button));
+                } else {
+                    $actions.append($button);
+                }
+            });
+
+            $bar.append(
+                $('<strong class="wpapp-dt-bulk-count" aria-live="polite"></strong>'),
+                $('<button type="button" class="button-link wpapp-dt-bulk-all"></button>'),
+                $('<button type="button" class="button-link wpapp-dt-bulk-clear"></button>').text(i18n.clearSelection),
+                $actions
+            );
+
+            table.$bar = $bar;
+            // Closest toolbar to the table (after views toolbar and filter bar)
+            $bar.insertBefore(table.dataTable.table().container());
+
+            $bar.on('click', '.wpapp-dt-bulk-all', () => {
+                this.selectAllMatching(table.key);
+            });
+
+            $bar.on('click', '.wpapp-dt-bulk-clear', () => {
+                this.clear(table.key);
+            });
+
+            $bar.on('click', '.wpapp-dt-bulk-action', (e) => {
+                this.run(table.key, $(e.currentTarget).attr('data-action'));
+            });
+        }
+
+        /**
+         * Bind table handlers
+         *
+         * @param {Object} table Table entry
+         */
+        bindEvents(table) {
+            const dataTable = table.dataTable;
+            const $table = $(dataTable.table().node());
+
+            dataTable.on('preXhr.wpappBulk', (e, settings, data) => {
+                const signature = this.getQuerySignature(data);
+
+                // New search / filters select different rows
+                if (table.signature !== null && signature !== table.signature && this.getCount(table) > 0) {
+                    this.clear(table.key, false);
+                }
+
+                table.signature = signature;
+            });
+
+            dataTable.on('draw.wpappBulk column-visibility.wpappBulk', () => {
+                this.ensureCells(table);
+            });
+
+            dataTable.on('destroy.wpappBulk', () => {
+                this.detach(table.key);
+            });
+
+            // Checkbox cells must not open the detail panel (row click)
+            $(dataTable.table().body()).on('click.wpappBulk', '.wpapp-dt-select-cell', (e) => {
+                e.stopPropagation();
+
+                if (!$(e.target).is('input')) {
+                    $(e.currentTarget).find('input').trigger('click');
+                }
+            });
+
+            $table.on('change.wpappBulk', 'tbody .wpapp-dt-select-row', (e) => {
+                const id = String($(e.currentTarget).val());
+
+                this.toggle(table, id, e.currentTarget.checked);
+            });
+
+            $table.on('change.wpappBulk', 'thead .wpapp-dt-select-page', (e) => {
+                const checked = e.currentTarget.checked;
+
+                this.getPageIds(table).forEach((id) => {
+                    this.toggle(table, id, checked, false);
+                });
+
+                this.refresh(table);
+            });
+        }
+
+        /**
+         * Add checkbox header / cells (DataTables rebuilds them on draw and visibility changes)
+         *
+         * @param {Object} table Table entry
+         */
+        ensureCells(table) {
+            const dataTable = table.dataTable;
+            const i18n = this.getI18n();
+
+            $(dataTable.table().header()).find('tr').each(function(index) {
+                if ($(this).children('.wpapp-dt-select-cell').length > 0) {
+                    return;
+                }
+
+                const $cell = $('<th class="wpapp-dt-select-cell"></th>');
+
+                if (index === 0) {
+                    $cell.append($('<input type="checkbox" class="wpapp-dt-select-page">').attr('aria-label', i18n.selectPage));
+                }
+
+                $(this).prepend($cell);
+            });
+
+            const rowId = this.getRowIdResolver(table);
+
+            dataTable.rows({ page: 'current' }).every(function() {
+                const $row = $(this.node());
+                const data = this.data();
+
+                // Last seen version, posted with the action
+                if (data && data.version) {
+                    table.versions.set(rowId(data), String(data.version));
+                }
+
+                if (!$row.length || $row.children('.wpapp-dt-select-cell').length > 0) {
+                    return;
+                }
+
+                const id = rowId(data);
+
+                $row.prepend(
+                    $('<td class="wpapp-dt-select-cell"></td>').append(
+                        $('<input type="checkbox" class="wpapp-dt-select-row">')
+                            .val(id)
+                            .attr('aria-label', i18n.selectRow)
+                    )
+                );
+            });
+
+            // "No data" row spans the extra cell too
+            $(dataTable.table().body()).find('td.dataTables_empty').each(function() {
+                const $cell = $(this);
+
+                if (!$cell.data('wpappBulkSpan')) {
+                    $cell.attr('colspan', (parseInt($cell.attr('colspan'), 10) || 1) + 1).data('wpappBulkSpan', true);
+                }
+            });
+
+            this.refresh(table);
+        }
+
+        /**
+         * Row ID resolver (config.rowId function, DT_RowData.id, id)
+         *
+         * @param {Object} table Table entry
+         * @return {Function} data => id string
+         */
+        getRowIdResolver(table) {
+            if (typeof table.config.rowId === 'function') {
+                return (data) => String(table.config.rowId(data));
+            }
+
+            return (data) => {
+                const id = (data && data.DT_RowData && data.DT_RowData.id) || (data && data.id) || '';
+
+                return String(id);
+            };
+        }
+
+        /**
+         * Last seen row versions of some IDs
+         *
+         * @param {Object} table Table entry
+         * @param {string[]} ids Row IDs
+         * @return {Object} { id: version }
+         */
+        getVersions(table, ids) {
+            const rowId = this.getRowIdResolver(table);
+            const versions = {};
+
+            // Rows redrawn without a draw (inline edit) carry newer versions
+            table.dataTable.rows({ page: 'current' }).data().toArray().forEach((data) => {
+                if (data && data.version) {
+                    table.versions.set(rowId(data), String(data.version));
+                }
+            });
+
+            ids.forEach((id) => {
+                if (table.versions.has(id)) {
+                    versions[id] = table.versions.get(id);
+                }
+            });
+
+            return versions;
+        }
+
+        /**
+         * IDs of rows on current page
+         *
+         * @param {Object} table Table entry
+         * @return {string[]}
+         */
+        getPageIds(table) {
+            const rowId = this.getRowIdResolver(table);
+
+            return table.dataTable.rows({ page: 'current' }).data().toArray()
+                .map(rowId)
+                .filter((id) => id !== '');
+        }
+
+        /**
+         * Toggle one row
+         *
+         * @param {Object} table Table entry
+         * @param {string} id Row ID
+         * @param {boolean} checked Selected
+         * @param {boolean} update Refresh UI
+         */
+        toggle(table, id, checked, update = true) {
+            if (table.mode === 'all') {
+                checked ? table.excluded.delete(id) : table.excluded.add(id);
+            } else {
+                checked ? table.selected.add(id) : table.selected.delete(id);
+            }
+
+            if (update) {
+                this.refresh(table);
+            }
+        }
+
+        /**
+         * Is row selected
+         *
+         * @param {Object} table Table entry
+         * @param {string} id Row ID
+         * @return {boolean}
+         */
+        isSelected(table, id) {
+            return table.mode === 'all' ? !table.excluded.has(id) : table.selected.has(id);
+        }
+
+        /**
+         * Selected row count
+         *
+         * @param {Object} table Table entry
+         * @return {number}
+         */
+        getCount(table) {
+            return table.mode === 'all'
+                ? Math.max(0, table.total - table.excluded.size)
+                : table.selected.size;
+        }
+
+        /**
+         * Sync checkboxes, row classes and bulk bar with selection
+         *
+         * @param {Object} table Table entry
+         */
+        refresh(table) {
+            const i18n = this.getI18n();
+            const $table = $(table.dataTable.table().node());
+            const pageIds = this.getPageIds(table);
+            const count = this.getCount(table);
+            const total = table.dataTable.page.info().recordsDisplay;
+
+            $table.find('tbody .wpapp-dt-select-row').each((index, input) => {
+                const checked = this.isSelected(table, String(input.value));
+
+                input.checked = checked;
+                $(input).closest('tr').toggleClass('wpapp-row-selected', checked);
+            });
+
+            const selectedOnPage = pageIds.filter((id) => this.isSelected(table, id)).length;
+
+            $table.find('thead .wpapp-dt-select-page').prop({
+                checked: pageIds.length > 0 && selectedOnPage === pageIds.length,
+                indeterminate: selectedOnPage > 0 && selectedOnPage < pageIds.length,
+                disabled: pageIds.length === 0
+            });
+
+            table.$bar.prop('hidden', count === 0);
+            table.$bar.find('.wpapp-dt-bulk-count').text(this.format(i18n.selectedCount, count));
+            table.$bar.find('.wpapp-dt-bulk-all')
+                .text(this.format(i18n.selectAllMatching, total))
+                .prop('hidden', table.mode === 'all' || total <= count);
+            table.$bar.find('.wpapp-dt-bulk-action, .wpapp-dt-bulk-param').prop('disabled', table.running);
+
+            $(document).trigger('wpapp:datatable-selection-changed', {
+                key: table.key,
+                count: count,
+                mode: table.mode
+            });
+        }
+
+        /**
+         * Public API: Select every row matching current search / filters
+         *
+         * @param {string} key Table key
+         */
+        selectAllMatching(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            table.mode = 'all';
+            table.selected.clear();
+            table.excluded.clear();
+            table.total = table.dataTable.page.info().recordsDisplay;
+            table.query = $.extend(true, {}, table.dataTable.ajax.params());
+
+            this.refresh(table);
+        }
+
+        /**
+         * Public API: Clear selection
+         *
+         * @param {string} key Table key
+         * @param {boolean} update Refresh UI
+         */
+        clear(key, update = true) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            table.mode = 'ids';
+            table.selected.clear();
+            table.excluded.clear();
+            table.total = 0;
+            table.query = null;
+
+            if (update) {
+                this.refresh(table);
+            } else {
+                table.$bar.prop('hidden', true);
+            }
+        }
+
+        /**
+         * Public API: Current selection
+         *
+         * @param {string} key Table key
+         * @return {Object|null} { mode, ids, excluded, count }
+         */
+        getSelection(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return null;
+            }
+
+            return {
+                mode: table.mode,
+                ids: Array.from(table.selected),
+                excluded: Array.from(table.excluded),
+                count: this.getCount(table)
+            };
+        }
+
+        /**
+         * Public API: Run bulk action on selection
+         *
+         * @param {string} key Table key
+         * @param {string} actionId Action ID
+         */
+        run(key, actionId) {
+            const table = this.tables[key];
+            const action = table && table.config.actions.find((item) => item.id === actionId);
+
+            if (!action || table.running || this.getCount(table) === 0) {
+                return;
+            }
+
+            const i18n = this.getI18n();
+            const count = this.getCount(table);
+            const $param = table.$bar.find('.wpapp-dt-bulk-param[data-action="' + actionId + '"]');
+            const params = $param.length ? { value: $param.val() } : {};
+            const paramLabel = $param.length ? $param.find('option:selected').text() : '';
+            const label = action.label + (paramLabel ? ': ' + paramLabel : '');
+
+            if (action.confirm === false) {
+                this.process(table, action, params, label);
+                return;
+            }
+
+            const message = action.confirm
+                ? this.format(action.confirm, count)
+                : this.format(i18n.confirmAction, count).replace('%s', label);
+            const onConfirm = () => this.process(table, action, params, label);
+
+            if (typeof WPModal === 'undefined') {
+                if (window.confirm(message)) {
+                    onConfirm();
+                }
+                return;
+            }
+
+            WPModal.confirm({
+                title: label,
+                message: message,
+                danger: !!action.danger,
+                confirmLabel: action.label,
+                cancelLabel: i18n.cancel,
+                onConfirm: onConfirm
+            });
+        }
+
+        /**
+         * Resolve selection and process it in chunks
+         *
+         * @param {Object} table Table entry
+         * @param {Object} action Action definition
+         * @param {Object} params Action parameters
+         * @param {string} label Dialog title
+         */
+        async process(table, action, params, label) {
+            const i18n = this.getI18n();
+            const dialog = this.openProgress(label);
+            const processed = [];
+            const errors = [];
+            const rows = [];
+            let undo = null;
+
+            table.running = true;
+            this.refresh(table);
+
+            try {
+                let ids = Array.from(table.selected);
+
+                if (table.mode === 'all') {
+                    dialog.status(i18n.resolving);
+
+                    const data = await this.request(table, { operation: 'resolve', query: table.query });
+
+                    ids = (data.ids || []).map(String).filter((id) => !table.excluded.has(id));
+                }
+
+                for (let offset = 0; offset < ids.length; offset += table.config.chunkSize) {
+                    if (dialog.cancelled) {
+                        break;
+                    }
+
+                    const chunk = ids.slice(offset, offset + table.config.chunkSize);
+
+                    dialog.progress(offset, ids.length);
+
+                    try {
+                        const data = await this.request(table, {
+                            operation: action.id,
+                            ids: chunk,
+                            params: params,
+                            versions: this.getVersions(table, chunk),
+                            undo_token: undo ? undo.token : ''
+                        });
+
+                        undo = data.undo || undo;
+                        processed.push(...(data.processed || []));
+                        rows.push(...(data.rows || []));
+                        (data.errors || []).forEach((error) => {
+                            errors.push(error);
+                            dialog.error(error);
+                        });
+                    } catch (message) {
+                        // Whole chunk failed (network / permission), report each item
+                        chunk.forEach((id) => {
+                            const error = { id: id, message: message };
+
+                            errors.push(error);
+                            dialog.error(error);
+                        });
+                    }
+                }
+
+                dialog.progress(processed.length + errors.length, ids.length);
+                dialog.finish(this.format(i18n.completed, processed.length).replace('%f', errors.length), dialog.cancelled);
+
+                if (action.download && rows.length > 0) {
+                    this.downloadCsv(action.download, rows);
+                }
+
+                if (undo && window.WPAppUndo) {
+                    WPAppUndo.show(undo, {
+                        message: undo.message || this.format(i18n.undoMessage, processed.length).replace('%s', label),
+                        onUndo: () => table.dataTable.ajax.reload(null, false)
+                    });
+                }
+            } catch (message) {
+                dialog.finish(message, true);
+            }
+
+            table.running = false;
+
+            if (action.download) {
+                this.refresh(table);
+            } else {
+                this.clear(table.key);
+                table.dataTable.ajax.reload(null, false);
+            }
+
+            $(document).trigger('wpapp:datatable-bulk-complete', {
+                key: table.key,
+                action: action.id,
+                processed: processed,
+                errors: errors
+            });
+        }
+
+        /**
+         * POST to bulk action endpoint
+         *
+         * @param {Object} table Table entry
+         * @param {Object} data Request data
+         * @return {Promise<Object>} Response data, rejects with error message
+         */
+        request(table, data) {
+            const bootstrapper = window.WPAppDataTable;
+
+            return new Promise((resolve, reject) => {
+                WPAppAjax.post(table.config.action, $.extend({
+                    nonce: table.config.nonce || (bootstrapper ? bootstrapper.getNonce() : '')
+                }, data), {
+                    nonce: bootstrapper ? bootstrapper.getNonceAction(table.config) : table.config.nonceAction,
+                    url: table.config.ajaxUrl || (bootstrapper ? bootstrapper.getAjaxUrl() : undefined)
+                }).done((response) => {
+                    resolve(response || {});
+                }).fail((error) => {
+                    reject(error.message || this.getI18n().requestFailed);
+                });
+            });
+        }
+
+        /**
+         * Open progress dialog
+         *
+         * @param {string} title Dialog title
+         * @return {Object} Dialog controller { progress, status, error, finish, cancelled }
+         */
+        openProgress(title) {
+            const i18n = this.getI18n();
+            const titleId = 'wpapp-dt-bulk-title-' + Date.now();
+            const $overlay = $('<div class="wpapp-dt-bulk-overlay"></div>');
+            const $dialog = $('<div class="wpapp-dt-bulk-dialog" role="dialog" aria-modal="true"></div>').attr('aria-labelledby', titleId);
+            const $progress = $('<progress class="wpapp-dt-bulk-progress" max="100" value="0"></progress>');
+            const $status = $('<p class="wpapp-dt-bulk-status" aria-live="polite"></p>');
+            const $errors = $('<ul class="wpapp-dt-bulk-errors" hidden></ul>');
+            const $cancel = $('<button type="button" class="button wpapp-dt-bulk-cancel"></button>').text(i18n.cancel);
+            const $close = $('<button type="button" class="button button-primary wpapp-dt-bulk-close" hidden></button>').text(i18n.close);
+            const dialog = { cancelled: false };
+
+            $dialog.append(
+                $('<h2></h2>').attr('id', titleId).text(title),
+                $progress,
+                $status,
+                $errors,
+                $('<div class="wpapp-dt-bulk-dialog-actions"></div>').append($cancel, $close)
+            );
+            $overlay.append($dialog).appendTo('body');
+            $cancel.trigger('focus');
+
+            $cancel.on('click', () => {
+                dialog.cancelled = true;
+                $cancel.prop('disabled', true);
+                $status.text(i18n.cancelling);
+            });
+
+            $close.on('click', () => {
+                $overlay.remove();
+            });
+
+            $overlay.on('keydown', (e) => {
+                if (e.key === 'Escape' && !$close.prop('hidden')) {
+                    $overlay.remove();
+                }
+            });
+
+            dialog.progress = (done, total) => {
+                $progress.val(total > 0 ? Math.round(done / total * 100) : 100);
+
+                if (!dialog.cancelled) {
+                    $status.text(this.format(i18n.progress, done).replace('%t', total));
+                }
+            };
+
+            dialog.status = (text) => {
+                $status.text(text);
+            };
+
+            dialog.error = (error) => {
+                $errors.prop('hidden', false).append(
+                    $('<li></li>').append(
+                        $('<strong></strong>').text(error.label || '#' + error.id),
+                        document.createTextNode(': ' + error.message)
+                    )
+                );
+            };
+
+            dialog.finish = (text, stopped) => {
+                $progress.toggleClass('is-stopped', !!stopped);
+                $status.text(text);
+                $cancel.prop('hidden', true);
+                $close.prop('hidden', false).trigger('focus');
+            };
+
+            return dialog;
+        }
+
+        /**
+         * Download rows as CSV (UTF-8 BOM for Excel)
+         *
+         * @param {string} filename File name
+         * @param {Object[]} rows Row objects (keys become header)
+         */
+        downloadCsv(filename, rows) {
+            const headers = Object.keys(rows[0]);
+
+            window.wpAppDataTableExport.download(
+                filename,
+                headers,
+                rows.map((row) => headers.map((header) => row[header])),
+                'csv'
+            );
+        }
+
+        /**
+         * Request params that decide which rows match (not paging / order)
+         *
+         * @param {Object} data DataTables request data
+         * @return {string}
+         */
+        getQuerySignature(data) {
+            const query = $.extend({}, data);
+
+            ['draw', 'start', 'length', 'order', 'nonce'].forEach((name) => {
+                delete query[name];
+            });
+
+            return JSON.stringify(query);
+        }
+
+        /**
+         * Replace %d with number
+         *
+         * @param {string} text Text
+         * @param {number} count Number
+         * @return {string}
+         */
+        format(text, count) {
+            return String(text).replace('%d', count);
+        }
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                bulkActions: 'Bulk actions',
+                selectPage: 'Select all on this page',
+                selectRow: 'Select row',
+                selectedCount: '%d selected',
+                selectAllMatching: 'Select all %d matching',
+                clearSelection: 'Clear selection',
+                confirmAction: 'Apply "%s" to %d selected items?',
+                resolving: 'Collecting selected items…',
+                progress: 'Processed %d of %t',
+                completed: 'Done: %d succeeded, %f failed',
+                undoMessage: '"%s" applied to %d items.',
+                cancelling: 'Stopping after current batch…',
+                requestFailed: 'Request failed',
+                cancel: 'Cancel',
+                close: 'Close'
+            }, (window.wpAppDataTableConfig && wpAppDataTableConfig.i18n) || {});
+        }
+    }
+
+    // Create global instance immediately (tables may be initialized in header scripts)
+    window.WPAppDataTableBulk = WPAppDataTableBulk;
+    window.wpAppDataTableBulk = new WPAppDataTableBulk();
+
+})(jQuery);
@@ -0,0 +1,348 @@
+/**
+ * WP App Core - DataTable Change Feed
+ *
+ * Keeps lists and open panels in step when another admin edits the same
+ * records. Subscribes to entity types over WordPress Heartbeat
+ * (DataTableChangeFeedController) and receives "record X changed / deleted"
+ * notices since the last tick:
+ * - Tables: the current page is redrawn when one of its rows changed
+ *   (postponed while a cell is being edited inline), changed rows flash
+ * - Panels: a banner "updated by Y - Reload" / "deleted by Y" is shown
+ *   instead of silently replacing what the user is reading
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.0.0
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ *
+ * Config (WPAppDataTable `changes` / data-changes):
+ * - 'platform_staff' or { entity: 'platform_staff' }
+ *
+ * Panels:
+ * - wpAppPanelManager: open record of the layout entity
+ * - Any element with data-wpapp-record-entity + data-wpapp-record-id
+ *   (e.g. a tab rendered by another panel framework)
+ *
+ * Events Triggered:
+ * - wpapp:datatable-records-changed - Notices received ({ changes: [{ entity, id, action, user, time }] })
+ * - wpapp:record-reload-request - Banner "Reload" for a marked element ({ entity, id })
+ * - wpapp:panel-cache-invalidate - For every changed record ({ entity, id })
+ *
+ * Usage:
+ * ```html
+ * <table ... data-changes="platform_staff">
+ * <div class="staff-info-tab" data-wpapp-record-entity="platform_staff" data-wpapp-record-id="7">
+ * ```
+ * ```php
+ * do_action('wpapp_datatable_record_changed', 'platform_staff', $id, 'updated');
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * DataTable Change Feed Class
+     */
+    class WPAppDataTableChanges {
+        constructor() {
+            const config = (window.wpAppDataTableConfig && wpAppDataTableConfig.changeFeed) || {};
+
+            this.tables = {};
+            this.since = parseInt(config.last, 10) || 0;
+            this.interval = parseInt(config.interval, 10) || 0;
+            this.started = false;
+        }
+
+        /**
+         * Subscribe a DataTable to its entity's notices
+         *
+         * @param {Object} dataTable DataTables API instance
+         * @param {string} key Table key
+         * @param {string|Object} config Entity slug or { entity }
+         */
+        attach(dataTable, key, config) {
+            const entity = typeof config === 'string' ? config : (config && config.entity);
+
+            if (!dataTable || !key || !entity) {
+                return;
+            }
+
+            this.detach(key);
+
+            this.tables[key] = {
+                key: key,
+                dataTable: dataTable,
+                entity: entity,
+                pending: new Set()
+            };
+
+            dataTable.on('destroy.wpappChanges', () => {
+                this.detach(key);
+            });
+
+            this.start();
+        }
+
+        /**
+         * Unsubscribe a DataTable
+         *
+         * @param {string} key Table key
+         */
+        detach(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            table.dataTable.off('.wpappChanges');
+            delete this.tables[key];
+        }
+
+        /**
+         * Hook into Heartbeat (once)
+         */
+        start() {
+            if (this.started) {
+                return;
+            }
+
+            this.started = true;
+
+            $(document).on('heartbeat-send.wpappChanges', (e, data) => {
+                const entities = this.getEntities();
+
+                if (entities.length) {
+                    data.wpapp_changes = { since: this.since, entities: entities };
+                }
+            });
+
+            $(document).on('heartbeat-tick.wpappChanges', (e, data) => {
+                if (!data || !data.wpapp_changes) {
+                    return;
+                }
+
+                const response = data.wpapp_changes;
+                const changes = this.since ? (response.changes || []) : [];
+
+                this.since = parseInt(response.last, 10) || this.since;
+
+                if (changes.length) {
+                    this.handle(changes);
+                }
+
+                // Rows postponed while editing
+                $.each(this.tables, (key, table) => this.refreshTable(table));
+            });
+
+            // Banners belong to the content they were shown on
+            $(document).on('wpapp:panel-data-loaded.wpappChanges wpapp:panel-closed.wpappChanges', () => {
+                $('.wpapp-right-panel .wpapp-record-changed').remove();
+            });
+
+            if (this.interval && window.wp && wp.heartbeat) {
+                wp.heartbeat.interval(this.interval);
+            }
+        }
+
+        /**
+         * Entities watched on this page
+         *
+         * @return {string[]}
+         */
+        getEntities() {
+            const entities = new Set();
+            const panel = window.wpAppPanelManager;
+
+            $.each(this.tables, (key, table) => entities.add(table.entity));
+
+            if (panel && panel.isOpen && panel.currentEntity) {
+                entities.add(panel.currentEntity);
+            }
+
+            $('[data-wpapp-record-entity]').each(function() {
+                entities.add(String($(this).data('wpappRecordEntity')));
+            });
+
+            return Array.from(entities);
+        }
+
+        /**
+         * Apply notices to tables and panels
+         *
+         * @param {Object[]} changes Notices
+         */
+        handle(changes) {
+            $(document).trigger('wpapp:datatable-records-changed', { changes: changes });
+
+            $.each(this.tables, (key, table) => {
+                const pageIds = this.getPageIds(table);
+
+                changes.forEach((change) => {
+                    if (change.entity === table.entity && pageIds.includes(String(change.id))) {
+                        table.pending.add(String(change.id));
+                    }
+                });
+            });
+
+            changes.forEach((change) => {
+                $(document).trigger('wpapp:panel-cache-invalidate', {
+                    entity: change.entity,
+                    id: change.id
+                });
+
+                this.notifyRecord(change);
+            });
+        }
+
+        /**
+         * Redraw current page if it shows changed rows
+         *
+         * @param {Object} table Table entry
+         */
+        refreshTable(table) {
+            if (!table.pending.size) {
+                return;
+            }
+
+            // Do not throw away a cell being edited, retry on next tick
+            if (window.wpAppDataTableInlineEdit && wpAppDataTableInlineEdit.isEditing(table.key)) {
+                return;
+            }
+
+            const ids = Array.from(table.pending);
+
+            table.pending.clear();
+            table.dataTable.ajax.reload(() => this.flashRows(table, ids), false);
+        }
+
+        /**
+         * IDs of rows on current page
+         *
+         * @param {Object} table Table entry
+         * @return {string[]}
+         */
+        getPageIds(table) {
+            return table.dataTable.rows({ page: 'current' }).data().toArray().map((data) => {
+                return String((data && data.DT_RowData && data.DT_RowData.id) || (data && data.id) || '');
+            });
+        }
+
+        /**
+         * Highlight changed rows for a moment
+         *
+         * @param {Object} table Table entry
+         * @param {string[]} ids Row IDs
+         */
+        flashRows(table, ids) {
+            table.dataTable.rows({ page: 'current' }).every(function() {
+                const data = this.data() || {};
+                const id = String((data.DT_RowData && data.DT_RowData.id) || data.id || '');
+
+                if (ids.includes(id)) {
+                    const $row = $(this.node()).addClass('wpapp-dt-row-changed');
+
+                    setTimeout(() => $row.removeClass('wpapp-dt-row-changed'), 3000);
+                }
+            });
+        }
+
+        /**
+         * Show banner on panels displaying the changed record
+         *
+         * @param {Object} change Notice
+         */
+        notifyRecord(change) {
+            const panel = window.wpAppPanelManager;
+            const id = String(change.id);
+
+            if (panel && panel.isOpen && panel.currentEntity === change.entity && String(panel.currentId) === id) {
+                this.showBanner(panel.rightPanel.find('.wpapp-panel-content').first(), change, {
+                    reload: () => panel.refresh(),
+                    close: () => panel.close()
+                });
+            }
+
+            $('[data-wpapp-record-entity]').filter(function() {
+                return String($(this).data('wpappRecordEntity')) === change.entity
+                    && String($(this).data('wpappRecordId')) === id;
+            }).each((index, element) => {
+                this.showBanner($(element), change, {
+                    reload: () => $(document).trigger('wpapp:record-reload-request', {
+                        entity: change.entity,
+                        id: change.id
+                    })
+                });
+            });
+        }
+
+        /**
+         * Render banner at top of a container
+         *
+         * @param {jQuery} $container Panel content
+         * @param {Object} change Notice
+         * @param {Object} handlers { reload, close }
+         */
+        showBanner($container, change, handlers) {
+            if (!$container.length) {
+                return;
+            }
+
+            const i18n = this.getI18n();
+            const deleted = change.action === 'deleted';
+            const $banner = $('<div class="wpapp-record-changed notice inline" role="status"></div>')
+                .addClass(deleted ? 'notice-error' : 'notice-warning');
+            const $actions = $('<span class="wpapp-record-changed-actions"></span>');
+
+            $container.children('.wpapp-record-changed').remove();
+
+            if (!deleted && handlers.reload) {
+                $actions.append($('<button type="button" class="button button-small"></button>').text(i18n.reload).on('click', () => {
+                    $banner.remove();
+                    handlers.reload();
+                }));
+            }
+
+            if (deleted && handlers.close) {
+                $actions.append($('<button type="button" class="button button-small"></button>').text(i18n.close).on('click', () => {
+                    $banner.remove();
+                    handlers.close();
+                }));
+            }
+
+            $actions.append($('<button type="button" class="button-link"></button>').text(i18n.dismiss).on('click', () => {
+                $banner.remove();
+            }));
+
+            $banner
+                .append($('<p></p>').text(String(deleted ? i18n.recordDeleted : i18n.recordUpdated).replace('%s', change.user)))
+                .append($actions)
+                .prependTo($container);
+        }
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                recordUpdated: 'This record was updated by %s.',
+                recordDeleted: 'This record was deleted by %s.',
+                reload: 'Reload',
+                dismiss: 'Dismiss',
+                close: 'Close'
+            }, (window.wpAppDataTableConfig && wpAppDataTableConfig.i18n) || {});
+        }
+    }
+
+    // Create global instance immediately (tables may be initialized in header scripts)
+    window.WPAppDataTableChanges = WPAppDataTableChanges;
+    window.wpAppDataTableChanges = new WPAppDataTableChanges();
+
+})(jQuery);
@@ -0,0 +1,742 @@
+/**
+ * WP App Core - DataTable Export
+ *
+ * CSV / XLSX export of the current server-side query of a WPAppDataTable
+ * table: same search, filters and sort as the screen, either all matching
+ * rows or the visible page. Rows are fetched in chunks from the table's own
+ * AJAX action (no export endpoint per entity, no long single request) and
+ * written with the visible column labels and rendered cell values.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.0.3
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.0.3 - 2026-10-18
+ * - Chunks requested through WPAppAjax (expired nonce refreshed and retried)
+ *
+ * 1.0.2 - 2026-10-18
+ * - Fixed: Numbers (-5, +1.5, -1,234.50) are not prefixed with '
+ *
+ * 1.0.1 - 2026-10-18
+ * - Fixed: CSV cells starting with =, +, -, @, tab or CR are prefixed with '
+ *   (spreadsheet formula injection), also for bulk export via download()
+ * - Fixed: Export capped at maxRows says so (menu label and notice after
+ *   download) instead of silently leaving rows out
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Export menu: all matching rows / current page, CSV or Excel (XLSX)
+ * - Chunked requests (100 rows, server page cap) with progress and cancel
+ * - Visible columns in display order (column chooser), `exportable: false` skipped
+ * - Cell values from column render callbacks (type 'display'), HTML stripped
+ * - Dependency-free XLSX writer (inline strings, stored ZIP)
+ *
+ * Config (WPAppDataTable `export` / data-export):
+ * - true: CSV + XLSX, file name from table key
+ * - { filename, formats: ['csv', 'xlsx'], chunkSize, maxRows }
+ *
+ * Column Options:
+ * - exportable: false - Leave column out (action buttons)
+ *
+ * Events Triggered:
+ * - wpapp:datatable-export-complete - File downloaded ({ key, format, scope, rows })
+ *
+ * Usage:
+ * ```javascript
+ * WPAppDataTable.register('invoices', {
+ *     export: { filename: 'invoices' },
+ *     columns: [
+ *         { data: 'amount', title: 'Amount', render: (data) => 'Rp ' + formatCurrency(data) },
+ *         { data: null, title: 'Actions', exportable: false, render: renderButtons }
+ *     ],
+ *     ...
+ * });
+ *
+ * wpAppDataTableExport.export('invoices', { scope: 'all', format: 'xlsx' });
+ * wpAppDataTableExport.download('staff.csv', ['Name'], [['Budi']], 'csv');
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * DataTable Export Class
+     */
+    class WPAppDataTableExport {
+        constructor() {
+            this.tables = {};
+        }
+
+        /**
+         * Attach export menu to a DataTable
+         *
+         * @param {Object} dataTable DataTables API instance
+         * @param {string} key Table key
+         * @param {Object|boolean} config Export config
+         */
+        attach(dataTable, key, config) {
+            if (!dataTable || !key || !config) {
+                return;
+            }
+
+            this.detach(key);
+
+            const table = {
+                key: key,
+                dataTable: dataTable,
+                config: $.extend({
+                    filename: key,
+                    formats: ['csv', 'xlsx'],
+                    chunkSize: 100,
+                    maxRows: 50000
+                }, config === true ? {} : config),
+                running: null,
+                $control: null
+            };
+
+            this.tables[key] = table;
+            this.renderControl(table);
+
+            dataTable.on('destroy.wpappExport', () => {
+                this.detach(key);
+            });
+        }
+
+        /**
+         * Remove export menu and handlers
+         *
+         * @param {string} key Table key
+         */
+        detach(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            table.dataTable.off('.wpappExport');
+
+            if (table.running) {
+                table.running.cancelled = true;
+            }
+
+            if (table.$control) {
+                table.$control.remove();
+            }
+
+            $(document).off('click.wpappExport-' + key);
+            delete this.tables[key];
+        }
+
+        /**
+         * Render export button and menu
+         *
+         * Placed in the views toolbar when the table has one, otherwise in its own toolbar.
+         *
+         * @param {Object} table Table entry
+         */
+        renderControl(table) {
+            const i18n = this.getI18n();
+            const container = table.dataTable.table().container();
+            const menuId = 'wpapp-dt-export-menu-' + table.key;
+            const $control = $('<div class="wpapp-dt-export"></div>');
+            const $menu = $('<div class="wpapp-dt-export-menu" hidden></div>').attr('id', menuId);
+            const labels = { csv: i18n.exportCsv, xlsx: i18n.exportXlsx };
+
+            $menu.append(
+                $('<fieldset class="wpapp-dt-export-scope"></fieldset>').append(
+                    $('<legend class="screen-reader-text"></legend>').text(i18n.exportScope),
+                    $('<label></label>').append(
+                        $('<input type="radio" value="all" checked>').attr('name', menuId + '-scope'),
+                        ' ',
+                        $('<span class="wpapp-dt-export-all-label"></span>')
+                    ),
+                    $('<label></label>').append(
+                        $('<input type="radio" value="page">').attr('name', menuId + '-scope'),
+                        ' ',
+                        $('<span></span>').text(i18n.exportPage)
+                    )
+                ),
+                $('<div class="wpapp-dt-export-formats"></div>').append(
+                    table.config.formats.filter((format) => labels[format]).map((format) => {
+                        return $('<button type="button" class="button button-small wpapp-dt-export-format"></button>')
+                            .attr('data-format', format)
+                            .text(labels[format]);
+                    })
+                ),
+                $('<p class="wpapp-dt-export-status" aria-live="polite" hidden></p>').append(
+                    $('<span class="wpapp-dt-export-progress"></span>'),
+                    ' ',
+                    $('<button type="button" class="button-link wpapp-dt-export-cancel"></button>').text(i18n.cancel)
+                )
+            );
+
+            $control.append(
+                $('<button type="button" class="button wpapp-dt-export-toggle" aria-haspopup="true" aria-expanded="false"></button>')
+                    .attr('aria-controls', menuId)
+                    .append('<span class="dashicons dashicons-download" aria-hidden="true"></span> ', document.createTextNode(i18n.export)),
+                $menu
+            );
+
+            const $views = $(container).prevAll('.wpapp-dt-views').first();
+
+            if ($views.length > 0) {
+                $views.append($control);
+            } else {
+                $control.addClass('wpapp-dt-export-bar').insertBefore(container);
+            }
+
+            table.$control = $control;
+            this.bindEvents(table);
+        }
+
+        /**
+         * Bind menu handlers
+         *
+         * @param {Object} table Table entry
+         */
+        bindEvents(table) {
+            const $control = table.$control;
+            const $menu = $control.find('.wpapp-dt-export-menu');
+
+            $control.on('click', '.wpapp-dt-export-toggle', () => {
+                this.toggleMenu(table, $menu.prop('hidden'));
+            });
+
+            $control.on('click', '.wpapp-dt-export-format', (e) => {
+                this.export(table.key, {
+                    scope: $menu.find('.wpapp-dt-export-scope input:checked').val(),
+                    format: $(e.currentTarget).attr('data-format')
+                });
+            });
+
+            $control.on('click', '.wpapp-dt-export-cancel', () => {
+                if (table.running) {
+                    table.running.cancelled = true;
+                }
+            });
+
+            $control.on('keydown', (e) => {
+                if (e.key === 'Escape' && !table.running) {
+                    this.toggleMenu(table, false);
+                    $control.find('.wpapp-dt-export-toggle').trigger('focus');
+                }
+            });
+
+            $(document).on('click.wpappExport-' + table.key, (e) => {
+                if (!table.running && !$(e.target).closest($control).length) {
+                    this.toggleMenu(table, false);
+                }
+            });
+        }
+
+        /**
+         * Open / close menu (row count refreshed on open)
+         *
+         * @param {Object} table Table entry
+         * @param {boolean} open Open
+         */
+        toggleMenu(table, open) {
+            const i18n = this.getI18n();
+            const $control = table.$control;
+
+            if (open) {
+                const total = table.dataTable.page.info().recordsDisplay;
+                const label = total > table.config.maxRows
+                    ? String(i18n.exportAllCapped).replace('%d', table.config.maxRows).replace('%t', total)
+                    : String(i18n.exportAll).replace('%d', total);
+
+                $control.find('.wpapp-dt-export-all-label').text(label);
+            }
+
+            $control.find('.wpapp-dt-export-menu').prop('hidden', !open);
+            $control.find('.wpapp-dt-export-toggle').attr('aria-expanded', open ? 'true' : 'false');
+        }
+
+        /**
+         * Public API: Export current query
+         *
+         * @param {string} key Table key
+         * @param {Object} options { scope: 'all' | 'page', format: 'csv' | 'xlsx' }
+         * @return {Promise<number|null>} Exported row count (null when cancelled / failed)
+         */
+        async export(key, options = {}) {
+            const table = this.tables[key];
+
+            if (!table || table.running) {
+                return null;
+            }
+
+            const i18n = this.getI18n();
+            const scope = options.scope === 'page' ? 'page' : 'all';
+            const format = options.format === 'xlsx' ? 'xlsx' : 'csv';
+            const columns = this.getExportColumns(table);
+            const $status = table.$control.find('.wpapp-dt-export-status');
+            const $progress = $status.find('.wpapp-dt-export-progress');
+            const run = { cancelled: false };
+            const matching = table.dataTable.page.info().recordsDisplay;
+
+            table.running = run;
+            table.$control.find('.wpapp-dt-export-format, .wpapp-dt-export-scope input').prop('disabled', true);
+            $status.prop('hidden', false).removeClass('is-error is-capped');
+
+            try {
+                const rows = await this.fetchRows(table, scope, run, (done, total) => {
+                    $progress.text(String(i18n.exportProgress).replace('%d', done).replace('%t', total));
+                });
+
+                if (run.cancelled) {
+                    return null;
+                }
+
+                const values = rows.map((row, rowIndex) => columns.map((column) => this.getCellValue(table, column.index, row, rowIndex)));
+
+                this.download(this.getFilename(table, format), columns.map((column) => column.title), values, format);
+                this.toggleMenu(table, false);
+
+                // Rows beyond maxRows were left out
+                if (scope === 'all' && matching > table.config.maxRows) {
+                    const notice = String(i18n.exportCapped).replace('%d', values.length).replace('%t', matching);
+
+                    if (window.WPAppNotify) {
+                        WPAppNotify.warning(notice);
+                    } else {
+                        $progress.text(notice);
+                        $status.addClass('is-capped');
+                    }
+                }
+
+                $(document).trigger('wpapp:datatable-export-complete', {
+                    key: key,
+                    format: format,
+                    scope: scope,
+                    rows: values.length
+                });
+
+                return values.length;
+            } catch (message) {
+                $progress.text(message);
+                $status.addClass('is-error');
+                return null;
+            } finally {
+                table.running = null;
+                table.$control.find('.wpapp-dt-export-format, .wpapp-dt-export-scope input').prop('disabled', false);
+
+                if (!$status.hasClass('is-error') && !$status.hasClass('is-capped')) {
+                    $status.prop('hidden', true);
+                }
+            }
+        }
+
+        /**
+         * Fetch rows of the last DataTables request in chunks
+         *
+         * @param {Object} table Table entry
+         * @param {string} scope 'all' | 'page'
+         * @param {Object} run Run state ({ cancelled })
+         * @param {Function} onProgress (done, total)
+         * @return {Promise<Object[]>} Row data
+         */
+        async fetchRows(table, scope, run, onProgress) {
+            const dataTable = table.dataTable;
+            const params = $.extend(true, {}, dataTable.ajax.params());
+            const info = dataTable.page.info();
+            const rows = [];
+            let start = scope === 'page' ? info.start : 0;
+            let total = scope === 'page' ? info.end - info.start : Math.min(info.recordsDisplay, table.config.maxRows);
+            let draw = 0;
+
+            onProgress(0, total);
+
+            while (rows.length < total && !run.cancelled) {
+                const length = Math.min(table.config.chunkSize, total - rows.length);
+                const response = await this.request(table, $.extend({}, params, {
+                    draw: ++draw,
+                    start: start,
+                    length: length
+                }));
+                const data = Array.isArray(response.data) ? response.data : [];
+
+                rows.push(...data);
+                start += data.length;
+
+                // Rows deleted meanwhile: stop at the real end
+                if (data.length < length) {
+                    total = rows.length;
+                }
+
+                onProgress(rows.length, total);
+            }
+
+            return rows;
+        }
+
+        /**
+         * POST one chunk to the table's AJAX action
+         *
+         * @param {Object} table Table entry
+         * @param {Object} data Request data
+         * @return {Promise<Object>} DataTables response
+         */
+        request(table, data) {
+            const i18n = this.getI18n();
+            const ajax = table.dataTable.settings()[0].ajax;
+            const url = table.config.ajaxUrl || (ajax && ajax.url) || (window.WPAppDataTable ? WPAppDataTable.getAjaxUrl() : undefined);
+
+            return new Promise((resolve, reject) => {
+                // DataTables response, not a wp_send_json_* envelope
+                WPAppAjax.post(data.action, data, { nonce: table.config.nonceAction, url: url, envelope: false }).done((response) => {
+                    if (Array.isArray(response.data)) {
+                        resolve(response);
+                    } else {
+                        reject(i18n.exportFailed);
+                    }
+                }).fail((error) => {
+                    reject(error.message || i18n.exportFailed);
+                });
+            });
+        }
+
+        /**
+         * Visible columns in display order (header cells order, set by column chooser)
+         *
+         * @param {Object} table Table entry
+         * @return {Object[]} [{ index, title }]
+         */
+        getExportColumns(table) {
+            const dataTable = table.dataTable;
+            const settings = dataTable.settings()[0];
+            const columns = [];
+
+            $(dataTable.table().header()).find('tr').first().children('th, td').each(function() {
+                const index = dataTable.column(this).index();
+                const column = settings.aoColumns[index];
+
+                // Cells added by other components (bulk checkboxes) are not columns
+                if (index === undefined || !column || column.exportable === false) {
+                    return;
+                }
+
+                columns.push({
+                    index: index,
+                    title: $(this).text().trim() || column.sTitle || column.data || ''
+                });
+            });
+
+            return columns;
+        }
+
+        /**
+         * Cell value as shown on screen (render callback, HTML stripped)
+         *
+         * @param {Object} table Table entry
+         * @param {number} index Column index
+         * @param {Object|Array} row Row data
+         * @param {number} rowIndex Row index in export
+         * @return {string}
+         */
+        getCellValue(table, index, row, rowIndex) {
+            const settings = table.dataTable.settings()[0];
+            const column = settings.aoColumns[index];
+            const source = column.mData;
+            let value;
+
+            if (typeof source === 'function') {
+                value = source(row, 'display');
+            } else if (source === null || source === undefined) {
+                value = null;
+            } else {
+                value = String(source).split('.').reduce((object, part) => (object === null || object === undefined ? undefined : object[part]), row);
+            }
+
+            if (typeof column.mRender === 'function') {
+                value = column.mRender(value, 'display', row, { row: rowIndex, col: index, settings: settings });
+            }
+
+            if (value === null || value === undefined) {
+                return column.sDefaultContent || '';
+            }
+
+            return this.stripHtml(String(value));
+        }
+
+        /**
+         * HTML to plain text (not executed)
+         *
+         * @param {string} html HTML
+         * @return {string}
+         */
+        stripHtml(html) {
+            if (html.indexOf('<') === -1 && html.indexOf('&') === -1) {
+                return html.trim();
+            }
+
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+
+            return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+        }
+
+        /**
+         * File name with date (key-2026-10-18.xlsx)
+         *
+         * @param {Object} table Table entry
+         * @param {string} format csv | xlsx
+         * @return {string}
+         */
+        getFilename(table, format) {
+            const now = new Date();
+            const date = [
+                now.getFullYear(),
+                String(now.getMonth() + 1).padStart(2, '0'),
+                String(now.getDate()).padStart(2, '0')
+            ].join('-');
+
+            return String(table.config.filename).replace(/\.(csv|xlsx)$/i, '') + '-' + date + '.' + format;
+        }
+
+        /**
+         * Public API: Download table as file
+         *
+         * @param {string} filename File name
+         * @param {string[]} headers Header row
+         * @param {Array[]} rows Rows (arrays of values)
+         * @param {string} format csv | xlsx
+         */
+        download(filename, headers, rows, format = 'csv') {
+            const blob = format === 'xlsx'
+                ? this.buildXlsx(headers, rows)
+                : this.buildCsv(headers, rows);
+            const url = URL.createObjectURL(blob);
+            const $link = $('<a></a>').attr({ href: url, download: filename }).appendTo('body');
+
+            $link[0].click();
+            $link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+
+        /**
+         * Build CSV (UTF-8 BOM so Excel reads non-ASCII text)
+         *
+         * Values a spreadsheet would read as a formula (=, +, -, @, tab, CR
+         * first) get a leading ' so they stay text. Numbers (digits with
+         * sign, separators) cannot be a formula and stay as they are.
+         *
+         * @param {string[]} headers Header row
+         * @param {Array[]} rows Rows
+         * @return {Blob}
+         */
+        buildCsv(headers, rows) {
+            const escape = (value) => {
+                let text = value === null || value === undefined ? '' : String(value);
+
+                if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?(\d[\d,.]*|\.\d+)$/.test(text)) {
+                    text = "'" + text;
+                }
+
+                return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+            };
+            const lines = [headers].concat(rows).map((row) => row.map(escape).join(','));
+
+            return new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+        }
+
+        /**
+         * Build XLSX workbook (one sheet, bold header row)
+         *
+         * @param {string[]} headers Header row
+         * @param {Array[]} rows Rows
+         * @return {Blob}
+         */
+        buildXlsx(headers, rows) {
+            const escape = (value) => String(value)
+                .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+            const columnName = (index) => {
+                let name = '';
+
+                for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+                }
+
+                return name;
+            };
+            const cell = (value, ref, style) => {
+                const text = value === null || value === undefined ? '' : String(value);
+
+                // Plain numbers only: keep "007", "Rp 1.000" and long IDs as text
+                if (!style && /^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(text)) {
+                    return '<c r="' + ref + '"><v>' + text + '</v></c>';
+                }
+
+                return '<c r="' + ref + '" t="inlineStr"' + (style ? ' s="1"' : '') + '><is><t xml:space="preserve">' + escape(text) + '</t></is></c>';
+            };
+            const sheetRows = [headers].concat(rows).map((row, rowIndex) => {
+                const cells = row.map((value, colIndex) => cell(value, columnName(colIndex) + (rowIndex + 1), rowIndex === 0));
+
+                return '<row r="' + (rowIndex + 1) + '">' + cells.join('') + '</row>';
+            });
+            const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+            const ns = 'http://schemas.openxmlformats.org';
+
+            return this.buildZip({
+                '[Content_Types].xml': xml + '<Types xmlns="' + ns + '/package/2006/content-types">'
+                    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                    + '<Default Extension="xml" ContentType="application/xml"/>'
+                    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                    + '</Types>',
+                '_rels/.rels': xml + '<Relationships xmlns="' + ns + '/package/2006/relationships">'
+                    + '<Relationship Id="rId1" Type="' + ns + '/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                    + '</Relationships>',
+                'xl/workbook.xml': xml + '<workbook xmlns="' + ns + '/spreadsheetml/2006/main" xmlns:r="' + ns + '/officeDocument/2006/relationships">'
+                    + '<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>',
+                'xl/_rels/workbook.xml.rels': xml + '<Relationships xmlns="' + ns + '/package/2006/relationships">'
+                    + '<Relationship Id="rId1" Type="' + ns + '/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                    + '<Relationship Id="rId2" Type="' + ns + '/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                    + '</Relationships>',
+                'xl/styles.xml': xml + '<styleSheet xmlns="' + ns + '/spreadsheetml/2006/main">'
+                    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                    + '<borders count="1"><border/></borders>'
+                    + '<cellStyleXfs count="1"><xf/></cellStyleXfs>'
+                    + '<cellXfs count="2"><xf/><xf fontId="1" applyFont="1"/></cellXfs>'
+                    + '</styleSheet>',
+                'xl/worksheets/sheet1.xml': xml + '<worksheet xmlns="' + ns + '/spreadsheetml/2006/main">'
+                    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>'
+                    + '<sheetData>' + sheetRows.join('') + '</sheetData></worksheet>'
+            }, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        }
+
+        /**
+         * Build ZIP archive (stored, no compression)
+         *
+         * @param {Object} files Path => text content
+         * @param {string} type MIME type
+         * @return {Blob}
+         */
+        buildZip(files, type) {
+            const encoder = new TextEncoder();
+            const parts = [];
+            const central = [];
+            let offset = 0;
+
+            const header = (size) => {
+                const buffer = new DataView(new ArrayBuffer(size));
+
+                return {
+                    view: buffer,
+                    bytes: new Uint8Array(buffer.buffer)
+                };
+            };
+
+            Object.keys(files).forEach((path) => {
+                const name = encoder.encode(path);
+                const data = encoder.encode(files[path]);
+                const crc = this.crc32(data);
+                const local = header(30);
+                const entry = header(46);
+
+                // Local file header
+                local.view.setUint32(0, 0x04034b50, true);
+                local.view.setUint16(4, 20, true);
+                local.view.setUint16(6, 0x0800, true); // UTF-8 names
+                local.view.setUint16(10, 0, true);
+                local.view.setUint16(12, 0x21, true);  // 1980-01-01
+                local.view.setUint32(14, crc, true);
+                local.view.setUint32(18, data.length, true);
+                local.view.setUint32(22, data.length, true);
+                local.view.setUint16(26, name.length, true);
+
+                // Central directory entry
+                entry.view.setUint32(0, 0x02014b50, true);
+                entry.view.setUint16(4, 20, true);
+                entry.view.setUint16(6, 20, true);
+                entry.view.setUint16(8, 0x0800, true);
+                entry.view.setUint16(14, 0x21, true);
+                entry.view.setUint32(16, crc, true);
+                entry.view.setUint32(20, data.length, true);
+                entry.view.setUint32(24, data.length, true);
+                entry.view.setUint16(28, name.length, true);
+                entry.view.setUint32(42, offset, true);
+
+                parts.push(local.bytes, name, data);
+                central.push(entry.bytes, name);
+                offset += local.bytes.length + name.length + data.length;
+            });
+
+            const centralSize = central.reduce((size, bytes) => size + bytes.length, 0);
+            const end = header(22);
+
+            end.view.setUint32(0, 0x06054b50, true);
+            end.view.setUint16(8, central.length / 2, true);
+            end.view.setUint16(10, central.length / 2, true);
+            end.view.setUint32(12, centralSize, true);
+            end.view.setUint32(16, offset, true);
+
+            return new Blob(parts.concat(central, [end.bytes]), { type: type });
+        }
+
+        /**
+         * CRC-32 checksum
+         *
+         * @param {Uint8Array} bytes Data
+         * @return {number}
+         */
+        crc32(bytes) {
+            if (!this.crcTable) {
+                this.crcTable = new Uint32Array(256);
+
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+
+                    for (let k = 0; k < 8; k++) {
+                        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                    }
+
+                    this.crcTable[n] = c >>> 0;
+                }
+            }
+
+            let crc = 0xFFFFFFFF;
+
+            for (let i = 0; i < bytes.length; i++) {
+                crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        }
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                export: 'Export',
+                exportScope: 'Rows to export',
+                exportAll: 'All matching rows (%d)',
+                exportAllCapped: 'First %d of %t matching rows',
+                exportCapped: 'Only the first %d of %t matching rows were exported. Narrow the filters to export the rest.',
+                exportPage: 'Current page',
+                exportCsv: 'CSV',
+                exportXlsx: 'Excel (XLSX)',
+                exportProgress: 'Exporting %d of %t…',
+                exportFailed: 'Export failed',
+                cancel: 'Cancel'
+            }, (window.wpAppDataTableConfig && wpAppDataTableConfig.i18n) || {});
+        }
+    }
+
+    // Create global instance immediately (tables may be initialized in header scripts)
+    window.WPAppDataTableExport = WPAppDataTableExport;
+    window.wpAppDataTableExport = new WPAppDataTableExport();
+
+})(jQuery);
@@ -0,0 +1,523 @@
+/**
+ * WP App Core - DataTable Filter Builder
+ *
+ * Structured filter bar for server-side tables initialized by WPAppDataTable.
+ * Active filters are shown as chips and sent as a `filters` payload with
+ * every DataTables request (next to the global search box).
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.1.0
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - preset(): filters restored from the URL (wpAppDataTableState) before the
+ *   table exists, sent with the first request and shown when the bar attaches
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Field types: in (checkbox list), select / text (equals), date / number (range)
+ * - Chips for active filters (click to edit, × to remove), clear-all action
+ * - filters payload added by WPAppDataTable ajax.data
+ *
+ * Field Definition:
+ * - field: Payload field name (whitelisted server-side)
+ * - label: Chip / menu label
+ * - type: 'in' | 'select' | 'text' | 'date' | 'number'
+ * - options: [{ value, label }] for 'in' and 'select'
+ *
+ * Request Payload:
+ * ```
+ * filters[0][field]=status&filters[0][op]=in&filters[0][value][]=pending
+ * filters[1][field]=due_date&filters[1][op]=between&filters[1][value][]=2026-10-01&filters[1][value][]=2026-10-31
+ * ```
+ * op: 'in' (type in), 'eq' (select, text), 'between' (date, number; empty bound = open)
+ *
+ * Events Triggered:
+ * - wpapp:datatable-filters-changed - After apply / remove / clear ({ key, filters })
+ *
+ * Usage:
+ * ```javascript
+ * WPAppDataTable.register('invoices', {
+ *     filterBuilder: [
+ *         { field: 'status', label: 'Status', type: 'in', options: [{ value: 'paid', label: 'Paid' }] },
+ *         { field: 'due_date', label: 'Due date', type: 'date' },
+ *         { field: 'amount', label: 'Amount', type: 'number' }
+ *     ],
+ *     ...
+ * });
+ *
+ * wpAppDataTableFilters.set('invoices', [{ field: 'status', op: 'in', value: ['paid'] }]);
+ * wpAppDataTableFilters.clear('invoices');
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * DataTable Filter Builder Class
+     */
+    class WPAppDataTableFilters {
+        constructor() {
+            this.tables = {};
+            this.presets = {};
+        }
+
+        /**
+         * Attach filter bar to a DataTable
+         *
+         * @param {Object} dataTable DataTables API instance
+         * @param {string} key Table key
+         * @param {Array} fields Field definitions
+         */
+        attach(dataTable, key, fields) {
+            if (!dataTable || !key || !Array.isArray(fields) || fields.length === 0) {
+                return;
+            }
+
+            this.detach(key);
+
+            const table = {
+                key: key,
+                dataTable: dataTable,
+                fields: fields,
+                active: [],
+                editing: null,
+                $bar: null
+            };
+
+            // Preset filters were already sent with the first request
+            table.active = (this.presets[key] || []).filter((filter) => this.getField(table, filter.field));
+            delete this.presets[key];
+
+            this.tables[key] = table;
+            this.renderBar(table);
+            this.renderChips(table);
+
+            dataTable.on('destroy.wpappFilters', () => {
+                this.detach(key);
+            });
+        }
+
+        /**
+         * Remove filter bar and handlers
+         *
+         * @param {string} key Table key
+         */
+        detach(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            table.dataTable.off('.wpappFilters');
+
+            if (table.$bar) {
+                table.$bar.remove();
+            }
+
+            $(document).off('click.wpappFilters-' + key);
+            delete this.tables[key];
+        }
+
+        /**
+         * Render filter bar
+         *
+         * @param {Object} table Table entry
+         */
+        renderBar(table) {
+            const i18n = this.getI18n();
+            const $bar = $('<div class="wpapp-dt-filters"></div>');
+            const $fieldMenu = $('<select class="wpapp-dt-filter-field"></select>').attr('aria-label', i18n.addFilter);
+
+            $fieldMenu.append($('<option value=""></option>').text('+ ' + i18n.addFilter));
+            table.fields.forEach((field) => {
+                $fieldMenu.append($('<option></option>').val(field.field).text(field.label || field.field));
+            });
+
+            $bar.append(
+                $fieldMenu,
+                $('<ul class="wpapp-dt-filter-chips"></ul>'),
+                $('<button type="button" class="button-link wpapp-dt-filter-clear" hidden></button>').text(i18n.clearAll),
+                $('<div class="wpapp-dt-filter-editor" hidden></div>')
+            );
+
+            table.$bar = $bar;
+            $bar.insertBefore(table.dataTable.table().container());
+
+            this.bindBarEvents(table);
+        }
+
+        /**
+         * Bind filter bar handlers
+         *
+         * @param {Object} table Table entry
+         */
+        bindBarEvents(table) {
+            const $bar = table.$bar;
+
+            $bar.on('change', '.wpapp-dt-filter-field', (e) => {
+                const field = $(e.currentTarget).val();
+
+                $(e.currentTarget).val('');
+
+                if (field) {
+                    this.openEditor(table, field);
+                }
+            });
+
+            $bar.on('click', '.wpapp-dt-filter-chip-label', (e) => {
+                this.openEditor(table, $(e.currentTarget).closest('li').attr('data-field'));
+            });
+
+            $bar.on('click', '.wpapp-dt-filter-chip-remove', (e) => {
+                this.remove(table.key, $(e.currentTarget).closest('li').attr('data-field'));
+            });
+
+            $bar.on('click', '.wpapp-dt-filter-clear', () => {
+                this.clear(table.key);
+            });
+
+            $bar.on('click', '.wpapp-dt-filter-apply', () => {
+                this.applyEditor(table);
+            });
+
+            $bar.on('click', '.wpapp-dt-filter-cancel', () => {
+                this.closeEditor(table);
+            });
+
+            $bar.on('keydown', '.wpapp-dt-filter-editor', (e) => {
+                if (e.key === 'Enter' && !$(e.target).is('button')) {
+                    e.preventDefault();
+                    this.applyEditor(table);
+                } else if (e.key === 'Escape') {
+                    this.closeEditor(table);
+                }
+            });
+
+            $(document).on('click.wpappFilters-' + table.key, (e) => {
+                if (table.editing && !$(e.target).closest($bar).length) {
+                    this.closeEditor(table);
+                }
+            });
+        }
+
+        /**
+         * Open editor for field (pre-filled with active value)
+         *
+         * @param {Object} table Table entry
+         * @param {string} fieldName Field name
+         */
+        openEditor(table, fieldName) {
+            const i18n = this.getI18n();
+            const field = this.getField(table, fieldName);
+
+            if (!field) {
+                return;
+            }
+
+            const current = this.getActive(table, fieldName);
+            const value = current ? current.value : null;
+            const $editor = table.$bar.find('.wpapp-dt-filter-editor').empty();
+            const $body = $('<div class="wpapp-dt-filter-editor-body"></div>');
+
+            $editor.append($('<strong class="wpapp-dt-filter-editor-title"></strong>').text(field.label || field.field));
+
+            switch (field.type) {
+                case 'in':
+                    (field.options || []).forEach((option) => {
+                        $body.append(
+                            $('<label></label>').append(
+                                $('<input type="checkbox" class="wpapp-dt-filter-option">')
+                                    .val(option.value)
+                                    .prop('checked', Array.isArray(value) && value.indexOf(String(option.value)) !== -1),
+                                document.createTextNode(' ' + option.label)
+                            )
+                        );
+                    });
+                    break;
+
+                case 'select': {
+                    const $select = $('<select class="wpapp-dt-filter-input"></select>');
+
+                    (field.options || []).forEach((option) => {
+                        $select.append($('<option></option>').val(option.value).text(option.label));
+                    });
+
+                    $body.append($select.val(value !== null ? value : $select.find('option').first().val()));
+                    break;
+                }
+
+                case 'date':
+                case 'number': {
+                    const type = field.type === 'date' ? 'date' : 'number';
+                    const range = Array.isArray(value) ? value : ['', ''];
+
+                    $body.append(
+                        $('<input class="wpapp-dt-filter-from">').attr({ type: type, 'aria-label': i18n.from, placeholder: i18n.from }).val(range[0]),
+                        $('<span class="wpapp-dt-filter-sep">–</span>'),
+                        $('<input class="wpapp-dt-filter-to">').attr({ type: type, 'aria-label': i18n.to, placeholder: i18n.to }).val(range[1])
+                    );
+                    break;
+                }
+
+                default:
+                    $body.append($('<input type="text" class="wpapp-dt-filter-input">').val(value || ''));
+            }
+
+            $editor.append(
+                $body,
+                $('<div class="wpapp-dt-filter-editor-actions"></div>').append(
+                    $('<button type="button" class="button button-primary button-small wpapp-dt-filter-apply"></button>').text(i18n.apply),
+                    $('<button type="button" class="button-link wpapp-dt-filter-cancel"></button>').text(i18n.cancel)
+                )
+            );
+
+            table.editing = fieldName;
+            $editor.prop('hidden', false);
+            $editor.find(':input').first().trigger('focus');
+        }
+
+        /**
+         * Close editor without changes
+         *
+         * @param {Object} table Table entry
+         */
+        closeEditor(table) {
+            table.editing = null;
+            table.$bar.find('.wpapp-dt-filter-editor').prop('hidden', true).empty();
+        }
+
+        /**
+         * Read editor inputs into a filter and apply it
+         *
+         * @param {Object} table Table entry
+         */
+        applyEditor(table) {
+            const field = this.getField(table, table.editing);
+            const $editor = table.$bar.find('.wpapp-dt-filter-editor');
+            let filter = null;
+
+            if (!field) {
+                return;
+            }
+
+            switch (field.type) {
+                case 'in': {
+                    const values = $editor.find('.wpapp-dt-filter-option:checked').map((i, el) => el.value).get();
+                    filter = values.length ? { field: field.field, op: 'in', value: values } : null;
+                    break;
+                }
+
+                case 'date':
+                case 'number': {
+                    const from = String($editor.find('.wpapp-dt-filter-from').val() || '').trim();
+                    const to = String($editor.find('.wpapp-dt-filter-to').val() || '').trim();
+                    filter = (from || to) ? { field: field.field, op: 'between', value: [from, to] } : null;
+                    break;
+                }
+
+                default: {
+                    const value = String($editor.find('.wpapp-dt-filter-input').val() || '').trim();
+                    filter = value !== '' ? { field: field.field, op: 'eq', value: value } : null;
+                }
+            }
+
+            const active = table.active.filter((item) => item.field !== field.field);
+
+            if (filter) {
+                active.push(filter);
+            }
+
+            this.closeEditor(table);
+            this.set(table.key, active);
+        }
+
+        /**
+         * Render active filter chips
+         *
+         * @param {Object} table Table entry
+         */
+        renderChips(table) {
+            const i18n = this.getI18n();
+            const $chips = table.$bar.find('.wpapp-dt-filter-chips').empty();
+
+            table.active.forEach((filter) => {
+                const field = this.getField(table, filter.field);
+                const label = (field.label || field.field) + ': ' + this.formatValue(field, filter);
+
+                $chips.append(
+                    $('<li class="wpapp-dt-filter-chip"></li>').attr('data-field', filter.field).append(
+                        $('<button type="button" class="button-link wpapp-dt-filter-chip-label"></button>').text(label),
+                        $('<button type="button" class="button-link wpapp-dt-filter-chip-remove"></button>')
+                            .attr('aria-label', i18n.removeFilter + ': ' + label)
+                            .html('&times;')
+                    )
+                );
+            });
+
+            table.$bar.find('.wpapp-dt-filter-clear').prop('hidden', table.active.length < 2);
+        }
+
+        /**
+         * Format filter value for chip
+         *
+         * @param {Object} field Field definition
+         * @param {Object} filter Active filter
+         * @return {string}
+         */
+        formatValue(field, filter) {
+            const i18n = this.getI18n();
+            const optionLabel = (value) => {
+                const option = (field.options || []).find((item) => String(item.value) === String(value));
+                return option ? option.label : value;
+            };
+
+            if (filter.op === 'in') {
+                return filter.value.map(optionLabel).join(', ');
+            }
+
+            if (filter.op === 'between') {
+                const from = filter.value[0];
+                const to = filter.value[1];
+
+                if (from && to) {
+                    return from + ' – ' + to;
+                }
+
+                return from ? '≥ ' + from : '≤ ' + to;
+            }
+
+            return field.type === 'select' ? optionLabel(filter.value) : (filter.value || i18n.emptyValue);
+        }
+
+        /**
+         * Public API: Filters of a table not attached yet (e.g. from the URL)
+         *
+         * Returned by get() until attach(), so the first DataTables request
+         * already uses them.
+         *
+         * @param {string} key Table key
+         * @param {Array} filters [{ field, op, value }]
+         */
+        preset(key, filters) {
+            if (Array.isArray(filters) && filters.length > 0) {
+                this.presets[key] = $.extend(true, [], filters);
+            } else {
+                delete this.presets[key];
+            }
+        }
+
+        /**
+         * Public API: Replace active filters and redraw (page 1)
+         *
+         * Filters for unknown fields are dropped.
+         *
+         * @param {string} key Table key
+         * @param {Array} filters [{ field, op, value }]
+         * @param {boolean} redraw Redraw table (default true)
+         */
+        set(key, filters, redraw = true) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            table.active = (filters || []).filter((filter) => filter && this.getField(table, filter.field));
+            this.renderChips(table);
+
+            if (redraw) {
+                table.dataTable.draw();
+            }
+
+            $(document).trigger('wpapp:datatable-filters-changed', {
+                key: key,
+                filters: this.get(key)
+            });
+        }
+
+        /**
+         * Public API: Remove filter for field
+         *
+         * @param {string} key Table key
+         * @param {string} field Field name
+         */
+        remove(key, field) {
+            const table = this.tables[key];
+
+            if (table) {
+                this.set(key, table.active.filter((filter) => filter.field !== field));
+            }
+        }
+
+        /**
+         * Public API: Remove all filters
+         *
+         * @param {string} key Table key
+         */
+        clear(key) {
+            this.set(key, []);
+        }
+
+        /**
+         * Public API: Get active filters (request payload)
+         *
+         * @param {string} key Table key
+         * @return {Array} [{ field, op, value }]
+         */
+        get(key) {
+            const table = this.tables[key];
+
+            return $.extend(true, [], table ? table.active : (this.presets[key] || []));
+        }
+
+        /**
+         * Get field definition
+         *
+         * @param {Object} table Table entry
+         * @param {string} name Field name
+         * @return {Object|undefined}
+         */
+        getField(table, name) {
+            return table.fields.find((field) => field.field === name);
+        }
+
+        /**
+         * Get active filter for field
+         *
+         * @param {Object} table Table entry
+         * @param {string} name Field name
+         * @return {Object|undefined}
+         */
+        getActive(table, name) {
+            return table.active.find((filter) => filter.field === name);
+        }
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                addFilter: 'Add filter',
+                clearAll: 'Clear all',
+                apply: 'Apply',
+                cancel: 'Cancel',
+                removeFilter: 'Remove filter',
+                from: 'From',
+                to: 'To',
+                emptyValue: '(empty)'
+            }, (window.wpAppDataTableConfig && wpAppDataTableConfig.i18n) || {});
+        }
+    }
+
+    // Create global instance immediately (tables may be initialized in header scripts)
+    window.WPAppDataTableFilters = WPAppDataTableFilters;
+    window.wpAppDataTableFilters = new WPAppDataTableFilters();
+
+})(jQuery);
@@ -0,0 +1,500 @@
+/**
+ * WP App Core - DataTable Inline Edit
+ *
+ * Opt-in inline cell editing for server-side tables initialized by
+ * WPAppDataTable. Only whitelisted columns are editable: double-click a
+ * cell, change the value (text input or select), Enter / blur saves,
+ * Escape cancels. The server returns the formatted row, so only that row
+ * is redrawn (no table reload). On failure the old value is restored and
+ * the error is shown as a tooltip on the cell.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.2.1
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.2.1 - 2026-10-18
+ * - Saved through WPAppAjax (expired nonce refreshed and retried, server
+ *   message or normalised error on the cell)
+ *
+ * 1.2.0 - 2026-10-18
+ * - Row `version` sent with the value; a conflict redraws the row with the
+ *   server's current values and shows the message on the cell
+ *
+ * 1.1.0 - 2026-10-18
+ * - isEditing(key) (change feed postpones redraw while a cell is edited)
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ *
+ * Config (WPAppDataTable `inlineEdit` / data-inline-edit JSON):
+ * - action: AJAX action saving one field
+ * - nonce, ajaxUrl: Default to the table's nonce / AJAX URL
+ * - columns: { columnData: { field, type, options, required, maxlength } }
+ *   - field: Field name sent to the server (default: column data)
+ *   - type: text | select
+ *   - options: [{ value, label }] for select
+ *
+ * Current value is read from row data `raw[field]` (unformatted values),
+ * falling back to the cell text.
+ *
+ * Server Protocol (POST action, nonce, id, field, value, version):
+ * - version: Row data `version` (optimistic concurrency), when the row has one
+ * - success → { row: { formatted row as in the DataTables response } }
+ * - error → { message }, stale version → { code: 'conflict', message, row }
+ *
+ * Events Triggered:
+ * - wpapp:datatable-inline-saved - Field saved ({ key, id, field, value, row })
+ *
+ * Usage:
+ * ```javascript
+ * WPAppDataTable.register('platform-staff', {
+ *     inlineEdit: {
+ *         action: 'platform_staff_inline_edit',
+ *         columns: {
+ *             phone: { field: 'phone', type: 'text', maxlength: 20 },
+ *             status: { field: 'status', type: 'select', options: [{ value: 'aktif', label: 'Active' }] }
+ *         }
+ *     },
+ *     ...
+ * });
+ *
+ * // Entity rules (same as the edit modal), return error message or ''
+ * wpAppDataTableInlineEdit.setValidator('platform-staff', (field, value, rowData) => '');
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * DataTable Inline Edit Class
+     */
+    class WPAppDataTableInlineEdit {
+        constructor() {
+            this.tables = {};
+            this.validators = {};
+        }
+
+        /**
+         * Attach inline editing to a DataTable
+         *
+         * @param {Object} dataTable DataTables API instance
+         * @param {string} key Table key
+         * @param {Object} config Inline edit config
+         */
+        attach(dataTable, key, config) {
+            if (!dataTable || !key || !config || !config.action || $.isEmptyObject(config.columns || {})) {
+                return;
+            }
+
+            this.detach(key);
+
+            const table = {
+                key: key,
+                dataTable: dataTable,
+                config: config,
+                editing: null
+            };
+
+            this.tables[key] = table;
+            this.markCells(table);
+            this.bindEvents(table);
+        }
+
+        /**
+         * Remove handlers and close open editor
+         *
+         * @param {string} key Table key
+         */
+        detach(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            this.cancel(table);
+            table.dataTable.off('.wpappInlineEdit');
+            $(table.dataTable.table().body()).off('.wpappInlineEdit');
+
+            delete this.tables[key];
+        }
+
+        /**
+         * Whether a cell editor is open (or saving)
+         *
+         * @param {string} key Table key
+         * @return {boolean}
+         */
+        isEditing(key) {
+            return !!(this.tables[key] && this.tables[key].editing);
+        }
+
+        /**
+         * Register entity validator
+         *
+         * @param {string} key Table key
+         * @param {Function} validator (field, value, rowData) => error message or ''
+         */
+        setValidator(key, validator) {
+            this.validators[key] = validator;
+        }
+
+        /**
+         * Bind table handlers
+         *
+         * @param {Object} table Table entry
+         */
+        bindEvents(table) {
+            const dataTable = table.dataTable;
+            const $body = $(dataTable.table().body());
+
+            dataTable.on('draw.wpappInlineEdit column-visibility.wpappInlineEdit', () => {
+                table.editing = null;
+                this.markCells(table);
+            });
+
+            dataTable.on('destroy.wpappInlineEdit', () => {
+                this.detach(table.key);
+            });
+
+            $body.on('dblclick.wpappInlineEdit', 'td.wpapp-dt-editable', (e) => {
+                if (!$(e.currentTarget).hasClass('is-editing')) {
+                    this.edit(table, e.currentTarget);
+                }
+            });
+
+            // Clicks inside the editor must not open the detail panel (row click)
+            $body.on('click.wpappInlineEdit', 'td.is-editing', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        /**
+         * Mark editable cells of the current page
+         *
+         * @param {Object} table Table entry
+         */
+        markCells(table) {
+            const dataTable = table.dataTable;
+            const columns = table.config.columns;
+            const title = this.getI18n().editCell;
+
+            dataTable.columns().every(function() {
+                if (!columns[this.dataSrc()] || !this.visible()) {
+                    return;
+                }
+
+                $(this.nodes()).addClass('wpapp-dt-editable').attr('title', title);
+            });
+        }
+
+        /**
+         * Open editor in a cell
+         *
+         * @param {Object} table Table entry
+         * @param {HTMLElement} td Cell
+         */
+        edit(table, td) {
+            this.cancel(table);
+
+            const cell = table.dataTable.cell(td);
+            const column = table.dataTable.column(cell.index().column).dataSrc();
+            const spec = $.extend({ field: column, type: 'text' }, table.config.columns[column]);
+            const rowData = table.dataTable.row(td).data() || {};
+            const raw = rowData.raw || {};
+            const value = raw[spec.field] !== undefined && raw[spec.field] !== null
+                ? String(raw[spec.field])
+                : $.trim($(td).text());
+            const $input = this.createInput(spec, value);
+
+            table.editing = {
+                td: td,
+                html: td.innerHTML,
+                spec: spec,
+                value: value,
+                rowData: rowData,
+                $input: $input,
+                saving: false
+            };
+
+            $(td).addClass('is-editing').empty().append($input);
+            $input.trigger('focus');
+
+            if (spec.type !== 'select') {
+                $input[0].select();
+            }
+
+            $input.on('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.save(table);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.cancel(table);
+                }
+            });
+
+            $input.on('change', () => {
+                if (spec.type === 'select') {
+                    this.save(table);
+                }
+            });
+
+            $input.on('blur', () => {
+                this.save(table, true);
+            });
+        }
+
+        /**
+         * Build editor widget
+         *
+         * @param {Object} spec Column spec
+         * @param {string} value Current value
+         * @return {jQuery} Input element
+         */
+        createInput(spec, value) {
+            if (spec.type === 'select') {
+                const $select = $('<select class="wpapp-dt-inline-input"></select>');
+
+                (spec.options || []).forEach((option) => {
+                    $select.append($('<option></option>').val(option.value).text(option.label));
+                });
+
+                return $select.val(value);
+            }
+
+            const $input = $('<input type="text" class="wpapp-dt-inline-input">').val(value);
+
+            if (spec.maxlength) {
+                $input.attr('maxlength', spec.maxlength);
+            }
+
+            return $input;
+        }
+
+        /**
+         * Close editor and restore cell
+         *
+         * @param {Object} table Table entry
+         */
+        cancel(table) {
+            const editing = table.editing;
+
+            if (!editing) {
+                return;
+            }
+
+            table.editing = null;
+            $(editing.td).removeClass('is-editing is-saving').html(editing.html);
+        }
+
+        /**
+         * Validate and save editor value
+         *
+         * Invalid value keeps the editor open (Enter) or is rolled back (blur).
+         *
+         * @param {Object} table Table entry
+         * @param {boolean} rollback Restore old value when invalid
+         */
+        save(table, rollback = false) {
+            const editing = table.editing;
+
+            if (!editing || editing.saving) {
+                return;
+            }
+
+            const value = $.trim(String(editing.$input.val() || ''));
+
+            if (value === editing.value) {
+                this.cancel(table);
+                return;
+            }
+
+            const error = this.validate(table, editing, value);
+
+            if (error && rollback) {
+                this.fail(table, editing, error);
+                return;
+            }
+
+            if (error) {
+                this.showError(editing.td, error);
+                editing.$input.trigger('focus');
+                return;
+            }
+
+            const config = table.config;
+            const bootstrapper = window.WPAppDataTable;
+            const id = (editing.rowData.DT_RowData && editing.rowData.DT_RowData.id) || editing.rowData.id;
+
+            editing.saving = true;
+            editing.$input.prop('disabled', true);
+            $(editing.td).addClass('is-saving');
+
+            WPAppAjax.post(config.action, {
+                nonce: config.nonce || (bootstrapper ? bootstrapper.getNonce() : ''),
+                id: id,
+                field: editing.spec.field,
+                value: value,
+                version: editing.rowData.version || ''
+            }, {
+                nonce: bootstrapper ? bootstrapper.getNonceAction(config) : config.nonceAction,
+                url: config.ajaxUrl || (bootstrapper ? bootstrapper.getAjaxUrl() : undefined)
+            }).done((data) => {
+                if (data && data.row) {
+                    this.finish(table, editing, id, value, data.row);
+                } else {
+                    this.fail(table, editing, this.getI18n().requestFailed);
+                }
+            }).fail((error) => {
+                if (error.code === 'conflict' && error.data && error.data.row) {
+                    this.conflict(table, editing, error.data.row, error.message);
+                } else {
+                    this.fail(table, editing, error.message || this.getI18n().requestFailed);
+                }
+            });
+        }
+
+        /**
+         * Client-side rules: required, maxlength, entity validator
+         *
+         * @param {Object} table Table entry
+         * @param {Object} editing Editor state
+         * @param {string} value New value
+         * @return {string} Error message or ''
+         */
+        validate(table, editing, value) {
+            const i18n = this.getI18n();
+            const spec = editing.spec;
+            const validator = this.validators[table.key];
+
+            if (spec.required && value === '') {
+                return i18n.fieldRequired;
+            }
+
+            if (spec.maxlength && value.length > spec.maxlength) {
+                return String(i18n.fieldTooLong).replace('%d', spec.maxlength);
+            }
+
+            if (spec.type === 'select' && !(spec.options || []).some((option) => String(option.value) === value)) {
+                return i18n.fieldInvalid;
+            }
+
+            return typeof validator === 'function' ? (validator(spec.field, value, editing.rowData) || '') : '';
+        }
+
+        /**
+         * Saved: redraw only this row with the server's formatted data
+         *
+         * @param {Object} table Table entry
+         * @param {Object} editing Editor state
+         * @param {string|number} id Row ID
+         * @param {string} value Saved value
+         * @param {Object} row Formatted row
+         */
+        finish(table, editing, id, value, row) {
+            if (table.editing !== editing) {
+                return;
+            }
+
+            table.editing = null;
+            $(editing.td).removeClass('is-editing is-saving');
+
+            const dtRow = table.dataTable.row(editing.td);
+
+            // Sets cell contents from the new data, no ajax reload
+            dtRow.data(row);
+            this.markCells(table);
+
+            $(document).trigger('wpapp:datatable-inline-saved', {
+                key: table.key,
+                id: id,
+                field: editing.spec.field,
+                value: value,
+                row: row
+            });
+        }
+
+        /**
+         * Stale row: show the server's current values, value not saved
+         *
+         * @param {Object} table Table entry
+         * @param {Object} editing Editor state
+         * @param {Object} row Current formatted row
+         * @param {string} message Error message
+         */
+        conflict(table, editing, row, message) {
+            if (table.editing !== editing) {
+                return;
+            }
+
+            this.cancel(table);
+            table.dataTable.row(editing.td).data(row);
+            this.markCells(table);
+            this.showError(editing.td, message || this.getI18n().requestFailed);
+        }
+
+        /**
+         * Save failed: restore old value and show error
+         *
+         * @param {Object} table Table entry
+         * @param {Object} editing Editor state
+         * @param {string} message Error message
+         */
+        fail(table, editing, message) {
+            if (table.editing !== editing) {
+                return;
+            }
+
+            this.cancel(table);
+            this.showError(editing.td, message);
+        }
+
+        /**
+         * Error tooltip on a cell (removed after a few seconds)
+         *
+         * @param {HTMLElement} td Cell
+         * @param {string} message Error message
+         */
+        showError(td, message) {
+            const $cell = $(td);
+
+            $cell.find('.wpapp-dt-inline-error').remove();
+
+            const $tooltip = $('<div class="wpapp-dt-inline-error" role="alert"></div>').text(message);
+
+            $cell.addClass('has-inline-error').append($tooltip);
+
+            setTimeout(() => {
+                $tooltip.remove();
+
+                if (!$cell.find('.wpapp-dt-inline-error').length) {
+                    $cell.removeClass('has-inline-error');
+                }
+            }, 4000);
+        }
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                editCell: 'Double-click to edit',
+                fieldRequired: 'This field is required',
+                fieldTooLong: 'At most %d characters',
+                fieldInvalid: 'Invalid value',
+                requestFailed: 'Request failed'
+            }, (window.wpAppDataTableConfig && wpAppDataTableConfig.i18n) || {});
+        }
+    }
+
+    // Create global instance immediately (tables may be initialized in header scripts)
+    window.WPAppDataTableInlineEdit = WPAppDataTableInlineEdit;
+    window.wpAppDataTableInlineEdit = new WPAppDataTableInlineEdit();
+
+})(jQuery);
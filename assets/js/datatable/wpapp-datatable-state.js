@@ -0,0 +1,282 @@
+/**
+ * WP App Core - DataTable URL State
+ *
+ * Keeps DataTable search, ordering, page, page length and custom filters
+ * in the URL query string, next to the panel route in the hash. Shared
+ * links reopen the same filtered list with the same record open.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.1.0
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Filter bar (wpAppDataTableFilters) state in {key}_f: written by track()
+ *   (options.filterKey), read by restoreFilters() before the first request
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - restore() returns DataTable init options from URL and pre-fills filter inputs
+ * - track() writes state to URL after every draw / filter change (replaceState)
+ * - Only non-default values written, hash (panel route) left untouched
+ *
+ * URL Format (prefix = table key):
+ * ```
+ * ?page=invoices&invoices_q=acme&invoices_o=6.desc&invoices_p=2&invoices_l=25&invoices_paid=1#invoice/42
+ * ```
+ * - {key}_q: Search text
+ * - {key}_o: Ordering, "column.dir" comma separated
+ * - {key}_p: Page (1-based)
+ * - {key}_l: Page length
+ * - {key}_{filter}: Filter input value (checkbox: 1 / 0)
+ * - {key}_f: Filter bar filters, JSON [{ field, op, value }]
+ *
+ * Usage:
+ * ```javascript
+ * const filters = { paid: '#filter-paid', status: '#filter-status' };
+ *
+ * const table = $('#invoices').DataTable($.extend({
+ *     serverSide: true,
+ *     order: [[6, 'desc']],
+ *     pageLength: 10
+ *     // ...
+ * }, wpAppDataTableState.restore('invoices', { order: [[6, 'desc']], pageLength: 10, filters: filters })));
+ *
+ * wpAppDataTableState.track(table, 'invoices', { filters: filters });
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * DataTable URL State Class
+     */
+    class WPAppDataTableState {
+        constructor() {
+            this.defaults = {};
+        }
+
+        /**
+         * Read state from URL and build DataTable init options
+         *
+         * Filter inputs are set before DataTable sends its first request.
+         *
+         * @param {string} key Table key (URL param prefix)
+         * @param {Object} defaults { order, pageLength, filters: { name: selector } }
+         * @return {Object} DataTable options (search, order, pageLength, displayStart)
+         */
+        restore(key, defaults = {}) {
+            const params = new URLSearchParams(window.location.search);
+            const options = {};
+
+            this.defaults[key] = {
+                order: this.formatOrder(defaults.order || []),
+                pageLength: defaults.pageLength || 10,
+                filters: {}
+            };
+
+            const search = params.get(key + '_q');
+            if (search) {
+                options.search = { search: search };
+            }
+
+            const order = this.parseOrder(params.get(key + '_o'));
+            if (order.length > 0) {
+                options.order = order;
+            }
+
+            const length = parseInt(params.get(key + '_l'), 10);
+            if (length > 0 || length === -1) {
+                options.pageLength = length;
+            }
+
+            const page = parseInt(params.get(key + '_p'), 10);
+            const pageLength = options.pageLength || this.defaults[key].pageLength;
+            if (page > 1 && pageLength > 0) {
+                options.displayStart = (page - 1) * pageLength;
+            }
+
+            $.each(defaults.filters || {}, (name, selector) => {
+                const value = params.get(key + '_' + name);
+
+                // Initial markup value is the default (not written to URL)
+                this.defaults[key].filters[name] = this.getFilterValue($(selector));
+
+                if (value !== null) {
+                    this.setFilterValue($(selector), value);
+                }
+            });
+
+            return options;
+        }
+
+        /**
+         * Read filter bar filters from URL
+         *
+         * @param {string} key Table key (URL param prefix)
+         * @return {Array} [{ field, op, value }]
+         */
+        restoreFilters(key) {
+            const value = new URLSearchParams(window.location.search).get(key + '_f');
+            let filters = [];
+
+            if (!value) {
+                return filters;
+            }
+
+            try {
+                filters = JSON.parse(value);
+            } catch (e) {
+                return [];
+            }
+
+            return Array.isArray(filters)
+                ? filters.filter((filter) => filter
+                    && typeof filter.field === 'string'
+                    && typeof filter.op === 'string'
+                    && (['in', 'between'].indexOf(filter.op) === -1 || Array.isArray(filter.value)))
+                : [];
+        }
+
+        /**
+         * Write table state to URL after each draw and filter change
+         *
+         * @param {Object} dataTable DataTables API instance
+         * @param {string} key Table key (URL param prefix)
+         * @param {Object} options { filters: { name: selector }, filterKey: filter bar table key }
+         */
+        track(dataTable, key, options = {}) {
+            if (!dataTable) {
+                return;
+            }
+
+            const filters = options.filters || {};
+            const update = () => this.write(dataTable, key, filters, options.filterKey);
+
+            dataTable.on('draw.wpappState', update);
+
+            $.each(filters, (name, selector) => {
+                $(selector).on('change.wpappState', update);
+            });
+        }
+
+        /**
+         * Serialize table state into current URL (no history entry)
+         *
+         * @param {Object} dataTable DataTables API instance
+         * @param {string} key Table key
+         * @param {Object} filters { name: selector }
+         * @param {string} filterKey Filter bar table key (optional)
+         */
+        write(dataTable, key, filters, filterKey) {
+            const defaults = this.defaults[key] || { order: '', pageLength: 10, filters: {} };
+            const url = new URL(window.location.href);
+            const params = url.searchParams;
+            const info = dataTable.page.info();
+            const order = this.formatOrder(dataTable.order());
+
+            const state = {
+                q: dataTable.search(),
+                o: order !== defaults.order ? order : '',
+                p: info.page > 0 ? info.page + 1 : '',
+                l: info.length !== defaults.pageLength ? info.length : ''
+            };
+
+            $.each(filters, (name, selector) => {
+                const value = this.getFilterValue($(selector));
+                state[name] = value !== defaults.filters[name] ? value : '';
+            });
+
+            if (filterKey && window.wpAppDataTableFilters) {
+                const active = window.wpAppDataTableFilters.get(filterKey);
+                state.f = active.length > 0 ? JSON.stringify(active) : '';
+            }
+
+            $.each(state, (param, value) => {
+                if (value === '' || value === null || value === undefined) {
+                    params.delete(key + '_' + param);
+                } else {
+                    params.set(key + '_' + param, value);
+                }
+            });
+
+            // Hash (panel route) is kept by URL object
+            if (url.href !== window.location.href) {
+                history.replaceState(history.state, '', url.href);
+            }
+        }
+
+        /**
+         * Parse "0.asc,3.desc" into DataTables order array
+         *
+         * @param {string|null} value URL value
+         * @return {Array} [[0, 'asc'], [3, 'desc']]
+         */
+        parseOrder(value) {
+            if (!value) {
+                return [];
+            }
+
+            return value.split(',').map((part) => {
+                const pieces = part.split('.');
+                const column = parseInt(pieces[0], 10);
+                const dir = pieces[1] === 'desc' ? 'desc' : 'asc';
+
+                return isNaN(column) ? null : [column, dir];
+            }).filter(Boolean);
+        }
+
+        /**
+         * Format DataTables order array as "0.asc,3.desc"
+         *
+         * @param {Array} order DataTables order
+         * @return {string}
+         */
+        formatOrder(order) {
+            return (order || []).map((item) => item[0] + '.' + item[1]).join(',');
+        }
+
+        /**
+         * Get filter input value (checkbox: '1' / '0')
+         *
+         * @param {jQuery} $input Filter input
+         * @return {string}
+         */
+        getFilterValue($input) {
+            if ($input.length === 0) {
+                return '';
+            }
+
+            if ($input.is(':checkbox, :radio')) {
+                return $input.is(':checked') ? '1' : '0';
+            }
+
+            const value = $input.val();
+
+            return Array.isArray(value) ? value.join(',') : (value || '');
+        }
+
+        /**
+         * Set filter input value from URL
+         *
+         * @param {jQuery} $input Filter input
+         * @param {string} value URL value
+         */
+        setFilterValue($input, value) {
+            if ($input.is(':checkbox, :radio')) {
+                $input.prop('checked', value === '1');
+            } else if ($input.is('select[multiple]')) {
+                $input.val(value.split(','));
+            } else {
+                $input.val(value);
+            }
+        }
+    }
+
+    // Create global instance immediately (table scripts may run in header)
+    window.WPAppDataTableState = WPAppDataTableState;
+    window.wpAppDataTableState = new WPAppDataTableState();
+
+})(jQuery);
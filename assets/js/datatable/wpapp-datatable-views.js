@@ -0,0 +1,816 @@
+/**
+ * WP App Core - DataTable Views
+ *
+ * Column chooser (show/hide, reorder) and named saved views for tables
+ * initialized by WPAppDataTable. A saved view restores column layout,
+ * sorting, search, page length, filter inputs and filter bar filters.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.1.1
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.1.1 - 2026-10-18
+ * - Preferences saved through WPAppAjax (expired nonce refreshed and retried)
+ *
+ * 1.1.0 - 2026-10-18
+ * - Saved views include filter bar filters (wpAppDataTableFilters)
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Column menu: visibility checkboxes, move up/down, reset
+ * - Saved views dropdown above the table (save, apply, delete)
+ * - Column layout remembered per table
+ * - Persistence: localStorage (default) or user meta (persist: 'user')
+ *
+ * Column Order:
+ * Columns are reordered in the DOM only. DataTables column indexes (and the
+ * column index sent to the server for sorting) never change, so servers
+ * mapping order[0][column] by position keep working.
+ *
+ * Config (wpAppDataTableConfig.views):
+ * - persist: 'local' | 'user' | 'none'
+ * - nonce: wpapp_panel_nonce (persist: 'user')
+ * - preferences: Stored user meta values (persist: 'user')
+ *
+ * Events Triggered:
+ * - wpapp:datatable-columns-changed - Layout changed ({ key, order, hidden })
+ * - wpapp:datatable-view-applied - Saved / default view applied ({ key, name })
+ *
+ * Usage:
+ * ```html
+ * <table data-ajax-action="get_platform_staff_datatable" data-views="true">
+ * ```
+ * ```javascript
+ * // Or per registered config
+ * WPAppDataTable.register('invoices', { views: true, ... });
+ *
+ * wpAppDataTableViews.saveView('invoices', 'Unpaid this month');
+ * wpAppDataTableViews.applyView('invoices', 'Unpaid this month');
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * DataTable Views Class
+     */
+    class WPAppDataTableViews {
+        constructor() {
+            this.tables = {};
+            this.saveTimers = {};
+            this.maxViews = 20;
+            this.config = {
+                persist: 'local',
+                nonce: '',
+                preferences: {}
+            };
+
+            if (typeof wpAppDataTableConfig !== 'undefined' && wpAppDataTableConfig.views) {
+                $.extend(this.config, wpAppDataTableConfig.views);
+            }
+        }
+
+        /**
+         * Attach column menu and saved views to a DataTable
+         *
+         * @param {Object} dataTable DataTables API instance
+         * @param {string} key Table key
+         * @param {Object} options { filters: { name: selector }, stateKey }
+         */
+        attach(dataTable, key, options = {}) {
+            if (!dataTable || !key) {
+                return;
+            }
+
+            this.detach(key);
+
+            const table = {
+                key: key,
+                dataTable: dataTable,
+                filters: options.filters || {},
+                defaults: null,
+                order: null,
+                views: this.load(key, 'views') || [],
+                $toolbar: null
+            };
+
+            this.tables[key] = table;
+            table.defaults = this.getDefaultState(table, options.stateKey);
+
+            this.applyColumns(table, this.load(key, 'columns'));
+            this.renderToolbar(table);
+
+            // New rows / re-inserted cells follow custom order
+            dataTable.on('draw.wpappViews column-visibility.wpappViews', () => {
+                this.reorderCells(table);
+            });
+
+            dataTable.on('destroy.wpappViews', () => {
+                this.detach(key);
+            });
+        }
+
+        /**
+         * Remove toolbar and handlers
+         *
+         * @param {string} key Table key
+         */
+        detach(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            table.dataTable.off('.wpappViews');
+
+            if (table.$toolbar) {
+                table.$toolbar.remove();
+            }
+
+            $(document).off('click.wpappViews-' + key);
+            delete this.tables[key];
+        }
+
+        /**
+         * State of "Default view" (URL state defaults when available)
+         *
+         * @param {Object} table Table entry
+         * @param {string|undefined} stateKey URL state key
+         * @return {Object} View state
+         */
+        getDefaultState(table, stateKey) {
+            const state = this.captureState(table);
+            const urlDefaults = stateKey && window.wpAppDataTableState
+                ? window.wpAppDataTableState.defaults[stateKey]
+                : null;
+
+            state.columns = null;
+            state.search = '';
+            state.builder = [];
+
+            if (urlDefaults) {
+                state.order = window.wpAppDataTableState.parseOrder(urlDefaults.order);
+                state.pageLength = urlDefaults.pageLength;
+                state.filters = $.extend({}, urlDefaults.filters);
+            }
+
+            return state;
+        }
+
+        /**
+         * Render toolbar above the table
+         *
+         * @param {Object} table Table entry
+         */
+        renderToolbar(table) {
+            const i18n = this.getI18n();
+            const $toolbar = $('<div class="wpapp-dt-views"></div>');
+
+            $toolbar.append(
+                $('<select class="wpapp-dt-view-select"></select>').attr('aria-label', i18n.views),
+                $('<button type="button" class="button wpapp-dt-view-save"></button>').text(i18n.saveView),
+                $('<button type="button" class="button wpapp-dt-view-delete" disabled></button>').text(i18n.deleteView),
+                $('<span class="wpapp-dt-view-form" hidden></span>').append(
+                    $('<input type="text" class="wpapp-dt-view-name" maxlength="60">').attr('placeholder', i18n.viewName),
+                    $('<button type="button" class="button button-primary wpapp-dt-view-confirm"></button>').text(i18n.save),
+                    $('<button type="button" class="button-link wpapp-dt-view-cancel"></button>').text(i18n.cancel)
+                ),
+                $('<div class="wpapp-dt-columns"></div>').append(
+                    $('<button type="button" class="button wpapp-dt-columns-toggle" aria-haspopup="true" aria-expanded="false"></button>')
+                        .append('<span class="dashicons dashicons-columns" aria-hidden="true"></span> ')
+                        .append(document.createTextNode(i18n.columns)),
+                    $('<div class="wpapp-dt-columns-menu" hidden></div>')
+                )
+            );
+
+            table.$toolbar = $toolbar;
+            $toolbar.insertBefore(table.dataTable.table().container());
+
+            this.renderViewOptions(table);
+            this.bindToolbarEvents(table);
+        }
+
+        /**
+         * Fill saved views dropdown
+         *
+         * @param {Object} table Table entry
+         * @param {string} selected Selected view name
+         */
+        renderViewOptions(table, selected = '') {
+            const $select = table.$toolbar.find('.wpapp-dt-view-select').empty();
+
+            $select.append($('<option value=""></option>').text(this.getI18n().defaultView));
+
+            table.views.forEach((view) => {
+                $select.append($('<option></option>').val(view.name).text(view.name));
+            });
+
+            $select.val(selected);
+            table.$toolbar.find('.wpapp-dt-view-delete').prop('disabled', !selected);
+        }
+
+        /**
+         * Render column menu items in current display order
+         *
+         * @param {Object} table Table entry
+         */
+        renderColumnMenu(table) {
+            const i18n = this.getI18n();
+            const $menu = table.$toolbar.find('.wpapp-dt-columns-menu').empty();
+            const $list = $('<ul class="wpapp-dt-columns-list"></ul>');
+            const order = this.getOrder(table);
+
+            order.forEach((index, position) => {
+                const column = table.dataTable.column(index);
+                const title = $(column.header()).text().trim();
+
+                // Untitled columns (checkbox, actions icon) are not listed
+                if (!title) {
+                    return;
+                }
+
+                $list.append(
+                    $('<li></li>').attr('data-column', index).append(
+                        $('<label></label>').append(
+                            $('<input type="checkbox" class="wpapp-dt-column-visible">').prop('checked', column.visible()),
+                            document.createTextNode(' ' + title)
+                        ),
+                        $('<button type="button" class="button-link wpapp-dt-column-up"></button>')
+                            .attr('aria-label', i18n.moveUp + ': ' + title)
+                            .prop('disabled', position === 0)
+                            .append('<span class="dashicons dashicons-arrow-up-alt2" aria-hidden="true"></span>'),
+                        $('<button type="button" class="button-link wpapp-dt-column-down"></button>')
+                            .attr('aria-label', i18n.moveDown + ': ' + title)
+                            .prop('disabled', position === order.length - 1)
+                            .append('<span class="dashicons dashicons-arrow-down-alt2" aria-hidden="true"></span>')
+                    )
+                );
+            });
+
+            $menu.append(
+                $list,
+                $('<button type="button" class="button-link wpapp-dt-columns-reset"></button>').text(i18n.resetColumns)
+            );
+        }
+
+        /**
+         * Bind toolbar handlers
+         *
+         * @param {Object} table Table entry
+         */
+        bindToolbarEvents(table) {
+            const $toolbar = table.$toolbar;
+            const $form = $toolbar.find('.wpapp-dt-view-form');
+            const $name = $toolbar.find('.wpapp-dt-view-name');
+
+            $toolbar.on('change', '.wpapp-dt-view-select', (e) => {
+                const name = $(e.currentTarget).val();
+
+                if (name) {
+                    this.applyView(table.key, name);
+                } else {
+                    this.applyDefault(table.key);
+                }
+            });
+
+            $toolbar.on('click', '.wpapp-dt-view-save', () => {
+                $form.prop('hidden', false);
+                $name.val($toolbar.find('.wpapp-dt-view-select').val()).trigger('focus');
+            });
+
+            $toolbar.on('click', '.wpapp-dt-view-cancel', () => {
+                $form.prop('hidden', true);
+            });
+
+            $toolbar.on('click', '.wpapp-dt-view-confirm', () => {
+                if (this.saveView(table.key, $name.val())) {
+                    $form.prop('hidden', true);
+                }
+            });
+
+            $name.on('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    $toolbar.find('.wpapp-dt-view-confirm').trigger('click');
+                } else if (e.key === 'Escape') {
+                    $form.prop('hidden', true);
+                }
+            });
+
+            $toolbar.on('click', '.wpapp-dt-view-delete', () => {
+                this.deleteView(table.key, $toolbar.find('.wpapp-dt-view-select').val());
+            });
+
+            // Column menu
+            $toolbar.on('click', '.wpapp-dt-columns-toggle', () => {
+                this.toggleColumnMenu(table);
+            });
+
+            $toolbar.on('change', '.wpapp-dt-column-visible', (e) => {
+                const index = parseInt($(e.currentTarget).closest('li').attr('data-column'), 10);
+
+                table.dataTable.column(index).visible(e.currentTarget.checked);
+                this.columnsChanged(table);
+            });
+
+            $toolbar.on('click', '.wpapp-dt-column-up, .wpapp-dt-column-down', (e) => {
+                const $button = $(e.currentTarget);
+                const index = parseInt($button.closest('li').attr('data-column'), 10);
+                const up = $button.hasClass('wpapp-dt-column-up');
+
+                this.moveColumn(table, index, up ? -1 : 1);
+
+                // Menu re-rendered, keep focus on the moved column
+                $toolbar.find('li[data-column="' + index + '"]')
+                    .find(up ? '.wpapp-dt-column-up' : '.wpapp-dt-column-down')
+                    .trigger('focus');
+            });
+
+            $toolbar.on('click', '.wpapp-dt-columns-reset', () => {
+                this.applyColumns(table, null);
+                this.columnsChanged(table);
+            });
+
+            $toolbar.on('keydown', '.wpapp-dt-columns', (e) => {
+                if (e.key === 'Escape') {
+                    this.toggleColumnMenu(table, false);
+                    $toolbar.find('.wpapp-dt-columns-toggle').trigger('focus');
+                }
+            });
+
+            $(document).on('click.wpappViews-' + table.key, (e) => {
+                if (!$(e.target).closest(table.$toolbar.find('.wpapp-dt-columns')).length) {
+                    this.toggleColumnMenu(table, false);
+                }
+            });
+        }
+
+        /**
+         * Open / close column menu
+         *
+         * @param {Object} table Table entry
+         * @param {boolean|undefined} open Force state
+         */
+        toggleColumnMenu(table, open) {
+            const $menu = table.$toolbar.find('.wpapp-dt-columns-menu');
+            const show = open === undefined ? $menu.prop('hidden') : open;
+
+            if (show) {
+                this.renderColumnMenu(table);
+            }
+
+            $menu.prop('hidden', !show);
+            table.$toolbar.find('.wpapp-dt-columns-toggle').attr('aria-expanded', show ? 'true' : 'false');
+        }
+
+        /**
+         * Move column one position left (-1) or right (1)
+         *
+         * @param {Object} table Table entry
+         * @param {number} index Column index
+         * @param {number} direction -1 or 1
+         */
+        moveColumn(table, index, direction) {
+            const order = this.getOrder(table);
+            const position = order.indexOf(index);
+            const target = position + direction;
+
+            if (position === -1 || target < 0 || target >= order.length) {
+                return;
+            }
+
+            order[position] = order[target];
+            order[target] = index;
+            table.order = order;
+
+            this.reorderCells(table);
+            this.columnsChanged(table);
+        }
+
+        /**
+         * Persist layout, refresh menu and notify
+         *
+         * @param {Object} table Table entry
+         */
+        columnsChanged(table) {
+            const layout = this.getLayout(table);
+
+            table.dataTable.columns.adjust();
+            this.save(table.key, 'columns', layout.order || layout.hidden.length ? layout : null, true);
+
+            if (!table.$toolbar.find('.wpapp-dt-columns-menu').prop('hidden')) {
+                this.renderColumnMenu(table);
+            }
+
+            $(document).trigger('wpapp:datatable-columns-changed', {
+                key: table.key,
+                order: layout.order,
+                hidden: layout.hidden
+            });
+        }
+
+        /**
+         * Get current display order (column indexes)
+         *
+         * @param {Object} table Table entry
+         * @return {number[]}
+         */
+        getOrder(table) {
+            if (table.order) {
+                return table.order.slice();
+            }
+
+            return table.dataTable.columns().indexes().toArray();
+        }
+
+        /**
+         * Get column layout ({ order: null when unchanged, hidden })
+         *
+         * @param {Object} table Table entry
+         * @return {Object}
+         */
+        getLayout(table) {
+            const order = this.getOrder(table);
+            const changed = order.some((index, position) => index !== position);
+            const hidden = table.dataTable.columns().indexes().toArray().filter((index) => {
+                return !table.dataTable.column(index).visible();
+            });
+
+            return {
+                order: changed ? order : null,
+                hidden: hidden
+            };
+        }
+
+        /**
+         * Apply column layout (null = all visible, original order)
+         *
+         * @param {Object} table Table entry
+         * @param {Object|null} layout { order, hidden }
+         */
+        applyColumns(table, layout) {
+            const dataTable = table.dataTable;
+            const indexes = dataTable.columns().indexes().toArray();
+            const hidden = (layout && Array.isArray(layout.hidden)) ? layout.hidden.map(Number) : [];
+            let order = (layout && Array.isArray(layout.order)) ? layout.order.map(Number) : null;
+
+            // Stored order from an older column set is ignored
+            if (order && (order.length !== indexes.length || indexes.some((index) => order.indexOf(index) === -1))) {
+                order = null;
+            }
+
+            indexes.forEach((index) => {
+                dataTable.column(index).visible(hidden.indexOf(index) === -1, false);
+            });
+
+            table.order = order;
+            dataTable.columns.adjust();
+            this.reorderCells(table);
+        }
+
+        /**
+         * Move header and body cells into display order
+         *
+         * @param {Object} table Table entry
+         */
+        reorderCells(table) {
+            const dataTable = table.dataTable;
+            const order = this.getOrder(table);
+            const visible = order.filter((index) => dataTable.column(index).visible());
+
+            visible.forEach((index) => {
+                const header = dataTable.column(index).header();
+                const footer = dataTable.column(index).footer();
+
+                if (header && header.parentNode) {
+                    header.parentNode.appendChild(header);
+                }
+
+                if (footer && footer.parentNode) {
+                    footer.parentNode.appendChild(footer);
+                }
+            });
+
+            dataTable.rows({ page: 'current' }).every(function() {
+                const row = this.node();
+                const rowIndex = this.index();
+
+                if (!row) {
+                    return;
+                }
+
+                visible.forEach((index) => {
+                    const cell = dataTable.cell(rowIndex, index).node();
+
+                    if (cell) {
+                        row.appendChild(cell);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Capture current table state
+         *
+         * @param {Object} table Table entry
+         * @return {Object} { columns, order, search, pageLength, filters, builder }
+         */
+        captureState(table) {
+            const dataTable = table.dataTable;
+            const filters = {};
+
+            $.each(table.filters, (name, selector) => {
+                filters[name] = this.getFilterValue($(selector));
+            });
+
+            return {
+                columns: this.getLayout(table),
+                order: dataTable.order().map((item) => [item[0], item[1]]),
+                search: dataTable.search(),
+                pageLength: dataTable.page.len(),
+                filters: filters,
+                builder: window.wpAppDataTableFilters ? window.wpAppDataTableFilters.get(table.key) : []
+            };
+        }
+
+        /**
+         * Apply view state and redraw once
+         *
+         * @param {Object} table Table entry
+         * @param {Object} state View state
+         */
+        applyState(table, state) {
+            const dataTable = table.dataTable;
+
+            this.applyColumns(table, state.columns);
+
+            $.each(table.filters, (name, selector) => {
+                if (state.filters && state.filters[name] !== undefined) {
+                    this.setFilterValue($(selector), String(state.filters[name]));
+                }
+            });
+
+            // Filter bar chips only, table is drawn once below
+            if (window.wpAppDataTableFilters) {
+                window.wpAppDataTableFilters.set(table.key, state.builder || [], false);
+            }
+
+            dataTable.order(state.order || []);
+            dataTable.search(state.search || '');
+
+            if (state.pageLength) {
+                dataTable.page.len(parseInt(state.pageLength, 10));
+            }
+
+            dataTable.draw();
+
+            const layout = this.getLayout(table);
+            this.save(table.key, 'columns', layout.order || layout.hidden.length ? layout : null, true);
+        }
+
+        /**
+         * Public API: Save current state as named view (same name overwrites)
+         *
+         * @param {string} key Table key
+         * @param {string} name View name
+         * @return {boolean} Saved
+         */
+        saveView(key, name) {
+            const table = this.tables[key];
+
+            name = String(name || '').trim();
+
+            if (!table || !name) {
+                return false;
+            }
+
+            const views = table.views.filter((view) => view.name !== name);
+
+            if (views.length >= this.maxViews) {
+                window.alert(this.getI18n().tooManyViews);
+                return false;
+            }
+
+            views.push({ name: name, state: this.captureState(table) });
+            table.views = views;
+
+            this.save(key, 'views', views);
+            this.renderViewOptions(table, name);
+
+            return true;
+        }
+
+        /**
+         * Public API: Apply saved view
+         *
+         * @param {string} key Table key
+         * @param {string} name View name
+         */
+        applyView(key, name) {
+            const table = this.tables[key];
+            const view = table ? table.views.find((item) => item.name === name) : null;
+
+            if (!view) {
+                return;
+            }
+
+            this.applyState(table, view.state);
+            this.renderViewOptions(table, name);
+
+            $(document).trigger('wpapp:datatable-view-applied', { key: key, name: name });
+        }
+
+        /**
+         * Public API: Back to default columns, sorting and filters
+         *
+         * @param {string} key Table key
+         */
+        applyDefault(key) {
+            const table = this.tables[key];
+
+            if (!table) {
+                return;
+            }
+
+            this.applyState(table, table.defaults);
+            this.renderViewOptions(table);
+
+            $(document).trigger('wpapp:datatable-view-applied', { key: key, name: '' });
+        }
+
+        /**
+         * Public API: Delete saved view
+         *
+         * @param {string} key Table key
+         * @param {string} name View name
+         */
+        deleteView(key, name) {
+            const table = this.tables[key];
+
+            if (!table || !name) {
+                return;
+            }
+
+            table.views = table.views.filter((view) => view.name !== name);
+
+            this.save(key, 'views', table.views.length ? table.views : null);
+            this.renderViewOptions(table);
+        }
+
+        /**
+         * Public API: Get saved views
+         *
+         * @param {string} key Table key
+         * @return {Array} [{ name, state }]
+         */
+        getViews(key) {
+            return this.tables[key] ? this.tables[key].views.slice() : [];
+        }
+
+        /**
+         * Load stored value
+         *
+         * @param {string} key Table key
+         * @param {string} name 'columns' | 'views'
+         * @return {*} Stored value or null
+         */
+        load(key, name) {
+            if (this.config.persist === 'user') {
+                const prefs = this.config.preferences || {};
+                return (prefs[key] && prefs[key][name]) || null;
+            }
+
+            if (this.config.persist === 'local') {
+                try {
+                    const stored = window.localStorage.getItem(this.getStorageKey(key, name));
+                    return stored ? JSON.parse(stored) : null;
+                } catch (err) {
+                    // localStorage disabled (privacy mode) or invalid JSON
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Store value (null removes it)
+         *
+         * @param {string} key Table key
+         * @param {string} name 'columns' | 'views'
+         * @param {*} value Value
+         * @param {boolean} debounce Debounce server request (column clicks)
+         */
+        save(key, name, value, debounce = false) {
+            if (this.config.persist === 'local') {
+                try {
+                    if (value === null) {
+                        window.localStorage.removeItem(this.getStorageKey(key, name));
+                    } else {
+                        window.localStorage.setItem(this.getStorageKey(key, name), JSON.stringify(value));
+                    }
+                } catch (err) {
+                    // localStorage disabled (privacy mode)
+                }
+                return;
+            }
+
+            if (this.config.persist !== 'user') {
+                return;
+            }
+
+            // Keep in-memory copy for re-attached tables
+            this.config.preferences = this.config.preferences || {};
+            this.config.preferences[key] = this.config.preferences[key] || {};
+            this.config.preferences[key][name] = value;
+
+            const timerKey = key + ':' + name;
+            const send = () => {
+                WPAppAjax.post('wpapp_save_datatable_preference', {
+                    nonce: this.config.nonce,
+                    entity: key,
+                    key: name,
+                    value: JSON.stringify(value)
+                }, {
+                    nonce: 'wpapp_panel_nonce',
+                    url: (window.WPAppDataTable && WPAppDataTable.getAjaxUrl()) || undefined
+                }).fail((error) => {
+                    console.warn('[WPApp Views] Failed to save ' + name + ':', error.message);
+                });
+            };
+
+            clearTimeout(this.saveTimers[timerKey]);
+
+            if (debounce) {
+                this.saveTimers[timerKey] = setTimeout(send, 500);
+            } else {
+                send();
+            }
+        }
+
+        /**
+         * Get localStorage key
+         *
+         * @param {string} key Table key
+         * @param {string} name 'columns' | 'views'
+         * @return {string}
+         */
+        getStorageKey(key, name) {
+            return 'wpapp_dt_' + name + '_' + key;
+        }
+
+        /**
+         * Filter value helpers (shared with URL state)
+         */
+        getFilterValue($input) {
+            if (window.wpAppDataTableState) {
+                return window.wpAppDataTableState.getFilterValue($input);
+            }
+
+            return $input.is(':checkbox') ? ($input.is(':checked') ? '1' : '0') : ($input.val() || '');
+        }
+
+        setFilterValue($input, value) {
+            if (window.wpAppDataTableState) {
+                window.wpAppDataTableState.setFilterValue($input, value);
+                return;
+            }
+
+            if ($input.is(':checkbox')) {
+                $input.prop('checked', value === '1');
+            } else {
+                $input.val(value);
+            }
+        }
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                views: 'Views',
+                defaultView: 'Default view',
+                saveView: 'Save view',
+                deleteView: 'Delete view',
+                viewName: 'View name',
+                save: 'Save',
+                cancel: 'Cancel',
+                columns: 'Columns',
+                resetColumns: 'Reset columns',
+                moveUp: 'Move up',
+                moveDown: 'Move down',
+                tooManyViews: 'Too many saved views. Delete a view first.'
+            }, (window.wpAppDataTableConfig && wpAppDataTableConfig.i18n) || {});
+        }
+    }
+
+    // Create global instance immediately (tables may be initialized in header scripts)
+    window.WPAppDataTableViews = WPAppDataTableViews;
+    window.wpAppDataTableViews = new WPAppDataTableViews();
+
+})(jQuery);
@@ -0,0 +1,480 @@
+/**
+ * WP App Core - DataTable Bootstrapper
+ *
+ * Shared server-side DataTable initialization. Entity scripts no longer
+ * repeat the `$table.DataTable({ serverSide, ajax: action + nonce, language })`
+ * block: the table markup carries the AJAX action and columns, entity
+ * scripts only register what cannot live in HTML (render callbacks).
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.7.0
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.7.0 - 2026-10-18
+ * - nonceAction / data-nonce-action and getNonceAction(): bulk, export and
+ *   inline edit name the table nonce to WPAppAjax (expired nonce refreshed)
+ *
+ * 1.6.1 - 2026-10-18
+ * - Fixed: Filter bar filters kept in the URL with the other table state
+ *   (stateKey), restored before the first request
+ *
+ * 1.6.0 - 2026-10-18
+ * - Change feed subscription (wpAppDataTableChanges) via data-changes / changes
+ *
+ * 1.5.0 - 2026-10-18
+ * - Inline cell editing (wpAppDataTableInlineEdit) via data-inline-edit / inlineEdit
+ *
+ * 1.4.0 - 2026-10-18
+ * - CSV / XLSX export of the current query (wpAppDataTableExport) via data-export / export
+ *
+ * 1.3.0 - 2026-10-18
+ * - Row checkboxes and bulk actions (wpAppDataTableBulk) via data-bulk / bulk
+ *
+ * 1.2.0 - 2026-10-18
+ * - Structured filter bar (wpAppDataTableFilters) via data-filter-builder / filterBuilder,
+ *   active filters sent as `filters` request payload
+ *
+ * 1.1.0 - 2026-10-18
+ * - Column chooser and saved views (wpAppDataTableViews) via data-views / views: true
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - init($table) reads data-ajax-action, data-nonce, data-columns (JSON)
+ * - register(key, config) for column render callbacks and extra request data
+ * - Shared localized language pack (wpAppDataTableConfig.language)
+ * - Nonce fallback: data-nonce → config → wpdtConfig → wpAppConfig
+ * - Filters sent as filter_{name}, table reloads on change
+ * - URL state (wpAppDataTableState) via data-state-key
+ * - Instances kept by key (get(key)), registered with panel manager
+ *
+ * Table Attributes:
+ * - data-key: Instance key (default: config key or table id)
+ * - data-config: Registered config key (default: data-key / table id)
+ * - data-ajax-action: AJAX action (required unless registered)
+ * - data-ajax-url: AJAX URL (default: admin-ajax.php)
+ * - data-nonce: Nonce (optional, see fallback above)
+ * - data-nonce-action: Nonce action of data-nonce (WPAppAjax refresh, optional)
+ * - data-columns: JSON column definitions ([{ "data": "name" }, ...])
+ * - data-filters: JSON filter inputs ({ "status": "#filter-status" })
+ * - data-state-key: URL param prefix (keep search/order/page in URL)
+ * - data-views: Column chooser + saved views dropdown above the table
+ * - data-filter-builder: JSON filter bar fields ([{ "field", "label", "type", "options" }])
+ * - data-export: Export menu (true or JSON { "filename", "formats" })
+ * - data-bulk: JSON bulk actions ({ "action", "actions": [{ "id", "label", ... }] })
+ * - data-inline-edit: JSON editable columns ({ "action", "columns": { "phone": { "type": "text" } } })
+ * - data-changes: Entity slug for change notices from other admins ("platform_staff")
+ * - data-order / data-page-length: Native DataTables HTML5 options
+ *
+ * Events:
+ * - wpapp:datatable-init: Instance created ({ key, table, dataTable })
+ *
+ * Usage:
+ * ```html
+ * <table id="platform-staff-datatable"
+ *        data-ajax-action="get_platform_staff_datatable"
+ *        data-state-key="staff"
+ *        data-columns='[{"data":"name"},{"data":"email"}]'>
+ * ```
+ * ```javascript
+ * // Render callbacks cannot be JSON, register them by key
+ * WPAppDataTable.register('invoices', {
+ *     columns: [ { data: 'amount', render: (data) => formatMoney(data) } ]
+ * });
+ *
+ * const table = WPAppDataTable.init('#company-invoices-table', { key: 'invoices' });
+ * WPAppDataTable.get('invoices').ajax.reload();
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    const WPAppDataTable = {
+        /**
+         * Registered configs (key => config)
+         */
+        configs: {},
+
+        /**
+         * DataTables API instances (key => api)
+         */
+        instances: {},
+
+        /**
+         * Register entity config
+         *
+         * Config accepts DataTables options plus:
+         * - action, nonce, ajaxUrl: AJAX request
+         * - nonceAction: Nonce action of a custom nonce (WPAppAjax refresh)
+         * - filters: { name: selector } sent as filter_{name}
+         * - data(d): Extra request data (return object or modify d)
+         * - stateKey: URL param prefix
+         * - views: Column chooser + saved views (wpAppDataTableViews)
+         * - filterBuilder: Filter bar fields (wpAppDataTableFilters)
+         * - bulk: Row checkboxes + bulk actions (wpAppDataTableBulk)
+         * - export: CSV / XLSX export menu (wpAppDataTableExport)
+         * - inlineEdit: Editable cells (wpAppDataTableInlineEdit)
+         * - changes: Entity slug, redraw on other admins' changes (wpAppDataTableChanges)
+         * - onError(xhr, error, thrown): AJAX error callback
+         *
+         * @param {string} key Config key
+         * @param {Object} config Config
+         */
+        register(key, config) {
+            if (!key || !config) {
+                return;
+            }
+
+            this.configs[key] = config;
+        },
+
+        /**
+         * Initialize server-side DataTable
+         *
+         * @param {jQuery|string|HTMLElement} table Table element
+         * @param {Object} overrides Config overriding attributes and registered config
+         *                           (overrides.key selects registered config and instance key)
+         * @return {Object|null} DataTables API instance
+         */
+        init(table, overrides = {}) {
+            const $table = $(table).first();
+
+            if ($table.length === 0) {
+                console.warn('[WPApp DataTable] Table element not found:', table);
+                return null;
+            }
+
+            if (typeof $.fn.DataTable === 'undefined') {
+                console.error('[WPApp DataTable] DataTables library not loaded');
+                return null;
+            }
+
+            const configKey = overrides.key || $table.data('config') || $table.data('key') || $table.attr('id');
+            const config = $.extend({}, this.configs[configKey], this.readAttributes($table), overrides);
+            const key = overrides.key || $table.data('key') || configKey;
+
+            if (!config.action) {
+                console.error('[WPApp DataTable] No AJAX action for table:', key);
+                return null;
+            }
+
+            // Re-init (e.g. panel content re-rendered) replaces old instance
+            if ($.fn.DataTable.isDataTable($table)) {
+                $table.DataTable().destroy();
+            }
+
+            const filters = config.filters || {};
+            const options = this.buildOptions($table, config, key);
+
+            if (config.stateKey && window.wpAppDataTableState) {
+                $.extend(options, window.wpAppDataTableState.restore(config.stateKey, {
+                    order: options.order || $table.data('order') || [[0, 'asc']],
+                    pageLength: options.pageLength || $table.data('pageLength') || 10,
+                    filters: filters
+                }));
+
+                // Filter bar state, sent with the first request
+                if (config.filterBuilder && window.wpAppDataTableFilters) {
+                    window.wpAppDataTableFilters.preset(key, window.wpAppDataTableState.restoreFilters(config.stateKey));
+                }
+            }
+
+            const dataTable = $table.DataTable(options);
+
+            if (config.stateKey && window.wpAppDataTableState) {
+                window.wpAppDataTableState.track(dataTable, config.stateKey, {
+                    filters: filters,
+                    filterKey: config.filterBuilder ? key : null
+                });
+            }
+
+            $.each(filters, (name, selector) => {
+                $(selector).off('change.wpappDataTable').on('change.wpappDataTable', () => {
+                    dataTable.ajax.reload();
+                });
+            });
+
+            if (config.views && window.wpAppDataTableViews) {
+                window.wpAppDataTableViews.attach(dataTable, key, {
+                    filters: filters,
+                    stateKey: config.stateKey
+                });
+            }
+
+            // Joins the views toolbar when there is one
+            if (config.export && window.wpAppDataTableExport) {
+                window.wpAppDataTableExport.attach(dataTable, key, $.extend({
+                    ajaxUrl: config.ajaxUrl,
+                    nonceAction: this.getNonceAction(config)
+                }, config.export === true ? {} : config.export));
+            }
+
+            // Inserted after the views toolbar (directly above the table)
+            if (config.filterBuilder && window.wpAppDataTableFilters) {
+                window.wpAppDataTableFilters.attach(dataTable, key, config.filterBuilder);
+            }
+
+            // Bulk bar shown between filter bar and table while rows are selected
+            if (config.bulk && window.wpAppDataTableBulk) {
+                window.wpAppDataTableBulk.attach(dataTable, key, $.extend({
+                    ajaxUrl: config.ajaxUrl,
+                    nonce: config.nonce,
+                    nonceAction: config.nonceAction
+                }, config.bulk));
+            }
+
+            if (config.inlineEdit && window.wpAppDataTableInlineEdit) {
+                window.wpAppDataTableInlineEdit.attach(dataTable, key, $.extend({
+                    ajaxUrl: config.ajaxUrl,
+                    nonce: config.nonce,
+                    nonceAction: config.nonceAction
+                }, config.inlineEdit));
+            }
+
+            if (config.changes && window.wpAppDataTableChanges) {
+                window.wpAppDataTableChanges.attach(dataTable, key, config.changes);
+            }
+
+            this.instances[key] = dataTable;
+            this.registerWithPanel($table, dataTable);
+
+            $(document).trigger('wpapp:datatable-init', {
+                key: key,
+                table: $table[0],
+                dataTable: dataTable
+            });
+
+            return dataTable;
+        },
+
+        /**
+         * Read config from table data attributes
+         *
+         * @param {jQuery} $table Table element
+         * @return {Object} Config (only attributes present)
+         */
+        readAttributes($table) {
+            const attributes = {
+                action: $table.data('ajaxAction'),
+                ajaxUrl: $table.data('ajaxUrl'),
+                nonce: $table.data('nonce'),
+                nonceAction: $table.data('nonceAction'),
+                columns: $table.data('columns'),
+                filters: $table.data('filters'),
+                stateKey: $table.data('stateKey'),
+                views: $table.data('views'),
+                filterBuilder: $table.data('filterBuilder'),
+                bulk: $table.data('bulk'),
+                export: $table.data('export'),
+                inlineEdit: $table.data('inlineEdit'),
+                changes: $table.data('changes')
+            };
+
+            // jQuery parses valid JSON attributes, anything else stays a string
+            ['columns', 'filters', 'filterBuilder', 'bulk', 'export', 'inlineEdit'].forEach((name) => {
+                if (typeof attributes[name] === 'string') {
+                    console.error('[WPApp DataTable] Invalid JSON in data attribute:', name, $table.attr('id'));
+                    attributes[name] = undefined;
+                }
+            });
+
+            $.each(attributes, (name, value) => {
+                if (value === undefined || value === '') {
+                    delete attributes[name];
+                }
+            });
+
+            return attributes;
+        },
+
+        /**
+         * Build DataTables options from config
+         *
+         * @param {jQuery} $table Table element
+         * @param {Object} config Merged config
+         * @param {string} key Instance key
+         * @return {Object} DataTables options
+         */
+        buildOptions($table, config, key) {
+            const self = this;
+            const filters = config.filters || {};
+            const extraData = config.data;
+            const onError = config.onError;
+            const options = $.extend({
+                processing: true,
+                serverSide: true
+            }, config);
+
+            // Bootstrapper-only keys are not DataTables options
+            ['key', 'action', 'ajaxUrl', 'nonce', 'nonceAction', 'filters', 'data', 'stateKey', 'views', 'filterBuilder', 'bulk', 'export', 'inlineEdit', 'changes', 'onError'].forEach((name) => {
+                delete options[name];
+            });
+
+            options.ajax = {
+                url: config.ajaxUrl || this.getAjaxUrl(),
+                type: 'POST',
+                data: function(d) {
+                    d.action = config.action;
+                    d.nonce = config.nonce || self.getNonce();
+
+                    $.each(filters, (name, selector) => {
+                        d['filter_' + name] = self.getFilterValue($(selector));
+                    });
+
+                    // Structured filters from the filter bar
+                    if (window.wpAppDataTableFilters) {
+                        const structured = window.wpAppDataTableFilters.get(key);
+
+                        if (structured.length > 0) {
+                            d.filters = structured;
+                        }
+                    }
+
+                    if (typeof extraData === 'function') {
+                        return $.extend(d, extraData(d));
+                    }
+
+                    return d;
+                },
+                error: function(xhr, error, thrown) {
+                    console.error('[WPApp DataTable] AJAX error:', config.action, error, thrown);
+
+                    if (typeof onError === 'function') {
+                        onError(xhr, error, thrown);
+                    }
+                }
+            };
+
+            options.language = $.extend(true, {}, this.getLanguage(), config.language);
+
+            return options;
+        },
+
+        /**
+         * Resolve nonce (wp-datatable pages first, then wp-app-core panels)
+         *
+         * @return {string}
+         */
+        getNonce() {
+            if (window.wpdtConfig && wpdtConfig.nonce) {
+                return wpdtConfig.nonce;
+            }
+
+            if (window.wpAppConfig && wpAppConfig.nonce) {
+                return wpAppConfig.nonce;
+            }
+
+            console.error('[WPApp DataTable] No nonce available');
+            return '';
+        },
+
+        /**
+         * Resolve nonce action of the table nonce (WPAppAjax options.nonce)
+         *
+         * @param {Object} config Table / module config ({ nonce, nonceAction })
+         * @return {string|undefined} Undefined for a custom nonce without nonceAction
+         */
+        getNonceAction(config = {}) {
+            if (config.nonce) {
+                return config.nonceAction;
+            }
+
+            if (window.wpdtConfig && wpdtConfig.nonce) {
+                return 'wpdt_nonce';
+            }
+
+            if (window.wpAppConfig && wpAppConfig.nonce) {
+                return 'wpapp_panel_nonce';
+            }
+
+            return undefined;
+        },
+
+        /**
+         * Resolve AJAX URL
+         *
+         * @return {string}
+         */
+        getAjaxUrl() {
+            if (window.wpAppDataTableConfig && wpAppDataTableConfig.ajaxUrl) {
+                return wpAppDataTableConfig.ajaxUrl;
+            }
+
+            if (window.wpAppConfig && wpAppConfig.ajaxUrl) {
+                return wpAppConfig.ajaxUrl;
+            }
+
+            return window.ajaxurl || '/wp-admin/admin-ajax.php';
+        },
+
+        /**
+         * Get shared language pack
+         *
+         * @return {Object} DataTables language options
+         */
+        getLanguage() {
+            return (window.wpAppDataTableConfig && wpAppDataTableConfig.language) || {};
+        },
+
+        /**
+         * Get filter input value (checkbox: 1 / 0)
+         *
+         * @param {jQuery} $input Filter input
+         * @return {string|number}
+         */
+        getFilterValue($input) {
+            if ($input.is(':checkbox')) {
+                return $input.is(':checked') ? 1 : 0;
+            }
+
+            return $input.val() || '';
+        },
+
+        /**
+         * Hand instance to panel manager (keyboard nav, prev/next, resizer)
+         *
+         * @param {jQuery} $table Table element
+         * @param {Object} dataTable DataTables API instance
+         */
+        registerWithPanel($table, dataTable) {
+            const panel = window.wpAppPanelManager;
+
+            if (panel && panel.leftPanel && $table.closest(panel.leftPanel).length > 0) {
+                panel.registerDataTable(dataTable);
+            }
+        },
+
+        /**
+         * Public API: Get instance by key
+         *
+         * @param {string} key Instance key
+         * @return {Object|null} DataTables API instance
+         */
+        get(key) {
+            return this.instances[key] || null;
+        },
+
+        /**
+         * Public API: Destroy instance
+         *
+         * @param {string} key Instance key
+         */
+        destroy(key) {
+            const dataTable = this.instances[key];
+
+            if (!dataTable) {
+                return;
+            }
+
+            dataTable.off('.wpappState');
+            dataTable.destroy();
+            delete this.instances[key];
+        }
+    };
+
+    // Make bootstrapper globally available immediately (entity scripts may run in header)
+    window.WPAppDataTable = WPAppDataTable;
+
+})(jQuery);
@@ -0,0 +1,402 @@
+/**
+ * WP App Core - Hash Router
+ *
+ * Shared hash router for DataTable dashboards.
+ * Single source of truth for the URL hash used by the panel manager
+ * and the tab manager.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.0.0
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Path-style routes: #customer/123/tab/branches/branch/5
+ * - Per-entity route registration with typed ID params (int, string, slug)
+ * - Legacy hash support: #customer-123&tab=branches, #company-invoice-42
+ * - Back/forward handling for both pushState and hashchange navigation
+ *
+ * Route Format:
+ * - #{entity}/{id}                      → open panel for record
+ * - #{entity}/{id}/tab/{tabId}          → open panel on specific tab
+ * - #{entity}/{id}/tab/{tabId}/{child}/{childId}
+ *                                       → nested entity selection inside tab
+ *
+ * Route Object:
+ * ```javascript
+ * {
+ *     entity: 'customer',
+ *     id: 123,
+ *     tab: 'branches',
+ *     nested: [{ entity: 'branch', id: 5 }]
+ * }
+ * ```
+ *
+ * Param Types:
+ * - int    → positive integer (default)
+ * - string → any non-empty string
+ * - slug   → letters, numbers, dashes and underscores
+ *
+ * Events Triggered:
+ * - wpapp:route-changed - Hash changed (link click, back/forward, navigate())
+ *
+ * Usage:
+ * ```javascript
+ * // Register entity with non-numeric IDs
+ * wpAppHashRouter.register('company-invoice', { idType: 'slug' });
+ *
+ * // Navigate (pushes history entry)
+ * wpAppHashRouter.navigate({ entity: 'customer', id: 123, tab: 'branches' });
+ *
+ * // Update part of current route (replaces history entry)
+ * wpAppHashRouter.update({ tab: 'invoices' }, { replace: true });
+ *
+ * jQuery(document).on('wpapp:route-changed', function(e, data) {
+ *     console.log('Route:', data.route, 'Previous:', data.previous);
+ * });
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Hash Router Class
+     */
+    class WPAppHashRouter {
+        constructor() {
+            this.routes = {};
+            this.lastHash = window.location.hash.substring(1);
+            this.lastRoute = null;
+
+            this.bindEvents();
+        }
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents() {
+            const self = this;
+
+            // popstate: history entries created by pushState (back/forward)
+            // hashchange: manual hash edits and plain anchor links
+            $(window).on('popstate hashchange', function() {
+                self.handleLocationChange();
+            });
+        }
+
+        /**
+         * Register entity route
+         *
+         * @param {string} entity Entity slug (may contain dashes)
+         * @param {Object} options Route options
+         * @param {string} options.idType ID param type: int, string or slug
+         */
+        register(entity, options = {}) {
+            if (!entity) {
+                return;
+            }
+
+            this.routes[entity] = $.extend({
+                idType: 'int'
+            }, options);
+        }
+
+        /**
+         * Check if entity has a registered route
+         *
+         * @param {string} entity Entity slug
+         * @return {boolean}
+         */
+        isRegistered(entity) {
+            return Object.prototype.hasOwnProperty.call(this.routes, entity);
+        }
+
+        /**
+         * Cast raw ID segment to the entity's param type
+         *
+         * @param {string} entity Entity slug
+         * @param {string} value Raw value from hash
+         * @return {number|string|null} Typed value, null if invalid
+         */
+        castId(entity, value) {
+            const idType = this.isRegistered(entity) ? this.routes[entity].idType : 'int';
+
+            if (value === undefined || value === null || value === '') {
+                return null;
+            }
+
+            switch (idType) {
+                case 'string':
+                    return String(value);
+
+                case 'slug':
+                    return /^[A-Za-z0-9_-]+$/.test(value) ? value : null;
+
+                case 'int':
+                default: {
+                    if (!/^\d+$/.test(value)) {
+                        return null;
+                    }
+                    const id = parseInt(value, 10);
+                    return id > 0 ? id : null;
+                }
+            }
+        }
+
+        /**
+         * Parse hash into route object
+         *
+         * @param {string} hash Hash without leading #
+         * @return {Object|null} Route object or null if hash is not a route
+         */
+        parse(hash) {
+            if (!hash) {
+                return null;
+            }
+
+            if (hash.indexOf('/') === -1) {
+                return this.parseLegacy(hash);
+            }
+
+            const segments = hash.split('/').map(function(segment) {
+                try {
+                    return decodeURIComponent(segment);
+                } catch (e) {
+                    return segment;
+                }
+            });
+
+            if (segments.length < 2 || segments.length % 2 !== 0) {
+                return null;
+            }
+
+            const id = this.castId(segments[0], segments[1]);
+            if (id === null) {
+                return null;
+            }
+
+            const route = {
+                entity: segments[0],
+                id: id,
+                tab: null,
+                nested: []
+            };
+
+            for (let i = 2; i < segments.length; i += 2) {
+                const key = segments[i];
+                const value = segments[i + 1];
+
+                if (key === 'tab') {
+                    route.tab = value || null;
+                    continue;
+                }
+
+                const nestedId = this.castId(key, value);
+                if (nestedId === null) {
+                    return null;
+                }
+
+                route.nested.push({ entity: key, id: nestedId });
+            }
+
+            return route;
+        }
+
+        /**
+         * Parse legacy hash format (#entity-123&tab=details)
+         *
+         * Registered entities are matched first (longest wins), so
+         * "company-invoice-42" resolves to entity "company-invoice".
+         *
+         * @param {string} hash Hash without leading #
+         * @return {Object|null} Route object or null
+         */
+        parseLegacy(hash) {
+            const parts = hash.split('&');
+            const main = parts[0];
+            let entity = null;
+            let rawId = null;
+
+            const registered = Object.keys(this.routes).sort(function(a, b) {
+                return b.length - a.length;
+            });
+
+            for (let name of registered) {
+                if (main.indexOf(name + '-') === 0) {
+                    entity = name;
+                    rawId = main.substring(name.length + 1);
+                    break;
+                }
+            }
+
+            // Unregistered entity: everything before the last dash
+            if (entity === null) {
+                const lastDash = main.lastIndexOf('-');
+                if (lastDash <= 0) {
+                    return null;
+                }
+                entity = main.substring(0, lastDash);
+                rawId = main.substring(lastDash + 1);
+            }
+
+            const id = this.castId(entity, rawId);
+            if (id === null) {
+                return null;
+            }
+
+            const route = {
+                entity: entity,
+                id: id,
+                tab: null,
+                nested: []
+            };
+
+            for (let param of parts.slice(1)) {
+                if (param.indexOf('tab=') === 0) {
+                    route.tab = param.substring(4) || null;
+                }
+            }
+
+            return route;
+        }
+
+        /**
+         * Build hash string from route object
+         *
+         * @param {Object|null} route Route object
+         * @return {string} Hash without leading #
+         */
+        build(route) {
+            if (!route || !route.entity || route.id === null || route.id === undefined) {
+                return '';
+            }
+
+            const segments = [route.entity, route.id];
+
+            if (route.tab) {
+                segments.push('tab', route.tab);
+            }
+
+            (route.nested || []).forEach(function(item) {
+                segments.push(item.entity, item.id);
+            });
+
+            return segments.map(function(segment) {
+                return encodeURIComponent(String(segment));
+            }).join('/');
+        }
+
+        /**
+         * Get route for current location
+         *
+         * @return {Object|null} Route object
+         */
+        getCurrent() {
+            return this.parse(window.location.hash.substring(1));
+        }
+
+        /**
+         * Navigate to route
+         *
+         * @param {Object|null} route Route object (null clears the hash)
+         * @param {Object} options
+         * @param {boolean} options.replace Replace current history entry instead of pushing
+         * @param {boolean} options.silent Don't trigger wpapp:route-changed
+         */
+        navigate(route, options = {}) {
+            const hash = this.build(route);
+            const url = window.location.pathname + window.location.search + (hash ? '#' + hash : '');
+
+            if (hash === window.location.hash.substring(1)) {
+                return;
+            }
+
+            // Use history API to avoid scroll jump (no native hashchange)
+            if (options.replace) {
+                history.replaceState(null, document.title, url);
+            } else {
+                history.pushState(null, document.title, url);
+            }
+
+            if (options.silent) {
+                this.lastHash = hash;
+                this.lastRoute = route ? this.parse(hash) : null;
+                return;
+            }
+
+            this.dispatch(hash);
+        }
+
+        /**
+         * Merge changes into current route and navigate
+         *
+         * @param {Object} changes Route properties to change (e.g., { tab: 'branches' })
+         * @param {Object} options Same as navigate()
+         * @return {boolean} False if there is no current route to update
+         */
+        update(changes, options = {}) {
+            const current = this.getCurrent();
+
+            if (!current) {
+                return false;
+            }
+
+            this.navigate($.extend(current, changes), options);
+            return true;
+        }
+
+        /**
+         * Clear hash
+         *
+         * @param {Object} options Same as navigate()
+         */
+        clear(options = {}) {
+            this.navigate(null, options);
+        }
+
+        /**
+         * Handle browser location change
+         */
+        handleLocationChange() {
+            const hash = window.location.hash.substring(1);
+
+            // popstate and hashchange both fire on back/forward
+            if (hash === this.lastHash) {
+                return;
+            }
+
+            this.dispatch(hash);
+        }
+
+        /**
+         * Trigger route changed event
+         *
+         * @param {string} hash Hash without leading #
+         */
+        dispatch(hash) {
+            const previous = this.lastRoute;
+            const route = this.parse(hash);
+
+            this.lastHash = hash;
+            this.lastRoute = route;
+
+            if (typeof wpAppConfig !== 'undefined' && wpAppConfig.debug) {
+                console.log('[WPApp Router] Route changed', { hash: hash, route: route });
+            }
+
+            $(document).trigger('wpapp:route-changed', {
+                route: route,
+                previous: previous,
+                hash: hash
+            });
+        }
+    }
+
+    // Create global instance immediately so managers can register on document ready
+    window.WPAppHashRouter = WPAppHashRouter;
+    window.wpAppHashRouter = new WPAppHashRouter();
+
+})(jQuery);
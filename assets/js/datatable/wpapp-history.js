@@ -0,0 +1,190 @@
+/**
+ * WP App Core - History Tab
+ *
+ * Filters and pagination of the History tab (audit trail) rendered by
+ * DataTableHistoryController. The first page is loaded as a WPAppTabManager
+ * autoload tab; changing the field / user filter or the page reloads only
+ * the history block. Containers rendered for panels of another framework
+ * (.wpapp-history-autoload) are loaded here as soon as they are visible.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.1.0
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Requests sent through WPAppAjax (expired nonce refreshed and retried)
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ *
+ * Markup (server rendered):
+ * - .wpapp-history[data-history-entity][data-history-id] - History block
+ * - .wpapp-history-filter[name=field|actor] - Filters
+ * - .wpapp-history-page[data-page] - Pagination buttons
+ * - .wpapp-history-autoload[data-history-entity][data-history-id] - Self-loading container
+ *
+ * Events Triggered:
+ * - wpapp:history-loaded - History block (re)loaded ({ entity, id, total })
+ *
+ * Usage:
+ * ```php
+ * // Tab template of a panel not driven by WPAppTabManager
+ * DataTableHistoryController::render_container('platform_staff', $staff->id, 'self');
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * History Tab Class
+     */
+    class WPAppHistory {
+        constructor() {
+            this.requests = new WeakMap();
+            this.bindEvents();
+        }
+
+        /**
+         * Bind delegated handlers
+         */
+        bindEvents() {
+            $(document).on('change', '.wpapp-history-filter', (e) => {
+                this.load($(e.currentTarget).closest('.wpapp-history'), 1);
+            });
+
+            $(document).on('click', '.wpapp-history-page', (e) => {
+                e.preventDefault();
+
+                const $button = $(e.currentTarget);
+
+                if (!$button.prop('disabled')) {
+                    this.load($button.closest('.wpapp-history'), parseInt($button.data('page'), 10) || 1);
+                }
+            });
+
+            // Self-loading containers become visible on tab switch or panel load
+            $(document).on('click', '.nav-tab', () => {
+                setTimeout(() => this.loadPending(), 0);
+            });
+
+            $(document).ajaxComplete(() => {
+                setTimeout(() => this.loadPending(), 0);
+            });
+
+            $(() => this.loadPending());
+        }
+
+        /**
+         * Load visible .wpapp-history-autoload containers
+         */
+        loadPending() {
+            $('.wpapp-history-autoload:visible').not('.is-loading, .has-error').each((index, element) => {
+                const $container = $(element).addClass('is-loading');
+
+                this.request($container, {
+                    entity: $container.data('historyEntity'),
+                    id: $container.data('historyId'),
+                    page: 1
+                });
+            });
+        }
+
+        /**
+         * Reload a history block with its current filters
+         *
+         * @param {jQuery} $history .wpapp-history element
+         * @param {number} page Page number
+         */
+        load($history, page) {
+            if (!$history.length) {
+                return;
+            }
+
+            $history.addClass('is-loading');
+
+            this.request($history, {
+                entity: $history.data('historyEntity'),
+                id: $history.data('historyId'),
+                page: page,
+                field: $history.find('.wpapp-history-filter[name="field"]').val() || '',
+                actor: $history.find('.wpapp-history-filter[name="actor"]').val() || ''
+            });
+        }
+
+        /**
+         * POST to the history endpoint (WPAppAjax) and replace the element with the result
+         *
+         * @param {jQuery} $target Element replaced by the response HTML
+         * @param {Object} params { entity, id, page, field, actor }
+         */
+        request($target, params) {
+            const config = window.wpAppHistoryConfig || {};
+            const i18n = this.getI18n();
+            const previous = this.requests.get($target[0]);
+
+            if (previous) {
+                previous.abort();
+            }
+
+            const request = WPAppAjax.post(config.action || 'wpapp_load_history_tab', $.extend({
+                nonce: config.nonce || ''
+            }, params), {
+                nonce: 'wpapp_panel_nonce',
+                global: false
+            }).done((data) => {
+                if (data && data.html) {
+                    const $html = $($.parseHTML(String(data.html).trim()));
+
+                    $target.replaceWith($html);
+
+                    $(document).trigger('wpapp:history-loaded', {
+                        entity: params.entity,
+                        id: params.id,
+                        total: data.total
+                    });
+                } else {
+                    this.showError($target, i18n.loadError);
+                }
+            }).fail((error) => {
+                if (error.code !== 'abort') {
+                    this.showError($target, error.data ? error.message : i18n.loadError);
+                }
+            }).always(() => {
+                this.requests.delete($target[0]);
+            });
+
+            this.requests.set($target[0], request);
+        }
+
+        /**
+         * Show error in place of the list
+         *
+         * @param {jQuery} $target History block or container
+         * @param {string} message Error message
+         */
+        showError($target, message) {
+            $target.removeClass('is-loading').addClass('has-error');
+            $target.find('.wpapp-history-loading, .wpapp-history-error').remove();
+            $target.append($('<p class="wpapp-history-error notice notice-error inline"></p>').text(message));
+        }
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object}
+         */
+        getI18n() {
+            return $.extend({
+                loadError: 'Failed to load history'
+            }, (window.wpAppHistoryConfig && wpAppHistoryConfig.i18n) || {});
+        }
+    }
+
+    // Create global instance immediately
+    window.WPAppHistory = WPAppHistory;
+    window.wpAppHistory = new WPAppHistory();
+
+})(jQuery);
@@ -6,10 +6,74 @@
  *
  * @package WPAppCore
  * @since 1.0.0
- * @version 1.1.1
+ * @version 1.9.3
  * @author arisciwek
  *
  * Changelog:
+ * 1.9.3 - 2026-10-18
+ * - Changed: Panel load, prefetch and revalidation sent through WPAppAjax
+ *   (requestPanel()); expired nonce refreshed and the request retried
+ * - Changed: handleAjaxError(error, entityId) takes the WPAppAjax error
+ *
+ * 1.9.2 - 2026-10-18
+ * - Fixed: Hash cleared by back/forward closes the panel via closePanel()
+ *   (wpapp:panel-closing fired, unsaved-changes guard asked)
+ * - Fixed: Vetoed route-driven open / close puts the previous hash back
+ * - Added: fromRoute / route on wpapp:panel-opening and wpapp:panel-closing
+ *
+ * 1.9.1 - 2026-10-18
+ * - Fixed: Background revalidation no longer replaces the open panel (edited
+ *   forms, active tab and nested layers were lost): the cache is updated and
+ *   a "changed - Reload" notice is shown instead
+ *
+ * 1.9.0 - 2026-10-18
+ * - Added: registerDataTable() - WPAppDataTable hands over the left panel instance
+ *   (replaces per-entity globals such as window.platformStaffDataTableInstance)
+ *
+ * 1.8.0 - 2026-10-18
+ * - Added: Panel content lifecycle via wpAppComponents (wpapp-component-registry.js)
+ * - Added: Components mounted after content injection, unmounted before the content
+ *   is replaced (record switch, refresh, revalidation) and when the panel closes
+ * - Changed: Nested DataTable teardown moved to built-in "datatable" component
+ *
+ * 1.7.0 - 2026-10-18
+ * - Added: Previous/next record buttons in panel header (.wpapp-panel-prev / .wpapp-panel-next)
+ * - Added: Public next() / prev() API following DataTable order and filters
+ * - Added: Crosses server-side page boundaries, buttons disabled at first/last record
+ *
+ * 1.6.0 - 2026-10-18
+ * - Added: Keyboard row navigation (j/k, ArrowDown/ArrowUp) in left panel DataTable
+ * - Added: Enter opens panel for active row, Esc closes panel
+ * - Added: Automatic page advance at page boundary via this.dataTable
+ * - Added: Active row marker (.wpapp-row-active) and wpapp:row-selected event
+ *
+ * 1.5.0 - 2026-10-18
+ * - Added: Opt-in prefetch on row hover (after delay) and keyboard focus
+ * - Added: In-flight prefetch handed to openPanel() (no duplicate request)
+ * - Added: Prefetch concurrency limit, cancelled on mouseleave / blur
+ * - Added: panelCache.revalidateAfter (fresh entries skip background revalidation)
+ * - Config: wpAppConfig.panelPrefetch or data-prefetch / data-prefetch-delay
+ *
+ * 1.4.0 - 2026-10-18
+ * - Added: LRU panel response cache keyed by entity + ID
+ * - Added: Stale-while-revalidate (cached HTML rendered instantly, refetched in background)
+ * - Added: Cache TTL / size via wpAppConfig.panelCache or data-cache-ttl / data-cache-size
+ * - Added: wpapp:panel-cache-invalidate event and invalidateCache() API
+ * - Changed: refresh() bypasses and invalidates cache
+ *
+ * 1.3.0 - 2026-10-18
+ * - Changed: Nested entity clicks handed to WPAppPanelStack (wpapp-panel-stack.js)
+ * - Removed: Nested entity prevention warnings (replaced by stacked layers)
+ * - Changed: Escape pops the top nested layer before closing the panel
+ *
+ * 1.2.0 - 2026-10-18
+ * - Added: Hash routing delegated to WPAppHashRouter (wpapp-hash-router.js)
+ * - Changed: Hash format #entity-123 → #entity/123 (legacy format still parsed)
+ * - Added: Entity routes registered on init (data-id-type on layout, default int)
+ * - Added: wpapp:nested-selected event for #entity/123/tab/x/child/5 routes
+ * - Fixed: Entities with dashes (e.g., company-invoice-42) parsed correctly
+ * - Fixed: Browser back/forward now re-opens previous record instead of only closing
+ *
  * 1.1.1 - 2025-01-02
  * - Fixed: Row click in nested DataTable (employee/branch) no longer triggers panel
  * - Added: Nested entity prevention for row click handler
@@ -26,19 +90,24 @@
  * Features:
  * - Smooth panel open/close animations
  * - AJAX data loading
- * - Hash-based navigation (#entity-123)
+ * - Hash-based navigation (#entity/123, via WPAppHashRouter)
+ * - Response cache with background revalidation
+ * - Opt-in prefetch on row hover / focus
+ * - Keyboard row navigation (j/k, arrows, Enter, Esc)
+ * - Previous/next record navigation inside the panel
  * - Event system for extensibility
  * - Close button handling
- * - Nested entity prevention (prevents URL collision)
+ * - Nested entities opened as stacked layers (WPAppPanelStack)
+ * - Automatic mount/unmount of components in panel content (wpAppComponents)
  *
- * Nested Entity Prevention:
- * - Buttons with class .wpapp-panel-trigger inside .wpapp-tab-content are ignored
+ * Nested Entities:
+ * - Triggers and rows inside the right panel are ignored by the panel manager
  * - Buttons with data-nested="true" are ignored
- * - Recommendation: Use .wpapp-nested-trigger class for nested entities
+ * - WPAppPanelStack pushes them as layers on top of the panel
  *
  * Button Class Convention:
  * - .wpapp-panel-trigger → Opens right panel (parent entity only)
- * - .wpapp-nested-trigger → For nested entities (handled by custom code)
+ * - .wpapp-nested-trigger → Pushes nested entity layer (WPAppPanelStack)
  *
  * Events Triggered:
  * - wpapp:panel-opening - Before panel opens
@@ -48,6 +117,37 @@
  * - wpapp:panel-loading - Data loading started
  * - wpapp:panel-data-loaded - Data loaded successfully
  * - wpapp:panel-error - Error occurred
+ * - wpapp:nested-selected - Route selects nested entity inside a tab
+ * - wpapp:row-selected - Active row changed (keyboard, click or panel open)
+ *
+ * Keyboard Shortcuts (ignored while typing in form fields):
+ * - j / ArrowDown → Next row (advances to next page at the last row)
+ * - k / ArrowUp   → Previous row (goes back a page at the first row)
+ * - Enter         → Open panel for active row
+ * - Escape        → Pop nested layer, then close panel
+ * - Arrow keys only when focus is inside the left panel (page scroll unaffected)
+ *
+ * Events Listened:
+ * - wpapp:panel-cache-invalidate - Drop cached responses ({ entity, id } optional)
+ *
+ * Response Cache:
+ * - Cached panels render instantly, then revalidate in background
+ * - Revalidated data that differs is cached and offered with a Reload notice
+ *   (re-rendered on Reload, data.revalidated = true)
+ * - Entries older than TTL are refetched normally
+ * - Invalidate after saving: $(document).trigger('wpapp:panel-cache-invalidate', { entity: 'customer', id: 123 })
+ * - Other entity or no data clears whole cache (e.g., employee saved in customer tab)
+ *
+ * Component Lifecycle (wpAppComponents):
+ * - mount(el, { entity, id, source: 'panel' }) after content injected, before wpapp:panel-data-loaded
+ * - unmount(el, context) before content replaced and on close
+ * - Built-in: datatable, tabs, map (WPAppMapAdapter), completeness (wpAppCompleteness)
+ *
+ * Prefetch (opt-in, requires cache):
+ * - Row hovered for `delay` ms or focused → panel request sent ahead of time
+ * - Completed prefetch stored in cache, in-flight prefetch adopted by openPanel()
+ * - At most `maxConcurrent` prefetches, pending ones aborted on mouseleave / blur
+ * - Enable: <div class="wpapp-datatable-layout" data-prefetch="true" data-prefetch-delay="150">
  *
  * Usage:
  * ```javascript
@@ -63,8 +163,9 @@
  *     View Customer
  * </button>
  *
- * <!-- Nested entity (ignored by panel manager) -->
- * <button class="wpapp-nested-trigger" data-id="5" data-entity="branch">
+ * <!-- Nested entity (pushed as layer by WPAppPanelStack) -->
+ * <button class="wpapp-nested-trigger" data-id="5" data-entity="branch"
+ *         data-ajax-action="get_branch_panel">
  *     View Branch
  * </button>
  * ```
@@ -85,8 +186,24 @@
             this.currentId = null;
             this.isOpen = false;
             this.ajaxRequest = null;
+            this.revalidateRequest = null;
             this.loadingTimeout = null;
+            this.cache = new Map();
+            this.cacheConfig = {
+                enabled: true,
+                maxEntries: 20,
+                ttl: 300, // seconds
+                revalidateAfter: 10 // seconds, younger entries (e.g., just prefetched) are not refetched
+            };
+            this.prefetches = new Map();
+            this.prefetchConfig = {
+                enabled: false,
+                delay: 150, // ms
+                maxConcurrent: 2
+            };
             this.dataTable = null;
+            this.activeRowId = null;
+            this.router = window.wpAppHashRouter || null;
 
             this.init();
         }
@@ -106,6 +223,17 @@
             this.rightPanel = this.layout.find('.wpapp-right-panel');
             this.currentEntity = this.layout.data('entity');
 
+            // Register entity route (data-id-type="slug" for non-numeric IDs)
+            if (this.router) {
+                this.router.register(this.currentEntity, {
+                    idType: this.layout.data('id-type') || 'int'
+                });
+            }
+
+            // Response cache + prefetch config
+            this.initCache();
+            this.initPrefetch();
+
             // Bind events
             this.bindEvents();
 
@@ -127,11 +255,62 @@
             }
         }
 
+        /**
+         * Initialize response cache config
+         *
+         * Priority: layout data attributes > wpAppConfig.panelCache > defaults
+         */
+        initCache() {
+            if (typeof wpAppConfig !== 'undefined' && wpAppConfig.panelCache) {
+                $.extend(this.cacheConfig, wpAppConfig.panelCache);
+            }
+
+            const ttl = this.layout.data('cache-ttl');
+            const size = this.layout.data('cache-size');
+
+            if (ttl !== undefined) {
+                this.cacheConfig.ttl = parseInt(ttl, 10) || 0;
+            }
+
+            if (size !== undefined) {
+                this.cacheConfig.maxEntries = parseInt(size, 10) || 0;
+            }
+
+            this.cacheConfig.enabled = !!this.cacheConfig.enabled &&
+                                       this.cacheConfig.maxEntries > 0 &&
+                                       this.cacheConfig.ttl > 0;
+        }
+
+        /**
+         * Initialize prefetch config
+         *
+         * Priority: layout data attributes > wpAppConfig.panelPrefetch > defaults
+         */
+        initPrefetch() {
+            if (typeof wpAppConfig !== 'undefined' && wpAppConfig.panelPrefetch) {
+                $.extend(this.prefetchConfig, wpAppConfig.panelPrefetch);
+            }
+
+            const enabled = this.layout.data('prefetch');
+            const delay = this.layout.data('prefetch-delay');
+
+            if (enabled !== undefined) {
+                this.prefetchConfig.enabled = enabled === true || enabled === 'true';
+            }
+
+            if (delay !== undefined) {
+                this.prefetchConfig.delay = parseInt(delay, 10) || 0;
+            }
+
+            // Prefetched responses are kept in the cache
+            this.prefetchConfig.enabled = !!this.prefetchConfig.enabled && this.cacheConfig.enabled;
+        }
+
         /**
          * Get DataTable instance from DOM
          */
         getDataTableInstance() {
-            const $table = $('.wpapp-datatable');
+            const $table = this.leftPanel.find('.wpapp-datatable').first();
 
             if ($table.length > 0 && $.fn.DataTable && $.fn.DataTable.isDataTable($table)) {
                 this.dataTable = $table.DataTable();
@@ -141,6 +320,18 @@
             }
         }
 
+        /**
+         * Public API: Use DataTable instance for keyboard / prev-next navigation
+         *
+         * Called by WPAppDataTable.init() for tables inside the left panel.
+         *
+         * @param {Object} dataTable DataTables API instance
+         */
+        registerDataTable(dataTable) {
+            this.dataTable = dataTable;
+            console.log('[WPApp Panel] DataTable instance registered');
+        }
+
         /**
          * Bind event handlers
          */
@@ -154,26 +345,35 @@
                     return;
                 }
 
-                // ✅ NESTED ENTITY PREVENTION
-                // Check if row is inside a tab content (nested context)
+                // Nested context (tab content or stack layer): handled by WPAppPanelStack
                 const $row = $(this);
-                const isNested = $row.closest('.wpapp-tab-content').length > 0;
-
-                if (isNested) {
-                    console.warn('[WPApp Panel] Nested entity row clicked - ignoring panel trigger', {
-                        rowId: $row.attr('id'),
-                        suggestion: 'Row clicks only work for parent entity DataTables'
-                    });
-                    return; // Don't trigger panel for nested entities
+                if ($row.closest('.wpapp-right-panel').length > 0) {
+                    return;
                 }
 
                 const entityId = $row.data('id');
 
                 if (entityId) {
+                    self.selectRow($row);
                     self.openPanel(entityId);
                 }
             });
 
+            // Prefetch on hover (after delay) and keyboard focus
+            if (this.prefetchConfig.enabled) {
+                this.leftPanel.on('mouseenter focusin', '.wpapp-datatable tbody tr', function() {
+                    self.schedulePrefetch($(this).data('id'));
+                });
+
+                this.leftPanel.on('mouseleave focusout', '.wpapp-datatable tbody tr', function() {
+                    const entityId = $(this).data('id');
+
+                    if (entityId) {
+                        self.cancelPrefetch(entityId);
+                    }
+                });
+            }
+
             // Panel trigger button click (View button)
             $(document).on('click', '.wpapp-panel-trigger', function(e) {
                 e.preventDefault();
@@ -182,18 +382,10 @@
                 const entityId = $(this).data('id');
                 const entity = $(this).data('entity');
 
-                // ✅ NESTED ENTITY PREVENTION
-                // Check if button is inside a tab content (nested context)
-                const isNested = $(this).closest('.wpapp-tab-content').length > 0;
-                const isNestedFlag = $(this).data('nested') === true;
-
-                if (isNested || isNestedFlag) {
-                    console.warn('[WPApp Panel] Nested entity button detected - ignoring panel trigger', {
-                        entity: entity,
-                        id: entityId,
-                        suggestion: 'Use .wpapp-nested-trigger class for nested entities'
-                    });
-                    return; // Don't trigger panel for nested entities
+                // Nested context (tab content, stack layer or data-nested flag):
+                // handled by WPAppPanelStack, never opens the parent panel
+                if ($(this).closest('.wpapp-right-panel').length > 0 || $(this).data('nested') === true) {
+                    return;
                 }
 
                 // Verify entity matches current panel entity
@@ -202,22 +394,54 @@
                 }
             });
 
+            // Previous/next record
+            this.rightPanel.on('click', '.wpapp-panel-prev', function(e) {
+                e.preventDefault();
+                self.prev();
+            });
+
+            this.rightPanel.on('click', '.wpapp-panel-next', function(e) {
+                e.preventDefault();
+                self.next();
+            });
+
             // Close button click
             this.rightPanel.on('click', '.wpapp-panel-close', function(e) {
                 e.preventDefault();
                 self.closePanel();
             });
 
-            // Hash change (browser back/forward)
-            $(window).on('hashchange', function() {
-                self.checkHashChange();
+            // Cache invalidation (e.g., after save in modal)
+            $(document).on('wpapp:panel-cache-invalidate', function(e, data) {
+                const target = data || {};
+
+                if (target.entity !== self.currentEntity || !target.id) {
+                    self.invalidateCache();
+                    return;
+                }
+
+                self.invalidateCache(target.id);
+
+                // Open record changed: reload it (cache already dropped)
+                if (self.isOpen && String(target.id) === String(self.currentId)) {
+                    self.refresh();
+                }
+            });
+
+            // Route change (browser back/forward, manual hash edit)
+            $(document).on('wpapp:route-changed', function(e, data) {
+                self.handleRouteChange(data.route, data.previous);
             });
 
-            // Escape key to close
+            // Keyboard navigation (rows, Enter, Escape)
             $(document).on('keydown', function(e) {
-                if (e.key === 'Escape' && self.isOpen) {
-                    self.closePanel();
-                }
+                self.handleKeydown(e);
+            });
+
+            // Keep active row marker and prev/next state after redraw (paging, sorting, reload)
+            this.leftPanel.on('draw.dt', '.wpapp-datatable', function() {
+                self.markActiveRow();
+                self.updateRecordNav();
             });
 
             // Click outside to close (optional)
@@ -234,9 +458,13 @@
         /**
          * Open right panel
          *
-         * @param {number} entityId Entity ID
+         * @param {number|string} entityId Entity ID
+         * @param {Object} options
+         * @param {boolean} options.fromRoute Opened from URL (don't push history)
+         * @param {Object} options.route Route that opened the panel (fromRoute)
+         * @param {Object|null} options.previous Route before it (restored when vetoed)
          */
-        openPanel(entityId) {
+        openPanel(entityId, options = {}) {
             if (this.currentId === entityId && this.isOpen) {
                 // Already open with same ID
                 return;
@@ -245,19 +473,31 @@
             // Trigger opening event
             const openingEvent = $.Event('wpapp:panel-opening', {
                 entity: this.currentEntity,
-                id: entityId
+                id: entityId,
+                fromRoute: !!options.fromRoute,
+                route: options.route || null
             });
             $(document).trigger(openingEvent);
 
-            // If event prevented, stop
+            // If event prevented, stop (URL already points to the new record)
             if (openingEvent.isDefaultPrevented()) {
+                if (options.fromRoute) {
+                    this.restoreRoute(options.previous);
+                }
                 return;
             }
 
             this.currentId = entityId;
 
-            // Update hash
-            this.updateHash(entityId);
+            // Keep row marker and prev/next state in sync (route / programmatic open)
+            this.activeRowId = entityId;
+            this.markActiveRow();
+            this.updateRecordNav();
+
+            // Update hash (skip when the URL already points here)
+            if (!options.fromRoute) {
+                this.updateHash(entityId);
+            }
 
             // Show panel with animation
             this.showPanel();
@@ -266,10 +506,285 @@
             this.loadPanelData(entityId);
         }
 
+        /**
+         * Handle keyboard shortcuts
+         *
+         * @param {Object} e jQuery keydown event
+         */
+        handleKeydown(e) {
+            if (e.isDefaultPrevented() || e.ctrlKey || e.metaKey || e.altKey) {
+                return;
+            }
+
+            if (e.key === 'Escape') {
+                if (!this.isOpen) {
+                    return;
+                }
+
+                // Pop nested layer first, close panel on parent level
+                if (window.wpAppPanelStack && window.wpAppPanelStack.getDepth() > 0) {
+                    window.wpAppPanelStack.back();
+                    return;
+                }
+
+                this.closePanel();
+                return;
+            }
+
+            // Typing in form fields, editors or modals
+            const $target = $(e.target);
+            if ($target.closest('input, textarea, select, button, [contenteditable="true"], [role="dialog"]').length > 0) {
+                return;
+            }
+
+            const inLeftPanel = $target.closest(this.leftPanel).length > 0;
+
+            switch (e.key) {
+                case 'j':
+                case 'ArrowDown':
+                    if (e.key === 'ArrowDown' && !inLeftPanel) {
+                        return;
+                    }
+                    e.preventDefault();
+                    this.moveSelection(1);
+                    break;
+
+                case 'k':
+                case 'ArrowUp':
+                    if (e.key === 'ArrowUp' && !inLeftPanel) {
+                        return;
+                    }
+                    e.preventDefault();
+                    this.moveSelection(-1);
+                    break;
+
+                case 'Enter': {
+                    const $row = this.getActiveRow();
+                    if ($row.length > 0 && (inLeftPanel || $target.is('body'))) {
+                        e.preventDefault();
+                        this.openPanel($row.data('id'));
+                    }
+                    break;
+                }
+            }
+        }
+
+        /**
+         * Get selectable rows on current page
+         *
+         * @return {jQuery} Rows with entity ID
+         */
+        getRows() {
+            return this.leftPanel.find('.wpapp-datatable').first().find('tbody tr').filter(function() {
+                return !!$(this).data('id');
+            });
+        }
+
+        /**
+         * Get active row element
+         *
+         * @return {jQuery} Active row (may be empty)
+         */
+        getActiveRow() {
+            return this.leftPanel.find('.wpapp-datatable tbody tr.wpapp-row-active').first();
+        }
+
+        /**
+         * Move active row selection
+         *
+         * Crosses page boundary through the DataTable API.
+         *
+         * @param {number} direction 1 = next, -1 = previous
+         */
+        moveSelection(direction) {
+            const $rows = this.getRows();
+
+            if ($rows.length === 0) {
+                return;
+            }
+
+            const index = $rows.index(this.getActiveRow());
+
+            // Nothing selected yet: start at first / last row
+            if (index === -1) {
+                this.selectRow(direction > 0 ? $rows.first() : $rows.last());
+                return;
+            }
+
+            const nextIndex = index + direction;
+
+            if (nextIndex >= 0 && nextIndex < $rows.length) {
+                this.selectRow($rows.eq(nextIndex));
+                return;
+            }
+
+            this.changePage(direction, ($row) => {
+                this.selectRow($row);
+            });
+        }
+
+        /**
+         * Go to next/previous DataTable page
+         *
+         * @param {number} direction 1 = next, -1 = previous
+         * @param {Function} callback Receives first (next) or last (previous) row after draw
+         * @return {boolean} False if there is no page in that direction
+         */
+        changePage(direction, callback) {
+            if (!this.dataTable) {
+                this.getDataTableInstance();
+            }
+
+            if (!this.dataTable) {
+                return false;
+            }
+
+            const info = this.dataTable.page.info();
+            const target = info.page + direction;
+
+            if (target < 0 || target >= info.pages) {
+                return false;
+            }
+
+            this.dataTable.one('draw', () => {
+                const $rows = this.getRows();
+                const $row = direction > 0 ? $rows.first() : $rows.last();
+
+                if ($row.length > 0) {
+                    callback($row);
+                }
+            });
+
+            this.dataTable.page(direction > 0 ? 'next' : 'previous').draw('page');
+            return true;
+        }
+
+        /**
+         * Open adjacent record (current DataTable order and filters)
+         *
+         * @param {number} direction 1 = next, -1 = previous
+         * @return {boolean} False if there is no adjacent record
+         */
+        stepRecord(direction) {
+            if (!this.isOpen || !this.currentId) {
+                return false;
+            }
+
+            const $rows = this.getRows();
+            const index = this.getCurrentRowIndex($rows);
+
+            // Open record not on current page (deep link, filtered out)
+            if (index === -1) {
+                return false;
+            }
+
+            const $target = $rows.eq(index + direction);
+
+            if (index + direction >= 0 && $target.length > 0) {
+                this.selectRow($target, { focus: false });
+                this.openPanel($target.data('id'));
+                return true;
+            }
+
+            return this.changePage(direction, ($row) => {
+                this.selectRow($row, { focus: false });
+                this.openPanel($row.data('id'));
+            });
+        }
+
+        /**
+         * Get index of open record in current page rows
+         *
+         * @param {jQuery} $rows Rows from getRows()
+         * @return {number} Index or -1
+         */
+        getCurrentRowIndex($rows) {
+            const currentId = String(this.currentId);
+
+            return $rows.toArray().findIndex(function(row) {
+                return String($(row).data('id')) === currentId;
+            });
+        }
+
+        /**
+         * Enable/disable prev/next buttons for open record
+         */
+        updateRecordNav() {
+            const $prev = this.rightPanel.find('.wpapp-panel-prev');
+            const $next = this.rightPanel.find('.wpapp-panel-next');
+
+            if ($prev.length === 0 && $next.length === 0) {
+                return;
+            }
+
+            if (!this.dataTable) {
+                this.getDataTableInstance();
+            }
+
+            const $rows = this.getRows();
+            const index = this.currentId ? this.getCurrentRowIndex($rows) : -1;
+            const info = this.dataTable ? this.dataTable.page.info() : { page: 0, pages: 1 };
+
+            const found = index !== -1;
+            const hasPrev = found && (index > 0 || info.page > 0);
+            const hasNext = found && (index < $rows.length - 1 || info.page < info.pages - 1);
+
+            $prev.prop('disabled', !hasPrev);
+            $next.prop('disabled', !hasNext);
+        }
+
+        /**
+         * Mark row as active
+         *
+         * @param {jQuery} $row Table row
+         * @param {Object} options
+         * @param {boolean} options.focus Move focus to row (default true)
+         */
+        selectRow($row, options = {}) {
+            if (!$row || $row.length === 0) {
+                return;
+            }
+
+            const entityId = $row.data('id');
+
+            this.activeRowId = entityId;
+            this.markActiveRow();
+
+            if (options.focus !== false) {
+                $row.attr('tabindex', '-1').trigger('focus');
+            }
+
+            $(document).trigger('wpapp:row-selected', {
+                entity: this.currentEntity,
+                id: entityId,
+                index: this.getRows().index($row),
+                $row: $row
+            });
+        }
+
+        /**
+         * Apply active row marker for activeRowId
+         */
+        markActiveRow() {
+            const activeId = this.activeRowId;
+
+            this.leftPanel.find('.wpapp-datatable').first().find('tbody tr').each(function() {
+                const isActive = activeId !== null && String($(this).data('id')) === String(activeId);
+
+                $(this)
+                    .toggleClass('wpapp-row-active', isActive)
+                    .attr('aria-selected', isActive ? 'true' : 'false');
+            });
+        }
+
         /**
          * Close right panel
+         *
+         * @param {Object} options
+         * @param {boolean} options.fromRoute Hash already cleared (back/forward)
+         * @param {Object|null} options.previous Route before it (restored when vetoed)
          */
-        closePanel() {
+        closePanel(options = {}) {
             if (!this.isOpen) {
                 return;
             }
@@ -277,12 +792,16 @@
             // Trigger closing event
             const closingEvent = $.Event('wpapp:panel-closing', {
                 entity: this.currentEntity,
-                id: this.currentId
+                id: this.currentId,
+                fromRoute: !!options.fromRoute
             });
             $(document).trigger(closingEvent);
 
             // If event prevented, stop
             if (closingEvent.isDefaultPrevented()) {
+                if (options.fromRoute) {
+                    this.restoreRoute(options.previous);
+                }
                 return;
             }
 
@@ -291,12 +810,18 @@
                 this.ajaxRequest.abort();
                 this.ajaxRequest = null;
             }
+            this.abortRevalidate();
 
             // Hide panel with animation
             this.hidePanel();
 
+            // Tear down components of closed record
+            this.unmountComponents();
+
             // Clear hash
-            this.clearHash();
+            if (!options.fromRoute) {
+                this.clearHash();
+            }
 
             // Reset current ID
             this.currentId = null;
@@ -460,8 +985,10 @@
          * Load panel data via AJAX
          *
          * @param {number} entityId Entity ID
+         * @param {Object} options
+         * @param {boolean} options.force Skip cache and fetch from server
          */
-        loadPanelData(entityId) {
+        loadPanelData(entityId, options = {}) {
             const ajaxAction = this.layout.data('ajax-action');
 
             if (!ajaxAction) {
@@ -469,6 +996,19 @@
                 return;
             }
 
+            // Background revalidation belongs to previous load
+            this.abortRevalidate();
+
+            // Cache hit: render instantly, revalidate in background
+            if (!options.force) {
+                const cached = this.getCache(entityId);
+
+                if (cached) {
+                    this.renderFromCache(entityId, cached);
+                    return;
+                }
+            }
+
             console.group('📡 DEBUG: AJAX Data Loading');
             const ajaxStart = Date.now();
             console.log('🔹 Entity:', this.currentEntity);
@@ -488,35 +1028,392 @@
                 this.ajaxRequest.abort();
             }
 
-            // Make AJAX request
-            this.ajaxRequest = $.ajax({
-                url: wpAppConfig.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: ajaxAction,
-                    entity: this.currentEntity,
-                    id: entityId,
-                    nonce: wpAppConfig.nonce
-                },
-                success: (response) => {
+            // Adopt in-flight prefetch instead of sending a second request
+            const prefetched = options.force ? null : this.claimPrefetch(entityId);
+
+            if (prefetched) {
+                console.log('♻️ Using in-flight prefetch request');
+            } else if (options.force) {
+                this.cancelPrefetch(entityId);
+            }
+
+            const request = prefetched || this.requestPanel(entityId);
+
+            this.ajaxRequest = request;
+
+            request
+                .done((data, response) => {
                     const elapsed = Date.now() - ajaxStart;
                     console.log('✅ AJAX Success - Elapsed:', elapsed + 'ms');
                     console.log('📦 Response:', response);
                     this.handleAjaxSuccess(response, entityId);
-                },
-                error: (jqXHR, textStatus, errorThrown) => {
+                })
+                .fail((error) => {
                     const elapsed = Date.now() - ajaxStart;
                     console.error('❌ AJAX Error - Elapsed:', elapsed + 'ms');
-                    console.error('📦 Error:', textStatus, errorThrown);
-                    this.handleAjaxError(jqXHR, textStatus, errorThrown, entityId);
-                },
-                complete: () => {
+                    console.error('📦 Error:', error.code, error.message);
+                    this.handleAjaxError(error, entityId);
+                })
+                .always(() => {
                     const elapsed = Date.now() - ajaxStart;
                     console.log('🏁 AJAX Complete - Total time:', elapsed + 'ms');
                     console.groupEnd();
-                    this.ajaxRequest = null;
+
+                    if (this.ajaxRequest === request) {
+                        this.ajaxRequest = null;
+                    }
+                });
+        }
+
+        /**
+         * Schedule prefetch for hovered / focused row
+         *
+         * @param {number|string} entityId Entity ID
+         */
+        schedulePrefetch(entityId) {
+            if (!entityId || (this.isOpen && this.currentId === entityId)) {
+                return;
+            }
+
+            const key = this.getCacheKey(entityId);
+
+            if (this.prefetches.has(key) || this.getCache(entityId)) {
+                return;
+            }
+
+            const prefetch = { timer: null, request: null };
+
+            prefetch.timer = setTimeout(() => {
+                prefetch.timer = null;
+                this.prefetch(entityId, prefetch);
+            }, this.prefetchConfig.delay);
+
+            this.prefetches.set(key, prefetch);
+        }
+
+        /**
+         * Send prefetch request (respects concurrency limit)
+         *
+         * @param {number|string} entityId Entity ID
+         * @param {Object} prefetch Prefetch entry { timer, request }
+         */
+        prefetch(entityId, prefetch) {
+            const key = this.getCacheKey(entityId);
+            let inFlight = 0;
+
+            this.prefetches.forEach(function(item) {
+                if (item.request) {
+                    inFlight++;
                 }
             });
+
+            if (inFlight >= this.prefetchConfig.maxConcurrent) {
+                this.prefetches.delete(key);
+                return;
+            }
+
+            prefetch.request = this.requestPanel(entityId);
+
+            prefetch.request
+                .done((data) => {
+                    if (data) {
+                        this.setCache(entityId, data);
+                    }
+                })
+                .always(() => {
+                    if (this.prefetches.get(key) === prefetch) {
+                        this.prefetches.delete(key);
+                    }
+                });
+
+            if (typeof wpAppConfig !== 'undefined' && wpAppConfig.debug) {
+                console.log('[WPApp Panel] Prefetching:', this.currentEntity, entityId);
+            }
+        }
+
+        /**
+         * Cancel pending or in-flight prefetch
+         *
+         * @param {number|string} entityId Entity ID (omit to cancel all)
+         */
+        cancelPrefetch(entityId) {
+            const keys = entityId === undefined
+                ? Array.from(this.prefetches.keys())
+                : [this.getCacheKey(entityId)];
+
+            keys.forEach((key) => {
+                const prefetch = this.prefetches.get(key);
+
+                if (!prefetch) {
+                    return;
+                }
+
+                this.prefetches.delete(key);
+
+                if (prefetch.timer) {
+                    clearTimeout(prefetch.timer);
+                }
+
+                if (prefetch.request) {
+                    prefetch.request.abort();
+                }
+            });
+        }
+
+        /**
+         * Take over in-flight prefetch request
+         *
+         * Claimed requests are no longer cancelled on mouseleave.
+         *
+         * @param {number|string} entityId Entity ID
+         * @return {Object|null} WPAppAjax promise or null
+         */
+        claimPrefetch(entityId) {
+            const key = this.getCacheKey(entityId);
+            const prefetch = this.prefetches.get(key);
+
+            if (!prefetch) {
+                return null;
+            }
+
+            this.prefetches.delete(key);
+
+            if (prefetch.timer) {
+                clearTimeout(prefetch.timer);
+            }
+
+            return prefetch.request;
+        }
+
+        /**
+         * Get AJAX request data for panel load
+         *
+         * @param {number|string} entityId Entity ID
+         * @return {Object} Request data
+         */
+        getRequestData(entityId) {
+            return {
+                action: this.layout.data('ajax-action'),
+                entity: this.currentEntity,
+                id: entityId,
+                nonce: wpAppConfig.nonce
+            };
+        }
+
+        /**
+         * Send panel load request (WPAppAjax, expired nonce refreshed)
+         *
+         * @param {number|string} entityId Entity ID
+         * @return {Object} WPAppAjax promise with abort()
+         */
+        requestPanel(entityId) {
+            const data = this.getRequestData(entityId);
+
+            return WPAppAjax.post(data.action, data, {
+                nonce: 'wpapp_panel_nonce',
+                url: wpAppConfig.ajaxUrl
+            });
+        }
+
+        /**
+         * Render cached response and revalidate in background
+         *
+         * @param {number|string} entityId Entity ID
+         * @param {Object} entry Cache entry
+         */
+        renderFromCache(entityId, entry) {
+            // Previous record may still be loading
+            if (this.ajaxRequest) {
+                this.ajaxRequest.abort();
+                this.ajaxRequest = null;
+            }
+
+            if (typeof wpAppConfig !== 'undefined' && wpAppConfig.debug) {
+                console.log('[WPApp Panel] Cache hit:', this.currentEntity, entityId,
+                    'age', Math.round((Date.now() - entry.time) / 1000) + 's');
+            }
+
+            this.handleAjaxSuccess({ success: true, data: entry.data }, entityId, { fromCache: true });
+
+            if (Date.now() - entry.time >= this.cacheConfig.revalidateAfter * 1000) {
+                this.revalidate(entityId, entry);
+            }
+        }
+
+        /**
+         * Refetch cached panel in background
+         *
+         * A response that differs from the cached one is cached and, for the
+         * open record, offered with a notice (showStaleNotice()).
+         *
+         * @param {number|string} entityId Entity ID
+         * @param {Object} entry Cache entry
+         */
+        revalidate(entityId, entry) {
+            this.revalidateRequest = this.requestPanel(entityId)
+                .done((data) => {
+                    if (!data) {
+                        // Record gone
+                        this.invalidateCache(entityId);
+                        return;
+                    }
+
+                    if (JSON.stringify(data) === entry.json) {
+                        entry.time = Date.now();
+                        return;
+                    }
+
+                    this.setCache(entityId, data);
+
+                    if (this.isOpen && this.currentId === entityId) {
+                        this.showStaleNotice(entityId, data);
+                    }
+                })
+                .fail((error) => {
+                    // Record gone or no access anymore (network errors keep the cache)
+                    if (error.code !== 'abort' && WPAppAjax.RETRYABLE.indexOf(error.code) === -1) {
+                        this.invalidateCache(entityId);
+                    }
+                })
+                .always(() => {
+                    this.revalidateRequest = null;
+                });
+        }
+
+        /**
+         * Show "record changed - Reload" notice on the open panel
+         *
+         * The panel is not replaced by itself: the user may be editing a form,
+         * on another tab or in a nested layer. Reload asks before discarding
+         * unsaved changes (WPAppFormGuard).
+         *
+         * @param {number|string} entityId Entity ID
+         * @param {Object} data Revalidated response data
+         */
+        showStaleNotice(entityId, data) {
+            const i18n = (wpAppConfig && wpAppConfig.i18n) || {};
+            const $content = this.rightPanel.find('.wpapp-panel-content').first();
+            const $notice = $('<div class="notice notice-info inline wpapp-panel-stale" role="status"><p></p></div>');
+
+            const reload = () => {
+                if (!this.isOpen || this.currentId !== entityId) {
+                    return;
+                }
+
+                this.handleAjaxSuccess({ success: true, data: data }, entityId, { fromCache: true, revalidated: true });
+            };
+
+            $notice.find('p')
+                .text((i18n.panelStale || 'This record has changed since it was opened.') + ' ')
+                .append($('<button type="button" class="button-link"></button>').text(i18n.reload || 'Reload').on('click', () => {
+                    const guard = window.WPAppFormGuard;
+
+                    if (guard && guard.isDirty('.wpapp-right-panel')) {
+                        guard.confirmDiscard(() => {
+                            guard.markClean(this.rightPanel);
+                            reload();
+                        });
+                        return;
+                    }
+
+                    reload();
+                }));
+
+            $content.children('.wpapp-panel-stale').remove();
+            $content.prepend($notice);
+        }
+
+        /**
+         * Abort background revalidation
+         */
+        abortRevalidate() {
+            if (this.revalidateRequest) {
+                this.revalidateRequest.abort();
+                this.revalidateRequest = null;
+            }
+        }
+
+        /**
+         * Get cache key
+         *
+         * @param {number|string} entityId Entity ID
+         * @return {string} Cache key
+         */
+        getCacheKey(entityId) {
+            return this.currentEntity + ':' + entityId;
+        }
+
+        /**
+         * Get fresh cache entry (marks entry as recently used)
+         *
+         * @param {number|string} entityId Entity ID
+         * @return {Object|null} Cache entry { data, json, time } or null
+         */
+        getCache(entityId) {
+            if (!this.cacheConfig.enabled) {
+                return null;
+            }
+
+            const key = this.getCacheKey(entityId);
+            const entry = this.cache.get(key);
+
+            if (!entry) {
+                return null;
+            }
+
+            // Expired: drop and fetch normally
+            if (Date.now() - entry.time > this.cacheConfig.ttl * 1000) {
+                this.cache.delete(key);
+                return null;
+            }
+
+            // LRU: move to most recent position
+            this.cache.delete(key);
+            this.cache.set(key, entry);
+
+            return entry;
+        }
+
+        /**
+         * Store response data in cache
+         *
+         * @param {number|string} entityId Entity ID
+         * @param {Object} data Response data
+         */
+        setCache(entityId, data) {
+            if (!this.cacheConfig.enabled) {
+                return;
+            }
+
+            const key = this.getCacheKey(entityId);
+
+            this.cache.delete(key);
+            this.cache.set(key, {
+                data: data,
+                json: JSON.stringify(data),
+                time: Date.now()
+            });
+
+            // Evict least recently used
+            while (this.cache.size > this.cacheConfig.maxEntries) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+
+        /**
+         * Public API: Invalidate cached panel response
+         *
+         * @param {number|string} entityId Entity ID (omit to clear whole cache)
+         */
+        invalidateCache(entityId) {
+            if (entityId === undefined || entityId === null) {
+                this.cache.clear();
+                this.cancelPrefetch();
+                return;
+            }
+
+            this.cache.delete(this.getCacheKey(entityId));
+            this.cancelPrefetch(entityId);
         }
 
         /**
@@ -524,8 +1421,11 @@
          *
          * @param {Object} response AJAX response
          * @param {number} entityId Entity ID
+         * @param {Object} options
+         * @param {boolean} options.fromCache Rendered from cache
+         * @param {boolean} options.revalidated Re-rendered with revalidated data (Reload notice)
          */
-        handleAjaxSuccess(response, entityId) {
+        handleAjaxSuccess(response, entityId, options = {}) {
             console.log('[WPApp Panel] AJAX Response:', response);
             console.log('[WPApp Panel] Response success:', response.success);
             console.log('[WPApp Panel] Response data:', response.data);
@@ -536,16 +1436,28 @@
                 console.log('[WPApp Panel] Data tabs:', response.data.tabs);
                 console.log('[WPApp Panel] Tabs count:', response.data.tabs ? Object.keys(response.data.tabs).length : 0);
 
-                // Update panel content
+                if (!options.fromCache) {
+                    this.setCache(entityId, response.data);
+                }
+
+                // Replace content, tearing down previous components first
+                this.rightPanel.find('.wpapp-panel-stale').remove();
+                this.unmountComponents();
                 this.updatePanelContent(response.data);
+                this.mountComponents(entityId);
 
                 // Trigger data loaded event
                 $(document).trigger('wpapp:panel-data-loaded', {
                     entity: this.currentEntity,
                     id: entityId,
-                    data: response.data
+                    data: response.data,
+                    fromCache: !!options.fromCache,
+                    revalidated: !!options.revalidated
                 });
 
+                // Apply nested selection from URL (#entity/123/tab/x/child/5)
+                this.syncNestedSelection();
+
                 console.log('[WPApp Panel] Panel content updated successfully');
             } else {
                 console.error('[WPApp Panel] Response error or no data');
@@ -569,18 +1481,16 @@
         /**
          * Handle AJAX error
          *
-         * @param {Object} jqXHR jQuery XHR object
-         * @param {string} textStatus Status text
-         * @param {string} errorThrown Error message
+         * @param {Object} error WPAppAjax error { code, message, status, data }
          * @param {number} entityId Entity ID
          */
-        handleAjaxError(jqXHR, textStatus, errorThrown, entityId) {
+        handleAjaxError(error, entityId) {
             // Don't show error if request was aborted
-            if (textStatus === 'abort') {
+            if (error.code === 'abort') {
                 return;
             }
 
-            const errorMessage = errorThrown || 'Network error';
+            const errorMessage = error.message || 'Network error';
             this.showError(errorMessage);
 
             // Trigger error event
@@ -588,7 +1498,7 @@
                 entity: this.currentEntity,
                 id: entityId,
                 message: errorMessage,
-                status: jqXHR.status
+                status: error.status
             });
         }
 
@@ -659,6 +1569,7 @@
                         }
 
                         // Destroy any DataTables in this tab before replacing content
+                        // (already done by unmountComponents() when registry is loaded)
                         $tab.find('table').each(function() {
                             if ($.fn.DataTable && $.fn.DataTable.isDataTable(this)) {
                                 console.log('[WPApp Panel] Destroying DataTable:', $(this).attr('id'));
@@ -696,6 +1607,38 @@
             console.log('[WPApp Panel] Content update complete');
         }
 
+        /**
+         * Mount registered components in panel content
+         *
+         * @param {number|string} entityId Entity ID
+         */
+        mountComponents(entityId) {
+            if (!window.wpAppComponents) {
+                return;
+            }
+
+            window.wpAppComponents.mountAll(this.rightPanel.find('.wpapp-panel-content'), {
+                entity: this.currentEntity,
+                id: entityId,
+                source: 'panel'
+            });
+        }
+
+        /**
+         * Unmount components in panel content (maps, nested DataTables, ...)
+         */
+        unmountComponents() {
+            if (!window.wpAppComponents) {
+                return;
+            }
+
+            window.wpAppComponents.unmountAll(this.rightPanel.find('.wpapp-panel-content'), {
+                entity: this.currentEntity,
+                id: this.currentId,
+                source: 'panel'
+            });
+        }
+
         /**
          * Show loading state
          */
@@ -767,13 +1710,18 @@
         /**
          * Update URL hash
          *
-         * @param {number} entityId Entity ID
+         * @param {number|string} entityId Entity ID
          */
         updateHash(entityId) {
-            if (this.currentEntity && entityId) {
-                const newHash = `${this.currentEntity}-${entityId}`;
+            if (!this.currentEntity || !entityId) {
+                return;
+            }
+
+            if (this.router) {
+                this.router.navigate({ entity: this.currentEntity, id: entityId }, { silent: true });
+            } else {
                 // Use history.pushState to avoid scroll jump (consistent with clearHash)
-                history.pushState(null, document.title, window.location.pathname + window.location.search + '#' + newHash);
+                history.pushState(null, document.title, window.location.pathname + window.location.search + '#' + this.currentEntity + '/' + entityId);
             }
         }
 
@@ -781,8 +1729,12 @@
          * Clear URL hash
          */
         clearHash() {
-            // Remove hash without triggering hashchange
-            history.pushState('', document.title, window.location.pathname + window.location.search);
+            if (this.router) {
+                this.router.clear({ silent: true });
+            } else {
+                // Remove hash without triggering hashchange
+                history.pushState('', document.title, window.location.pathname + window.location.search);
+            }
         }
 
         /**
@@ -796,47 +1748,100 @@
         }
 
         /**
-         * Check hash change (browser back/forward)
+         * Put the URL back after a vetoed route-driven open / close
+         *
+         * @param {Object|null} previous Route before the change
          */
-        checkHashChange() {
-            const hash = window.location.hash.substring(1); // Remove #
+        restoreRoute(previous) {
+            if (this.router) {
+                this.router.navigate(previous || null, { replace: true, silent: true });
+            }
+        }
 
-            if (hash) {
-                this.parseAndOpenHash(hash);
-            } else {
-                // Hash cleared, close panel
-                if (this.isOpen) {
-                    this.hidePanel(); // Direct hide, no hash update
-                    this.currentId = null;
-                }
+        /**
+         * Handle route change from WPAppHashRouter
+         *
+         * @param {Object|null} route Route object (null = hash cleared)
+         * @param {Object|null} previous Route before the change
+         */
+        handleRouteChange(route, previous = null) {
+            if (!route) {
+                // Hash cleared, close panel (no hash update)
+                this.closePanel({ fromRoute: true, previous: previous });
+                return;
+            }
+
+            // Only handle routes for current context
+            if (route.entity !== this.currentEntity) {
+                return;
             }
+
+            if (route.id !== this.currentId || !this.isOpen) {
+                // Tab and nested selection applied after data loads
+                this.openPanel(route.id, { fromRoute: true, route: route, previous: previous });
+                return;
+            }
+
+            // Same record: tab handled by tab manager, sync nested selection
+            this.syncNestedSelection(route);
+        }
+
+        /**
+         * Trigger nested entity selection from route
+         *
+         * Fired after panel data is loaded, so tab content is available.
+         *
+         * @param {Object|null} route Route object (defaults to current route)
+         */
+        syncNestedSelection(route) {
+            route = route || (this.router ? this.router.getCurrent() : null);
+
+            if (!route || route.entity !== this.currentEntity || route.id !== this.currentId) {
+                return;
+            }
+
+            route.nested.forEach((item, index) => {
+                $(document).trigger('wpapp:nested-selected', {
+                    parent: index === 0
+                        ? { entity: route.entity, id: route.id }
+                        : route.nested[index - 1],
+                    entity: item.entity,
+                    id: item.id,
+                    tab: route.tab,
+                    depth: index + 1
+                });
+            });
         }
 
         /**
          * Parse hash and open panel
          *
-         * @param {string} hash Hash string (e.g., "customer-123")
+         * @param {string} hash Hash string (e.g., "customer/123" or legacy "customer-123")
          */
         parseAndOpenHash(hash) {
-            const parts = hash.split('-');
+            if (!this.router) {
+                return;
+            }
 
-            if (parts.length >= 2) {
-                const entity = parts[0];
-                const id = parseInt(parts[parts.length - 1], 10);
+            const route = this.router.parse(hash);
 
-                // Only open if entity matches current context
-                if (entity === this.currentEntity && id > 0) {
-                    this.openPanel(id);
+            if (route) {
+                // Normalize legacy format (#customer-123&tab=x) in place
+                if (this.router.build(route) !== hash) {
+                    this.router.navigate(route, { replace: true, silent: true });
                 }
+
+                this.handleRouteChange(route);
             }
         }
 
         /**
-         * Refresh current panel
+         * Refresh current panel (bypasses cache)
          */
         refresh() {
             if (this.isOpen && this.currentId) {
-                this.loadPanelData(this.currentId);
+                this.invalidateCache(this.currentId);
+                this.loadPanelData(this.currentId, { force: true });
             }
         }
 
@@ -849,6 +1854,24 @@
             this.openPanel(entityId);
         }
 
+        /**
+         * Public API: Open next record
+         *
+         * @return {boolean} False if there is no next record
+         */
+        next() {
+            return this.stepRecord(1);
+        }
+
+        /**
+         * Public API: Open previous record
+         *
+         * @return {boolean} False if there is no previous record
+         */
+        prev() {
+            return this.stepRecord(-1);
+        }
+
         /**
          * Public API: Close panel programmatically
          */
@@ -0,0 +1,384 @@
+/**
+ * WP App Core - Panel Resizer
+ *
+ * Draggable divider between left (DataTable) and right (detail) panels,
+ * with per-entity width persistence and a maximized panel mode.
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.0.1
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.0.1 - 2026-10-18
+ * - Width saved through WPAppAjax (expired nonce refreshed and retried)
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Drag divider (pointer events) with min/max width constraints
+ * - Keyboard resize on focused divider (ArrowLeft/ArrowRight, Shift = larger step)
+ * - Double-click divider to reset to default width
+ * - Per-entity persistence: localStorage (default) or user meta (persist: 'user')
+ * - Maximize mode hides the list entirely (.wpapp-panel-maximize button)
+ *
+ * Config (wpAppConfig.panelLayout, widths in % of row):
+ * - minWidth: 25, maxWidth: 75, defaultWidth: 55
+ * - persist: 'local' | 'user' | 'none'
+ *
+ * Events Triggered:
+ * - wpapp:panel-resized - After drag / keyboard resize / reset ({ entity, width })
+ * - wpapp:panel-maximized - Maximize toggled ({ entity, maximized })
+ *
+ * Usage:
+ * ```javascript
+ * wpAppPanelResizer.setWidth(60);
+ * wpAppPanelResizer.reset();
+ * wpAppPanelResizer.toggleMaximize();
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Panel Resizer Class
+     */
+    class WPAppPanelResizer {
+        constructor() {
+            this.layout = null;
+            this.row = null;
+            this.divider = null;
+            this.currentEntity = null;
+            this.width = null;
+            this.maximized = false;
+            this.saveTimer = null;
+            this.config = {
+                minWidth: 25,
+                maxWidth: 75,
+                defaultWidth: 55,
+                persist: 'local'
+            };
+
+            this.init();
+        }
+
+        /**
+         * Initialize resizer
+         */
+        init() {
+            this.layout = $('.wpapp-datatable-layout');
+
+            if (this.layout.length === 0) {
+                return;
+            }
+
+            if (typeof wpAppConfig !== 'undefined' && wpAppConfig.panelLayout) {
+                $.extend(this.config, wpAppConfig.panelLayout);
+            }
+
+            this.currentEntity = this.layout.data('entity');
+            this.row = this.layout.find('.wpapp-row').first();
+            this.divider = this.layout.find('.wpapp-panel-divider');
+
+            // Older templates without divider markup
+            if (this.divider.length === 0) {
+                this.divider = $('<div class="wpapp-panel-divider" role="separator" aria-orientation="vertical" tabindex="0"></div>');
+                this.layout.find('.wpapp-right-panel').before(this.divider);
+            }
+
+            this.divider.attr({
+                'aria-valuemin': this.config.minWidth,
+                'aria-valuemax': this.config.maxWidth
+            });
+
+            this.applyWidth(this.load());
+            this.bindEvents();
+
+            if (typeof wpAppConfig !== 'undefined' && wpAppConfig.debug) {
+                console.log('[WPApp Resizer] Initialized', {
+                    entity: this.currentEntity,
+                    width: this.width,
+                    persist: this.config.persist
+                });
+            }
+        }
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents() {
+            const self = this;
+
+            this.divider.on('pointerdown', function(e) {
+                self.startDrag(e);
+            });
+
+            this.divider.on('dblclick', function(e) {
+                e.preventDefault();
+                self.reset();
+            });
+
+            this.divider.on('keydown', function(e) {
+                const step = e.shiftKey ? 10 : 2;
+
+                // Divider moves left = right panel grows
+                if (e.key === 'ArrowLeft') {
+                    e.preventDefault();
+                    self.setWidth(self.width + step);
+                } else if (e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    self.setWidth(self.width - step);
+                } else if (e.key === 'Home') {
+                    e.preventDefault();
+                    self.setWidth(self.config.maxWidth);
+                } else if (e.key === 'End') {
+                    e.preventDefault();
+                    self.setWidth(self.config.minWidth);
+                }
+            });
+
+            this.layout.on('click', '.wpapp-panel-maximize', function(e) {
+                e.preventDefault();
+                self.toggleMaximize();
+            });
+
+            // List must be visible again after panel closes
+            $(document).on('wpapp:panel-closed', function() {
+                self.setMaximized(false, { silent: true });
+            });
+        }
+
+        /**
+         * Start dragging divider
+         *
+         * @param {Object} e jQuery pointerdown event
+         */
+        startDrag(e) {
+            const original = e.originalEvent;
+
+            if (original.button !== 0) {
+                return;
+            }
+
+            e.preventDefault();
+
+            const rect = this.row[0].getBoundingClientRect();
+            const divider = this.divider[0];
+
+            divider.setPointerCapture(original.pointerId);
+            this.layout.addClass('wpapp-resizing');
+
+            this.divider.on('pointermove.wpappResize', (moveEvent) => {
+                const clientX = moveEvent.originalEvent.clientX;
+                this.applyWidth((rect.right - clientX) / rect.width * 100);
+            });
+
+            this.divider.on('pointerup.wpappResize pointercancel.wpappResize', () => {
+                this.divider.off('.wpappResize');
+
+                if (divider.hasPointerCapture(original.pointerId)) {
+                    divider.releasePointerCapture(original.pointerId);
+                }
+
+                this.layout.removeClass('wpapp-resizing');
+                this.afterResize();
+            });
+        }
+
+        /**
+         * Clamp width to min/max
+         *
+         * @param {number} width Width in %
+         * @return {number} Clamped width
+         */
+        clamp(width) {
+            const value = parseFloat(width);
+
+            if (isNaN(value)) {
+                return this.config.defaultWidth;
+            }
+
+            return Math.min(this.config.maxWidth, Math.max(this.config.minWidth, value));
+        }
+
+        /**
+         * Apply right panel width (no persistence)
+         *
+         * @param {number} width Width in %
+         */
+        applyWidth(width) {
+            this.width = Math.round(this.clamp(width) * 10) / 10;
+            this.layout[0].style.setProperty('--wpapp-right-panel-width', this.width + '%');
+            this.divider.attr('aria-valuenow', this.width);
+        }
+
+        /**
+         * Persist width and re-layout DataTable
+         */
+        afterResize() {
+            this.save();
+            this.adjustDataTable();
+
+            $(document).trigger('wpapp:panel-resized', {
+                entity: this.currentEntity,
+                width: this.width
+            });
+        }
+
+        /**
+         * Adjust main DataTable columns to new width
+         */
+        adjustDataTable() {
+            const panel = window.wpAppPanelManager;
+
+            if (panel && panel.dataTable) {
+                panel.dataTable.columns.adjust();
+            }
+        }
+
+        /**
+         * Load stored width
+         *
+         * @return {number} Width in %
+         */
+        load() {
+            if (this.config.persist === 'user') {
+                const prefs = (typeof wpAppConfig !== 'undefined' && wpAppConfig.preferences) || {};
+                const entityPrefs = prefs[this.currentEntity] || {};
+
+                return entityPrefs.panel_width || this.config.defaultWidth;
+            }
+
+            if (this.config.persist === 'local') {
+                try {
+                    const stored = window.localStorage.getItem(this.getStorageKey());
+                    return stored ? parseFloat(stored) : this.config.defaultWidth;
+                } catch (err) {
+                    // localStorage disabled (privacy mode)
+                }
+            }
+
+            return this.config.defaultWidth;
+        }
+
+        /**
+         * Store current width (default width removes the stored value)
+         */
+        save() {
+            const value = this.width === this.config.defaultWidth ? null : this.width;
+
+            if (this.config.persist === 'local') {
+                try {
+                    if (value === null) {
+                        window.localStorage.removeItem(this.getStorageKey());
+                    } else {
+                        window.localStorage.setItem(this.getStorageKey(), String(value));
+                    }
+                } catch (err) {
+                    // localStorage disabled (privacy mode)
+                }
+                return;
+            }
+
+            if (this.config.persist !== 'user') {
+                return;
+            }
+
+            // Debounce keyboard resizing
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => {
+                WPAppAjax.post('wpapp_save_datatable_preference', {
+                    nonce: wpAppConfig.nonce,
+                    entity: this.currentEntity,
+                    key: 'panel_width',
+                    value: JSON.stringify(value)
+                }, {
+                    nonce: 'wpapp_panel_nonce',
+                    url: wpAppConfig.ajaxUrl
+                }).fail((error) => {
+                    console.warn('[WPApp Resizer] Failed to save panel width:', error.message);
+                });
+            }, 500);
+        }
+
+        /**
+         * Get localStorage key
+         *
+         * @return {string}
+         */
+        getStorageKey() {
+            return 'wpapp_panel_width_' + this.currentEntity;
+        }
+
+        /**
+         * Public API: Set right panel width
+         *
+         * @param {number} width Width in % (clamped to min/max)
+         */
+        setWidth(width) {
+            this.applyWidth(width);
+            this.afterResize();
+        }
+
+        /**
+         * Public API: Reset to default width
+         */
+        reset() {
+            this.setWidth(this.config.defaultWidth);
+        }
+
+        /**
+         * Public API: Toggle maximized panel
+         */
+        toggleMaximize() {
+            this.setMaximized(!this.maximized);
+        }
+
+        /**
+         * Public API: Maximize or restore panel
+         *
+         * @param {boolean} maximized Hide list when true
+         * @param {Object} options
+         * @param {boolean} options.silent Don't trigger wpapp:panel-maximized
+         */
+        setMaximized(maximized, options = {}) {
+            if (this.maximized === maximized) {
+                return;
+            }
+
+            const i18n = (typeof wpAppConfig !== 'undefined' && wpAppConfig.i18n) || {};
+            const label = maximized
+                ? (i18n.restorePanel || 'Restore panel')
+                : (i18n.maximizePanel || 'Maximize panel');
+
+            this.maximized = maximized;
+            this.layout.toggleClass('wpapp-panel-maximized', maximized);
+
+            this.layout.find('.wpapp-panel-maximize')
+                .attr({ 'aria-pressed': maximized ? 'true' : 'false', 'aria-label': label, title: label })
+                .find('.dashicons')
+                .toggleClass('dashicons-editor-expand', !maximized)
+                .toggleClass('dashicons-editor-contract', maximized);
+
+            if (!maximized) {
+                this.adjustDataTable();
+            }
+
+            if (!options.silent) {
+                $(document).trigger('wpapp:panel-maximized', {
+                    entity: this.currentEntity,
+                    maximized: maximized
+                });
+            }
+        }
+    }
+
+    /**
+     * Initialize on document ready
+     */
+    $(document).ready(function() {
+        // Create global instance (after panel manager)
+        window.wpAppPanelResizer = new WPAppPanelResizer();
+    });
+
+})(jQuery);
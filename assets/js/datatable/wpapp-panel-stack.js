@@ -0,0 +1,729 @@
+/**
+ * WP App Core - Panel Stack
+ *
+ * Stacked drill-down layers inside the right panel for nested entities
+ * (e.g., branch row inside customer "Branches" tab).
+ *
+ * @package WPAppCore
+ * @since 1.2.0
+ * @version 1.1.1
+ * @author arisciwek
+ *
+ * Changelog:
+ * 1.1.1 - 2026-10-18
+ * - Layers loaded through WPAppAjax (expired nonce refreshed and retried,
+ *   normalised error message)
+ *
+ * 1.1.0 - 2026-10-18
+ * - Added: Layer content mounted / unmounted via wpAppComponents (source: 'layer')
+ * - Changed: DataTable teardown on pop handled by built-in "datatable" component
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Replaces nested entity prevention with built-in layered navigation
+ * - Each layer has its own AJAX action, tabs, back button and breadcrumb
+ * - Stack reflected in URL (#customer/123/tab/branches/branch/5)
+ * - Browser back pops layers, deep links rebuild the stack
+ *
+ * Triggers:
+ * - .wpapp-nested-trigger (or .wpapp-panel-trigger) inside the right panel
+ * - Row click in .wpapp-datatable inside the right panel
+ *
+ * Entity and AJAX action are resolved from (first match wins):
+ * 1. data-entity / data-ajax-action on the trigger or row
+ * 2. data-entity / data-ajax-action on the closest table or wrapper
+ * 3. Registered entity config (wpAppPanelStack.register())
+ *
+ * Triggers without a resolvable AJAX action are left for custom handlers
+ * (e.g., modals), so existing .wpapp-nested-trigger code keeps working.
+ *
+ * AJAX Request (POST):
+ * - action, entity, id, parent_entity, parent_id, nonce
+ *
+ * AJAX Response:
+ * ```json
+ * {
+ *     "success": true,
+ *     "data": {
+ *         "title": "Branch: Jakarta",
+ *         "tabs": {
+ *             "branch-info": { "title": "Info", "content": "<div>...</div>" },
+ *             "branch-employees": { "title": "Employees", "content": "<table class=\"wpapp-datatable\" ...>" }
+ *         },
+ *         "content": "<div>...</div>"
+ *     }
+ * }
+ * ```
+ *
+ * Events Triggered:
+ * - wpapp:layer-pushing - Before layer is pushed (preventable)
+ * - wpapp:layer-loaded - Layer data loaded and rendered
+ * - wpapp:layer-popped - Layer removed
+ * - wpapp:layer-error - Layer data failed to load
+ *
+ * Usage:
+ * ```javascript
+ * // Register nested entity (needed for deep links when no trigger is in DOM)
+ * wpAppPanelStack.register('branch', { ajaxAction: 'get_branch_panel', idType: 'int' });
+ *
+ * // Initialize components inside a layer
+ * jQuery(document).on('wpapp:layer-loaded', function(e, data) {
+ *     if (data.entity === 'branch') {
+ *         initBranchEmployeesTable(data.$layer);
+ *     }
+ * });
+ * ```
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Panel Stack Class
+     */
+    class WPAppPanelStack {
+        constructor() {
+            this.layout = null;
+            this.rightPanel = null;
+            this.container = null;
+            this.layers = [];
+            this.entities = {};
+            this.router = window.wpAppHashRouter || null;
+
+            this.init();
+        }
+
+        /**
+         * Initialize panel stack
+         */
+        init() {
+            this.layout = $('.wpapp-datatable-layout');
+
+            if (this.layout.length === 0) {
+                return;
+            }
+
+            this.rightPanel = this.layout.find('.wpapp-right-panel');
+
+            this.bindEvents();
+
+            if (typeof wpAppConfig !== 'undefined' && wpAppConfig.debug) {
+                console.log('[WPApp Stack] Initialized');
+            }
+        }
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents() {
+            const self = this;
+
+            // Nested trigger buttons inside right panel (tab content or layers)
+            this.rightPanel.on('click', '.wpapp-nested-trigger, .wpapp-panel-trigger', function(e) {
+                const target = self.resolveTarget($(this));
+
+                if (!target) {
+                    return; // Left for custom handlers
+                }
+
+                e.preventDefault();
+                e.stopPropagation();
+                self.push(target);
+            });
+
+            // Row click in nested DataTables
+            this.rightPanel.on('click', '.wpapp-datatable tbody tr', function(e) {
+                // Ignore action buttons and triggers (handled above or by custom code)
+                if ($(e.target).closest('.wpapp-actions, button, a, input, select').length > 0) {
+                    return;
+                }
+
+                const target = self.resolveTarget($(this));
+
+                if (target) {
+                    self.push(target);
+                }
+            });
+
+            // Back button
+            this.rightPanel.on('click', '.wpapp-layer-back', function(e) {
+                e.preventDefault();
+                self.back();
+            });
+
+            // Breadcrumb (jump to depth)
+            this.rightPanel.on('click', '.wpapp-layer-crumb', function(e) {
+                e.preventDefault();
+                self.popTo(parseInt($(this).data('depth'), 10) || 0);
+            });
+
+            // Layer tabs
+            this.rightPanel.on('click', '.wpapp-layer-tab', function(e) {
+                e.preventDefault();
+                const $layer = $(this).closest('.wpapp-panel-layer');
+                self.switchLayerTab($layer, $(this).data('tab'));
+            });
+
+            // Deep link / forward: panel manager fires one event per nested route item
+            $(document).on('wpapp:nested-selected', function(e, data) {
+                self.handleNestedSelected(data);
+            });
+
+            // Back/forward: drop layers no longer in route
+            $(document).on('wpapp:route-changed', function(e, data) {
+                self.syncWithRoute(data.route);
+            });
+
+            // Parent record switched, closed or tab switched → clear stack
+            $(document).on('wpapp:panel-opening wpapp:panel-closed wpapp:tab-switched', function() {
+                self.clear();
+            });
+        }
+
+        /**
+         * Register nested entity
+         *
+         * @param {string} entity Entity slug
+         * @param {Object} options
+         * @param {string} options.ajaxAction AJAX action returning layer data
+         * @param {string} options.idType Route ID type (int, string, slug)
+         */
+        register(entity, options = {}) {
+            this.entities[entity] = $.extend({
+                ajaxAction: null,
+                idType: 'int'
+            }, options);
+
+            if (this.router) {
+                this.router.register(entity, { idType: this.entities[entity].idType });
+            }
+        }
+
+        /**
+         * Resolve entity, ID and AJAX action from trigger element or row
+         *
+         * @param {jQuery} $el Trigger button or table row
+         * @return {Object|null} Target { entity, id, ajaxAction } or null
+         */
+        resolveTarget($el) {
+            // Nearest table/wrapper inside the right panel (layers carry their own entity)
+            const $parents = $el.parentsUntil(this.rightPanel).not('.wpapp-panel-layer');
+            // .data() also covers DT_RowData set by DataTables
+            const entity = $el.data('entity') ||
+                           $parents.filter('[data-entity]').first().attr('data-entity');
+            const id = $el.data('id');
+
+            if (!entity || !id) {
+                return null;
+            }
+
+            const config = this.entities[entity] || {};
+            const ajaxAction = $el.data('ajax-action') ||
+                               $parents.filter('[data-ajax-action]').first().attr('data-ajax-action') ||
+                               config.ajaxAction;
+
+            if (!ajaxAction) {
+                return null;
+            }
+
+            const typedId = this.router ? this.router.castId(entity, id) : id;
+
+            if (typedId === null) {
+                return null;
+            }
+
+            return {
+                entity: entity,
+                id: typedId,
+                ajaxAction: ajaxAction,
+                title: $el.data('title') || null
+            };
+        }
+
+        /**
+         * Push new layer on top of the stack
+         *
+         * @param {Object} target { entity, id, ajaxAction, title }
+         * @param {Object} options
+         * @param {boolean} options.fromRoute Pushed from URL (don't push history)
+         */
+        push(target, options = {}) {
+            const parent = this.getParent();
+
+            if (!parent) {
+                return;
+            }
+
+            const pushingEvent = $.Event('wpapp:layer-pushing', {
+                entity: target.entity,
+                id: target.id,
+                parent: parent,
+                depth: this.layers.length + 1
+            });
+            $(document).trigger(pushingEvent);
+
+            if (pushingEvent.isDefaultPrevented()) {
+                return;
+            }
+
+            const layer = {
+                entity: target.entity,
+                id: target.id,
+                ajaxAction: target.ajaxAction,
+                title: target.title || target.entity + ' #' + target.id,
+                parent: parent,
+                pushedHistory: false,
+                request: null,
+                $el: null
+            };
+
+            layer.$el = this.renderLayer(layer, this.layers.length + 1);
+            this.layers.push(layer);
+            this.updateVisibility();
+
+            if (!options.fromRoute && this.router) {
+                const route = this.router.getCurrent();
+
+                if (route) {
+                    route.nested = this.layers.map(function(item) {
+                        return { entity: item.entity, id: item.id };
+                    });
+                    this.router.navigate(route, { silent: true });
+                    layer.pushedHistory = true;
+                }
+            }
+
+            this.loadLayer(layer);
+        }
+
+        /**
+         * Go back one layer
+         *
+         * Uses browser history when the layer created a history entry,
+         * so the back button and browser back behave the same.
+         */
+        back() {
+            const top = this.layers[this.layers.length - 1];
+
+            if (!top) {
+                return;
+            }
+
+            if (top.pushedHistory) {
+                history.back(); // wpapp:route-changed → syncWithRoute()
+                return;
+            }
+
+            this.popTo(this.layers.length - 1);
+        }
+
+        /**
+         * Pop layers down to given depth and update route
+         *
+         * @param {number} depth Remaining depth (0 = parent panel)
+         */
+        popTo(depth) {
+            if (depth >= this.layers.length) {
+                return;
+            }
+
+            this.truncate(depth);
+
+            if (this.router) {
+                const route = this.router.getCurrent();
+
+                if (route) {
+                    route.nested = route.nested.slice(0, depth);
+                    this.router.navigate(route, { replace: true, silent: true });
+                }
+            }
+        }
+
+        /**
+         * Remove layers above depth without touching the URL
+         *
+         * @param {number} depth Remaining depth
+         */
+        truncate(depth) {
+            while (this.layers.length > depth) {
+                const layer = this.layers.pop();
+
+                if (layer.request) {
+                    layer.request.abort();
+                }
+
+                this.destroyLayer(layer);
+
+                $(document).trigger('wpapp:layer-popped', {
+                    entity: layer.entity,
+                    id: layer.id,
+                    depth: this.layers.length + 1
+                });
+            }
+
+            this.updateVisibility();
+        }
+
+        /**
+         * Remove all layers
+         */
+        clear() {
+            if (this.layers.length > 0) {
+                this.truncate(0);
+            }
+        }
+
+        /**
+         * Handle nested selection from route (deep link / forward)
+         *
+         * @param {Object} data Event data from panel manager
+         */
+        handleNestedSelected(data) {
+            const index = data.depth - 1;
+            const existing = this.layers[index];
+
+            if (existing && existing.entity === data.entity && existing.id === data.id) {
+                return;
+            }
+
+            this.truncate(index);
+
+            const config = this.entities[data.entity] || {};
+            const $trigger = this.rightPanel
+                .find('[data-entity="' + data.entity + '"][data-ajax-action]')
+                .first();
+            const ajaxAction = config.ajaxAction || $trigger.attr('data-ajax-action');
+
+            if (!ajaxAction) {
+                console.warn('[WPApp Stack] No AJAX action for nested entity:', data.entity,
+                    '- use wpAppPanelStack.register()');
+                return;
+            }
+
+            this.push({
+                entity: data.entity,
+                id: data.id,
+                ajaxAction: ajaxAction
+            }, { fromRoute: true });
+        }
+
+        /**
+         * Drop layers that are no longer part of the route
+         *
+         * @param {Object|null} route Route object
+         */
+        syncWithRoute(route) {
+            if (this.layers.length === 0) {
+                return;
+            }
+
+            const parent = this.layers[0].parent;
+
+            if (!route || route.entity !== parent.entity || route.id !== parent.id) {
+                this.clear();
+                return;
+            }
+
+            let depth = 0;
+            while (depth < this.layers.length &&
+                   depth < route.nested.length &&
+                   this.layers[depth].entity === route.nested[depth].entity &&
+                   this.layers[depth].id === route.nested[depth].id) {
+                depth++;
+            }
+
+            this.truncate(depth);
+        }
+
+        /**
+         * Get parent of the next layer
+         *
+         * @return {Object|null} { entity, id } of top layer or open panel record
+         */
+        getParent() {
+            if (this.layers.length > 0) {
+                const top = this.layers[this.layers.length - 1];
+                return { entity: top.entity, id: top.id };
+            }
+
+            const panel = window.wpAppPanelManager;
+
+            if (!panel || !panel.isOpen || !panel.currentId) {
+                return null;
+            }
+
+            return { entity: panel.currentEntity, id: panel.currentId };
+        }
+
+        /**
+         * Render layer shell
+         *
+         * @param {Object} layer Layer object
+         * @param {number} depth Layer depth (1-based)
+         * @return {jQuery} Layer element
+         */
+        renderLayer(layer, depth) {
+            if (!this.container || !this.container.closest('body').length) {
+                this.container = $('<div class="wpapp-panel-layers"></div>');
+                this.rightPanel.find('.wpapp-panel-content').after(this.container);
+            }
+
+            const i18n = (typeof wpAppConfig !== 'undefined' && wpAppConfig.i18n) || {};
+
+            const $layer = $('<div class="wpapp-panel-layer"></div>')
+                .attr('data-entity', layer.entity)
+                .attr('data-id', layer.id)
+                .attr('data-depth', depth);
+
+            const $header = $('<div class="wpapp-layer-header"></div>');
+            $('<button type="button" class="button-link wpapp-layer-back"></button>')
+                .append('<span class="dashicons dashicons-arrow-left-alt2"></span>')
+                .append($('<span></span>').text(i18n.back || 'Back'))
+                .appendTo($header);
+            $('<nav class="wpapp-layer-breadcrumb"></nav>').appendTo($header);
+
+            $header.appendTo($layer);
+            $('<h3 class="wpapp-layer-title"></h3>').text(layer.title).appendTo($layer);
+            $('<div class="wpapp-layer-loading"><span class="spinner is-active"></span></div>')
+                .append($('<p></p>').text(i18n.loading || 'Loading...'))
+                .appendTo($layer);
+            $('<div class="wpapp-layer-body"></div>').appendTo($layer);
+
+            this.container.append($layer);
+
+            return $layer;
+        }
+
+        /**
+         * Rebuild breadcrumbs and show top layer only
+         */
+        updateVisibility() {
+            const hasLayers = this.layers.length > 0;
+            const rootTitle = this.rightPanel.find('.wpapp-entity-name').text();
+
+            this.rightPanel.toggleClass('wpapp-has-layers', hasLayers);
+
+            this.layers.forEach((layer, index) => {
+                const $crumbs = layer.$el.find('.wpapp-layer-breadcrumb').empty();
+
+                $('<a href="#" class="wpapp-layer-crumb" data-depth="0"></a>')
+                    .text(rootTitle || layer.parent.entity)
+                    .appendTo($crumbs);
+
+                this.layers.slice(0, index + 1).forEach(function(item, itemIndex) {
+                    $crumbs.append('<span class="wpapp-layer-separator">/</span>');
+
+                    if (itemIndex === index) {
+                        $('<span class="wpapp-layer-crumb-current"></span>').text(item.title).appendTo($crumbs);
+                    } else {
+                        $('<a href="#" class="wpapp-layer-crumb"></a>')
+                            .attr('data-depth', itemIndex + 1)
+                            .text(item.title)
+                            .appendTo($crumbs);
+                    }
+                });
+
+                layer.$el.toggleClass('active', index === this.layers.length - 1);
+            });
+        }
+
+        /**
+         * Load layer data via AJAX
+         *
+         * @param {Object} layer Layer object
+         */
+        loadLayer(layer) {
+            layer.$el.find('.wpapp-layer-loading').addClass('visible');
+
+            layer.request = WPAppAjax.post(layer.ajaxAction, {
+                entity: layer.entity,
+                id: layer.id,
+                parent_entity: layer.parent.entity,
+                parent_id: layer.parent.id,
+                nonce: wpAppConfig.nonce
+            }, {
+                nonce: 'wpapp_panel_nonce',
+                url: wpAppConfig.ajaxUrl
+            }).done((data) => {
+                if (!data) {
+                    this.showLayerError(layer);
+                    return;
+                }
+
+                this.renderLayerContent(layer, data);
+
+                if (window.wpAppComponents) {
+                    window.wpAppComponents.mountAll(layer.$el, this.getComponentContext(layer));
+                }
+
+                $(document).trigger('wpapp:layer-loaded', {
+                    entity: layer.entity,
+                    id: layer.id,
+                    parent: layer.parent,
+                    depth: this.layers.indexOf(layer) + 1,
+                    data: data,
+                    $layer: layer.$el
+                });
+            }).fail((error) => {
+                if (error.code !== 'abort') {
+                    this.showLayerError(layer, error.message);
+                }
+            }).always(() => {
+                layer.request = null;
+                layer.$el.find('.wpapp-layer-loading').removeClass('visible');
+            });
+        }
+
+        /**
+         * Render layer data
+         *
+         * @param {Object} layer Layer object
+         * @param {Object} data Response data (title, tabs, content, html)
+         */
+        renderLayerContent(layer, data) {
+            const $body = layer.$el.find('.wpapp-layer-body').empty();
+
+            if (data.title) {
+                layer.title = data.title;
+                layer.$el.find('.wpapp-layer-title').text(data.title);
+                this.updateVisibility();
+            }
+
+            if (data.html) {
+                $body.html(data.html);
+                return;
+            }
+
+            if (data.content) {
+                $('<div class="wpapp-layer-content"></div>').html(data.content).appendTo($body);
+            }
+
+            if (data.tabs && Object.keys(data.tabs).length > 0) {
+                const $nav = $('<nav class="nav-tab-wrapper wpapp-layer-tabs"></nav>').appendTo($body);
+                let first = null;
+
+                $.each(data.tabs, function(tabId, tab) {
+                    const title = typeof tab === 'object' ? tab.title : tabId;
+                    const content = typeof tab === 'object' ? tab.content : tab;
+
+                    first = first || tabId;
+
+                    $('<a href="#" class="nav-tab wpapp-layer-tab"></a>')
+                        .attr('data-tab', tabId)
+                        .text(title)
+                        .appendTo($nav);
+
+                    $('<div class="wpapp-layer-tab-content"></div>')
+                        .attr('data-tab', tabId)
+                        .html(content)
+                        .appendTo($body);
+                });
+
+                this.switchLayerTab(layer.$el, first);
+            }
+        }
+
+        /**
+         * Switch tab inside a layer
+         *
+         * @param {jQuery} $layer Layer element
+         * @param {string} tabId Tab identifier
+         */
+        switchLayerTab($layer, tabId) {
+            $layer.find('.wpapp-layer-tab').each(function() {
+                $(this).toggleClass('nav-tab-active', $(this).data('tab') === tabId);
+            });
+
+            $layer.find('.wpapp-layer-tab-content').each(function() {
+                $(this).toggleClass('active', $(this).data('tab') === tabId);
+            });
+
+            $(document).trigger('wpapp:layer-tab-switched', {
+                entity: $layer.attr('data-entity'),
+                id: $layer.attr('data-id'),
+                tabId: tabId
+            });
+        }
+
+        /**
+         * Show error inside layer
+         *
+         * @param {Object} layer Layer object
+         * @param {string} message Error message
+         */
+        showLayerError(layer, message) {
+            const errorMessage = message || 'Unknown error';
+            const $error = $('<div class="notice notice-error wpapp-panel-error"><p></p></div>');
+
+            $error.find('p').text(errorMessage);
+            layer.$el.find('.wpapp-layer-body').empty().append($error);
+
+            $(document).trigger('wpapp:layer-error', {
+                entity: layer.entity,
+                id: layer.id,
+                message: errorMessage
+            });
+        }
+
+        /**
+         * Get component registry context for layer
+         *
+         * @param {Object} layer Layer object
+         * @return {Object} { entity, id, source }
+         */
+        getComponentContext(layer) {
+            return {
+                entity: layer.entity,
+                id: layer.id,
+                source: 'layer'
+            };
+        }
+
+        /**
+         * Destroy layer DOM and unmount its components
+         *
+         * @param {Object} layer Layer object
+         */
+        destroyLayer(layer) {
+            if (window.wpAppComponents) {
+                window.wpAppComponents.unmountAll(layer.$el, this.getComponentContext(layer));
+            } else {
+                layer.$el.find('table').each(function() {
+                    if ($.fn.DataTable && $.fn.DataTable.isDataTable(this)) {
+                        $(this).DataTable().destroy();
+                    }
+                });
+            }
+
+            layer.$el.remove();
+        }
+
+        /**
+         * Public API: Get current stack depth
+         *
+         * @return {number}
+         */
+        getDepth() {
+            return this.layers.length;
+        }
+
+        /**
+         * Public API: Get top layer info
+         *
+         * @return {Object|null} { entity, id, depth }
+         */
+        getCurrent() {
+            const top = this.layers[this.layers.length - 1];
+            return top ? { entity: top.entity, id: top.id, depth: this.layers.length } : null;
+        }
+    }
+
+    /**
+     * Initialize on document ready
+     */
+    $(document).ready(function() {
+        // Create global instance (after panel manager)
+        window.wpAppPanelStack = new WPAppPanelStack();
+    });
+
+})(jQuery);
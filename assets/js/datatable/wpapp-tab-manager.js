@@ -6,10 +6,37 @@
  *
  * @package WPAppCore
  * @since 1.0.0
- * @version 1.1.0
+ * @version 1.5.1
  * @author arisciwek
  *
  * Changelog:
+ * 1.5.1 - 2026-10-18
+ * - Tab content and badge counts loaded through WPAppAjax (expired nonce
+ *   refreshed and retried, server message or normalised error)
+ *
+ * 1.5.0 - 2026-10-18
+ * - Added: Tab badges via setBadge(tabId, value, variant) / clearBadges()
+ * - Added: Badges from panel response (data.badges) and count endpoint (data-badge-action)
+ * - Added: data-badge-source="datatable" follows record count of DataTable in tab
+ * - Added: wpapp:tab-badge-updated event
+ *
+ * 1.4.0 - 2026-10-18
+ * - Added: Per-tab reload options (data-reload="visit", data-reload-ttl="60")
+ * - Added: Manual refresh button (data-refreshable="true") and retry button on error
+ * - Added: Skeleton placeholder (data-skeleton="4") when tab has no loading markup
+ * - Added: Tab request aborted when switching away or when the panel record changes
+ * - Added: Loaded tab content mounted via wpAppComponents (source: 'tab')
+ * - Added: wpapp:tab-loaded / wpapp:tab-load-error events, refreshTab() API
+ *
+ * 1.3.0 - 2026-10-18
+ * - Changed: Reinit driven by component registry ("tabs" mounted with panel content)
+ * - Kept: wpapp:panel-data-loaded fallback when wpapp-component-registry.js is absent
+ *
+ * 1.2.0 - 2026-10-18
+ * - Changed: Tab state stored in route via WPAppHashRouter (#entity/123/tab/details)
+ * - Added: Tab follows browser back/forward and manual hash edits (wpapp:route-changed)
+ * - Kept: Legacy #entity-123&tab=details and ?tab=details still read on load
+ *
  * 1.1.0 - 2025-11-01 (Generic Entity Support)
  * - Made entity ID detection generic (not hardcoded to 'agency')
  * - Reads data-entity-type from panel (defaults to 'agency' for backward compatibility)
@@ -20,7 +47,7 @@
  *
  * Features:
  * - Tab switching without page reload
- * - Hash-based tab state (preserves tab on refresh)
+ * - Hash-based tab state via WPAppHashRouter (preserves tab on refresh)
  * - Smooth fade animations
  * - Event system for extensibility
  * - Keyboard navigation support
@@ -39,9 +66,29 @@
  *        data-load-action="load_customer_branches_tab">
  * ```
  *
+ * Lazy-Loaded Tabs (.wpapp-tab-autoload):
+ * - data-load-action: AJAX action (receives {entity}_id + nonce)
+ * - data-content-target: Selector for loaded HTML (default .wpapp-tab-loaded-content)
+ * - data-reload="visit": Reload on every visit (default: load once per record)
+ * - data-reload-ttl="60": Reload on visit when loaded more than N seconds ago
+ * - data-refreshable="true": Show refresh button above content
+ * - data-skeleton="4": Skeleton rows instead of spinner (default when no .wpapp-tab-loading)
+ * - Missing loading / error / content markup is created automatically
+ * - Pending request is aborted on switch away; tab reloads on next visit
+ *
+ * Tab Badges (reset for every record):
+ * - Panel response: data.badges = { tabId: 12, tabId2: { value: '3 unpaid', variant: 'danger' } }
+ * - Count endpoint: .nav-tab[data-badge-action] → POST action, entity, id, {entity}_id, nonce
+ *   Response data: { value, variant } (or { count })
+ * - .nav-tab[data-badge-source="datatable"] → recordsTotal of DataTable in tab after each draw
+ * - Variants: default, info, success, warning, danger
+ *
  * Events Triggered:
  * - wpapp:tab-switching - Before tab switches
  * - wpapp:tab-switched - After tab switched
+ * - wpapp:tab-loaded - Autoload tab content loaded ({ entity, tabId, entityId, data })
+ * - wpapp:tab-load-error - Autoload failed ({ entity, tabId, entityId, message })
+ * - wpapp:tab-badge-updated - Badge set or removed ({ entity, tabId, value, variant })
  *
  * Usage:
  * ```javascript
@@ -63,6 +110,9 @@
             this.currentEntity = null;
             this.tabWrapper = null;
             this.tabContents = null;
+            this.router = window.wpAppHashRouter || null;
+            this.tabRequests = {};
+            this.badgeRequests = [];
 
             this.init();
         }
@@ -114,9 +164,69 @@
                 }
             });
 
-            // Listen to panel data loaded event to reinitialize
-            $(document).on('wpapp:panel-data-loaded', function() {
-                self.reinit();
+            // Reinitialize whenever panel content is mounted
+            if (window.wpAppComponents) {
+                window.wpAppComponents.register('tabs', {
+                    selector: '.wpapp-tab-wrapper',
+                    mount: function() {
+                        self.reinit();
+                    },
+                    unmount: function() {
+                        self.abortAll();
+                        self.resetBadges();
+                    }
+                });
+            } else {
+                $(document).on('wpapp:panel-data-loaded', function() {
+                    self.resetBadges();
+                    self.reinit();
+                });
+            }
+
+            // Record changing - tab responses would belong to previous record
+            $(document).on('wpapp:panel-loading', function() {
+                self.abortAll();
+            });
+
+            // Badges for loaded record
+            $(document).on('wpapp:panel-data-loaded', function(e, data) {
+                self.loadBadges(data);
+            });
+
+            // Badge follows nested DataTable record count
+            $(document).on('draw.dt', '.wpapp-tab-content table', function(e, settings) {
+                if (e.target !== this) {
+                    return;
+                }
+
+                const tabId = $(this).closest('.wpapp-tab-content').attr('id');
+                const $navTab = self.getNavTab(tabId);
+
+                if ($navTab.attr('data-badge-source') === 'datatable' && $.fn.dataTable) {
+                    const info = new $.fn.dataTable.Api(settings).page.info();
+                    self.setBadge(tabId, info.recordsTotal, self.getBadgeVariant($navTab));
+                }
+            });
+
+            // Retry failed load / manual refresh
+            $(document).on('click', '.wpapp-tab-content .wpapp-tab-retry, .wpapp-tab-content .wpapp-tab-refresh', function(e) {
+                e.preventDefault();
+                self.refreshTab($(this).closest('.wpapp-tab-content').attr('id'));
+            });
+
+            // Follow tab in route (browser back/forward, manual hash edit)
+            $(document).on('wpapp:route-changed', function(e, data) {
+                if (!data.route || !data.route.tab || data.route.tab === self.currentTab) {
+                    return;
+                }
+
+                // New record still loading - reinit() picks up tab after load
+                const panel = window.wpAppPanelManager;
+                if (panel && panel.ajaxRequest) {
+                    return;
+                }
+
+                self.switchTab(data.route.tab, { fromRoute: true });
             });
 
             // Keyboard navigation (arrow keys)
@@ -155,8 +265,10 @@
          * Switch to a specific tab
          *
          * @param {string} tabId Tab identifier
+         * @param {Object} options
+         * @param {boolean} options.fromRoute Switched from URL (don't rewrite hash)
          */
-        switchTab(tabId) {
+        switchTab(tabId, options = {}) {
             const $targetTab = $(`.nav-tab[data-tab="${tabId}"]`);
             const $targetContent = $(`#${tabId}.wpapp-tab-content`);
 
@@ -183,6 +295,11 @@
                 return;
             }
 
+            // Leaving tab: unfinished load is cancelled, retried on next visit
+            if (this.currentTab) {
+                this.abortTabLoad(this.currentTab);
+            }
+
             // Remove active class from all tabs
             this.tabWrapper.find('.nav-tab').removeClass('nav-tab-active');
 
@@ -199,7 +316,9 @@
             this.currentTab = tabId;
 
             // Update URL hash
-            this.updateUrlHash(tabId);
+            if (!options.fromRoute) {
+                this.updateUrlHash(tabId);
+            }
 
             // Trigger switched event
             $(document).trigger('wpapp:tab-switched', {
@@ -220,22 +339,22 @@
          * Auto-load tab content via AJAX if tab has wpapp-tab-autoload class
          *
          * @param {jQuery} $tab Tab content element
+         * @param {Object} options
+         * @param {boolean} options.force Reload even if already loaded
          */
-        autoLoadTabContent($tab) {
-            console.log('[WPApp Tab] autoLoadTabContent called');
-            console.log('[WPApp Tab] Tab element:', $tab);
-            console.log('[WPApp Tab] Has wpapp-tab-autoload:', $tab.hasClass('wpapp-tab-autoload'));
-            console.log('[WPApp Tab] Has loaded:', $tab.hasClass('loaded'));
-
+        autoLoadTabContent($tab, options = {}) {
             // Check if tab needs auto-loading
             if (!$tab.hasClass('wpapp-tab-autoload')) {
-                console.log('[WPApp Tab] Tab does NOT have wpapp-tab-autoload class - skipping');
                 return;
             }
 
-            // Check if already loaded
-            if ($tab.hasClass('loaded')) {
-                console.log('[WPApp Tab] Tab already loaded - skipping');
+            const tabId = $tab.attr('id');
+            const i18n = (typeof wpAppConfig !== 'undefined' && wpAppConfig.i18n) || {};
+
+            // Create missing loading / error / content / refresh markup
+            this.ensureTabUi($tab);
+
+            if (!options.force && !this.needsLoad($tab)) {
                 return;
             }
 
@@ -247,31 +366,28 @@
             // Get data attributes (use .attr() to avoid jQuery .data() caching)
             const entityId = $tab.attr(entityIdAttr);
             const loadAction = $tab.attr('data-load-action');
-            const contentTarget = $tab.attr('data-content-target');
-            const errorMessage = $tab.attr('data-error-message') || 'Failed to load content';
-
-            console.log('[WPApp Tab] Data attributes:', {
-                entityType: entityType,
-                entityIdAttr: entityIdAttr,
-                entityId: entityId,
-                loadAction: loadAction,
-                contentTarget: contentTarget,
-                errorMessage: errorMessage
-            });
+            const contentTarget = $tab.attr('data-content-target') || '.wpapp-tab-loaded-content';
+            const errorMessage = $tab.attr('data-error-message') || i18n.tabLoadError || 'Failed to load content';
 
             if (!loadAction || !entityId) {
-                console.error('[WPApp Tab] Missing required data attributes for auto-load');
-                console.error('[WPApp Tab] loadAction:', loadAction);
-                console.error('[WPApp Tab] ' + entityIdAttr + ':', entityId);
+                console.error('[WPApp Tab] Missing required data attributes for auto-load', {
+                    tabId: tabId,
+                    loadAction: loadAction,
+                    [entityIdAttr]: entityId
+                });
                 return;
             }
 
-            console.log('[WPApp Tab] Starting AJAX request for:', loadAction);
+            // Only one request per tab
+            this.abortTabLoad(tabId);
+
+            const $content = $tab.find(contentTarget);
 
             // Show loading state
             $tab.find('.wpapp-tab-loading').show();
-            $tab.find('.wpapp-tab-loaded-content').hide();
+            $content.hide();
             $tab.find('.wpapp-tab-error').removeClass('visible');
+            $tab.find('.wpapp-tab-refresh').prop('disabled', true);
 
             // Build AJAX data with dynamic entity ID parameter
             const ajaxData = {
@@ -280,45 +396,176 @@
             };
             ajaxData[entityType + '_id'] = entityId;
 
-            // Make AJAX request
-            $.ajax({
-                url: wpAppConfig.ajaxUrl,
-                type: 'POST',
-                data: ajaxData,
-                success: function(response) {
-                    console.log('[WPApp Tab] AJAX Success Response:', response);
-                    $tab.find('.wpapp-tab-loading').hide();
+            const showError = (message) => {
+                $tab.find('.wpapp-error-message').text(message);
+                $tab.find('.wpapp-tab-error').addClass('visible');
 
-                    if (response.success && response.data.html) {
-                        // Load content into target
-                        console.log('[WPApp Tab] Loading HTML into:', contentTarget);
-                        console.log('[WPApp Tab] HTML length:', response.data.html.length);
+                $(document).trigger('wpapp:tab-load-error', {
+                    entity: this.currentEntity,
+                    tabId: tabId,
+                    entityId: entityId,
+                    message: message
+                });
+            };
 
-                        const $content = $tab.find(contentTarget);
-                        console.log('[WPApp Tab] Target element found:', $content.length);
+            const request = WPAppAjax.post(loadAction, ajaxData, {
+                nonce: 'wpapp_panel_nonce',
+                url: wpAppConfig.ajaxUrl
+            }).done((data) => {
+                // Record switched while loading
+                if ($tab.attr(entityIdAttr) !== entityId) {
+                    return;
+                }
 
-                        $content.html(response.data.html).addClass('loaded').show();
+                $tab.find('.wpapp-tab-loading').hide();
 
-                        // Mark tab as loaded
-                        $tab.addClass('loaded');
+                if (data && data.html) {
+                    if (window.wpAppComponents) {
+                        window.wpAppComponents.unmountAll($content, { entity: entityType, id: entityId, source: 'tab' });
+                    }
 
-                        console.log('[WPApp Tab] Content loaded successfully for:', loadAction);
-                        console.log('[WPApp Tab] HTML preview:', response.data.html.substring(0, 200));
-                    } else {
-                        // Show error
-                        $tab.find('.wpapp-error-message').text(response.data.message || errorMessage);
-                        $tab.find('.wpapp-tab-error').addClass('visible');
+                    $content.html(data.html).addClass('loaded').show();
 
-                        console.error('[WPApp Tab] Load failed:', response);
+                    // Mark tab as loaded
+                    $tab.addClass('loaded').data('wpappLoadedAt', Date.now());
+
+                    if (window.wpAppComponents) {
+                        window.wpAppComponents.mountAll($content, { entity: entityType, id: entityId, source: 'tab' });
                     }
-                },
-                error: function(xhr, status, error) {
-                    $tab.find('.wpapp-tab-loading').hide();
-                    $tab.find('.wpapp-error-message').text(errorMessage);
-                    $tab.find('.wpapp-tab-error').addClass('visible');
 
-                    console.error('[WPApp Tab] AJAX error:', error);
+                    $(document).trigger('wpapp:tab-loaded', {
+                        entity: this.currentEntity,
+                        tabId: tabId,
+                        entityId: entityId,
+                        data: data
+                    });
+                } else {
+                    showError(errorMessage);
+                    console.error('[WPApp Tab] Load failed:', data);
                 }
+            }).fail((error) => {
+                $tab.find('.wpapp-tab-loading').hide();
+
+                // Cancelled (switched away / record changed): previous content stays
+                if (error.code === 'abort') {
+                    if ($tab.hasClass('loaded')) {
+                        $content.show();
+                    }
+                    return;
+                }
+
+                showError(error.message || errorMessage);
+                console.error('[WPApp Tab] AJAX error:', error);
+            }).always(() => {
+                $tab.find('.wpapp-tab-refresh').prop('disabled', false);
+
+                if (this.tabRequests[tabId] === request) {
+                    delete this.tabRequests[tabId];
+                }
+            });
+
+            this.tabRequests[tabId] = request;
+        }
+
+        /**
+         * Check if autoload tab must be (re)loaded on visit
+         *
+         * @param {jQuery} $tab Tab content element
+         * @return {boolean}
+         */
+        needsLoad($tab) {
+            if (!$tab.hasClass('loaded')) {
+                return true;
+            }
+
+            if ($tab.attr('data-reload') === 'visit') {
+                return true;
+            }
+
+            const ttl = parseInt($tab.attr('data-reload-ttl'), 10);
+            const loadedAt = $tab.data('wpappLoadedAt') || 0;
+
+            return ttl > 0 && (Date.now() - loadedAt) > ttl * 1000;
+        }
+
+        /**
+         * Create loading (skeleton), error (retry) and refresh markup if missing
+         *
+         * Tab views only need the .wpapp-tab-autoload container and data attributes.
+         *
+         * @param {jQuery} $tab Tab content element
+         */
+        ensureTabUi($tab) {
+            const i18n = (typeof wpAppConfig !== 'undefined' && wpAppConfig.i18n) || {};
+            const skeleton = $tab.attr('data-skeleton');
+            let $loading = $tab.find('.wpapp-tab-loading');
+
+            if ($loading.length === 0 || (skeleton && !$loading.hasClass('wpapp-tab-skeleton'))) {
+                const rows = parseInt(skeleton, 10) || 4;
+                const $skeleton = $('<div class="wpapp-tab-loading wpapp-tab-skeleton" aria-busy="true"></div>')
+                    .attr('aria-label', i18n.loading || 'Loading...');
+
+                for (let i = 0; i < rows; i++) {
+                    $('<span class="wpapp-skeleton-line"></span>').appendTo($skeleton);
+                }
+
+                if ($loading.length) {
+                    $loading.replaceWith($skeleton);
+                } else {
+                    $tab.append($skeleton);
+                }
+                $loading = $skeleton;
+            }
+
+            if ($tab.find('.wpapp-tab-error').length === 0) {
+                $('<div class="wpapp-tab-error" role="alert"><p class="wpapp-error-message"></p></div>')
+                    .insertAfter($loading);
+            }
+
+            if ($tab.find('.wpapp-tab-retry').length === 0) {
+                $('<button type="button" class="button wpapp-tab-retry"></button>')
+                    .text(i18n.retry || 'Retry')
+                    .appendTo($tab.find('.wpapp-tab-error'));
+            }
+
+            const contentTarget = $tab.attr('data-content-target') || '.wpapp-tab-loaded-content';
+            if ($tab.find(contentTarget).length === 0) {
+                $('<div class="wpapp-tab-loaded-content"></div>').appendTo($tab);
+            }
+
+            if ($tab.attr('data-refreshable') === 'true' && $tab.find('.wpapp-tab-refresh').length === 0) {
+                const label = i18n.refresh || 'Refresh';
+
+                $('<div class="wpapp-tab-toolbar"></div>')
+                    .append(
+                        $('<button type="button" class="button button-small wpapp-tab-refresh"></button>')
+                            .attr({ 'aria-label': label, title: label })
+                            .append('<span class="dashicons dashicons-update"></span>')
+                    )
+                    .prependTo($tab);
+            }
+        }
+
+        /**
+         * Abort pending autoload request of tab
+         *
+         * @param {string} tabId Tab identifier
+         */
+        abortTabLoad(tabId) {
+            const request = this.tabRequests[tabId];
+
+            if (request) {
+                delete this.tabRequests[tabId];
+                request.abort();
+            }
+        }
+
+        /**
+         * Abort all pending autoload requests
+         */
+        abortAll() {
+            Object.keys(this.tabRequests).forEach((tabId) => {
+                this.abortTabLoad(tabId);
             });
         }
 
@@ -328,6 +575,11 @@
          * @param {string} tabId Tab identifier
          */
         updateUrlHash(tabId) {
+            // Keep entity/ID and nested selection, replace tab (no new history entry)
+            if (this.router && this.router.update({ tab: tabId, nested: [] }, { replace: true, silent: true })) {
+                return;
+            }
+
             const currentHash = window.location.hash;
 
             // Parse existing hash (e.g., #customer-123)
@@ -349,9 +601,15 @@
         checkUrlForTab() {
             let tabId = null;
 
-            // Check hash parameter (#entity-123&tab=details)
+            // Check route (#entity/123/tab/details or legacy #entity-123&tab=details)
+            const route = this.router ? this.router.getCurrent() : null;
+            if (route && route.tab) {
+                tabId = route.tab;
+            }
+
+            // Check bare hash parameter (#tab=details)
             const hash = window.location.hash.substring(1);
-            if (hash) {
+            if (!tabId && hash) {
                 const hashParams = hash.split('&');
                 for (let param of hashParams) {
                     if (param.startsWith('tab=')) {
@@ -367,9 +625,9 @@
                 tabId = urlParams.get('tab');
             }
 
-            // Switch to tab if found
+            // Switch to tab if found (already in URL, keep nested selection intact)
             if (tabId) {
-                this.switchTab(tabId);
+                this.switchTab(tabId, { fromRoute: true });
             } else {
                 // Switch to first tab as default
                 const $firstTab = this.tabWrapper.find('.nav-tab').first();
@@ -414,6 +672,174 @@
             this.switchTab(tabId);
         }
 
+        /**
+         * Get navigation tab element
+         *
+         * @param {string} tabId Tab identifier
+         * @return {jQuery} .nav-tab element
+         */
+        getNavTab(tabId) {
+            if (!this.tabWrapper || !tabId) {
+                return $();
+            }
+
+            return this.tabWrapper.find(`.nav-tab[data-tab="${tabId}"]`);
+        }
+
+        /**
+         * Get current badge variant of tab (keeps plugin-set variant on redraw)
+         *
+         * @param {jQuery} $navTab .nav-tab element
+         * @return {string} Variant
+         */
+        getBadgeVariant($navTab) {
+            return $navTab.find('.wpapp-tab-badge').attr('data-variant') || 'default';
+        }
+
+        /**
+         * Apply badges for loaded record
+         *
+         * @param {Object} data wpapp:panel-data-loaded data
+         */
+        loadBadges(data) {
+            const badges = (data.data && data.data.badges) || {};
+
+            $.each(badges, (tabId, badge) => {
+                if (badge !== null && typeof badge === 'object') {
+                    this.setBadge(tabId, badge.value, badge.variant);
+                } else {
+                    this.setBadge(tabId, badge);
+                }
+            });
+
+            if (!this.tabWrapper) {
+                return;
+            }
+
+            this.tabWrapper.find('.nav-tab[data-badge-action]').each((index, el) => {
+                const tabId = $(el).data('tab');
+
+                if (!Object.prototype.hasOwnProperty.call(badges, tabId)) {
+                    this.fetchBadge(tabId, $(el).attr('data-badge-action'), data.id);
+                }
+            });
+        }
+
+        /**
+         * Drop badges and pending count requests of previous record
+         */
+        resetBadges() {
+            const requests = this.badgeRequests;
+
+            this.badgeRequests = [];
+            requests.forEach((request) => request.abort());
+            this.clearBadges();
+        }
+
+        /**
+         * Fetch badge value from count endpoint
+         *
+         * @param {string} tabId Tab identifier
+         * @param {string} action AJAX action
+         * @param {number|string} entityId Entity ID
+         */
+        fetchBadge(tabId, action, entityId) {
+            const entityType = $('.wpapp-panel').attr('data-entity-type') || this.currentEntity;
+            const ajaxData = {
+                action: action,
+                nonce: wpAppConfig.nonce,
+                entity: entityType,
+                id: entityId
+            };
+            ajaxData[entityType + '_id'] = entityId;
+
+            const request = WPAppAjax.post(action, ajaxData, {
+                nonce: 'wpapp_panel_nonce',
+                url: wpAppConfig.ajaxUrl
+            }).done((data) => {
+                const panel = window.wpAppPanelManager;
+
+                // Record switched meanwhile
+                if (panel && String(panel.currentId) !== String(entityId)) {
+                    return;
+                }
+
+                if (data) {
+                    const value = data.value !== undefined ? data.value : data.count;
+                    this.setBadge(tabId, value, data.variant);
+                }
+            }).fail((error) => {
+                if (error.code !== 'abort') {
+                    console.warn('[WPApp Tab] Badge count failed:', tabId, error.message);
+                }
+            }).always(() => {
+                this.badgeRequests = this.badgeRequests.filter((item) => item !== request);
+            });
+
+            this.badgeRequests.push(request);
+        }
+
+        /**
+         * Public API: Set tab badge
+         *
+         * @param {string} tabId Tab identifier
+         * @param {number|string|null} value Badge text (null / '' removes badge)
+         * @param {string} variant default | info | success | warning | danger
+         */
+        setBadge(tabId, value, variant = 'default') {
+            const $navTab = this.getNavTab(tabId);
+
+            if ($navTab.length === 0) {
+                return;
+            }
+
+            let $badge = $navTab.find('.wpapp-tab-badge');
+            const remove = value === null || value === undefined || value === '';
+
+            if (remove) {
+                $badge.remove();
+            } else {
+                variant = /^[a-z-]+$/.test(variant || '') ? variant : 'default';
+
+                if ($badge.length === 0) {
+                    $badge = $('<span class="wpapp-tab-badge"></span>').appendTo($navTab);
+                }
+
+                $badge
+                    .attr({ class: 'wpapp-tab-badge wpapp-tab-badge-' + variant, 'data-variant': variant })
+                    .text(value);
+            }
+
+            $(document).trigger('wpapp:tab-badge-updated', {
+                entity: this.currentEntity,
+                tabId: tabId,
+                value: remove ? null : value,
+                variant: remove ? null : variant
+            });
+        }
+
+        /**
+         * Public API: Remove all tab badges
+         */
+        clearBadges() {
+            if (this.tabWrapper) {
+                this.tabWrapper.find('.wpapp-tab-badge').remove();
+            }
+        }
+
+        /**
+         * Public API: Reload autoload tab content
+         *
+         * @param {string} tabId Tab identifier
+         */
+        refreshTab(tabId) {
+            const $tab = $(`#${tabId}.wpapp-tab-content`);
+
+            if ($tab.length > 0) {
+                this.autoLoadTabContent($tab, { force: true });
+            }
+        }
+
         /**
          * Public API: Get current active tab
          *
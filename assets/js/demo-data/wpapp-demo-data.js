@@ -3,7 +3,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Assets/JS/DemoData
- * @version     2.0.1
+ * @version     2.3.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/demo-data/wpapp-demo-data.js
@@ -24,13 +24,16 @@
  *
  * Dependencies:
  * - jQuery
- * - WordPress AJAX
+ * - WPAppAjax (requests, expired nonce refresh)
  * - WPModal (wp-modal plugin) for confirmation dialogs
+ * - WPAppUndo (optional) for actions answered with an undo token
+ * - WPAppNotify (optional) for messages, falls back to #demo-data-messages
  * - wpAppCoreSettings (or plugin-specific equivalent for localized data)
  *
  * Button Data Attributes:
  * - data-action: AJAX action name (e.g., 'wpapp_generate_platform_staff')
  * - data-nonce: Security nonce
+ * - data-nonce-action: Nonce action registered with WPAppAjax (optional, refreshes an expired nonce)
  * - data-confirm: Confirmation message (optional)
  * - data-double-confirm: Double confirmation message (optional, for dangerous actions)
  * - data-success-reload: Reload page after success (optional, default: false)
@@ -38,8 +41,22 @@
  * - data-requires: Entity type that must exist (optional, for dependency checking)
  * - data-check-action: AJAX action for checking dependency (required if data-requires)
  * - data-check-nonce: Nonce for check action (required if data-requires)
+ * - data-check-nonce-action: Nonce action of data-check-nonce (optional, like data-nonce-action)
  *
  * Changelog:
+ * 2.3.0 - 2026-10-18
+ * - Requests sent through WPAppAjax; server error messages shown as is
+ * - data-nonce-action / data-check-nonce-action: expired nonces are
+ *   refreshed and the request retried
+ * 2.2.0 - 2026-10-18
+ * - Messages shown as WPAppNotify toasts (inline #demo-data-messages only
+ *   as fallback, filled as text)
+ * - Partial success (errors in response) shown as warning
+ * - Undo confirmation left to WPAppUndo
+ * 2.1.0 - 2026-10-18
+ * - Responses with an undo token (UndoController::defer()) show an undo
+ *   toast; success handling runs when the window ends, undo cancels
+ * - Extracted handleSuccess() from executeAjaxRequest()
  * 2.0.1 - 2025-01-13 (TODO-1209)
  * - Added checkDependencies() function for dependency management
  * - Buttons with data-requires auto-disabled until dependency met
@@ -79,11 +96,17 @@ jQuery(document).ready(function($) {
      * @param {string} type    Message type: success, error, warning, info
      */
     function showMessage(message, type) {
+        if (window.WPAppNotify) {
+            WPAppNotify.show({ id: 'wpapp-demo-data', type: type, message: message });
+            return;
+        }
+
         const messageDiv = $('#demo-data-messages');
 
         messageDiv.removeClass('notice-error notice-success notice-warning notice-info')
                   .addClass('notice notice-' + type)
-                  .html('<p>' + message + '</p>')
+                  .empty()
+                  .append($('<p></p>').text(message))
                   .show();
 
         // Scroll to message
@@ -121,6 +144,7 @@ jQuery(document).ready(function($) {
             const requiredTypes = $button.data('requires'); // Can be comma-separated
             const checkAction = $button.data('check-action');
             const checkNonce = $button.data('check-nonce');
+            const checkNonceAction = $button.data('check-nonce-action');
 
             // Skip if no check action configured
             if (!checkAction || !checkNonce) {
@@ -137,20 +161,15 @@ jQuery(document).ready(function($) {
 
             // Check all dependencies in parallel
             const checkPromises = dependencies.map(type => {
-                return $.ajax({
-                    url: ajaxUrl,
-                    type: 'POST',
-                    data: {
-                        action: checkAction,
-                        type: type,
-                        nonce: checkNonce
-                    }
-                }).then(response => {
-                    const hasData = response.success && response.data.has_data;
-                    const count = response.data?.count || 0;
+                return WPAppAjax.post(checkAction, {
+                    type: type,
+                    nonce: checkNonce
+                }, { nonce: checkNonceAction, url: ajaxUrl }).then(data => {
+                    const hasData = !!(data && data.has_data);
+                    const count = data?.count || 0;
                     console.log(`[DemoData] Dependency "${type}":`, hasData ? 'MET ✓' : 'MISSING ✗', `(${count} records)`);
                     return {type, hasData, count};
-                }).catch(err => {
+                }, err => {
                     console.error(`[DemoData] Check failed for "${type}":`, err);
                     return {type, hasData: false, count: 0};
                 });
@@ -254,64 +273,72 @@ jQuery(document).ready(function($) {
         $button.prop('disabled', true);
         $button.closest('.demo-data-card').addClass('loading');
 
-        // Send AJAX request
-        $.ajax({
-            url: ajaxUrl,
-            type: 'POST',
-            data: {
-                action: action,
-                nonce: nonce
-            },
-            success: function(response) {
-                $button.prop('disabled', false);
-                $button.closest('.demo-data-card').removeClass('loading');
-
-                if (response.success) {
-                    // Build success message
-                    let message = (response.data && response.data.message) || 'Operation completed successfully';
-
-                    // Add error details if present (partial success)
-                    if (response.data && response.data.errors && response.data.errors.length > 0) {
-                        message += '\n\nErrors:\n' + response.data.errors.join('\n');
+        // Send AJAX request (data-nonce-action lets WPAppAjax refresh an expired nonce)
+        WPAppAjax.post(action, { nonce: nonce }, {
+            nonce: $button.data('nonce-action'),
+            url: ajaxUrl
+        }).done(function(data, response) {
+            if (window.WPAppUndo && WPAppUndo.isUndoable(response)) {
+                // Deferred action: result arrives when the undo window ends
+                WPAppUndo.show(data.undo, {
+                    onCommit: function(result) {
+                        handleSuccess(result, successReload, statsRefresh);
+                    },
+                    onError: function(message) {
+                        showMessage(message, 'error');
                     }
+                });
+            } else {
+                handleSuccess(data, successReload, statsRefresh);
+            }
+        }).fail(function(error) {
+            console.error('[DemoData] AJAX Error:', error);
+            showMessage(error.message || 'An error occurred during operation', 'error');
+        }).always(function() {
+            $button.prop('disabled', false);
+            $button.closest('.demo-data-card').removeClass('loading');
+        });
+    }
 
-                    showMessage(message, 'success');
+    /**
+     * Show result of a successful demo data operation
+     * Refreshes statistics, reloads the page or re-checks dependencies as configured
+     */
+    function handleSuccess(data, successReload, statsRefresh) {
+        // Build success message
+        let message = (data && data.message) || 'Operation completed successfully';
 
-                    // Refresh statistics if configured
-                    if (statsRefresh) {
-                        const $statsButton = $(statsRefresh);
-                        if ($statsButton.length) {
-                            setTimeout(function() {
-                                $statsButton.trigger('click');
-                            }, 500);
-                        }
-                    }
+        const hasErrors = !!(data && data.errors && data.errors.length > 0);
 
-                    // Reload page after success if configured
-                    if (successReload) {
-                        setTimeout(function() {
-                            window.location.reload();
-                        }, 1500);
-                    } else {
-                        // Re-check dependencies if no reload
-                        // Give backend time to commit data before checking
-                        setTimeout(function() {
-                            checkDependencies();
-                        }, 500);
-                    }
-                } else {
-                    const errorMsg = (response.data && response.data.message) || 'An error occurred during operation';
-                    showMessage(errorMsg, 'error');
-                }
-            },
-            error: function(xhr, status, error) {
-                $button.prop('disabled', false);
-                $button.closest('.demo-data-card').removeClass('loading');
+        // Add error details if present (partial success)
+        if (hasErrors) {
+            message += '\n\nErrors:\n' + data.errors.join('\n');
+        }
+
+        showMessage(message, hasErrors ? 'warning' : 'success');
 
-                console.error('[DemoData] AJAX Error:', {xhr, status, error});
-                showMessage('An unexpected error occurred. Please try again.', 'error');
+        // Refresh statistics if configured
+        if (statsRefresh) {
+            const $statsButton = $(statsRefresh);
+            if ($statsButton.length) {
+                setTimeout(function() {
+                    $statsButton.trigger('click');
+                }, 500);
             }
-        });
+        }
+
+        // Reload page after success if configured
+        if (successReload) {
+            setTimeout(function() {
+                window.location.reload();
+            }, 1500);
+        } else {
+            // Re-check dependencies if no reload
+            // Give backend time to commit data before checking
+            setTimeout(function() {
+                checkDependencies();
+            }, 500);
+        }
     }
 
     /**
@@ -346,61 +373,53 @@ jQuery(document).ready(function($) {
         $statsContainer.html('<p>Loading statistics...</p>');
 
         // Send AJAX request
-        $.ajax({
-            url: ajaxUrl,
-            type: 'POST',
-            data: {
-                action: action,
-                nonce: nonce
-            },
-            success: function(response) {
-                $button.prop('disabled', false);
-
-                if (response.success && response.data.stats) {
-                    const stats = response.data.stats;
-
-                    // Build stats HTML
-                    let html = '<ul style="margin: 0; padding-left: 20px;">';
-
-                    // Generic stats display (customize per plugin if needed)
-                    if (stats.total_users !== undefined) {
-                        html += '<li><strong>Total users defined:</strong> ' + stats.total_users + '</li>';
-                    }
-                    if (stats.existing_users !== undefined) {
-                        html += '<li><strong>Existing users:</strong> ' + stats.existing_users + '</li>';
-                    }
-                    if (stats.existing_staff_records !== undefined) {
-                        html += '<li><strong>Staff records:</strong> ' + stats.existing_staff_records + '</li>';
-                    }
-                    if (stats.existing_records !== undefined) {
-                        html += '<li><strong>Existing records:</strong> ' + stats.existing_records + '</li>';
-                    }
-                    if (stats.users_to_create !== undefined) {
-                        html += '<li><strong>Users to create:</strong> ' + stats.users_to_create + '</li>';
-                    }
-
-                    html += '</ul>';
+        WPAppAjax.post(action, { nonce: nonce }, {
+            nonce: $button.data('nonce-action'),
+            url: ajaxUrl
+        }).done(function(data) {
+            if (data && data.stats) {
+                const stats = data.stats;
+
+                // Build stats HTML
+                let html = '<ul style="margin: 0; padding-left: 20px;">';
+
+                // Generic stats display (customize per plugin if needed)
+                if (stats.total_users !== undefined) {
+                    html += '<li><strong>Total users defined:</strong> ' + stats.total_users + '</li>';
+                }
+                if (stats.existing_users !== undefined) {
+                    html += '<li><strong>Existing users:</strong> ' + stats.existing_users + '</li>';
+                }
+                if (stats.existing_staff_records !== undefined) {
+                    html += '<li><strong>Staff records:</strong> ' + stats.existing_staff_records + '</li>';
+                }
+                if (stats.existing_records !== undefined) {
+                    html += '<li><strong>Existing records:</strong> ' + stats.existing_records + '</li>';
+                }
+                if (stats.users_to_create !== undefined) {
+                    html += '<li><strong>Users to create:</strong> ' + stats.users_to_create + '</li>';
+                }
 
-                    // Add status indicator
-                    if (stats.existing_users === stats.total_users) {
-                        html = '<p style="color: #46b450;"><span class="dashicons dashicons-yes-alt"></span> All users generated</p>' + html;
-                    } else if (stats.existing_users > 0) {
-                        html = '<p style="color: #f0b849;"><span class="dashicons dashicons-warning"></span> Partially generated</p>' + html;
-                    } else {
-                        html = '<p style="color: #646970;"><span class="dashicons dashicons-info"></span> No users generated</p>' + html;
-                    }
+                html += '</ul>';
 
-                    $statsContainer.html(html);
+                // Add status indicator
+                if (stats.existing_users === stats.total_users) {
+                    html = '<p style="color: #46b450;"><span class="dashicons dashicons-yes-alt"></span> All users generated</p>' + html;
+                } else if (stats.existing_users > 0) {
+                    html = '<p style="color: #f0b849;"><span class="dashicons dashicons-warning"></span> Partially generated</p>' + html;
                 } else {
-                    $statsContainer.html('<p style="color: #d63638;">Error loading statistics</p>');
+                    html = '<p style="color: #646970;"><span class="dashicons dashicons-info"></span> No users generated</p>' + html;
                 }
-            },
-            error: function(xhr, status, error) {
-                $button.prop('disabled', false);
 
-                console.error('[DemoData] AJAX Error:', {xhr, status, error});
+                $statsContainer.html(html);
+            } else {
                 $statsContainer.html('<p style="color: #d63638;">Error loading statistics</p>');
             }
+        }).fail(function(error) {
+            console.error('[DemoData] AJAX Error:', error);
+            $statsContainer.html('<p style="color: #d63638;">Error loading statistics</p>');
+        }).always(function() {
+            $button.prop('disabled', false);
         });
     });
 
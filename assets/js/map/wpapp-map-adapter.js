@@ -3,7 +3,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Assets/JS/Map
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/map/wpapp-map-adapter.js
@@ -24,6 +24,7 @@
  * - WPModal opens with map container (.branch-coordinates-map)
  * - Custom trigger: $(document).trigger('wpapp:init-map')
  * - Custom cleanup: $(document).trigger('wpapp:cleanup-map')
+ * - Panel content with map container is mounted / unmounted (wpAppComponents)
  *
  * Map Container Requirements:
  * - Must have class: .branch-coordinates-map (or configurable)
@@ -31,6 +32,11 @@
  * - Coordinate fields: [name="latitude"], [name="longitude"]
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Registered as "map" component (wpAppComponents)
+ * - Map in DataTable panel / layer initialized on mount, cleaned up on unmount
+ *   (record switch, panel close, layer pop) - no more leaked Leaflet instances
+ *
  * 1.0.1 - 2025-11-11
  * - Migrated to WPModal events (wpmodal:modal-opened, wpmodal:modal-closed)
  * - Replaced wpAppModal with WPModal
@@ -71,6 +77,7 @@
             // Bind events
             this.bindModalEvents();
             this.bindCustomEvents();
+            this.registerComponent();
 
             this.debugLog('WPAppMapAdapter initialized successfully');
         },
@@ -147,6 +154,27 @@
             });
         },
 
+        /**
+         * Register map with component registry (DataTable panels)
+         */
+        registerComponent() {
+            if (!window.wpAppComponents) {
+                return;
+            }
+
+            window.wpAppComponents.register('map', {
+                selector: this.config.mapContainerSelector,
+                mount: (el, context) => {
+                    this.debugLog('Component mount', context);
+                    this.initMapInContext(context.source || 'panel');
+                },
+                unmount: () => {
+                    this.debugLog('Component unmount');
+                    this.cleanupMap();
+                }
+            });
+        },
+
         /**
          * Initialize map in given context
          *
@@ -3,7 +3,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Assets/JS/Permissions
- * @version     1.0.2
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/permissions/wpapp-permission-matrix.js
@@ -15,6 +15,9 @@
  * Dependencies:
  * - jQuery
  * - WPModal (from wp-modal plugin)
+ * - WPAppUndo (undo toast after reset)
+ * - WPAppNotify (notifications)
+ * - WPAppAjax (requests, expired nonce refresh)
  *
  * Localized Data (wpappPermissions):
  * - pluginSlug: Plugin slug
@@ -25,6 +28,16 @@
  * - strings: Translated strings
  *
  * Changelog:
+ * 1.3.0 - 2026-10-18
+ * - Save / reset sent through WPAppAjax: an expired nonce is refreshed and the
+ *   request retried, errors show the normalized message
+ * 1.2.0 - 2026-10-18
+ * - Notifications shown through WPAppNotify (own notice element, dismiss and
+ *   cleanup handlers removed)
+ * - Failed checkbox save (network) offers "Retry"
+ * 1.1.0 - 2026-10-18
+ * - Reset shows an undo toast; the page reloads once the reset is undone
+ *   or final
  * 1.0.2 - 2025-01-12 (TODO-1206)
  * - Removed hidePageLevelButtons() (moved to PHP hook for cleaner approach)
  * - Footer now controlled by wpapp_show_settings_footer hook in settings-page.php
@@ -65,7 +78,6 @@
          */
         init: function() {
             this.bindEvents();
-            this.cleanupOldNotifications();
             console.log('[PermissionMatrix] Initialized for:', settings.pluginPrefix);
         },
 
@@ -78,9 +90,6 @@
 
             // Reset button - AJAX with WPModal confirmation
             $(document).on('click', '.btn-reset-permissions', this.handleResetClick.bind(this));
-
-            // Cleanup notifications on dismiss
-            $(document).on('click', '.permission-notification .notice-dismiss', this.dismissNotification.bind(this));
         },
 
         /**
@@ -107,39 +116,36 @@
             $wrapper.addClass('loading');
             $checkbox.prop('disabled', true);
 
-            // AJAX save
-            $.ajax({
-                url: settings.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: pluginPrefix + '_save_permissions',
-                    nonce: nonce,
-                    role: role,
-                    capability: capability,
-                    enabled: enabled
-                },
-                success: (response) => {
-                    if (response.success) {
-                        // Success - update UI
-                        this.updateCheckboxUI($checkbox, enabled);
-                        this.showNotification('success', response.data.message || settings.strings.saved);
-                    } else {
-                        // Error - revert checkbox
-                        $checkbox.prop('checked', !enabled);
-                        this.showNotification('error', response.data.message || settings.strings.error);
-                    }
-                },
-                error: (xhr, status, error) => {
-                    // Network error - revert checkbox
-                    $checkbox.prop('checked', !enabled);
-                    console.error('[PermissionMatrix] AJAX error:', error);
-                    this.showNotification('error', 'Network error. Please try again.');
-                },
-                complete: () => {
-                    // Remove loading state
-                    $wrapper.removeClass('loading');
-                    $checkbox.prop('disabled', false);
-                }
+            // AJAX save (expired nonce refreshed by WPAppAjax)
+            WPAppAjax.post(pluginPrefix + '_save_permissions', {
+                nonce: nonce,
+                role: role,
+                capability: capability,
+                enabled: enabled
+            }, {
+                nonce: pluginPrefix + '_nonce'
+            }).done((data) => {
+                // Success - update UI
+                this.updateCheckboxUI($checkbox, enabled);
+                this.showNotification('success', (data && data.message) || settings.strings.saved);
+            }).fail((error) => {
+                // Error - revert checkbox
+                $checkbox.prop('checked', !enabled);
+                console.error('[PermissionMatrix] Save error:', error);
+
+                // Request did not reach the handler - offer retry
+                const options = error.data ? {} : {
+                    actions: [{
+                        label: settings.strings.retry,
+                        onClick: () => $checkbox.prop('checked', !!enabled).trigger('change')
+                    }]
+                };
+
+                this.showNotification('error', error.message, options);
+            }).always(() => {
+                // Remove loading state
+                $wrapper.removeClass('loading');
+                $checkbox.prop('disabled', false);
             });
         },
 
@@ -180,7 +186,7 @@
             // Show WPModal confirmation
             WPModal.confirm({
                 title: 'Reset All Permissions?',
-                message: 'This will reset ALL permissions across all tabs to their default values.\n\nThis action cannot be undone.\n\nAre you sure you want to continue?',
+                message: 'This will reset ALL permissions across all tabs to their default values.\n\nAre you sure you want to continue?',
                 danger: true,
                 confirmLabel: 'Reset to Default',
                 cancelLabel: 'Cancel',
@@ -206,82 +212,55 @@
                     .appendTo('head');
             }
 
-            // AJAX reset
-            $.ajax({
-                url: settings.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: pluginPrefix + '_reset_permissions',
-                    nonce: nonce
-                },
-                success: (response) => {
-                    if (response.success) {
-                        // Success - reload page to show updated permissions
-                        this.showNotification('success', response.data.message || 'Permissions reset successfully');
-
-                        // Reload after short delay to show notification
-                        setTimeout(() => {
-                            window.location.reload();
-                        }, 1000);
-                    } else {
-                        // Error - restore button
-                        $button.prop('disabled', false).text(originalText);
-                        this.showNotification('error', response.data.message || 'Failed to reset permissions');
-                    }
-                },
-                error: (xhr, status, error) => {
-                    // Network error - restore button
-                    $button.prop('disabled', false).text(originalText);
-                    console.error('[PermissionMatrix] Reset AJAX error:', error);
-                    this.showNotification('error', 'Network error. Please try again.');
+            // AJAX reset (expired nonce refreshed by WPAppAjax)
+            WPAppAjax.post(pluginPrefix + '_reset_permissions', {
+                nonce: nonce
+            }, {
+                nonce: pluginPrefix + '_reset_permissions'
+            }).done((data, response) => {
+                if (window.WPAppUndo && WPAppUndo.isUndoable(response)) {
+                    // Reload to show the permissions in effect once undone or final
+                    const reload = () => window.location.reload();
+
+                    WPAppUndo.show(data.undo, {
+                        onUndo: reload,
+                        onCommit: reload,
+                        onError: (message) => {
+                            this.showNotification('error', message);
+                            setTimeout(reload, 3000);
+                        }
+                    });
+                } else {
+                    // Success - reload page to show updated permissions
+                    this.showNotification('success', (data && data.message) || 'Permissions reset successfully');
+
+                    // Reload after short delay to show notification
+                    setTimeout(() => {
+                        window.location.reload();
+                    }, 1000);
                 }
+            }).fail((error) => {
+                // Error - restore button
+                $button.prop('disabled', false).text(originalText);
+                console.error('[PermissionMatrix] Reset error:', error);
+                this.showNotification('error', error.message);
             });
         },
 
         /**
          * Show notification message
+         *
+         * @param {string} type success | error | warning | info
+         * @param {string} message Message text
+         * @param {Object} options Extra WPAppNotify options (actions)
          */
-        showNotification: function(type, message) {
-            // Remove existing notifications
-            $('.permission-notification').remove();
-
-            // Create notification element
-            const $notification = $('<div>')
-                .addClass('permission-notification notice notice-' + type + ' is-dismissible')
-                .append($('<p>').text(message))
-                .append($('<button type="button" class="notice-dismiss"><span class="screen-reader-text">Dismiss</span></button>'));
-
-            // Add to page
-            $('body').append($notification);
-
-            // Auto-dismiss after 3 seconds
-            setTimeout(() => {
-                this.dismissNotification($notification);
-            }, 3000);
-        },
-
-        /**
-         * Dismiss notification with animation
-         */
-        dismissNotification: function(elementOrEvent) {
-            let $notification;
-
-            if (elementOrEvent instanceof jQuery) {
-                $notification = elementOrEvent;
-            } else {
-                $notification = $(elementOrEvent.target).closest('.permission-notification');
-            }
-
-            $notification.fadeOut(300, function() {
-                $(this).remove();
-            });
-        },
-
-        /**
-         * Cleanup old notifications on page load
-         */
-        cleanupOldNotifications: function() {
-            $('.permission-notification').remove();
+        showNotification: function(type, message, options = {}) {
+            // Same id: a new message replaces the previous one
+            WPAppNotify.show($.extend({
+                id: 'wpapp-permission-matrix',
+                type: type,
+                message: message
+            }, options));
         }
     };
 
@@ -3,7 +3,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Assets/JS/Platform
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/platform/platform-staff-datatable-script.js
@@ -16,8 +16,13 @@
  * - DataTables
  * - WordPress AJAX
  * - PlatformStaff object (dari platform-staff-script.js)
+ * - wpapp-datatable.js (WPAppDataTable bootstrapper)
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Inisialisasi lewat WPAppDataTable.init() (language pack bersama, filter_*)
+ * - Instance tersedia lewat WPAppDataTable.get('platform-staff')
+ *
  * 1.0.0 - 2025-10-19
  * - Initial implementation
  * - Server-side processing
@@ -39,32 +44,26 @@
                 return null;
             }
 
-            // Check if DataTable is available
-            if (typeof $.fn.DataTable === 'undefined') {
-                console.error('DataTables library not loaded.');
+            if (!window.WPAppDataTable) {
+                console.error('WPAppDataTable not loaded.');
                 return null;
             }
 
-            const dataTable = $table.DataTable({
-                serverSide: true,
+            return WPAppDataTable.init($table, {
+                key: 'platform-staff',
+                action: 'handle_platform_staff_datatable',
+                ajaxUrl: wpAppCoreStaffData.ajaxUrl,
+                nonce: wpAppCoreStaffData.nonce,
                 processing: false,
                 autoWidth: false,
-                ajax: {
-                    url: wpAppCoreStaffData.ajaxUrl,
-                    type: 'POST',
-                    data: function(d) {
-                        return $.extend({}, d, {
-                            action: 'handle_platform_staff_datatable',
-                            nonce: wpAppCoreStaffData.nonce,
-                            filter_department: $('#filter-department').val() || '',
-                            filter_status: $('#filter-status').val() || ''
-                        });
-                    },
-                    error: function(xhr, error, thrown) {
-                        console.error('DataTable error:', error, thrown);
-                        if (self.showToast) {
-                            self.showToast('error', 'Gagal memuat data staff');
-                        }
+                // Sent as filter_department, filter_status
+                filters: {
+                    department: '#filter-department',
+                    status: '#filter-status'
+                },
+                onError: function() {
+                    if (self.showToast) {
+                        self.showToast('error', 'Gagal memuat data staff');
                     }
                 },
                 columns: [
@@ -128,25 +127,11 @@
                 pageLength: 10,
                 lengthMenu: [[10, 25, 50, 100], [10, 25, 50, 100]],
                 language: {
-                    processing: 'Memproses...',
-                    lengthMenu: 'Tampilkan _MENU_ data',
                     zeroRecords: 'Tidak ada data staff',
-                    emptyTable: 'Tidak ada data staff tersedia',
-                    info: 'Menampilkan _START_ sampai _END_ dari _TOTAL_ data',
-                    infoEmpty: 'Menampilkan 0 sampai 0 dari 0 data',
-                    infoFiltered: '(disaring dari _MAX_ total data)',
-                    search: 'Cari:',
-                    paginate: {
-                        first: 'Pertama',
-                        last: 'Terakhir',
-                        next: 'Selanjutnya',
-                        previous: 'Sebelumnya'
-                    }
+                    emptyTable: 'Tidak ada data staff tersedia'
                 },
                 dom: '<"table-header"lf>rt<"table-footer"ip>'
             });
-
-            return dataTable;
         }
     };
 
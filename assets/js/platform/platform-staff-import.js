@@ -0,0 +1,773 @@
+/**
+ * Platform Staff CSV Import
+ *
+ * @package     WP_App_Core
+ * @subpackage  Assets/JS/Platform
+ * @version     1.0.2
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/assets/js/platform/platform-staff-import.js
+ *
+ * Description: Import wizard for Platform Staff (forms/import-staff-wizard.php).
+ *              Upload CSV -> map columns -> preview -> import.
+ *              The file is parsed in the browser; mapped rows are checked with
+ *              the edit form rules (PlatformStaffModalHandler.validateStaffData)
+ *              plus account fields, then dry-run on the server in batches
+ *              (PlatformStaffValidator::validateImportRow). Only rows without
+ *              errors are imported, in batches, with a final report and an
+ *              error file (original columns + line + errors).
+ *
+ * Dependencies:
+ * - jQuery
+ * - PlatformStaffModalHandler (validateStaffData)
+ * - wpAppDataTableExport (CSV download)
+ * - WPAppDataTable (DataTable instance registry)
+ * - wpPlatformStaffImportConfig localized object
+ * - WPAppAjax (batch requests)
+ *
+ * Events Triggered:
+ * - wpapp:staff-import-complete - Import finished ({ total, imported, failed })
+ *
+ * Changelog:
+ * 1.0.2 - 2026-10-18
+ * - Batches sent through WPAppAjax (expired nonce refreshed and retried,
+ *   server message or normalised error)
+ *
+ * 1.0.1 - 2026-10-18
+ * - Console output only in debug mode (debugLog)
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Platform Staff Import Wizard
+     */
+    const PlatformStaffImport = {
+
+        /**
+         * Header aliases for automatic column mapping (normalized)
+         */
+        aliases: {
+            user_login: ['userlogin', 'username', 'login', 'user'],
+            user_email: ['useremail', 'email', 'emailaddress', 'surel'],
+            full_name: ['fullname', 'name', 'nama', 'namalengkap'],
+            department: ['department', 'departemen', 'dept', 'divisi'],
+            phone: ['phone', 'telepon', 'telp', 'hp', 'nohp', 'phonenumber'],
+            hire_date: ['hiredate', 'tanggalmasuk', 'tglmasuk', 'joindate'],
+            status: ['status'],
+            role: ['role', 'peran', 'adminrole']
+        },
+
+        /**
+         * Initialize wizard
+         */
+        init() {
+            this.$dialog = $('#platform-staff-import');
+
+            if (!this.$dialog.length || typeof wpPlatformStaffImportConfig === 'undefined') {
+                return;
+            }
+
+            this.config = wpPlatformStaffImportConfig;
+            this.i18n = this.config.i18n || {};
+            this.reset();
+            this.bindEvents();
+            this.debugLog('Initialized');
+        },
+
+        /**
+         * Clear wizard state
+         */
+        reset() {
+            this.headers = [];
+            this.rows = [];
+            this.records = [];
+            this.errors = {};
+            this.running = false;
+            this.cancelled = false;
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents() {
+            $(document).on('click', '.platform-staff-import-btn', (e) => {
+                e.preventDefault();
+                this.open();
+            });
+
+            this.$dialog.on('change', '.wpapp-import-file', (e) => {
+                const file = e.target.files && e.target.files[0];
+
+                if (file) {
+                    this.readFile(file);
+                }
+            });
+
+            this.$dialog.on('click', '.wpapp-import-template', () => this.downloadTemplate());
+            this.$dialog.on('click', '.wpapp-import-next', () => this.submitMapping());
+            this.$dialog.on('click', '.wpapp-import-back', () => this.showStep(this.step === 'preview' ? 'mapping' : 'upload'));
+            this.$dialog.on('click', '.wpapp-import-run', () => this.runImport());
+            this.$dialog.on('click', '.wpapp-import-error-file', () => this.downloadErrors());
+            this.$dialog.on('click', '.wpapp-import-close, .wpapp-import-done', () => this.close());
+
+            this.$dialog.on('change', '.wpapp-import-errors-only', (e) => {
+                this.$dialog.find('.wpapp-import-preview').toggleClass('is-errors-only', e.target.checked);
+            });
+
+            $(document).on('keydown', (e) => {
+                if (e.key === 'Escape' && !this.$dialog.prop('hidden')) {
+                    this.close();
+                }
+            });
+        },
+
+        /**
+         * Open wizard at upload step
+         */
+        open() {
+            this.reset();
+            this.$dialog.find('.wpapp-import-file').val('');
+            this.$dialog.find('.wpapp-import-errors-only').prop('checked', false);
+            this.$dialog.find('.wpapp-import-preview').removeClass('is-errors-only');
+            this.showStep('upload');
+            this.$dialog.prop('hidden', false);
+        },
+
+        /**
+         * Close wizard (stops a running import after the current batch)
+         */
+        close() {
+            if (this.running) {
+                if (!window.confirm(this.i18n.confirmCancel)) {
+                    return;
+                }
+
+                this.cancelled = true;
+            }
+
+            this.$dialog.prop('hidden', true);
+        },
+
+        /**
+         * Show wizard step and its footer buttons
+         *
+         * @param {string} step upload | mapping | preview | import
+         */
+        showStep(step) {
+            this.step = step;
+
+            this.$dialog.find('.wpapp-import-step').each(function() {
+                $(this).prop('hidden', $(this).data('step') !== step);
+            });
+
+            this.$dialog.find('.wpapp-import-steps li').each(function() {
+                $(this).toggleClass('is-current', $(this).data('step') === step);
+            });
+
+            this.$dialog.find('.wpapp-import-message').prop('hidden', true).text('');
+            this.$dialog.find('.wpapp-import-back').prop('hidden', step === 'upload' || step === 'import');
+            this.$dialog.find('.wpapp-import-next').prop('hidden', step !== 'mapping');
+            this.$dialog.find('.wpapp-import-run').prop('hidden', step !== 'preview');
+            this.$dialog.find('.wpapp-import-done').prop('hidden', step !== 'import');
+            this.$dialog.find('.wpapp-import-error-file').prop('hidden', true);
+        },
+
+        /**
+         * Show message in current step
+         *
+         * @param {string} message Message text
+         */
+        showMessage(message) {
+            this.$dialog.find('.wpapp-import-step[data-step="' + this.step + '"] .wpapp-import-message')
+                .text(message)
+                .prop('hidden', false);
+        },
+
+        /**
+         * Read and parse uploaded file
+         *
+         * @param {File} file CSV file
+         */
+        readFile(file) {
+            const reader = new FileReader();
+
+            reader.onload = () => {
+                const data = this.parseCsv(String(reader.result || ''));
+
+                if (data.length < 2) {
+                    this.showMessage(this.i18n.emptyFile);
+                    return;
+                }
+
+                if (data.length - 1 > this.config.maxRows) {
+                    this.showMessage(String(this.i18n.tooManyRows).replace('%d', this.config.maxRows));
+                    return;
+                }
+
+                this.headers = data[0].map((header) => String(header).trim());
+                this.rows = data.slice(1).map((cells, index) => ({ line: index + 2, cells: cells }));
+                this.debugLog('Parsed', this.rows.length, 'rows');
+
+                this.renderMapping();
+                this.showStep('mapping');
+            };
+
+            reader.onerror = () => this.showMessage(this.i18n.invalidFile);
+            reader.readAsText(file);
+        },
+
+        /**
+         * Parse CSV text (quoted fields, comma or semicolon separated)
+         *
+         * @param {string} text File content
+         * @return {Array[]} Rows of cells, blank lines skipped
+         */
+        parseCsv(text) {
+            text = text.replace(/^\uFEFF/, '');
+
+            const delimiter = this.detectDelimiter(text);
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let quoted = false;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        cell += char;
+                    }
+                } else if (char === '"') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    row.push(cell);
+                    cell = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') {
+                        i++;
+                    }
+
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+
+            row.push(cell);
+            rows.push(row);
+
+            return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+        },
+
+        /**
+         * Detect delimiter from header line (Excel with regional settings writes ';')
+         *
+         * @param {string} text File content
+         * @return {string} Delimiter
+         */
+        detectDelimiter(text) {
+            const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+            const commas = (header.match(/,/g) || []).length;
+            const semicolons = (header.match(/;/g) || []).length;
+
+            return semicolons > commas ? ';' : ',';
+        },
+
+        /**
+         * Normalize header for alias matching
+         *
+         * @param {string} value Header text
+         * @return {string} Lowercase letters and digits only
+         */
+        normalizeHeader(value) {
+            return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+        },
+
+        /**
+         * Fill column selects and pick columns by header name
+         */
+        renderMapping() {
+            const normalized = this.headers.map((header) => this.normalizeHeader(header));
+
+            this.$dialog.find('.wpapp-import-mapping tbody tr').each((index, tr) => {
+                const $row = $(tr);
+                const field = $row.data('field');
+                const $select = $row.find('.wpapp-import-column').empty();
+                const match = normalized.findIndex((header) => (this.aliases[field] || [field]).includes(header));
+
+                $select.append($('<option value=""></option>').text(this.i18n.notMapped));
+
+                this.headers.forEach((header, column) => {
+                    $select.append($('<option></option>').val(column).text(header || '#' + (column + 1)));
+                });
+
+                $select.val(match >= 0 ? String(match) : '');
+            });
+        },
+
+        /**
+         * Read mapping, build records, validate
+         */
+        submitMapping() {
+            const mapping = {};
+            const missing = [];
+
+            this.$dialog.find('.wpapp-import-mapping tbody tr').each(function() {
+                const $row = $(this);
+                const value = $row.find('.wpapp-import-column').val();
+
+                if (value === '' && $row.data('required') === 1) {
+                    missing.push($.trim($row.find('td').first().text()).replace(/\s*\*$/, ''));
+                }
+
+                mapping[$row.data('field')] = value === '' ? null : parseInt(value, 10);
+            });
+
+            if (missing.length) {
+                this.showMessage(String(this.i18n.requiredMapping).replace('%s', missing.join(', ')));
+                return;
+            }
+
+            this.records = this.rows.map((row) => {
+                const record = { line: row.line };
+
+                Object.keys(mapping).forEach((field) => {
+                    const column = mapping[field];
+                    record[field] = column === null ? '' : String(row.cells[column] || '').trim();
+                });
+
+                return this.normalizeRecord(record);
+            });
+
+            this.errors = {};
+            this.records.forEach((record) => {
+                this.errors[record.line] = this.validateRecord(record);
+            });
+            this.markDuplicates('user_login');
+            this.markDuplicates('user_email');
+
+            this.showStep('preview');
+            this.renderPreview();
+            this.dryRun();
+        },
+
+        /**
+         * Convert CSV values to stored values (role name -> slug, status casing)
+         *
+         * @param {Object} record Mapped row
+         * @return {Object} Record
+         */
+        normalizeRecord(record) {
+            const roles = this.config.roles || {};
+
+            record.status = record.status.toLowerCase().replace(/\s+/g, '_');
+
+            if (record.role && !roles[record.role]) {
+                const slug = Object.keys(roles).find((key) => roles[key].toLowerCase() === record.role.toLowerCase());
+
+                if (slug) {
+                    record.role = slug;
+                }
+            }
+
+            return record;
+        },
+
+        /**
+         * Client-side validation (same rules as the edit form + account fields)
+         *
+         * @param {Object} record Mapped row
+         * @return {string[]} Error messages
+         */
+        validateRecord(record) {
+            const i18n = this.i18n;
+            const errors = [];
+
+            if (!record.user_login) {
+                errors.push(i18n.loginRequired);
+            } else if (!/^[A-Za-z0-9 _.\-@]+$/.test(record.user_login)) {
+                errors.push(i18n.loginInvalid);
+            }
+
+            if (!record.user_email) {
+                errors.push(i18n.emailRequired);
+            } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(record.user_email)) {
+                errors.push(i18n.emailInvalid);
+            }
+
+            if (window.PlatformStaffModalHandler) {
+                PlatformStaffModalHandler.validateStaffData(record).forEach((error) => errors.push(error.message));
+            }
+
+            if (record.full_name.length > 100) {
+                errors.push(i18n.nameTooLong);
+            }
+
+            if (record.phone && (record.phone.length > 20 || !/^[\d\s+\-()]+$/.test(record.phone))) {
+                errors.push(i18n.phoneInvalid);
+            }
+
+            if (record.hire_date && !this.isDate(record.hire_date)) {
+                errors.push(i18n.dateInvalid);
+            }
+
+            if (record.status && !['aktif', 'tidak_aktif'].includes(record.status)) {
+                errors.push(i18n.statusInvalid);
+            }
+
+            if (record.role && !(this.config.roles || {})[record.role]) {
+                errors.push(i18n.roleInvalid);
+            }
+
+            return errors;
+        },
+
+        /**
+         * Check YYYY-MM-DD date (real calendar date)
+         *
+         * @param {string} value Date string
+         * @return {boolean} Valid
+         */
+        isDate(value) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return false;
+            }
+
+            const date = new Date(value + 'T00:00:00Z');
+
+            return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+        },
+
+        /**
+         * Flag repeated values of a field inside the file
+         *
+         * @param {string} field user_login | user_email
+         */
+        markDuplicates(field) {
+            const seen = {};
+
+            this.records.forEach((record) => {
+                const value = record[field].toLowerCase();
+
+                if (!value) {
+                    return;
+                }
+
+                if (seen[value]) {
+                    this.errors[record.line].push(
+                        String(this.i18n.duplicate).replace('%s', record[field]).replace('%d', seen[value])
+                    );
+                } else {
+                    seen[value] = record.line;
+                }
+            });
+        },
+
+        /**
+         * Records without errors
+         *
+         * @return {Object[]} Valid records
+         */
+        getValidRecords() {
+            return this.records.filter((record) => !this.errors[record.line].length);
+        },
+
+        /**
+         * Server dry run for rows that passed client validation
+         */
+        async dryRun() {
+            const records = this.getValidRecords();
+            const $run = this.$dialog.find('.wpapp-import-run').prop('disabled', true);
+            const $progress = this.$dialog.find('.wpapp-import-step[data-step="preview"] .wpapp-import-progress');
+
+            this.$dialog.find('.wpapp-import-summary').text(this.i18n.validating);
+            $progress.prop('hidden', false).val(0);
+
+            try {
+                await this.sendBatches('validate', records, (done) => {
+                    $progress.val(records.length ? Math.round(done / records.length * 100) : 100);
+                });
+            } catch (message) {
+                $progress.prop('hidden', true);
+                this.$dialog.find('.wpapp-import-summary').text(message);
+                return;
+            }
+
+            $progress.prop('hidden', true);
+            this.renderPreview();
+            $run.prop('disabled', !this.getValidRecords().length);
+        },
+
+        /**
+         * Send records in batches and merge errors per line
+         *
+         * @param {string} mode validate | import
+         * @param {Object[]} records Records to send
+         * @param {Function} onProgress Called with number of records done
+         * @return {Promise<number>} Records processed (less than total when cancelled)
+         */
+        async sendBatches(mode, records, onProgress) {
+            const size = this.config.batchSize;
+            let done = 0;
+
+            for (let offset = 0; offset < records.length; offset += size) {
+                if (this.cancelled) {
+                    break;
+                }
+
+                const batch = records.slice(offset, offset + size);
+                const results = await this.request(mode, batch);
+
+                results.forEach((result) => {
+                    if (this.errors[result.line] && result.errors && result.errors.length) {
+                        this.errors[result.line] = this.errors[result.line].concat(result.errors);
+                    }
+                });
+
+                done += batch.length;
+                onProgress(done);
+            }
+
+            return done;
+        },
+
+        /**
+         * POST one batch
+         *
+         * @param {string} mode validate | import
+         * @param {Object[]} rows Records
+         * @return {Promise<Object[]>} Results per row
+         */
+        request(mode, rows) {
+            return new Promise((resolve, reject) => {
+                WPAppAjax.post('platform_staff_import', {
+                    nonce: this.config.nonce,
+                    mode: mode,
+                    rows: rows
+                }, {
+                    nonce: 'wpdt_nonce',
+                    url: this.config.ajaxUrl
+                }).done((data) => {
+                    resolve((data && data.results) || []);
+                }).fail((error) => {
+                    reject(error.message || this.i18n.requestFailed);
+                });
+            });
+        },
+
+        /**
+         * Render preview table and summary
+         */
+        renderPreview() {
+            const i18n = this.i18n;
+            const fields = this.getMappedFields();
+            const $table = this.$dialog.find('.wpapp-import-preview');
+            const $head = $('<tr></tr>').append($('<th></th>').text(i18n.line));
+            const $body = $table.find('tbody').empty();
+
+            fields.forEach((field) => $head.append($('<th></th>').text(field.label)));
+            $head.append($('<th></th>').text(i18n.errors));
+            $table.find('thead').empty().append($head);
+
+            this.records.forEach((record) => {
+                const errors = this.errors[record.line];
+                const $row = $('<tr></tr>').toggleClass('has-error', errors.length > 0);
+
+                $row.append($('<td></td>').text(record.line));
+                fields.forEach((field) => $row.append($('<td></td>').text(record[field.key])));
+                $row.append(errors.length
+                    ? $('<td class="wpapp-import-row-errors"></td>').html(errors.map((error) => $('<div></div>').text(error).html()).join('<br>'))
+                    : $('<td class="wpapp-import-row-ok"></td>').text(i18n.ok));
+
+                $body.append($row);
+            });
+
+            const valid = this.getValidRecords().length;
+
+            this.$dialog.find('.wpapp-import-step[data-step="preview"] .wpapp-import-summary').text(
+                String(i18n.summary)
+                    .replace('%t', this.records.length)
+                    .replace('%v', valid)
+                    .replace('%e', this.records.length - valid)
+            );
+            this.$dialog.find('.wpapp-import-run').text(String(i18n.importRun).replace('%d', valid));
+            this.$dialog.find('.wpapp-import-error-file').prop('hidden', valid === this.records.length);
+        },
+
+        /**
+         * Mapped staff fields (for preview columns)
+         *
+         * @return {Object[]} { key, label }
+         */
+        getMappedFields() {
+            const fields = [];
+
+            this.$dialog.find('.wpapp-import-mapping tbody tr').each(function() {
+                const $row = $(this);
+
+                if ($row.find('.wpapp-import-column').val() !== '') {
+                    fields.push({
+                        key: $row.data('field'),
+                        label: $.trim($row.find('td').first().text()).replace(/\s*\*$/, '')
+                    });
+                }
+            });
+
+            return fields;
+        },
+
+        /**
+         * Import valid rows in batches, then show report
+         */
+        async runImport() {
+            const i18n = this.i18n;
+            const records = this.getValidRecords();
+            const total = records.length;
+
+            if (!total) {
+                return;
+            }
+
+            this.showStep('import');
+            this.running = true;
+            this.cancelled = false;
+
+            const $progress = this.$dialog.find('.wpapp-import-step[data-step="import"] .wpapp-import-progress').val(0);
+            const $summary = this.$dialog.find('.wpapp-import-step[data-step="import"] .wpapp-import-summary');
+            let processed = 0;
+            let failure = '';
+
+            $summary.text(String(i18n.importProgress).replace('%d', 0).replace('%t', total));
+
+            try {
+                await this.sendBatches('import', records, (done) => {
+                    processed = done;
+                    $progress.val(Math.round(done / total * 100));
+                    $summary.text(String(i18n.importProgress).replace('%d', done).replace('%t', total));
+                });
+            } catch (message) {
+                failure = message;
+            }
+
+            this.running = false;
+            this.renderReport(records, processed, failure);
+        },
+
+        /**
+         * Final report: counts, failed rows, refresh table
+         *
+         * @param {Object[]} records Records sent for import
+         * @param {number} processed Records processed
+         * @param {string} failure Request error (batch aborted), empty if none
+         */
+        renderReport(records, processed, failure) {
+            const i18n = this.i18n;
+            const sent = records.slice(0, processed);
+            const failed = sent.filter((record) => this.errors[record.line].length);
+            const imported = sent.length - failed.length;
+            const $errors = this.$dialog.find('.wpapp-import-errors').empty();
+
+            // Rows never sent (cancel / request failure) count as not imported
+            records.slice(processed).forEach((record) => {
+                this.errors[record.line].push(failure || i18n.notImported);
+            });
+
+            failed.forEach((record) => {
+                $errors.append($('<li></li>').text(i18n.line + ' ' + record.line + ': ' + this.errors[record.line].join('; ')));
+            });
+
+            $errors.prop('hidden', !failed.length);
+            this.$dialog.find('.wpapp-import-step[data-step="import"] .wpapp-import-summary').text(
+                (failure ? failure + ' ' : '') + String(i18n.importDone)
+                    .replace('%i', imported)
+                    .replace('%t', this.records.length)
+                    .replace('%f', this.records.length - imported)
+            );
+            this.$dialog.find('.wpapp-import-error-file').prop('hidden', imported === this.records.length);
+
+            this.debugLog('Import finished:', imported, 'of', this.records.length);
+
+            const staffTable = window.WPAppDataTable && WPAppDataTable.get('platform-staff');
+
+            if (staffTable && imported) {
+                staffTable.ajax.reload(null, false);
+                $(document).trigger('wpdt:refresh-stats');
+            }
+
+            $(document).trigger('wpapp:staff-import-complete', {
+                total: this.records.length,
+                imported: imported,
+                failed: this.records.length - imported
+            });
+        },
+
+        /**
+         * Download rows with errors (original columns + line + errors)
+         */
+        downloadErrors() {
+            const rows = this.rows
+                .filter((row) => this.errors[row.line] && this.errors[row.line].length)
+                .map((row) => [row.line].concat(
+                    this.headers.map((header, column) => row.cells[column] || ''),
+                    [this.errors[row.line].join('; ')]
+                ));
+
+            window.wpAppDataTableExport.download(
+                'platform-staff-import-errors.csv',
+                [this.i18n.line].concat(this.headers, [this.i18n.errors]),
+                rows,
+                'csv'
+            );
+        },
+
+        /**
+         * Download empty CSV template with one example row
+         */
+        downloadTemplate() {
+            const roles = Object.keys(this.config.roles || {});
+
+            window.wpAppDataTableExport.download(
+                'platform-staff-import.csv',
+                ['user_login', 'user_email', 'full_name', 'department', 'phone', 'hire_date', 'status', 'role'],
+                [['budi.santoso', 'budi@example.com', 'Budi Santoso', 'IT', '081234567890', '2026-01-15', 'aktif', roles[0] || '']],
+                'csv'
+            );
+        },
+
+        /**
+         * Debug logging (config.debug or wpAppConfig.debug)
+         *
+         * @param {...*} args Values to log
+         */
+        debugLog(...args) {
+            if ((this.config && this.config.debug) || (window.wpAppConfig && wpAppConfig.debug)) {
+                console.log('[StaffImport]', ...args);
+            }
+        }
+    };
+
+    /**
+     * Initialize on document ready
+     */
+    $(document).ready(function() {
+        PlatformStaffImport.init();
+    });
+
+    // Export to global scope
+    window.PlatformStaffImport = PlatformStaffImport;
+
+})(jQuery);
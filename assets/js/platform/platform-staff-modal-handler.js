@@ -3,7 +3,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Assets/JS/Platform
- * @version     1.0.0
+ * @version     1.9.2
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/platform/platform-staff-modal-handler.js
@@ -16,8 +16,54 @@
  * - jQuery
  * - WPModal (from wp-modal plugin)
  * - wpPlatformStaffConfig localized object
+ * - WPAppDataTable (DataTable instance registry)
+ * - WPAppConflictResolver (stale save resolution)
+ * - WPAppUndo (undo toast after delete)
+ * - WPAppNotify (delete errors)
+ * - WPAppAjax (save and delete requests)
  *
  * Changelog:
+ * 1.9.2 - 2026-10-18
+ * - Save sent through WPAppAjax (handleSave()): an expired nonce is
+ *   refreshed and the save retried; conflicts read from error.code
+ *
+ * 1.9.1 - 2026-10-18
+ * - Confirmation dialog before delete restored (showDeleteConfirm()); the
+ *   undo toast follows the confirmed delete
+ *
+ * 1.9.0 - 2026-10-18
+ * - Delete sent through WPAppAjax: an expired nonce is refreshed and the
+ *   delete retried instead of failing with "Network error"
+ *
+ * 1.8.0 - 2026-10-18
+ * - Delete errors shown as WPAppNotify toast with "Retry" instead of an
+ *   info modal
+ *
+ * 1.7.0 - 2026-10-18
+ * - Delete without confirmation dialog: the row disappears and an undo
+ *   toast restores it within the undo window (showDeleteConfirm() removed)
+ *
+ * 1.6.0 - 2026-10-18
+ * - Edit form sends its version token; a stale save shows "keep mine /
+ *   take theirs" per field in the modal and resubmits with the new version
+ *
+ * 1.5.0 - 2026-10-18
+ * - Change feed banner "Reload" reopens the staff panel (wpapp:record-reload-request)
+ *
+ * 1.4.0 - 2026-10-18
+ * - validateStaffData() checks only fields present (inline edit sends one field)
+ * - Registers validateStaffData() as inline edit validator for platform-staff
+ * - Inline save invalidates cached panel and refreshes statistics
+ *
+ * 1.3.0 - 2026-10-18
+ * - validateStaffData() extracted from validateForm() (reused by CSV import)
+ *
+ * 1.2.0 - 2026-10-18
+ * - DataTable instance from WPAppDataTable.get('platform-staff') (global instance removed)
+ *
+ * 1.1.0 - 2026-10-18
+ * - Invalidate cached panel response after save/delete (wpapp:panel-cache-invalidate)
+ *
  * 1.0.0 - 2025-12-25
  * - Initial implementation
  * - Edit staff modal
@@ -57,9 +103,44 @@
             $(document).on('click', '.staff-delete-btn', (e) => {
                 e.preventDefault();
                 e.stopPropagation(); // Prevent row click
-                const staffId = $(e.currentTarget).data('id');
-                console.log('[StaffModal] Delete button clicked for staff:', staffId);
-                this.showDeleteConfirm(staffId);
+                const $button = $(e.currentTarget);
+                console.log('[StaffModal] Delete button clicked for staff:', $button.data('id'));
+                this.showDeleteConfirm($button.data('id'), $button);
+            });
+
+            // Inline edit: same rules as the form
+            if (window.wpAppDataTableInlineEdit) {
+                wpAppDataTableInlineEdit.setValidator('platform-staff', (field, value) => {
+                    const errors = this.validateStaffData({ [field]: value });
+                    return errors.length ? errors[0].message : '';
+                });
+            }
+
+            $(document).on('wpapp:datatable-inline-saved', (e, data) => {
+                if (!data || data.key !== 'platform-staff') {
+                    return;
+                }
+
+                $(document).trigger('wpapp:panel-cache-invalidate', {
+                    entity: 'platform_staff',
+                    id: data.id
+                });
+
+                if (data.field === 'status') {
+                    $(document).trigger('wpdt:refresh-stats');
+                }
+            });
+
+            // Staff panel is rendered by wp-datatable, reopen it with fresh data
+            $(document).on('wpapp:record-reload-request', (e, data) => {
+                if (!data || data.entity !== 'platform_staff') {
+                    return;
+                }
+
+                $(document).trigger('wpdt:panel-open-request', {
+                    entity: 'platform_staff',
+                    id: data.id
+                });
             });
 
             console.log('[StaffModal] Events bound');
@@ -111,8 +192,9 @@
          * Show Delete Confirmation
          *
          * @param {number} staffId Staff ID to delete
+         * @param {jQuery} $button Delete button (disabled while deleting)
          */
-        showDeleteConfirm(staffId) {
+        showDeleteConfirm(staffId, $button) {
             console.log('[StaffModal] Showing delete confirm for staff ID:', staffId);
 
             // Check if WPModal is available
@@ -124,11 +206,11 @@
 
             WPModal.confirm({
                 title: 'Delete Platform Staff',
-                message: 'Are you sure you want to delete this staff member? This action cannot be undone.',
+                message: 'Are you sure you want to delete this staff member? You can undo this for a few seconds afterwards.',
                 confirmText: 'Delete',
                 confirmClass: 'button-danger',
                 onConfirm: () => {
-                    this.handleDelete(staffId);
+                    this.handleDelete(staffId, $button);
                 }
             });
         },
@@ -163,137 +245,178 @@
             // Show loading
             WPModal.loading(true);
 
-            // Submit via AJAX
-            $.ajax({
-                url: wpPlatformStaffConfig.ajaxUrl,
-                method: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                success: (response) => {
-                    if (response.success) {
-                        console.log('[StaffModal] Save successful:', response);
-
-                        // Get staff ID from response
-                        const staffId = response.data.staff ? response.data.staff.id : null;
-                        console.log('[StaffModal] Staff ID from response:', staffId);
-
-                        // Stop loading
-                        WPModal.loading(false);
-
-                        // Hide modal
-                        WPModal.hide();
-
-                        // Refresh DataTable, then open panel
-                        if (window.platformStaffDataTableInstance) {
-                            console.log('[StaffModal] Refreshing DataTable...');
-
-                            window.platformStaffDataTableInstance.ajax.reload(function() {
-                                console.log('[StaffModal] DataTable reload completed');
-
-                                // Open panel after reload
-                                if (staffId) {
-                                    console.log('[StaffModal] Triggering panel open request for staff:', staffId);
-                                    $(document).trigger('wpdt:panel-open-request', {
-                                        entity: 'platform_staff',
-                                        id: staffId
-                                    });
-                                }
-                            }, false);
-                        }
+            // Submit via AJAX (form fields: action, nonce, version, ...)
+            WPAppAjax.post(formData.get('action') || 'save_platform_staff', formData, {
+                nonce: 'wpdt_nonce',
+                url: wpPlatformStaffConfig.ajaxUrl
+            }).done((data, response) => {
+                console.log('[StaffModal] Save successful:', response);
 
-                        // Reload statistics
-                        setTimeout(() => {
-                            $(document).trigger('wpdt:refresh-stats');
-                        }, 500);
+                // Get staff ID from response
+                const staffId = data && data.staff ? data.staff.id : null;
+                console.log('[StaffModal] Staff ID from response:', staffId);
 
-                    } else {
-                        console.error('[StaffModal] Save failed:', response);
+                // Stop loading
+                WPModal.loading(false);
 
-                        // Stop loading
-                        WPModal.loading(false);
+                // Hide modal
+                WPModal.hide();
 
-                        // Show error message inside modal
-                        this.showErrorInModal(response.data.message || 'Failed to save staff');
-                    }
-                },
-                error: (xhr, status, error) => {
-                    WPModal.loading(false);
-                    console.error('[StaffModal] AJAX error:', error);
+                // Drop cached panel so it reopens with saved data
+                $(document).trigger('wpapp:panel-cache-invalidate', {
+                    entity: 'platform_staff',
+                    id: staffId
+                });
 
-                    let errorMessage = 'Network error. Please try again.';
-                    if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
-                        errorMessage = xhr.responseJSON.data.message;
-                    }
+                // Refresh DataTable, then open panel
+                const staffTable = window.WPAppDataTable && WPAppDataTable.get('platform-staff');
+
+                if (staffTable) {
+                    console.log('[StaffModal] Refreshing DataTable...');
 
-                    this.showErrorInModal(errorMessage);
+                    staffTable.ajax.reload(function() {
+                        console.log('[StaffModal] DataTable reload completed');
+
+                        // Open panel after reload
+                        if (staffId) {
+                            console.log('[StaffModal] Triggering panel open request for staff:', staffId);
+                            $(document).trigger('wpdt:panel-open-request', {
+                                entity: 'platform_staff',
+                                id: staffId
+                            });
+                        }
+                    }, false);
                 }
+
+                // Reload statistics
+                setTimeout(() => {
+                    $(document).trigger('wpdt:refresh-stats');
+                }, 500);
+            }).fail((error) => {
+                WPModal.loading(false);
+
+                if (error.code === 'conflict' && error.data && window.WPAppConflictResolver) {
+                    console.warn('[StaffModal] Save conflict:', error.data);
+                    this.showConflict(error.data, $form);
+                    return;
+                }
+
+                console.error('[StaffModal] Save failed:', error);
+
+                // Show error message inside modal
+                this.showErrorInModal(error.message || 'Failed to save staff');
             });
 
             return false; // Prevent default form submission
         },
 
+        /**
+         * Show stale save choices in the modal
+         *
+         * The record was saved by someone else after the form was loaded.
+         * Chosen values are written into the form and it is saved again
+         * with the current version.
+         *
+         * @param {Object} data Conflict response data ({ message, version, current })
+         * @param {jQuery} $form Form element
+         */
+        showConflict(data, $form) {
+            WPAppConflictResolver.show($form, {
+                current: data.current,
+                version: data.version,
+                message: data.message,
+                onResolve: (version) => {
+                    $form.find('[name="version"]').val(version);
+                    this.handleSave(null, $form);
+                }
+            });
+        },
+
         /**
          * Handle staff deletion
          *
+         * The row disappears at once; the undo toast restores it within the
+         * undo window, after that the deletion is final.
+         *
          * @param {number} staffId Staff ID to delete
+         * @param {jQuery} $button Delete button (disabled while deleting)
          */
-        handleDelete(staffId) {
+        handleDelete(staffId, $button) {
             console.log('[StaffModal] Deleting staff ID:', staffId);
 
-            // Show loading
-            WPModal.loading(true, 'Deleting staff...');
+            if ($button) {
+                $button.prop('disabled', true);
+            }
 
-            const deleteData = {
-                action: 'delete_platform_staff',
+            WPAppAjax.post('delete_platform_staff', {
                 staff_id: staffId,
                 nonce: wpPlatformStaffConfig.nonce
-            };
-
-            $.ajax({
-                url: wpPlatformStaffConfig.ajaxUrl,
-                method: 'POST',
-                data: deleteData,
-                success: (response) => {
-                    WPModal.loading(false);
-
-                    if (response.success) {
-                        console.log('[StaffModal] Delete successful:', response);
-
-                        // Refresh DataTable
-                        if (window.platformStaffDataTableInstance) {
-                            console.log('[StaffModal] Refreshing DataTable...');
-                            window.platformStaffDataTableInstance.ajax.reload(null, false);
+            }, {
+                nonce: 'wpdt_nonce'
+            }).done((data, response) => {
+                console.log('[StaffModal] Delete successful:', response);
+
+                this.refreshAfterDelete(staffId);
+
+                if (WPAppUndo.isUndoable(response)) {
+                    WPAppUndo.show(data.undo, {
+                        onUndo: () => {
+                            console.log('[StaffModal] Delete undone for staff:', staffId);
+                            this.refreshAfterDelete(staffId);
                         }
-
-                        // Reload statistics
-                        setTimeout(() => {
-                            $(document).trigger('wpdt:refresh-stats');
-                        }, 500);
-                    } else {
-                        console.error('[StaffModal] Delete failed:', response);
-                        WPModal.info({
-                            infoType: 'error',
-                            title: 'Error',
-                            message: response.data.message || 'Failed to delete staff',
-                            autoClose: 5000
-                        });
-                    }
-                },
-                error: (xhr, status, error) => {
-                    WPModal.loading(false);
-                    console.error('[StaffModal] Delete AJAX error:', error);
-
-                    WPModal.info({
-                        infoType: 'error',
-                        title: 'Error',
-                        message: 'Network error. Please try again.',
-                        autoClose: 5000
                     });
                 }
+            }).fail((error) => {
+                console.error('[StaffModal] Delete failed:', error);
+                this.showDeleteError(error.message, staffId);
+            }).always(() => {
+                if ($button) {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Show a failed delete with "Retry"
+         *
+         * @param {string} message Error message
+         * @param {number} staffId Staff ID to delete again
+         */
+        showDeleteError(message, staffId) {
+            WPAppNotify.error(message, {
+                id: 'platform-staff-delete-' + staffId,
+                actions: [{
+                    label: 'Retry',
+                    onClick: () => this.handleDelete(staffId)
+                }]
             });
         },
 
+        /**
+         * Drop cached panel, reload DataTable and statistics after delete / undo
+         *
+         * @param {number} staffId Staff ID
+         */
+        refreshAfterDelete(staffId) {
+            $(document).trigger('wpapp:panel-cache-invalidate', {
+                entity: 'platform_staff',
+                id: staffId
+            });
+
+            // Refresh DataTable
+            const staffTable = window.WPAppDataTable && WPAppDataTable.get('platform-staff');
+
+            if (staffTable) {
+                console.log('[StaffModal] Refreshing DataTable...');
+                staffTable.ajax.reload(null, false);
+            }
+
+            // Reload statistics
+            setTimeout(() => {
+                $(document).trigger('wpdt:refresh-stats');
+            }, 500);
+        },
+
         /**
          * Show error message inside modal
          *
@@ -336,32 +459,55 @@
          * @return {boolean} True if valid, false if invalid
          */
         validateForm($form) {
-            let isValid = true;
+            const errors = this.validateStaffData({
+                full_name: $form.find('#staff-full-name').val(),
+                department: $form.find('#staff-department').val()
+            });
+
+            errors.forEach((error) => {
+                this.showFieldError(this.fieldSelectors[error.field], error.message);
+            });
+
+            // Show summary error if there are errors
+            if (errors.length) {
+                const errorMessage = 'Please fix the following errors:<br>• ' +
+                    errors.map((error) => error.message).join('<br>• ');
+                this.showErrorInModal(errorMessage);
+            }
+
+            return errors.length === 0;
+        },
+
+        /**
+         * Form field selector per staff field
+         */
+        fieldSelectors: {
+            full_name: '#staff-full-name',
+            department: '#staff-department'
+        },
+
+        /**
+         * Validate staff data (shared by edit form, CSV import and inline edit)
+         *
+         * Only fields present in data are checked.
+         *
+         * @param {Object} data Staff fields (full_name, department)
+         * @return {Array} Errors as { field, message }, empty when valid
+         */
+        validateStaffData(data) {
             const errors = [];
 
             // Full Name (required)
-            const fullName = $form.find('#staff-full-name').val();
-            if (!fullName || fullName.trim() === '') {
-                this.showFieldError('#staff-full-name', 'Full name is required');
-                errors.push('Full name is required');
-                isValid = false;
+            if ('full_name' in data && (!data.full_name || String(data.full_name).trim() === '')) {
+                errors.push({ field: 'full_name', message: 'Full name is required' });
             }
 
             // Department (required)
-            const department = $form.find('#staff-department').val();
-            if (!department || department.trim() === '') {
-                this.showFieldError('#staff-department', 'Department is required');
-                errors.push('Department is required');
-                isValid = false;
-            }
-
-            // Show summary error if there are errors
-            if (!isValid) {
-                const errorMessage = 'Please fix the following errors:<br>• ' + errors.join('<br>• ');
-                this.showErrorInModal(errorMessage);
+            if ('department' in data && (!data.department || String(data.department).trim() === '')) {
+                errors.push({ field: 'department', message: 'Department is required' });
             }
 
-            return isValid;
+            return errors;
         },
 
         /**
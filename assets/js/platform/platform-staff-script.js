@@ -3,7 +3,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Assets/JS/Platform
- * @version     1.0.0
+ * @version     1.4.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/platform/platform-staff-script.js
@@ -16,8 +16,25 @@
  * - jQuery
  * - DataTables
  * - WordPress AJAX
+ * - WPAppUndo (undo toast setelah hapus, opsional)
+ * - WPAppNotify (toast notifikasi, fallback ke #staff-toast)
+ * - WPAppAjax (request AJAX)
  *
  * Changelog:
+ * 1.4.0 - 2026-10-18
+ * - Semua request lewat WPAppAjax (nonce kedaluwarsa di-refresh dan
+ *   request diulang, pesan error dari server ditampilkan)
+ *
+ * 1.3.0 - 2026-10-18
+ * - showToast() memakai WPAppNotify, #staff-toast hanya fallback
+ *
+ * 1.2.0 - 2026-10-18
+ * - confirmDelete(): tanpa confirm(), staff langsung hilang dan toast undo
+ *   mengembalikannya selama jendela undo (WPAppUndo)
+ *
+ * 1.1.0 - 2026-10-18
+ * - Filter change handlers removed (WPAppDataTable reloads the table)
+ *
  * 1.0.0 - 2025-10-19
  * - Initial implementation
  * - DataTable integration
@@ -142,19 +159,7 @@
                 self.handleFormSubmit();
             });
 
-            // Department filter
-            $('#filter-department').on('change', function() {
-                if (self.components.dataTable) {
-                    self.components.dataTable.ajax.reload();
-                }
-            });
-
-            // Status filter
-            $('#filter-status').on('change', function() {
-                if (self.components.dataTable) {
-                    self.components.dataTable.ajax.reload();
-                }
-            });
+            // Department / status filters reload the table via WPAppDataTable (filters config)
 
             // Click outside modal to close
             $(window).on('click', function(e) {
@@ -186,39 +191,32 @@
             this.currentId = staffId;
 
             // Load staff data
-            $.ajax({
-                url: wpAppCoreStaffData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'get_platform_staff_details',
-                    nonce: wpAppCoreStaffData.nonce,
-                    staff_id: staffId
-                },
-                success: function(response) {
-                    if (response.success && response.data) {
-                        $('#staff-modal-title').text('Edit Staff');
-                        $('#staff-id').val(response.data.id);
-                        $('#user-id').val(response.data.user_id);
-
-                        // Set email & username readonly for edit mode
-                        $('#user-email').val(response.data.user_email).prop('readonly', true).prop('required', false);
-                        $('#user-login').val(response.data.user_login).prop('readonly', true).prop('required', false);
-
-                        // Populate profile fields
-                        $('#full-name').val(response.data.full_name);
-                        $('#department').val(response.data.department !== '-' ? response.data.department : '');
-                        $('#status').val(response.data.status || 'aktif');
-                        $('#hire-date').val(response.data.hire_date_raw || '');
-                        $('#phone').val(response.data.phone !== '-' ? response.data.phone : '');
-
-                        self.components.modal.fadeIn();
-                    } else {
-                        self.showToast('error', response.data?.message || wpAppCoreStaffData.i18n.loadError);
-                    }
-                },
-                error: function() {
+            WPAppAjax.post('get_platform_staff_details', {
+                nonce: wpAppCoreStaffData.nonce,
+                staff_id: staffId
+            }, { url: wpAppCoreStaffData.ajaxUrl }).done(function(data) {
+                if (data) {
+                    $('#staff-modal-title').text('Edit Staff');
+                    $('#staff-id').val(data.id);
+                    $('#user-id').val(data.user_id);
+
+                    // Set email & username readonly for edit mode
+                    $('#user-email').val(data.user_email).prop('readonly', true).prop('required', false);
+                    $('#user-login').val(data.user_login).prop('readonly', true).prop('required', false);
+
+                    // Populate profile fields
+                    $('#full-name').val(data.full_name);
+                    $('#department').val(data.department !== '-' ? data.department : '');
+                    $('#status').val(data.status || 'aktif');
+                    $('#hire-date').val(data.hire_date_raw || '');
+                    $('#phone').val(data.phone !== '-' ? data.phone : '');
+
+                    self.components.modal.fadeIn();
+                } else {
                     self.showToast('error', wpAppCoreStaffData.i18n.loadError);
                 }
+            }).fail(function(error) {
+                self.showToast('error', error.message || wpAppCoreStaffData.i18n.loadError);
             });
         },
 
@@ -231,67 +229,62 @@
 
         handleFormSubmit() {
             const self = this;
-            const formData = this.components.form.serialize();
+            const formData = new FormData(this.components.form[0]);
             const action = this.isEditMode ? 'update_platform_staff' : 'create_platform_staff';
 
-            $.ajax({
-                url: wpAppCoreStaffData.ajaxUrl,
-                type: 'POST',
-                data: formData + '&action=' + action + '&nonce=' + wpAppCoreStaffData.nonce,
-                beforeSend: function() {
-                    self.components.form.find('button[type="submit"]').prop('disabled', true).text('Menyimpan...');
-                },
-                success: function(response) {
-                    if (response.success) {
-                        self.showToast('success', wpAppCoreStaffData.i18n.saveSuccess);
-                        self.closeModal();
-                        self.refreshTable();
-                        self.loadStats();
-
-                        if (self.isEditMode && self.currentId) {
-                            self.loadStaffDetails(self.currentId);
-                        }
-                    } else {
-                        self.showToast('error', response.data?.message || wpAppCoreStaffData.i18n.saveError);
-                    }
-                },
-                error: function() {
-                    self.showToast('error', wpAppCoreStaffData.i18n.saveError);
-                },
-                complete: function() {
-                    self.components.form.find('button[type="submit"]').prop('disabled', false).text('Simpan');
+            formData.set('nonce', wpAppCoreStaffData.nonce);
+
+            self.components.form.find('button[type="submit"]').prop('disabled', true).text('Menyimpan...');
+
+            WPAppAjax.post(action, formData, { url: wpAppCoreStaffData.ajaxUrl }).done(function() {
+                self.showToast('success', wpAppCoreStaffData.i18n.saveSuccess);
+                self.closeModal();
+                self.refreshTable();
+                self.loadStats();
+
+                if (self.isEditMode && self.currentId) {
+                    self.loadStaffDetails(self.currentId);
                 }
+            }).fail(function(error) {
+                self.showToast('error', error.message || wpAppCoreStaffData.i18n.saveError);
+            }).always(function() {
+                self.components.form.find('button[type="submit"]').prop('disabled', false).text('Simpan');
             });
         },
 
         confirmDelete(staffId) {
-            if (!confirm(wpAppCoreStaffData.i18n.confirmDelete)) {
+            const self = this;
+            const undoable = !!window.WPAppUndo;
+
+            // Without the undo toast the deletion is final, ask first
+            if (!undoable && !confirm(wpAppCoreStaffData.i18n.confirmDelete)) {
                 return;
             }
 
-            const self = this;
-
-            $.ajax({
-                url: wpAppCoreStaffData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'delete_platform_staff',
-                    nonce: wpAppCoreStaffData.nonce,
-                    staff_id: staffId
-                },
-                success: function(response) {
-                    if (response.success) {
-                        self.showToast('success', wpAppCoreStaffData.i18n.deleteSuccess);
-                        self.closeRightPanel();
-                        self.refreshTable();
-                        self.loadStats();
-                    } else {
-                        self.showToast('error', response.data?.message || wpAppCoreStaffData.i18n.deleteError);
-                    }
-                },
-                error: function() {
-                    self.showToast('error', wpAppCoreStaffData.i18n.deleteError);
+            WPAppAjax.post('delete_platform_staff', {
+                nonce: wpAppCoreStaffData.nonce,
+                staff_id: staffId
+            }, { url: wpAppCoreStaffData.ajaxUrl }).done(function(data, response) {
+                self.closeRightPanel();
+                self.refreshTable();
+                self.loadStats();
+
+                if (undoable && WPAppUndo.isUndoable(response)) {
+                    WPAppUndo.show(data.undo, {
+                        onUndo: function() {
+                            self.refreshTable();
+                            self.loadStats();
+                            self.loadStaffDetails(staffId);
+                        },
+                        onError: function(message) {
+                            self.showToast('error', message);
+                        }
+                    });
+                } else {
+                    self.showToast('success', wpAppCoreStaffData.i18n.deleteSuccess);
                 }
+            }).fail(function(error) {
+                self.showToast('error', error.message || wpAppCoreStaffData.i18n.deleteError);
             });
         },
 
@@ -299,25 +292,18 @@
             const self = this;
             self.currentId = staffId;
 
-            $.ajax({
-                url: wpAppCoreStaffData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'get_platform_staff_details',
-                    nonce: wpAppCoreStaffData.nonce,
-                    staff_id: staffId
-                },
-                success: function(response) {
-                    if (response.success && response.data) {
-                        self.populateRightPanel(response.data);
-                        self.openRightPanel();
-                    } else {
-                        self.showToast('error', response.data?.message || wpAppCoreStaffData.i18n.loadError);
-                    }
-                },
-                error: function() {
+            WPAppAjax.post('get_platform_staff_details', {
+                nonce: wpAppCoreStaffData.nonce,
+                staff_id: staffId
+            }, { url: wpAppCoreStaffData.ajaxUrl }).done(function(data) {
+                if (data) {
+                    self.populateRightPanel(data);
+                    self.openRightPanel();
+                } else {
                     self.showToast('error', wpAppCoreStaffData.i18n.loadError);
                 }
+            }).fail(function(error) {
+                self.showToast('error', error.message || wpAppCoreStaffData.i18n.loadError);
             });
         },
 
@@ -415,21 +401,14 @@
         loadStats() {
             const self = this;
 
-            $.ajax({
-                url: wpAppCoreStaffData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'get_platform_staff_stats',
-                    nonce: wpAppCoreStaffData.nonce
-                },
-                success: function(response) {
-                    if (response.success && response.data) {
-                        self.updateStats(response.data);
-                    }
-                },
-                error: function() {
-                    console.error('Failed to load statistics');
+            WPAppAjax.post('get_platform_staff_stats', {
+                nonce: wpAppCoreStaffData.nonce
+            }, { url: wpAppCoreStaffData.ajaxUrl }).done(function(data) {
+                if (data) {
+                    self.updateStats(data);
                 }
+            }).fail(function() {
+                console.error('Failed to load statistics');
             });
         },
 
@@ -473,6 +452,11 @@
         },
 
         showToast(type, message) {
+            if (window.WPAppNotify) {
+                WPAppNotify.show({ type: type, message: message });
+                return;
+            }
+
             const toast = $('#staff-toast');
             toast.removeClass('success error info warning')
                 .addClass(type)
@@ -3,7 +3,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Assets/JS/Settings
- * @version     1.2.0
+ * @version     1.4.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/settings/permissions-tab-script.js
@@ -14,9 +14,17 @@
  *
  * Dependencies:
  * - jQuery
+ * - WPAppNotify (notices)
+ * - WPAppAjax (reset request)
  * - wpAppCoreSettings (localized from controller)
  *
  * Changelog:
+ * 1.4.0 - 2026-10-18
+ * - Reset sent through WPAppAjax (wpapp_nonce refreshed when expired)
+ *
+ * 1.3.0 - 2026-10-18
+ * - showNotice() shows a WPAppNotify toast (message as text, not HTML)
+ *
  * 1.2.0 - 2025-10-30
  * - CRITICAL HOTFIX: Fixed checkbox disable timing bug (TODO-3091)
  * - Split lockPage() into lockPageForSave() and lockPageForReset()
@@ -130,38 +138,25 @@
                    .html('<span class="dashicons dashicons-update"></span> Resetting...');
 
             // Perform AJAX reset
-            $.ajax({
-                url: wpAppCoreSettings.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'reset_platform_permissions',
-                    nonce: wpAppCoreSettings.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        // Reload page with parameter to clear stale notices
-                        // Remove old save notice and mark as reset operation
-                        const url = new URL(window.location.href);
-                        url.searchParams.delete('settings-updated'); // Remove old save notice
-                        url.searchParams.set('permissions-reset', '1'); // Mark as reset operation
-                        window.location.href = url.toString();
-                    } else {
-                        self.showNotice(response.data.message || 'Failed to reset permissions', 'error');
-                        // Unlock page on error
-                        self.unlockPage();
-                        // Reset button state
-                        $button.removeClass('loading')
-                               .html('<span class="dashicons dashicons-image-rotate"></span> ' + originalText);
-                    }
-                },
-                error: function(xhr, status, error) {
-                    self.showNotice('Server error while resetting permissions', 'error');
-                    // Unlock page on error
-                    self.unlockPage();
-                    // Reset button state
-                    $button.removeClass('loading')
-                           .html('<span class="dashicons dashicons-image-rotate"></span> ' + originalText);
-                }
+            WPAppAjax.post('reset_platform_permissions', {
+                nonce: wpAppCoreSettings.nonce
+            }, {
+                nonce: 'wpapp_nonce',
+                url: wpAppCoreSettings.ajaxUrl
+            }).done(function() {
+                // Reload page with parameter to clear stale notices
+                // Remove old save notice and mark as reset operation
+                const url = new URL(window.location.href);
+                url.searchParams.delete('settings-updated'); // Remove old save notice
+                url.searchParams.set('permissions-reset', '1'); // Mark as reset operation
+                window.location.href = url.toString();
+            }).fail(function(error) {
+                self.showNotice(error.message || 'Failed to reset permissions', 'error');
+                // Unlock page on error
+                self.unlockPage();
+                // Reset button state
+                $button.removeClass('loading')
+                       .html('<span class="dashicons dashicons-image-rotate"></span> ' + originalText);
             });
         },
 
@@ -170,22 +165,11 @@
             // This prevents old "save success" notices from showing after reset errors
             $('.wrap .notice').remove();
 
-            const noticeClass = type === 'success' ? 'notice-success' : 'notice-error';
-            const $notice = $('<div class="notice ' + noticeClass + ' is-dismissible"><p>' + message + '</p></div>');
-
-            // Insert after h1 or at the top of wrap
-            if ($('.wrap h1').length) {
-                $('.wrap h1').after($notice);
-            } else {
-                $('.wrap').prepend($notice);
-            }
-
-            // Auto-remove after 5 seconds
-            setTimeout(function() {
-                $notice.fadeOut(function() {
-                    $(this).remove();
-                });
-            }, 5000);
+            WPAppNotify.show({
+                id: 'wpapp-permissions-notice',
+                type: type === 'success' ? 'success' : 'error',
+                message: message
+            });
         }
     };
 
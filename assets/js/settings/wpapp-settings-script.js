@@ -3,7 +3,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Assets/JS/Settings
- * @version     2.0.0
+ * @version     2.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/assets/js/settings/wpapp-settings-script.js
@@ -13,6 +13,9 @@
  *              REUSABLE: Can be used by wp-customer, wp-agency, etc.
  *
  * Changelog:
+ * 2.1.0 - 2026-10-18
+ * - showNotice() shows a WPAppNotify toast (message as text, not HTML)
+ *
  * 2.0.0 - 2025-11-12
  * - BREAKING: Added global save button handler (#wpapp-settings-save)
  * - Button detects current tab and submits correct form
@@ -121,20 +124,17 @@
         },
 
         /**
-         * Show admin notice
+         * Show notice toast
          * @param {string} message Notice message
          * @param {string} type Notice type (success, error, warning, info)
+         * @return {Object} WPAppNotify handle
          */
         showNotice: function(message, type) {
-            const $notice = $('<div class="notice notice-' + type + ' is-dismissible"><p>' + message + '</p></div>');
-            $('.wrap h1').after($notice);
-
-            // Auto-remove after 5 seconds
-            setTimeout(function() {
-                $notice.fadeOut(function() {
-                    $(this).remove();
-                });
-            }, 5000);
+            return WPAppNotify.show({
+                id: 'wpapp-settings-notice',
+                type: type,
+                message: message
+            });
         }
     };
 
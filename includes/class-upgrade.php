@@ -6,13 +6,17 @@
  *
  * @package     WP_App_Core
  * @subpackage  Includes
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Description: Menangani upgrade plugin saat versi berubah.
  *              Ensures backward compatibility dan data migration.
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Added upgrade routine for v1.0.5 (app_change_log table,
+ *   app_platform_staff.deleted_at column)
+ *
  * 1.0.0 - 2025-10-19
  * - Initial creation
  * - Added version checking mechanism
@@ -50,6 +54,10 @@ class WP_App_Core_Upgrade {
             self::upgrade_to_1_0_2();
         }
 
+        if (version_compare($current_version, '1.0.5', '<')) {
+            self::upgrade_to_1_0_5();
+        }
+
         // Update version in database
         update_option(self::VERSION_OPTION, $new_version);
         self::log("Upgrade completed to version {$new_version}");
@@ -165,6 +173,29 @@ class WP_App_Core_Upgrade {
         }
     }
 
+    /**
+     * Upgrade routine for version 1.0.5
+     * Creates change log table for the History tab (audit trail) and adds
+     * deleted_at to the platform staff table (pending delete, undo window)
+     */
+    private static function upgrade_to_1_0_5() {
+        self::log("Running upgrade to 1.0.5 - Creating change log table, adding staff deleted_at");
+
+        try {
+            require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+            dbDelta(\WPAppCore\Database\Tables\ChangeLogDB::get_schema());
+            dbDelta(\WPAppCore\Database\Tables\PlatformStaffDB::get_schema());
+
+            self::log("Upgrade to 1.0.5 completed - change log table and staff deleted_at ready");
+            return true;
+
+        } catch (\Exception $e) {
+            self::log("Error in upgrade to 1.0.5: " . $e->getMessage());
+            return false;
+        }
+    }
+
     /**
      * Log upgrade messages
      */
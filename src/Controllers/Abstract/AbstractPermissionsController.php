@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Controllers/Abstract
- * @version     1.0.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Controllers/Abstract/AbstractPermissionsController.php
@@ -25,6 +25,18 @@
  * ```
  *
  * Changelog:
+ * 1.3.0 - 2026-10-18
+ * - Nonce save/reset didaftarkan ke WPAppAjax (wpapp_ajax_nonce_actions),
+ *   shared JS memakai WPAppAjax
+ *
+ * 1.2.0 - 2026-10-18
+ * - Shared JS bergantung pada WPAppNotify (notifikasi), string 'retry'
+ *
+ * 1.1.0 - 2026-10-18
+ * - Reset permissions bisa di-undo: snapshot capability sebelum reset,
+ *   response membawa token undo (UndoController, {prefix}_permissions_reset)
+ * - Shared JS bergantung pada toast undo (wpapp-undo)
+ *
  * 1.0.0 - 2025-01-12 (TODO-1206)
  * - Initial creation
  * - AJAX-based save/reset handlers
@@ -34,6 +46,8 @@
 
 namespace WPAppCore\Controllers\Abstract;
 
+use WPAppCore\Controllers\Assets\AssetController;
+use WPAppCore\Controllers\UndoController;
 use WPAppCore\Models\Abstract\AbstractPermissionsModel;
 use WPAppCore\Validators\Abstract\AbstractPermissionsValidator;
 
@@ -76,6 +90,23 @@ abstract class AbstractPermissionsController {
         $prefix = $this->getPluginPrefix();
         add_action("wp_ajax_{$prefix}_save_permissions", [$this, 'handleSavePermissions']);
         add_action("wp_ajax_{$prefix}_reset_permissions", [$this, 'handleResetPermissions']);
+        add_filter("wpapp_undo_restore_{$prefix}_permissions_reset", [$this, 'restorePermissions'], 10, 2);
+        add_filter('wpapp_ajax_nonce_actions', [$this, 'registerNonceActions']);
+    }
+
+    /**
+     * Register save / reset nonces with WPAppAjax (refreshed when expired)
+     *
+     * @param array $actions Nonce actions
+     * @return array
+     */
+    public function registerNonceActions(array $actions): array {
+        $prefix = $this->getPluginPrefix();
+
+        $actions[] = $prefix . '_nonce';
+        $actions[] = $prefix . '_reset_permissions';
+
+        return $actions;
     }
 
     /**
@@ -176,12 +207,20 @@ abstract class AbstractPermissionsController {
                 return;
             }
 
-            // Reset via model
+            // Snapshot for undo, then reset via model
+            $snapshot = $this->model->getCapabilitySnapshot();
             $success = $this->model->resetToDefault();
 
             if ($success) {
+                $message = __('Permissions reset to default successfully', 'wp-app-core');
+
                 wp_send_json_success([
-                    'message' => __('Permissions reset to default successfully', 'wp-app-core')
+                    'message' => $message,
+                    'undo' => UndoController::defer(
+                        $this->getPluginPrefix() . '_permissions_reset',
+                        ['capabilities' => $snapshot],
+                        $message
+                    )
                 ]);
             } else {
                 wp_send_json_error([
@@ -197,6 +236,28 @@ abstract class AbstractPermissionsController {
         }
     }
 
+    /**
+     * Undo permission reset ({prefix}_permissions_reset undo entry)
+     * Puts back the capabilities granted before the reset
+     *
+     * @param mixed $result Result of earlier handlers
+     * @param array $payload ['capabilities' => snapshot]
+     * @return array|\WP_Error
+     */
+    public function restorePermissions($result, $payload) {
+        if (!$this->validator->userCanManagePermissions()) {
+            return new \WP_Error('permission_denied', __('Permission denied', 'wp-app-core'));
+        }
+
+        if (!$this->model->restoreCapabilitySnapshot((array) ($payload['capabilities'] ?? []))) {
+            return new \WP_Error('restore_failed', __('Failed to restore permissions', 'wp-app-core'));
+        }
+
+        return [
+            'message' => __('Permissions restored', 'wp-app-core')
+        ];
+    }
+
     /**
      * Enqueue shared CSS and JS from wp-app-core
      * Child plugins should call this method in their own enqueue hook
@@ -236,11 +297,16 @@ abstract class AbstractPermissionsController {
             WP_APP_CORE_VERSION
         );
 
+        // AJAX client, notifications and undo toast after reset
+        AssetController::enqueue_ajax();
+        AssetController::enqueue_notify();
+        AssetController::enqueue_undo();
+
         // Enqueue shared JS from wp-app-core
         wp_enqueue_script(
             'wpapp-permission-matrix',
             WP_APP_CORE_PLUGIN_URL . 'assets/js/permissions/wpapp-permission-matrix.js',
-            ['jquery', 'wp-modal'],
+            ['jquery', 'wp-modal', 'wpapp-ajax', 'wpapp-notify', 'wpapp-undo'],
             WP_APP_CORE_VERSION,
             true
         );
@@ -257,7 +323,8 @@ abstract class AbstractPermissionsController {
                 'saved' => __('Saved', 'wp-app-core'),
                 'error' => __('Error', 'wp-app-core'),
                 'confirmReset' => __('Are you sure you want to reset all permissions to default?', 'wp-app-core'),
-                'resetting' => __('Resetting...', 'wp-app-core')
+                'resetting' => __('Resetting...', 'wp-app-core'),
+                'retry' => __('Retry', 'wp-app-core')
             ]
         ]);
     }
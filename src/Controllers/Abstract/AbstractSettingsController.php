@@ -7,7 +7,7 @@
  *
  * @package     WPAppCore
  * @subpackage  Controllers
- * @version     1.1.0
+ * @version     1.3.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Controllers/Abstract/AbstractSettingsController.php
@@ -23,6 +23,10 @@
  * - WordPress Settings API
  *
  * Changelog:
+ * 1.3.0 - 2026-10-18
+ * - Settings script depends on WPAppNotify (notification toasts)
+ * 1.2.0 - 2026-10-18
+ * - Enqueue unsaved-changes guard (wpapp-form-guard) on settings page
  * 1.1.0 - 2025-01-09
  * - Added prepareViewData() method to pass settings data to templates
  * - Fixed: Settings data now properly available in tab templates via $settings variable
@@ -36,6 +40,7 @@
 
 namespace WPAppCore\Controllers\Abstract;
 
+use WPAppCore\Controllers\Assets\AssetController;
 use WPAppCore\Models\Abstract\AbstractSettingsModel;
 use WPAppCore\Validators\Abstract\AbstractSettingsValidator;
 
@@ -372,11 +377,14 @@ abstract class AbstractSettingsController {
             WP_APP_CORE_VERSION
         );
 
+        // Toast notifications used by the settings script
+        AssetController::enqueue_notify();
+
         // Enqueue base settings scripts from wp-app-core
         wp_enqueue_script(
             'wpapp-settings-base',
             WP_APP_CORE_PLUGIN_URL . 'assets/js/settings/wpapp-settings-script.js',
-            ['jquery'],
+            ['jquery', 'wpapp-notify'],
             WP_APP_CORE_VERSION,
             true
         );
@@ -395,6 +403,9 @@ abstract class AbstractSettingsController {
             ]
         ]);
 
+        // Unsaved changes warning on tab links / page leave
+        AssetController::enqueue_form_guard();
+
         // Hook: Allow plugins to enqueue custom assets
         do_action("{$plugin_prefix}_settings_enqueue_assets", $current_tab);
     }
@@ -0,0 +1,148 @@
+<?php
+/**
+ * AJAX Controller
+ *
+ * Server side of WPAppAjax. Marks responses of requests whose nonce failed
+ * (X-WPApp-Nonce-Expired header with the nonce action) so the client can
+ * refresh the nonce and retry once, without changes to the handlers: the
+ * header is set from the check_ajax_referer / wp_verify_nonce_failed
+ * actions. Fresh nonces come from wpapp_refresh_nonces, limited to the
+ * registered nonce actions (wpapp_ajax_nonce_actions filter).
+ *
+ * @package WPAppCore
+ * @subpackage Controllers
+ * @since 1.2.0
+ * @author arisciwek
+ *
+ * Path: wp-app-core/src/Controllers/AjaxController.php
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - AJAX action: wpapp_refresh_nonces
+ *
+ * Registering a nonce action (plugin):
+ * ```php
+ * add_filter('wpapp_ajax_nonce_actions', function($actions) {
+ *     $actions[] = 'wp_customer_nonce';
+ *     return $actions;
+ * });
+ *
+ * // JS: WPAppAjax.post('save_customer', data, { nonce: 'wp_customer_nonce' })
+ * ```
+ */
+
+namespace WPAppCore\Controllers;
+
+defined('ABSPATH') || exit;
+
+class AjaxController {
+
+    /**
+     * Response header naming the failed nonce action
+     *
+     * @var string
+     */
+    const HEADER = 'X-WPApp-Nonce-Expired';
+
+    /**
+     * Register hooks
+     *
+     * @return void
+     */
+    public function init(): void {
+        add_action('wp_ajax_wpapp_refresh_nonces', [$this, 'handle_refresh_nonces']);
+        add_action('check_ajax_referer', [$this, 'mark_nonce_check'], 10, 2);
+        add_action('wp_verify_nonce_failed', [$this, 'mark_nonce_failure'], 10, 2);
+    }
+
+    /**
+     * Nonce actions WPAppAjax can resolve and refresh
+     *
+     * @return array
+     */
+    public static function get_nonce_actions(): array {
+        /**
+         * Filter: Nonce actions available to WPAppAjax
+         *
+         * @param array $actions Nonce action names
+         *
+         * @return array
+         */
+        $actions = apply_filters('wpapp_ajax_nonce_actions', [
+            'wpapp_nonce',
+            'wpapp_panel_nonce',
+            'wpapp_datatable_nonce',
+            'wpdt_nonce',
+            UndoController::NONCE,
+        ]);
+
+        return array_values(array_unique(array_filter(array_map('strval', (array) $actions))));
+    }
+
+    /**
+     * Current nonces of the registered actions
+     *
+     * @return array [action => nonce]
+     */
+    public static function get_nonces(): array {
+        $nonces = [];
+
+        foreach (self::get_nonce_actions() as $action) {
+            $nonces[$action] = wp_create_nonce($action);
+        }
+
+        return $nonces;
+    }
+
+    /**
+     * Handle AJAX nonce refresh
+     *
+     * No nonce of its own (the nonce may be what expired), like WordPress'
+     * rest-nonce action: only logged-in users reach wp_ajax_*, and the
+     * response is readable by the same origin only.
+     *
+     * @return void Sends JSON response
+     */
+    public function handle_refresh_nonces(): void {
+        wp_send_json_success([
+            'nonces' => self::get_nonces()
+        ]);
+    }
+
+    /**
+     * Mark the response when check_ajax_referer() fails
+     *
+     * @param string $action Nonce action
+     * @param false|int $result Verification result
+     * @return void
+     */
+    public function mark_nonce_check($action, $result): void {
+        if ($result === false) {
+            $this->send_header((string) $action);
+        }
+    }
+
+    /**
+     * Mark the response when wp_verify_nonce() fails
+     *
+     * @param string $nonce Submitted nonce
+     * @param string|int $action Nonce action
+     * @return void
+     */
+    public function mark_nonce_failure($nonce, $action): void {
+        $this->send_header((string) $action);
+    }
+
+    /**
+     * Set the expired nonce header (AJAX requests only)
+     *
+     * @param string $action Nonce action
+     * @return void
+     */
+    private function send_header(string $action): void {
+        if (wp_doing_ajax() && !headers_sent()) {
+            header(self::HEADER . ': ' . rawurlencode($action));
+        }
+    }
+}
@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Controllers/Assets
- * @version     2.0.0
+ * @version     2.12.2
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Controllers/Assets/AssetController.php
@@ -14,6 +14,64 @@
  *              Inspired by wp-customer AssetController (proven pattern).
  *
  * Changelog:
+ * 2.12.2 - 2026-10-18
+ * - DataTable modules (views, export, bulk, inline edit), staff import and
+ *   the demo data / permissions tabs depend on wpapp-ajax; enqueue_datatable_bootstrap()
+ *   loads it
+ *
+ * 2.12.1 - 2026-10-18
+ * - WPAppAjax / WPAppNotify no longer loaded on every admin page: plugin
+ *   screens, DataTable pages and their dependents (undo, history) load
+ *   them; other screens get WPAppNotify only for queued notices
+ *
+ * 2.12.0 - 2026-10-18
+ * - Added enqueue_ajax() (WPAppAjax client), loaded on every admin page with the
+ *   registered nonces (AjaxController::get_nonces())
+ *
+ * 2.11.0 - 2026-10-18
+ * - Added enqueue_notify() (WPAppNotify toast service), loaded on every admin page
+ *   with the notices queued by NotifyController::push()
+ * - Undo toast renders through WPAppNotify (wpapp-undo.css removed)
+ *
+ * 2.10.0 - 2026-10-18
+ * - Added enqueue_undo() (grace-period toast for destructive actions), loaded
+ *   on the settings page and with the platform staff modal handler
+ *
+ * 2.9.0 - 2026-10-18
+ * - Added enqueue_history() (History tab / audit trail), loaded with the DataTable
+ *   panel assets and the platform staff dashboard
+ *
+ * 2.8.0 - 2026-10-18
+ * - Added enqueue_conflict_resolver() ("keep mine / take theirs" on stale saves),
+ *   loaded with the platform staff modal handler
+ *
+ * 2.7.0 - 2026-10-18
+ * - Change feed over Heartbeat (wpapp-datatable-changes) loaded with the bootstrapper,
+ *   feed position localized as wpAppDataTableConfig.changeFeed
+ *
+ * 2.6.0 - 2026-10-18
+ * - Inline cell editing (wpapp-datatable-inline-edit) loaded with the bootstrapper
+ *
+ * 2.5.0 - 2026-10-18
+ * - Platform staff CSV import wizard (platform-staff-import, wpPlatformStaffImportConfig)
+ *
+ * 2.4.0 - 2026-10-18
+ * - CSV / XLSX export of the current query (wpapp-datatable-export) loaded with the bootstrapper
+ *
+ * 2.3.0 - 2026-10-18
+ * - Bulk selection and actions (wpapp-datatable-bulk) loaded with the bootstrapper
+ *
+ * 2.2.0 - 2026-10-18
+ * - Added enqueue_datatable_bootstrap() (WPAppDataTable + shared language pack)
+ * - Column chooser and saved views (wpapp-datatable-views) loaded with the bootstrapper
+ * - Structured filter bar (wpapp-datatable-filters) loaded with the bootstrapper
+ * - Platform staff DataTable initialized by WPAppDataTable from table data attributes
+ *
+ * 2.1.0 - 2026-10-18
+ * - Added enqueue_form_guard() (unsaved-changes guard, shared with DataTable assets)
+ * - Form guard loaded on settings page and platform staff dashboard
+ * - Platform staff DataTable state (search, order, page) kept in URL (wpapp-datatable-state)
+ *
  * 2.0.0 - 2025-12-25
  * - MAJOR REFACTOR: Removed Strategy Pattern
  * - Consolidated all asset loading into single file
@@ -27,6 +85,13 @@
 
 namespace WPAppCore\Controllers\Assets;
 
+use WPAppCore\Controllers\DataTable\DataTableChangeFeedController;
+use WPAppCore\Controllers\DataTable\DataTableHistoryController;
+use WPAppCore\Controllers\DataTable\DataTablePreferencesController;
+use WPAppCore\Controllers\AjaxController;
+use WPAppCore\Controllers\NotifyController;
+use WPAppCore\Controllers\UndoController;
+
 defined('ABSPATH') || exit;
 
 class AssetController {
@@ -101,6 +166,11 @@ class AssetController {
      * @return void
      */
     public function enqueue_admin_assets(): void {
+        // Notices pushed before a redirect show on whichever screen comes next
+        if (NotifyController::has_pending()) {
+            self::enqueue_notify();
+        }
+
         $screen = get_current_screen();
         if (!$screen) {
             return;
@@ -108,6 +178,8 @@ class AssetController {
 
         // Platform Settings page
         if (strpos($screen->id, 'wp-app-core-settings') !== false) {
+            self::enqueue_ajax();
+            self::enqueue_notify();
             $this->enqueue_settings_assets();
         }
 
@@ -122,6 +194,506 @@ class AssetController {
     }
 
 
+    /**
+     * Enqueue DataTable bootstrapper (WPAppDataTable)
+     *
+     * Loads URL state, bootstrapper, saved views and filter bar, and localizes the shared
+     * DataTables language pack (wpAppDataTableConfig). Safe to call more than once.
+     *
+     * @param bool $in_footer Load in footer (false when entity script runs in header)
+     * @return void
+     */
+    public static function enqueue_datatable_bootstrap(bool $in_footer = true): void {
+        if (wp_script_is('wpapp-datatable', 'enqueued')) {
+            return;
+        }
+
+        $version = defined('WP_APP_CORE_VERSION') ? WP_APP_CORE_VERSION : '1.0.0';
+
+        // Toasts of the DataTable modules (export, bulk undo)
+        self::enqueue_notify();
+
+        // Requests of the DataTable modules (views, export, bulk, inline edit)
+        self::enqueue_ajax();
+
+        wp_enqueue_script(
+            'wpapp-datatable-state',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-datatable-state.js',
+            ['jquery'],
+            $version,
+            $in_footer
+        );
+
+        wp_enqueue_script(
+            'wpapp-datatable',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-datatable.js',
+            ['jquery', 'wpapp-datatable-state'],
+            $version,
+            $in_footer
+        );
+
+        // Column chooser + saved views (opt-in per table: data-views / views: true)
+        wp_enqueue_script(
+            'wpapp-datatable-views',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-datatable-views.js',
+            ['jquery', 'wpapp-datatable', 'wpapp-ajax'],
+            $version,
+            $in_footer
+        );
+
+        wp_enqueue_style(
+            'wpapp-datatable-views',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/datatable/wpapp-datatable-views.css',
+            [],
+            $version
+        );
+
+        // Structured filter bar (opt-in per table: data-filter-builder / filterBuilder)
+        wp_enqueue_script(
+            'wpapp-datatable-filters',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-datatable-filters.js',
+            ['jquery', 'wpapp-datatable'],
+            $version,
+            $in_footer
+        );
+
+        wp_enqueue_style(
+            'wpapp-datatable-filters',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/datatable/wpapp-datatable-filters.css',
+            [],
+            $version
+        );
+
+        // CSV / XLSX export (opt-in per table: data-export / export)
+        wp_enqueue_script(
+            'wpapp-datatable-export',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-datatable-export.js',
+            ['jquery', 'wpapp-datatable', 'wpapp-ajax'],
+            $version,
+            $in_footer
+        );
+
+        wp_enqueue_style(
+            'wpapp-datatable-export',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/datatable/wpapp-datatable-export.css',
+            [],
+            $version
+        );
+
+        // Row checkboxes + bulk actions (opt-in per table: data-bulk / bulk)
+        wp_enqueue_script(
+            'wpapp-datatable-bulk',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-datatable-bulk.js',
+            ['jquery', 'wpapp-datatable', 'wpapp-datatable-export', 'wpapp-ajax'],
+            $version,
+            $in_footer
+        );
+
+        wp_enqueue_style(
+            'wpapp-datatable-bulk',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/datatable/wpapp-datatable-bulk.css',
+            [],
+            $version
+        );
+
+        // Inline cell editing (opt-in per table: data-inline-edit / inlineEdit)
+        wp_enqueue_script(
+            'wpapp-datatable-inline-edit',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-datatable-inline-edit.js',
+            ['jquery', 'wpapp-datatable', 'wpapp-ajax'],
+            $version,
+            $in_footer
+        );
+
+        wp_enqueue_style(
+            'wpapp-datatable-inline-edit',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/datatable/wpapp-datatable-inline-edit.css',
+            [],
+            $version
+        );
+
+        // Change notices from other admins (opt-in per table: data-changes / changes)
+        wp_enqueue_script(
+            'wpapp-datatable-changes',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-datatable-changes.js',
+            ['jquery', 'heartbeat', 'wpapp-datatable'],
+            $version,
+            $in_footer
+        );
+
+        wp_enqueue_style(
+            'wpapp-datatable-changes',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/datatable/wpapp-datatable-changes.css',
+            [],
+            $version
+        );
+
+        $language = [
+            'processing' => __('Loading...', 'wp-app-core'),
+            'search' => __('Search:', 'wp-app-core'),
+            'lengthMenu' => __('Show _MENU_ entries', 'wp-app-core'),
+            'info' => __('Showing _START_ to _END_ of _TOTAL_ entries', 'wp-app-core'),
+            'infoEmpty' => __('Showing 0 to 0 of 0 entries', 'wp-app-core'),
+            'infoFiltered' => __('(filtered from _MAX_ total entries)', 'wp-app-core'),
+            'zeroRecords' => __('No matching records found', 'wp-app-core'),
+            'emptyTable' => __('No data available in table', 'wp-app-core'),
+            'paginate' => [
+                'first' => __('First', 'wp-app-core'),
+                'previous' => __('Previous', 'wp-app-core'),
+                'next' => __('Next', 'wp-app-core'),
+                'last' => __('Last', 'wp-app-core'),
+            ],
+        ];
+
+        /**
+         * Filter: DataTables language pack shared by all WPAppDataTable tables
+         *
+         * @param array $language DataTables language options
+         *
+         * @return array Modified language options
+         */
+        $language = apply_filters('wpapp_datatable_language', $language);
+
+        /**
+         * Filter: Saved views / column layout persistence
+         *
+         * @param array $views persist: 'local' (localStorage) | 'user' (user meta) | 'none'
+         *
+         * @return array Modified config
+         */
+        $views = apply_filters('wpapp_datatable_views_config', [
+            'persist' => 'local',
+        ]);
+
+        if (($views['persist'] ?? '') === 'user') {
+            $views['nonce'] = wp_create_nonce('wpapp_panel_nonce');
+            $views['preferences'] = DataTablePreferencesController::get_preferences();
+        }
+
+        wp_localize_script('wpapp-datatable', 'wpAppDataTableConfig', [
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'language' => $language,
+            'views' => $views,
+            'changeFeed' => [
+                'last' => DataTableChangeFeedController::get_last_sequence(),
+                /**
+                 * Filter: Heartbeat interval (seconds) on pages with change feed tables
+                 *
+                 * @param int $interval 15-120, 0 keeps the WordPress default
+                 *
+                 * @return int
+                 */
+                'interval' => (int) apply_filters('wpapp_datatable_change_feed_interval', 15),
+            ],
+            'i18n' => [
+                'views' => __('Views', 'wp-app-core'),
+                'defaultView' => __('Default view', 'wp-app-core'),
+                'saveView' => __('Save view', 'wp-app-core'),
+                'deleteView' => __('Delete view', 'wp-app-core'),
+                'viewName' => __('View name', 'wp-app-core'),
+                'save' => __('Save', 'wp-app-core'),
+                'cancel' => __('Cancel', 'wp-app-core'),
+                'columns' => __('Columns', 'wp-app-core'),
+                'resetColumns' => __('Reset columns', 'wp-app-core'),
+                'moveUp' => __('Move up', 'wp-app-core'),
+                'moveDown' => __('Move down', 'wp-app-core'),
+                'tooManyViews' => __('Too many saved views. Delete a view first.', 'wp-app-core'),
+                'addFilter' => __('Add filter', 'wp-app-core'),
+                'clearAll' => __('Clear all', 'wp-app-core'),
+                'apply' => __('Apply', 'wp-app-core'),
+                'removeFilter' => __('Remove filter', 'wp-app-core'),
+                'from' => __('From', 'wp-app-core'),
+                'to' => __('To', 'wp-app-core'),
+                'emptyValue' => __('(empty)', 'wp-app-core'),
+                'bulkActions' => __('Bulk actions', 'wp-app-core'),
+                'selectPage' => __('Select all on this page', 'wp-app-core'),
+                'selectRow' => __('Select row', 'wp-app-core'),
+                /* translators: %d: number of selected rows */
+                'selectedCount' => __('%d selected', 'wp-app-core'),
+                /* translators: %d: number of rows matching search and filters */
+                'selectAllMatching' => __('Select all %d matching', 'wp-app-core'),
+                'clearSelection' => __('Clear selection', 'wp-app-core'),
+                /* translators: %s: action name, %d: number of selected rows */
+                'confirmAction' => __('Apply "%s" to %d selected items?', 'wp-app-core'),
+                'resolving' => __('Collecting selected items…', 'wp-app-core'),
+                /* translators: %d: processed items, %t: total items */
+                'progress' => __('Processed %d of %t', 'wp-app-core'),
+                /* translators: %d: succeeded items, %f: failed items */
+                'completed' => __('Done: %d succeeded, %f failed', 'wp-app-core'),
+                /* translators: %s: action name, %d: number of processed items */
+                'undoMessage' => __('"%s" applied to %d items.', 'wp-app-core'),
+                'cancelling' => __('Stopping after current batch…', 'wp-app-core'),
+                'requestFailed' => __('Request failed', 'wp-app-core'),
+                'close' => __('Close', 'wp-app-core'),
+                'export' => __('Export', 'wp-app-core'),
+                'exportScope' => __('Rows to export', 'wp-app-core'),
+                /* translators: %d: number of rows matching search and filters */
+                'exportAll' => __('All matching rows (%d)', 'wp-app-core'),
+                /* translators: %d: export row limit, %t: number of matching rows */
+                'exportAllCapped' => __('First %d of %t matching rows', 'wp-app-core'),
+                /* translators: %d: exported rows, %t: number of matching rows */
+                'exportCapped' => __('Only the first %d of %t matching rows were exported. Narrow the filters to export the rest.', 'wp-app-core'),
+                'exportPage' => __('Current page', 'wp-app-core'),
+                'exportCsv' => __('CSV', 'wp-app-core'),
+                'exportXlsx' => __('Excel (XLSX)', 'wp-app-core'),
+                /* translators: %d: exported rows, %t: total rows */
+                'exportProgress' => __('Exporting %d of %t…', 'wp-app-core'),
+                'exportFailed' => __('Export failed', 'wp-app-core'),
+                'editCell' => __('Double-click to edit', 'wp-app-core'),
+                'fieldRequired' => __('This field is required', 'wp-app-core'),
+                /* translators: %d: maximum number of characters */
+                'fieldTooLong' => __('At most %d characters', 'wp-app-core'),
+                'fieldInvalid' => __('Invalid value', 'wp-app-core'),
+                /* translators: %s: user display name */
+                'recordUpdated' => __('This record was updated by %s.', 'wp-app-core'),
+                /* translators: %s: user display name */
+                'recordDeleted' => __('This record was deleted by %s.', 'wp-app-core'),
+                'reload' => __('Reload', 'wp-app-core'),
+                'dismiss' => __('Dismiss', 'wp-app-core'),
+            ],
+        ]);
+    }
+
+    /**
+     * Enqueue unsaved-changes guard
+     *
+     * Shared by settings page, platform staff dashboard and DataTable
+     * dashboards. Safe to call more than once per request.
+     *
+     * @return void
+     */
+    public static function enqueue_form_guard(): void {
+        if (wp_script_is('wpapp-form-guard', 'enqueued')) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'wpapp-form-guard',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/components/wpapp-form-guard.js',
+            ['jquery'],
+            defined('WP_APP_CORE_VERSION') ? WP_APP_CORE_VERSION : '1.0.0',
+            true
+        );
+
+        wp_localize_script('wpapp-form-guard', 'wpAppFormGuardConfig', [
+            'i18n' => [
+                'title' => __('Discard changes?', 'wp-app-core'),
+                'message' => __('You have unsaved changes. If you leave now, your changes will be lost.', 'wp-app-core'),
+                'discard' => __('Discard changes', 'wp-app-core'),
+                'keepEditing' => __('Keep editing', 'wp-app-core'),
+            ]
+        ]);
+    }
+
+    /**
+     * Enqueue save conflict resolver
+     *
+     * Used by edit forms whose save action rejects stale writes
+     * (code "conflict"). Safe to call more than once per request.
+     *
+     * @return void
+     */
+    public static function enqueue_conflict_resolver(): void {
+        if (wp_script_is('wpapp-conflict-resolver', 'enqueued')) {
+            return;
+        }
+
+        $version = defined('WP_APP_CORE_VERSION') ? WP_APP_CORE_VERSION : '1.0.0';
+
+        wp_enqueue_style(
+            'wpapp-conflict-resolver',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/components/wpapp-conflict-resolver.css',
+            [],
+            $version
+        );
+
+        wp_enqueue_script(
+            'wpapp-conflict-resolver',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/components/wpapp-conflict-resolver.js',
+            ['jquery'],
+            $version,
+            true
+        );
+
+        wp_localize_script('wpapp-conflict-resolver', 'wpAppConflictResolverConfig', [
+            'i18n' => [
+                'title' => __('Save conflict.', 'wp-app-core'),
+                'message' => __('This record was changed by someone else while you were editing.', 'wp-app-core'),
+                'field' => __('Field', 'wp-app-core'),
+                'mine' => __('Keep mine', 'wp-app-core'),
+                'theirs' => __('Take theirs', 'wp-app-core'),
+                'empty' => __('(empty)', 'wp-app-core'),
+                'apply' => __('Apply and save', 'wp-app-core'),
+                'cancel' => __('Cancel', 'wp-app-core'),
+            ]
+        ]);
+    }
+
+    /**
+     * Enqueue History tab script
+     *
+     * Filters and pagination of the audit trail tab, self-loading
+     * containers for panels of other frameworks. Safe to call more than
+     * once per request.
+     *
+     * @return void
+     */
+    public static function enqueue_history(): void {
+        if (wp_script_is('wpapp-history', 'enqueued')) {
+            return;
+        }
+
+        $version = defined('WP_APP_CORE_VERSION') ? WP_APP_CORE_VERSION : '1.0.0';
+
+        self::enqueue_ajax();
+
+        wp_enqueue_style(
+            'wpapp-history',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/datatable/wpapp-history.css',
+            [],
+            $version
+        );
+
+        wp_enqueue_script(
+            'wpapp-history',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-history.js',
+            ['jquery', 'wpapp-ajax'],
+            $version,
+            true
+        );
+
+        wp_localize_script('wpapp-history', 'wpAppHistoryConfig', [
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('wpapp_panel_nonce'),
+            'action' => DataTableHistoryController::LOAD_ACTION,
+            'i18n' => [
+                'loadError' => __('Failed to load history', 'wp-app-core'),
+            ]
+        ]);
+    }
+
+    /**
+     * Enqueue AJAX client
+     *
+     * WPAppAjax with admin-ajax URL and the nonces of the actions registered
+     * through wpapp_ajax_nonce_actions. Not loaded on every admin page: call
+     * it on the screens whose scripts use WPAppAjax. Safe to call more than once.
+     *
+     * @return void
+     */
+    public static function enqueue_ajax(): void {
+        if (wp_script_is('wpapp-ajax', 'enqueued')) {
+            return;
+        }
+
+        $version = defined('WP_APP_CORE_VERSION') ? WP_APP_CORE_VERSION : '1.0.0';
+
+        wp_enqueue_script(
+            'wpapp-ajax',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/components/wpapp-ajax.js',
+            ['jquery'],
+            $version,
+            true
+        );
+
+        wp_localize_script('wpapp-ajax', 'wpAppAjaxConfig', [
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'nonces' => AjaxController::get_nonces(),
+            'timeout' => 30000,
+            'i18n' => [
+                'error' => __('The request failed. Please try again.', 'wp-app-core'),
+                'invalid_nonce' => __('The page has expired. Please reload and try again.', 'wp-app-core'),
+                'session_expired' => __('Your session has expired. Please log in again.', 'wp-app-core'),
+                'not_allowed' => __('This request is not allowed.', 'wp-app-core'),
+                'network_error' => __('Network error. Please check your connection and try again.', 'wp-app-core'),
+                'timeout' => __('The server took too long to respond. Please try again.', 'wp-app-core'),
+                'abort' => __('The request was cancelled.', 'wp-app-core'),
+                'server_error' => __('Server error. Please try again later.', 'wp-app-core'),
+                'http_error' => __('The request failed. Please try again.', 'wp-app-core'),
+                'invalid_response' => __('Unexpected response from the server.', 'wp-app-core'),
+            ]
+        ]);
+    }
+
+    /**
+     * Enqueue notification toasts
+     *
+     * WPAppNotify with the notices NotifyController::push() queued for this
+     * page load. Loaded on plugin screens and DataTable pages (other screens
+     * only when notices are queued): call it on the screens whose scripts
+     * show toasts. Safe to call more than once.
+     *
+     * @return void
+     */
+    public static function enqueue_notify(): void {
+        if (wp_script_is('wpapp-notify', 'enqueued')) {
+            return;
+        }
+
+        $version = defined('WP_APP_CORE_VERSION') ? WP_APP_CORE_VERSION : '1.0.0';
+
+        wp_enqueue_style(
+            'wpapp-notify',
+            WP_APP_CORE_PLUGIN_URL . 'assets/css/components/wpapp-notify.css',
+            ['dashicons'],
+            $version
+        );
+
+        wp_enqueue_script(
+            'wpapp-notify',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/components/wpapp-notify.js',
+            ['jquery'],
+            $version,
+            true
+        );
+
+        wp_localize_script('wpapp-notify', 'wpAppNotifyConfig', [
+            'notices' => NotifyController::pull(),
+            'i18n' => [
+                'region' => __('Notifications', 'wp-app-core'),
+                'dismiss' => __('Dismiss', 'wp-app-core'),
+                'view' => __('View', 'wp-app-core'),
+            ]
+        ]);
+    }
+
+    /**
+     * Enqueue undo toast
+     *
+     * Grace-period toast for actions registered with UndoController::defer().
+     * Safe to call more than once.
+     *
+     * @return void
+     */
+    public static function enqueue_undo(): void {
+        if (wp_script_is('wpapp-undo', 'enqueued')) {
+            return;
+        }
+
+        $version = defined('WP_APP_CORE_VERSION') ? WP_APP_CORE_VERSION : '1.0.0';
+
+        self::enqueue_ajax();
+        self::enqueue_notify();
+
+        wp_enqueue_script(
+            'wpapp-undo',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/components/wpapp-undo.js',
+            ['jquery', 'wpapp-ajax', 'wpapp-notify'],
+            $version,
+            true
+        );
+
+        wp_localize_script('wpapp-undo', 'wpAppUndoConfig', [
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce(UndoController::NONCE),
+            'i18n' => [
+                'done' => __('Done.', 'wp-app-core'),
+                'undo' => __('Undo', 'wp-app-core'),
+                'failed' => __('The action could not be undone.', 'wp-app-core'),
+            ]
+        ]);
+    }
+
     /**
      * Enqueue platform staff dashboard assets
      *
@@ -143,22 +715,34 @@ class AssetController {
             $this->version
         );
 
+        // DataTable bootstrapper + URL state (header, table is initialized in header script)
+        self::enqueue_datatable_bootstrap(false);
+
         // Enqueue minimal JS for DataTable initialization
-        // Dependency: jquery only (datatables will be loaded by wp-datatable BaseAssets)
+        // Dependency: bootstrapper (datatables will be loaded by wp-datatable BaseAssets)
         // Nonce and config will be provided by wp-datatable DualPanelAssets (wpdtConfig)
         wp_enqueue_script(
             'platform-staff-datatable',
             WP_APP_CORE_PLUGIN_URL . 'assets/js/platform/platform-staff-datatable.js',
-            ['jquery'],
+            ['jquery', 'wpapp-datatable'],
             $this->version,
             false  // Load in header instead of footer
         );
 
+        // Stale edit saves are resolved in the modal
+        self::enqueue_conflict_resolver();
+
+        // History tab of the staff panel
+        self::enqueue_history();
+
+        // Undo toast after delete
+        self::enqueue_undo();
+
         // Enqueue modal handler for edit/delete operations
         wp_enqueue_script(
             'platform-staff-modal-handler',
             WP_APP_CORE_PLUGIN_URL . 'assets/js/platform/platform-staff-modal-handler.js',
-            ['jquery', 'wp-modal', 'platform-staff-datatable'],
+            ['jquery', 'wp-modal', 'platform-staff-datatable', 'wpapp-conflict-resolver', 'wpapp-ajax', 'wpapp-notify', 'wpapp-undo'],
             $this->version,
             true  // Load in footer
         );
@@ -168,6 +752,70 @@ class AssetController {
             'nonce' => wp_create_nonce('wpdt_nonce'),
             'ajaxUrl' => admin_url('admin-ajax.php')
         ]);
+
+        // CSV import wizard (validateStaffData from modal handler, CSV writer from export)
+        if (current_user_can('manage_options') || current_user_can('create_platform_users')) {
+            wp_enqueue_style(
+                'platform-staff-import',
+                WP_APP_CORE_PLUGIN_URL . 'assets/css/platform/platform-staff-import.css',
+                [],
+                $this->version
+            );
+
+            wp_enqueue_script(
+                'platform-staff-import',
+                WP_APP_CORE_PLUGIN_URL . 'assets/js/platform/platform-staff-import.js',
+                ['jquery', 'platform-staff-modal-handler', 'wpapp-datatable-export', 'wpapp-ajax'],
+                $this->version,
+                true
+            );
+
+            wp_localize_script('platform-staff-import', 'wpPlatformStaffImportConfig', [
+                'nonce' => wp_create_nonce('wpdt_nonce'),
+                'ajaxUrl' => admin_url('admin-ajax.php'),
+                'batchSize' => \WPAppCore\Controllers\Platform\PlatformStaffImportController::BATCH_MAX,
+                'maxRows' => 2000,
+                'roles' => \WP_App_Core_Role_Manager::getAdminRoles(),
+                'i18n' => [
+                    'emptyFile' => __('The file has no data rows.', 'wp-app-core'),
+                    'invalidFile' => __('The file could not be read.', 'wp-app-core'),
+                    /* translators: %d: maximum number of rows */
+                    'tooManyRows' => __('The file has more than %d rows. Split it into smaller files.', 'wp-app-core'),
+                    'notMapped' => __('— Not mapped —', 'wp-app-core'),
+                    /* translators: %s: list of fields */
+                    'requiredMapping' => __('Choose a column for: %s', 'wp-app-core'),
+                    'validating' => __('Checking rows...', 'wp-app-core'),
+                    /* translators: %t: total rows, %v: valid rows, %e: rows with errors */
+                    'summary' => __('%t rows: %v valid, %e with errors.', 'wp-app-core'),
+                    /* translators: %d: number of rows */
+                    'importRun' => __('Import %d rows', 'wp-app-core'),
+                    /* translators: %d: rows done, %t: total rows */
+                    'importProgress' => __('Importing %d of %t...', 'wp-app-core'),
+                    /* translators: %i: imported rows, %t: total rows, %f: rows not imported */
+                    'importDone' => __('Imported %i of %t rows, %f not imported.', 'wp-app-core'),
+                    'notImported' => __('Not imported (import stopped)', 'wp-app-core'),
+                    'confirmCancel' => __('Stop the import after the current batch?', 'wp-app-core'),
+                    'requestFailed' => __('Request failed. Please try again.', 'wp-app-core'),
+                    'loginRequired' => __('Username is required', 'wp-app-core'),
+                    'loginInvalid' => __('Username contains invalid characters', 'wp-app-core'),
+                    'emailRequired' => __('Email is required', 'wp-app-core'),
+                    'emailInvalid' => __('Email is not valid', 'wp-app-core'),
+                    'nameTooLong' => __('Full name must be at most 100 characters', 'wp-app-core'),
+                    'phoneInvalid' => __('Phone number is not valid', 'wp-app-core'),
+                    'dateInvalid' => __('Hire date must be YYYY-MM-DD', 'wp-app-core'),
+                    'statusInvalid' => __('Status must be aktif or tidak_aktif', 'wp-app-core'),
+                    'roleInvalid' => __('Unknown role', 'wp-app-core'),
+                    /* translators: %s: value, %d: line of first occurrence */
+                    'duplicate' => __('%s appears more than once in the file (line %d)', 'wp-app-core'),
+                    'line' => __('Line', 'wp-app-core'),
+                    'errors' => __('Errors', 'wp-app-core'),
+                    'ok' => __('OK', 'wp-app-core'),
+                ],
+            ]);
+        }
+
+        // Unsaved changes in staff modal forms
+        self::enqueue_form_guard();
     }
 
     /**
@@ -230,6 +878,12 @@ class AssetController {
             true
         );
 
+        // Unsaved changes warning on tab links / page leave
+        self::enqueue_form_guard();
+
+        // Undo toast (permission reset, demo data clearing)
+        self::enqueue_undo();
+
         // Tab-specific scripts
         $this->enqueue_settings_tab_scripts($current_tab);
     }
@@ -296,6 +950,11 @@ class AssetController {
             if (file_exists($file_path)) {
                 $dependencies = ['jquery', 'wpapp-settings-base', 'wpapp-settings-reset-script'];
 
+                // Permission reset request goes through WPAppAjax
+                if ($current_tab === 'permissions') {
+                    $dependencies[] = 'wpapp-ajax';
+                }
+
                 wp_enqueue_script(
                     'platform-settings-' . $current_tab,
                     WP_APP_CORE_PLUGIN_URL . 'assets/js/settings/' . $platform_tab_scripts[$current_tab],
@@ -314,9 +973,11 @@ class AssetController {
             if (file_exists($file_path)) {
                 $dependencies = ['jquery', 'wpapp-settings-base', 'wpapp-settings-reset-script'];
 
-                // Add wp-modal dependency for demo-data tab
+                // Add wp-modal, undo toast and WPAppAjax dependencies for demo-data tab
                 if ($current_tab === 'demo-data') {
                     $dependencies[] = 'wp-modal';
+                    $dependencies[] = 'wpapp-undo';
+                    $dependencies[] = 'wpapp-ajax';
                 }
 
                 wp_enqueue_script(
@@ -14,7 +14,7 @@
  *
  * Responsibilities:
  * - Enqueue global DataTable CSS
- * - Enqueue global DataTable JavaScript (panel manager, tab manager)
+ * - Enqueue global DataTable JavaScript (hash router, URL state, DataTable bootstrapper, component registry, panel manager, tab manager, panel stack, resizer, History tab)
  * - Localize scripts with AJAX data
  * - Handle conditional loading (only on admin pages with DataTable)
  *
@@ -28,6 +28,8 @@
 
 namespace WPAppCore\Controllers\DataTable;
 
+use WPAppCore\Controllers\Assets\AssetController;
+
 defined('ABSPATH') || exit;
 
 class DataTableAssetsController {
@@ -134,11 +136,35 @@ class DataTableAssetsController {
         // Ensure jQuery is loaded
         wp_enqueue_script('jquery');
 
+        // Hash Router (shared by panel manager and tab manager)
+        wp_enqueue_script(
+            'wpapp-hash-router',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-hash-router.js',
+            ['jquery'],
+            $this->version,
+            true
+        );
+
+        // DataTable URL state + bootstrapper (WPAppDataTable.init, shared language pack)
+        AssetController::enqueue_datatable_bootstrap();
+
+        // WPAppAjax (panel, tab, layer and width requests)
+        AssetController::enqueue_ajax();
+
+        // Component Registry (mount/unmount of components inside panel content)
+        wp_enqueue_script(
+            'wpapp-component-registry',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-component-registry.js',
+            ['jquery'],
+            $this->version,
+            true
+        );
+
         // Panel Manager (core functionality)
         wp_enqueue_script(
             'wpapp-panel-manager',
             WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-panel-manager.js',
-            ['jquery'],
+            ['jquery', 'wpapp-hash-router', 'wpapp-component-registry', 'wpapp-ajax'],
             $this->version,
             true
         );
@@ -148,12 +174,38 @@ class DataTableAssetsController {
         wp_enqueue_script(
             'wpapp-tab-manager',
             WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-tab-manager.js',
-            ['jquery', 'wpapp-panel-manager'],
+            ['jquery', 'wpapp-panel-manager', 'wpapp-ajax'],
             $this->version,
             true
         );
         error_log('✅ Tab Manager enqueued');
 
+        // Panel Stack (nested entity layers, depends on panel manager)
+        wp_enqueue_script(
+            'wpapp-panel-stack',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-panel-stack.js',
+            ['jquery', 'wpapp-hash-router', 'wpapp-panel-manager', 'wpapp-ajax'],
+            $this->version,
+            true
+        );
+        error_log('✅ Panel Stack enqueued');
+
+        // Panel Resizer (draggable split + maximize, depends on panel manager)
+        wp_enqueue_script(
+            'wpapp-panel-resizer',
+            WP_APP_CORE_PLUGIN_URL . 'assets/js/datatable/wpapp-panel-resizer.js',
+            ['jquery', 'wpapp-panel-manager', 'wpapp-ajax'],
+            $this->version,
+            true
+        );
+        error_log('✅ Panel Resizer enqueued');
+
+        // Unsaved-changes guard (vetoes panel close / tab switch with dirty forms)
+        AssetController::enqueue_form_guard();
+
+        // History tab (audit trail) filters / pagination
+        AssetController::enqueue_history();
+
         // Note: Modal Manager now provided by wp-modal plugin
 
         /**
@@ -180,6 +232,28 @@ class DataTableAssetsController {
             'nonce' => wp_create_nonce('wpapp_panel_nonce'),
             'debug' => defined('WP_DEBUG') && WP_DEBUG,
             'i18n' => $this->get_i18n_strings(),
+            // Panel response cache (ttl in seconds, maxEntries 0 = disabled)
+            'panelCache' => [
+                'enabled' => true,
+                'maxEntries' => 20,
+                'ttl' => 300,
+                'revalidateAfter' => 10,
+            ],
+            // Panel prefetch on row hover/focus (opt-in, delay in ms)
+            'panelPrefetch' => [
+                'enabled' => false,
+                'delay' => 150,
+                'maxConcurrent' => 2,
+            ],
+            // Resizable left/right split (widths in % of row, persist: local | user)
+            'panelLayout' => [
+                'minWidth' => 25,
+                'maxWidth' => 75,
+                'defaultWidth' => 55,
+                'persist' => 'local',
+            ],
+            // Per-user preferences from user meta (DataTablePreferencesController)
+            'preferences' => DataTablePreferencesController::get_preferences(),
         ];
 
         error_log('wpAppConfig: ' . print_r($config, true));
@@ -209,6 +283,14 @@ class DataTableAssetsController {
             'loading' => __('Loading...', 'wp-app-core'),
             'error' => __('Error', 'wp-app-core'),
             'close' => __('Close', 'wp-app-core'),
+            'back' => __('Back', 'wp-app-core'),
+            'maximizePanel' => __('Maximize panel', 'wp-app-core'),
+            'restorePanel' => __('Restore panel', 'wp-app-core'),
+            'retry' => __('Retry', 'wp-app-core'),
+            'refresh' => __('Refresh', 'wp-app-core'),
+            'reload' => __('Reload', 'wp-app-core'),
+            'panelStale' => __('This record has changed since it was opened.', 'wp-app-core'),
+            'tabLoadError' => __('Failed to load content', 'wp-app-core'),
             'unknownError' => __('An unknown error occurred', 'wp-app-core'),
             'networkError' => __('Network error. Please check your connection.', 'wp-app-core'),
             'serverError' => __('Server error. Please try again later.', 'wp-app-core'),
@@ -245,8 +327,12 @@ class DataTableAssetsController {
      * @return bool True if assets are enqueued
      */
     public static function is_enqueued() {
-        return wp_script_is('wpapp-panel-manager', 'enqueued') &&
+        return wp_script_is('wpapp-hash-router', 'enqueued') &&
+               wp_script_is('wpapp-component-registry', 'enqueued') &&
+               wp_script_is('wpapp-panel-manager', 'enqueued') &&
                wp_script_is('wpapp-tab-manager', 'enqueued') &&
+               wp_script_is('wpapp-panel-stack', 'enqueued') &&
+               wp_script_is('wpapp-panel-resizer', 'enqueued') &&
                wp_style_is('wpapp-datatable-css', 'enqueued');
                // Note: Old wpapp-modal checks removed - now using wp-modal plugin
     }
@@ -0,0 +1,243 @@
+<?php
+/**
+ * DataTable Change Feed Controller
+ *
+ * Lightweight "record changed" feed for DataTable dashboards, delivered with
+ * WordPress Heartbeat. Controllers publish a notice when a record is
+ * created, updated or deleted; open lists and panels of other admins
+ * receive the notices since their last tick and redraw / warn.
+ *
+ * @package WPAppCore
+ * @subpackage Controllers\DataTable
+ * @since 1.2.0
+ * @author arisciwek
+ *
+ * Path: wp-app-core/src/Controllers/DataTable/DataTableChangeFeedController.php
+ *
+ * Changelog:
+ * 1.0.1 - 2026-10-18
+ * - Entities opt in: no notices unless wpapp_datatable_change_feed_can_view
+ *   grants access (default was any user who can read the admin)
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Publish: do_action('wpapp_datatable_record_changed', $entity, $id, $action)
+ * - Heartbeat key: wpapp_changes ({ since, entities } → { last, changes })
+ * - Entity access via wpapp_datatable_change_feed_can_view filter
+ *
+ * Storage (option "wpapp_datatable_change_feed", not autoloaded):
+ * ```php
+ * [
+ *     'last' => 42,
+ *     'entries' => [
+ *         ['seq' => 42, 'entity' => 'platform_staff', 'id' => 7, 'action' => 'updated',
+ *          'user_id' => 1, 'time' => 1792310400],
+ *     ],
+ * ]
+ * ```
+ * Only the last MAX_ENTRIES notices younger than TTL seconds are kept; a
+ * client that missed more than that simply sees the newest ones.
+ *
+ * Heartbeat (wpapp-datatable-changes.js):
+ * - Sent: wpapp_changes = { since: 40, entities: ['platform_staff'] }
+ * - Received: wpapp_changes = { last: 42, changes: [{ entity, id, action, user, time }] }
+ * - Own changes of the current user are left out
+ *
+ * Usage:
+ * ```php
+ * // After saving / deleting a record
+ * do_action('wpapp_datatable_record_changed', 'platform_staff', $staff_id, 'updated');
+ *
+ * // Who receives notices of an entity (required: nobody by default)
+ * add_filter('wpapp_datatable_change_feed_can_view', function($can, $entity) {
+ *     return $entity === 'customer' ? current_user_can('view_customer_list') : $can;
+ * }, 10, 2);
+ * ```
+ */
+
+namespace WPAppCore\Controllers\DataTable;
+
+defined('ABSPATH') || exit;
+
+class DataTableChangeFeedController {
+
+    /**
+     * Option name
+     *
+     * @var string
+     */
+    const OPTION = 'wpapp_datatable_change_feed';
+
+    /**
+     * Max notices kept
+     *
+     * @var int
+     */
+    const MAX_ENTRIES = 200;
+
+    /**
+     * Max age of a notice (seconds)
+     *
+     * @var int
+     */
+    const TTL = 600;
+
+    /**
+     * Max notices returned per tick
+     *
+     * @var int
+     */
+    const MAX_PER_TICK = 50;
+
+    /**
+     * Accepted actions
+     *
+     * @var array
+     */
+    const ACTIONS = ['created', 'updated', 'deleted'];
+
+    /**
+     * Register hooks
+     *
+     * @return void
+     */
+    public function init(): void {
+        add_action('wpapp_datatable_record_changed', [$this, 'record'], 10, 3);
+        add_filter('heartbeat_received', [$this, 'heartbeat_received'], 10, 2);
+    }
+
+    /**
+     * Store a change notice
+     *
+     * @param string $entity Entity slug (e.g. platform_staff)
+     * @param int $id Record ID
+     * @param string $action created | updated | deleted
+     * @return void
+     */
+    public function record($entity, $id, $action = 'updated'): void {
+        $entity = sanitize_key($entity);
+        $id = absint($id);
+
+        if ($entity === '' || !$id || !in_array($action, self::ACTIONS, true)) {
+            return;
+        }
+
+        $feed = self::get_feed();
+        $feed['last']++;
+        $feed['entries'][] = [
+            'seq' => $feed['last'],
+            'entity' => $entity,
+            'id' => $id,
+            'action' => $action,
+            'user_id' => get_current_user_id(),
+            'time' => time(),
+        ];
+
+        $feed['entries'] = array_slice($this->prune($feed['entries']), -self::MAX_ENTRIES);
+
+        update_option(self::OPTION, $feed, false);
+    }
+
+    /**
+     * Answer heartbeat with notices since the client's last sequence
+     *
+     * @param array $response Heartbeat response
+     * @param array $data Heartbeat data from client
+     * @return array Modified response
+     */
+    public function heartbeat_received($response, $data) {
+        if (empty($data['wpapp_changes']) || !is_array($data['wpapp_changes'])) {
+            return $response;
+        }
+
+        $request = $data['wpapp_changes'];
+        $since = absint($request['since'] ?? 0);
+        $entities = array_filter(array_map('sanitize_key', (array) ($request['entities'] ?? [])));
+        $entities = array_filter($entities, function($entity) {
+            /**
+             * Filter: Whether the current user receives change notices of an entity
+             *
+             * Entities opt in: the notices name records and users, so the
+             * entity's own capability decides.
+             *
+             * @param bool $can Default false
+             * @param string $entity Entity slug
+             *
+             * @return bool
+             */
+            return (bool) apply_filters('wpapp_datatable_change_feed_can_view', false, $entity);
+        });
+
+        $feed = self::get_feed();
+        $changes = [];
+        $users = [];
+
+        // First tick of a page only learns the current position
+        if ($since > 0 && !empty($entities)) {
+            foreach ($this->prune($feed['entries']) as $entry) {
+                if ($entry['seq'] <= $since
+                    || !in_array($entry['entity'], $entities, true)
+                    || (int) $entry['user_id'] === get_current_user_id()) {
+                    continue;
+                }
+
+                if (!isset($users[$entry['user_id']])) {
+                    $user = get_userdata($entry['user_id']);
+                    $users[$entry['user_id']] = $user ? $user->display_name : __('Someone', 'wp-app-core');
+                }
+
+                $changes[] = [
+                    'entity' => $entry['entity'],
+                    'id' => $entry['id'],
+                    'action' => $entry['action'],
+                    'user' => $users[$entry['user_id']],
+                    'time' => $entry['time'],
+                ];
+            }
+        }
+
+        $response['wpapp_changes'] = [
+            'last' => $feed['last'],
+            'changes' => array_slice($changes, -self::MAX_PER_TICK),
+        ];
+
+        return $response;
+    }
+
+    /**
+     * Current feed sequence (initial "since" for page scripts)
+     *
+     * @return int
+     */
+    public static function get_last_sequence(): int {
+        return self::get_feed()['last'];
+    }
+
+    /**
+     * Read stored feed
+     *
+     * @return array { last, entries }
+     */
+    private static function get_feed(): array {
+        $feed = get_option(self::OPTION, []);
+
+        return [
+            'last' => absint($feed['last'] ?? 0),
+            'entries' => isset($feed['entries']) && is_array($feed['entries']) ? $feed['entries'] : [],
+        ];
+    }
+
+    /**
+     * Drop notices older than TTL
+     *
+     * @param array $entries Notices
+     * @return array Remaining notices
+     */
+    private function prune(array $entries): array {
+        $cutoff = time() - self::TTL;
+
+        return array_values(array_filter($entries, function($entry) use ($cutoff) {
+            return isset($entry['time']) && $entry['time'] >= $cutoff;
+        }));
+    }
+}
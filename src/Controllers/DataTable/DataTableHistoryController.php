@@ -0,0 +1,388 @@
+<?php
+/**
+ * DataTable History Controller
+ *
+ * Reusable "History" tab (audit trail) for panel entities. Entities opt in
+ * with the wpapp_history_entities filter and publish their changes with
+ * the wpapp_history_record action; the tab lists field-level diffs with
+ * actor, timestamp and IP address, filterable by field and actor, paginated.
+ *
+ * @package WPAppCore
+ * @subpackage Controllers\DataTable
+ * @since 1.2.0
+ * @author arisciwek
+ *
+ * Path: wp-app-core/src/Controllers/DataTable/DataTableHistoryController.php
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Record: do_action('wpapp_history_record', $entity, $id, $action, $before, $after)
+ * - Tab: added to wpapp_datatable_tabs for registered entities (WPAppTabManager autoload)
+ * - AJAX action: wpapp_load_history_tab (nonce wpapp_panel_nonce)
+ *
+ * Entity Config (wpapp_history_entities filter):
+ * ```php
+ * add_filter('wpapp_history_entities', function($entities) {
+ *     $entities['customer_employee'] = [
+ *         'capability' => 'view_customer_employee_list', // Who may read the history
+ *         'fields' => [                                    // Logged fields + labels (empty = all)
+ *             'name' => __('Name', 'wp-customer'),
+ *             'division_id' => __('Division', 'wp-customer'),
+ *         ],
+ *         'values' => [                                    // Optional value labels
+ *             'status' => ['active' => __('Active', 'wp-customer')],
+ *         ],
+ *         'tab' => true,                                   // Add tab to wpapp_datatable_tabs
+ *         'priority' => 90,                                // Tab priority
+ *     ];
+ *     return $entities;
+ * });
+ *
+ * // After saving
+ * do_action('wpapp_history_record', 'customer_employee', $id, 'updated', $old_values, $new_values);
+ * ```
+ *
+ * AJAX Request (POST wpapp_load_history_tab):
+ * - nonce: wpapp_panel_nonce
+ * - entity + id, or {entity}_id (sent by WPAppTabManager)
+ * - page, field, actor (optional)
+ * - Response: { html, total }
+ */
+
+namespace WPAppCore\Controllers\DataTable;
+
+use WPAppCore\Models\DataTable\ChangeLogModel;
+
+defined('ABSPATH') || exit;
+
+class DataTableHistoryController {
+
+    /**
+     * Tab ID
+     *
+     * @var string
+     */
+    const TAB_ID = 'history';
+
+    /**
+     * AJAX action loading the tab
+     *
+     * @var string
+     */
+    const LOAD_ACTION = 'wpapp_load_history_tab';
+
+    /**
+     * Change log model
+     *
+     * @var ChangeLogModel
+     */
+    private $model;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->model = new ChangeLogModel();
+    }
+
+    /**
+     * Register hooks
+     *
+     * @return void
+     */
+    public function init(): void {
+        add_action('wpapp_history_record', [$this, 'record'], 10, 5);
+        add_filter('wpapp_datatable_tabs', [$this, 'register_tab'], 99, 2);
+        add_action('wpapp_tab_view_content', [$this, 'render_tab'], 10, 3);
+        add_action('wp_ajax_' . self::LOAD_ACTION, [$this, 'handle_load']);
+    }
+
+    /**
+     * Registered entities
+     *
+     * @return array [entity => config]
+     */
+    public static function get_entities(): array {
+        /**
+         * Filter: Entities with a History tab
+         *
+         * @param array $entities [entity => ['capability', 'fields', 'values', 'tab', 'priority']]
+         *
+         * @return array
+         */
+        $entities = apply_filters('wpapp_history_entities', []);
+
+        return is_array($entities) ? $entities : [];
+    }
+
+    /**
+     * Config of one entity
+     *
+     * @param string $entity Entity slug
+     * @return array|null Config or null when not registered
+     */
+    public static function get_entity(string $entity): ?array {
+        $entities = self::get_entities();
+
+        if (!isset($entities[$entity])) {
+            return null;
+        }
+
+        return wp_parse_args((array) $entities[$entity], [
+            'capability' => 'manage_options',
+            'fields' => [],
+            'values' => [],
+            'tab' => true,
+            'priority' => 90,
+        ]);
+    }
+
+    /**
+     * Whether the current user may read an entity's history
+     *
+     * @param string $entity Entity slug
+     * @param int $id Record ID (0 = any record)
+     * @return bool
+     */
+    public static function can_view(string $entity, int $id = 0): bool {
+        $config = self::get_entity($entity);
+
+        if (!$config) {
+            return false;
+        }
+
+        $can = current_user_can('manage_options') || current_user_can($config['capability']);
+
+        /**
+         * Filter: Whether the current user may read the history of a record
+         *
+         * @param bool $can Default: entity capability
+         * @param string $entity Entity slug
+         * @param int $id Record ID (0 = any record)
+         *
+         * @return bool
+         */
+        return (bool) apply_filters('wpapp_history_can_view', $can, $entity, $id);
+    }
+
+    /**
+     * Store a change (wpapp_history_record action)
+     *
+     * @param string $entity Entity slug
+     * @param int $id Record ID
+     * @param string $action created | updated | deleted
+     * @param array|object $before Values before the change
+     * @param array|object $after Values after the change
+     * @return void
+     */
+    public function record($entity, $id, $action = 'updated', $before = [], $after = []): void {
+        $entity = sanitize_key($entity);
+        $config = self::get_entity($entity);
+
+        $this->model->record(
+            $entity,
+            absint($id),
+            (string) $action,
+            (array) $before,
+            (array) $after,
+            $config ? array_keys($config['fields']) : []
+        );
+    }
+
+    /**
+     * Add History tab for registered entities (wpapp_datatable_tabs)
+     *
+     * @param array $tabs Tabs
+     * @param string $entity Entity slug
+     * @return array
+     */
+    public function register_tab($tabs, $entity) {
+        $config = self::get_entity((string) $entity);
+
+        if (!$config || !$config['tab'] || isset($tabs[self::TAB_ID]) || !self::can_view($entity)) {
+            return $tabs;
+        }
+
+        $tabs[self::TAB_ID] = [
+            'title' => __('History', 'wp-app-core'),
+            'priority' => $config['priority'],
+        ];
+
+        return $tabs;
+    }
+
+    /**
+     * Render tab container (wpapp_tab_view_content)
+     *
+     * @param string $tab_id Tab ID
+     * @param string $entity Entity slug
+     * @param object|array $entity_data Record
+     * @return void
+     */
+    public function render_tab($tab_id, $entity, $entity_data): void {
+        if ($tab_id !== self::TAB_ID || !self::get_entity((string) $entity)) {
+            return;
+        }
+
+        $id = is_object($entity_data) ? ($entity_data->id ?? 0) : ($entity_data['id'] ?? 0);
+
+        self::render_container($entity, (int) $id);
+    }
+
+    /**
+     * Render lazy-loaded History container
+     *
+     * @param string $entity Entity slug
+     * @param int $record_id Record ID
+     * @param string $mode tab (loaded by WPAppTabManager) | self (loaded by wpapp-history.js,
+     *                     for panels rendered by another framework)
+     * @return void
+     */
+    public static function render_container(string $entity, int $record_id, string $mode = 'tab'): void {
+        if (!$record_id || !self::can_view($entity, $record_id)) {
+            return;
+        }
+
+        $load_action = self::LOAD_ACTION;
+
+        include WP_APP_CORE_PATH . 'src/Views/DataTable/Templates/partials/history-tab.php';
+    }
+
+    /**
+     * Handle AJAX load (first page, filters, pagination)
+     *
+     * @return void Sends JSON response
+     */
+    public function handle_load(): void {
+        if (!check_ajax_referer('wpapp_panel_nonce', 'nonce', false)) {
+            wp_send_json_error([
+                'message' => __('Security check failed', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        list($entity, $record_id) = $this->resolve_record();
+
+        if ($entity === '' || !$record_id) {
+            wp_send_json_error([
+                'message' => __('Invalid record', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        if (!self::can_view($entity, $record_id)) {
+            wp_send_json_error([
+                'message' => __('Permission denied', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        $config = self::get_entity($entity);
+        $filters = [
+            'field' => sanitize_key(wp_unslash($_POST['field'] ?? '')),
+            'actor' => isset($_POST['actor']) && $_POST['actor'] !== '' ? absint($_POST['actor']) : '',
+        ];
+
+        $result = $this->model->get_entries($entity, $record_id, [
+            'field' => $filters['field'],
+            'user_id' => $filters['actor'],
+            'page' => absint($_POST['page'] ?? 1),
+        ]);
+
+        $fields = [];
+        foreach ($this->model->get_fields($entity, $record_id) as $field) {
+            $fields[$field] = $config['fields'][$field] ?? $field;
+        }
+
+        $actors = $this->model->get_actors($entity, $record_id);
+        $changesets = $this->group_changesets($result['items'], $config);
+
+        ob_start();
+        include WP_APP_CORE_PATH . 'src/Views/DataTable/Templates/partials/history-list.php';
+        $html = ob_get_clean();
+
+        wp_send_json_success([
+            'html' => $html,
+            'total' => $result['total'],
+        ]);
+    }
+
+    /**
+     * Entity and record ID of the request
+     *
+     * WPAppTabManager sends {entity}_id only, so registered entities are
+     * matched against the posted keys.
+     *
+     * @return array [entity, record_id]
+     */
+    private function resolve_record(): array {
+        $entity = sanitize_key(wp_unslash($_POST['entity'] ?? ''));
+
+        if ($entity !== '' && self::get_entity($entity)) {
+            return [$entity, absint($_POST['id'] ?? ($_POST[$entity . '_id'] ?? 0))];
+        }
+
+        foreach (array_keys(self::get_entities()) as $registered) {
+            if (!empty($_POST[$registered . '_id'])) {
+                return [$registered, absint($_POST[$registered . '_id'])];
+            }
+        }
+
+        return ['', 0];
+    }
+
+    /**
+     * Group log rows of a page by changeset (one save = one table row)
+     *
+     * @param array $items Log rows, newest first
+     * @param array $config Entity config
+     * @return array [{ action, time, user, ip, changes: [{ field, label, old, new }] }]
+     */
+    private function group_changesets(array $items, array $config): array {
+        $changesets = [];
+
+        foreach ($items as $item) {
+            $key = $item->changeset;
+
+            if (!isset($changesets[$key])) {
+                $changesets[$key] = [
+                    'action' => $item->action,
+                    'time' => $item->created_at,
+                    'user' => $item->user_name ?: __('Unknown user', 'wp-app-core'),
+                    'ip' => $item->ip_address,
+                    'changes' => [],
+                ];
+            }
+
+            if ($item->field === '') {
+                continue;
+            }
+
+            $changesets[$key]['changes'][] = [
+                'field' => $item->field,
+                'label' => $config['fields'][$item->field] ?? $item->field,
+                'old' => $this->format_value($config, $item->field, $item->old_value),
+                'new' => $this->format_value($config, $item->field, $item->new_value),
+            ];
+        }
+
+        return array_values($changesets);
+    }
+
+    /**
+     * Display value (value label when configured)
+     *
+     * @param array $config Entity config
+     * @param string $field Field name
+     * @param string|null $value Stored value
+     * @return string Empty string for no value
+     */
+    private function format_value(array $config, string $field, $value): string {
+        if ($value === null || $value === '') {
+            return '';
+        }
+
+        return (string) ($config['values'][$field][$value] ?? $value);
+    }
+}
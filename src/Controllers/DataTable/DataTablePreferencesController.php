@@ -0,0 +1,278 @@
+<?php
+/**
+ * DataTable Preferences Controller
+ *
+ * Stores per-user, per-entity DataTable dashboard preferences in user meta
+ * (panel width, etc.) and exposes them to JavaScript via wpAppConfig.
+ *
+ * @package WPAppCore
+ * @subpackage Controllers\DataTable
+ * @since 1.2.0
+ * @author arisciwek
+ *
+ * Path: wp-app-core/src/Controllers/DataTable/DataTablePreferencesController.php
+ *
+ * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Added preference keys: columns (column layout), views (saved DataTable views)
+ * - Entity may be a table key (WPAppDataTable), e.g. "platform-staff"
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - AJAX action: wpapp_save_datatable_preference
+ * - Preference keys whitelisted via wpapp_datatable_preference_keys filter
+ *
+ * Storage (user meta "wpapp_datatable_preferences"):
+ * ```php
+ * [
+ *     'customer' => ['panel_width' => 60],
+ *     'platform_staff' => ['panel_width' => 50],
+ *     'invoices' => [
+ *         'columns' => ['order' => [1, 0, 2], 'hidden' => [2]],
+ *         'views' => [['name' => 'Unpaid this month', 'state' => [...]]],
+ *     ],
+ * ]
+ * ```
+ *
+ * AJAX Request (POST):
+ * - action: wpapp_save_datatable_preference
+ * - nonce: wpapp_panel_nonce
+ * - entity: Entity slug
+ * - key: Preference key (whitelisted)
+ * - value: JSON encoded value (null removes the key)
+ *
+ * Usage:
+ * ```php
+ * $controller = new \WPAppCore\Controllers\DataTable\DataTablePreferencesController();
+ * $controller->init();
+ *
+ * $prefs = DataTablePreferencesController::get_preferences();
+ * ```
+ */
+
+namespace WPAppCore\Controllers\DataTable;
+
+defined('ABSPATH') || exit;
+
+class DataTablePreferencesController {
+
+    /**
+     * User meta key
+     *
+     * @var string
+     */
+    const META_KEY = 'wpapp_datatable_preferences';
+
+    /**
+     * Max size of a single JSON encoded value (bytes)
+     *
+     * @var int
+     */
+    const MAX_VALUE_LENGTH = 16384;
+
+    /**
+     * Max saved views per table
+     *
+     * @var int
+     */
+    const MAX_VIEWS = 20;
+
+    /**
+     * Initialize controller
+     *
+     * @return void
+     */
+    public function init() {
+        add_action('wp_ajax_wpapp_save_datatable_preference', [$this, 'handle_save_preference']);
+    }
+
+    /**
+     * Get allowed preference keys
+     *
+     * @return array Preference keys
+     */
+    public static function get_allowed_keys() {
+        /**
+         * Filter: Allowed DataTable preference keys
+         *
+         * @param array $keys Preference keys
+         *
+         * @return array Modified keys
+         */
+        return apply_filters('wpapp_datatable_preference_keys', ['panel_width', 'columns', 'views']);
+    }
+
+    /**
+     * Get preferences for user
+     *
+     * @param int|null $user_id User ID (default current user)
+     * @return array Preferences grouped by entity
+     */
+    public static function get_preferences($user_id = null) {
+        $user_id = $user_id ?: get_current_user_id();
+
+        if (!$user_id) {
+            return [];
+        }
+
+        $preferences = get_user_meta($user_id, self::META_KEY, true);
+
+        return is_array($preferences) ? $preferences : [];
+    }
+
+    /**
+     * Handle AJAX save preference
+     *
+     * @return void Sends JSON response
+     */
+    public function handle_save_preference() {
+        if (!check_ajax_referer('wpapp_panel_nonce', 'nonce', false)) {
+            wp_send_json_error([
+                'message' => __('Security check failed', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        if (!is_user_logged_in()) {
+            wp_send_json_error([
+                'message' => __('You must be logged in', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        $entity = isset($_POST['entity']) ? sanitize_key(wp_unslash($_POST['entity'])) : '';
+        $key = isset($_POST['key']) ? sanitize_key(wp_unslash($_POST['key'])) : '';
+        $raw_value = isset($_POST['value']) ? wp_unslash($_POST['value']) : 'null';
+
+        if (empty($entity) || !in_array($key, self::get_allowed_keys(), true)) {
+            wp_send_json_error([
+                'message' => __('Invalid preference', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        if (strlen($raw_value) > self::MAX_VALUE_LENGTH) {
+            wp_send_json_error([
+                'message' => __('Preference value too large', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        $value = json_decode($raw_value, true);
+        $preferences = self::get_preferences();
+
+        if ($value === null) {
+            unset($preferences[$entity][$key]);
+
+            if (empty($preferences[$entity])) {
+                unset($preferences[$entity]);
+            }
+        } else {
+            $preferences[$entity][$key] = $this->sanitize_value($key, $value, $entity);
+        }
+
+        update_user_meta(get_current_user_id(), self::META_KEY, $preferences);
+
+        wp_send_json_success([
+            'entity' => $entity,
+            'key' => $key,
+            'value' => $preferences[$entity][$key] ?? null
+        ]);
+    }
+
+    /**
+     * Sanitize preference value
+     *
+     * @param string $key Preference key
+     * @param mixed $value Decoded value
+     * @param string $entity Entity slug
+     * @return mixed Sanitized value
+     */
+    private function sanitize_value($key, $value, $entity) {
+        if ($key === 'panel_width') {
+            $sanitized = max(0, min(100, (float) $value));
+        } elseif ($key === 'columns') {
+            $sanitized = $this->sanitize_columns($value);
+        } elseif ($key === 'views') {
+            $sanitized = $this->sanitize_views($value);
+        } else {
+            $sanitized = $this->sanitize_recursive($value);
+        }
+
+        /**
+         * Filter: Sanitize DataTable preference value
+         *
+         * @param mixed $sanitized Sanitized value
+         * @param string $key Preference key
+         * @param mixed $value Raw decoded value
+         * @param string $entity Entity slug
+         *
+         * @return mixed Modified value
+         */
+        return apply_filters('wpapp_datatable_sanitize_preference', $sanitized, $key, $value, $entity);
+    }
+
+    /**
+     * Sanitize column layout ({ order: int[]|null, hidden: int[] })
+     *
+     * @param mixed $value Decoded value
+     * @return array Sanitized layout
+     */
+    private function sanitize_columns($value) {
+        $value = is_array($value) ? $value : [];
+        $order = isset($value['order']) && is_array($value['order']) ? array_map('absint', $value['order']) : null;
+        $hidden = isset($value['hidden']) && is_array($value['hidden']) ? array_map('absint', $value['hidden']) : [];
+
+        return [
+            'order' => $order ? array_values(array_unique($order)) : null,
+            'hidden' => array_values(array_unique($hidden)),
+        ];
+    }
+
+    /**
+     * Sanitize saved views ([{ name, state }], max MAX_VIEWS)
+     *
+     * @param mixed $value Decoded value
+     * @return array Sanitized views
+     */
+    private function sanitize_views($value) {
+        $views = [];
+
+        foreach (is_array($value) ? $value : [] as $view) {
+            if (!is_array($view) || empty($view['name'])) {
+                continue;
+            }
+
+            $views[] = [
+                'name' => sanitize_text_field((string) $view['name']),
+                'state' => isset($view['state']) && is_array($view['state'])
+                    ? $this->sanitize_recursive($view['state'])
+                    : [],
+            ];
+        }
+
+        return array_slice($views, 0, self::MAX_VIEWS);
+    }
+
+    /**
+     * Sanitize scalars and arrays recursively
+     *
+     * @param mixed $value Value
+     * @return mixed Sanitized value
+     */
+    private function sanitize_recursive($value) {
+        if (is_array($value)) {
+            $clean = [];
+            foreach ($value as $k => $v) {
+                $clean[is_int($k) ? $k : sanitize_text_field($k)] = $this->sanitize_recursive($v);
+            }
+            return $clean;
+        }
+
+        if (is_bool($value) || is_int($value) || is_float($value)) {
+            return $value;
+        }
+
+        return sanitize_text_field((string) $value);
+    }
+}
@@ -0,0 +1,159 @@
+<?php
+/**
+ * Notify Controller
+ *
+ * Server side of WPAppNotify. push() queues a toast for the current user:
+ * during an AJAX request it is sent with the response (X-WPApp-Notices
+ * header, read by WPAppNotify on ajaxComplete); otherwise, or when headers
+ * are already sent, it is kept until the next admin page load
+ * (wpAppNotifyConfig.notices).
+ *
+ * @package WPAppCore
+ * @subpackage Controllers
+ * @since 1.2.0
+ * @author arisciwek
+ *
+ * Path: wp-app-core/src/Controllers/NotifyController.php
+ *
+ * Changelog:
+ * 1.0.1 - 2026-10-18
+ * - has_pending(): AssetController loads WPAppNotify on other admin screens
+ *   only when the user has queued notices
+ *
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ *
+ * Usage:
+ * ```php
+ * // AJAX handler or admin_post redirect
+ * NotifyController::push(__('Cache cleared', 'wp-customer'), 'success');
+ * NotifyController::push(__('3 rows skipped', 'wp-customer'), 'warning', [
+ *     'title' => __('Import', 'wp-customer'),
+ *     'duration' => 0,
+ *     'link' => ['label' => __('View log', 'wp-customer'), 'url' => $log_url],
+ * ]);
+ *
+ * // Or in the JSON response itself
+ * wp_send_json_success([
+ *     'message' => $message,
+ *     'notices' => [['type' => 'warning', 'message' => $warning]],
+ * ]);
+ * ```
+ */
+
+namespace WPAppCore\Controllers;
+
+defined('ABSPATH') || exit;
+
+class NotifyController {
+
+    /**
+     * Response header read by WPAppNotify
+     *
+     * @var string
+     */
+    const HEADER = 'X-WPApp-Notices';
+
+    /**
+     * Severity levels
+     *
+     * @var array
+     */
+    const TYPES = ['success', 'info', 'warning', 'error'];
+
+    /**
+     * Notices sent with the current AJAX response
+     *
+     * @var array
+     */
+    private static $sent = [];
+
+    /**
+     * Queue a toast for the current user
+     *
+     * @param string $message Text (shown as text, not HTML)
+     * @param string $type success | info | warning | error
+     * @param array $args { title, duration (ms, 0 = until closed), link: { label, url } ("View" action) }
+     * @return void
+     */
+    public static function push(string $message, string $type = 'info', array $args = []): void {
+        $notice = [
+            'type' => in_array($type, self::TYPES, true) ? $type : 'info',
+            'message' => wp_strip_all_tags($message),
+            'title' => wp_strip_all_tags($args['title'] ?? ''),
+        ];
+
+        if (isset($args['duration'])) {
+            $notice['duration'] = max(0, (int) $args['duration']);
+        }
+
+        if (!empty($args['link']['url'])) {
+            $notice['link'] = [
+                'label' => wp_strip_all_tags($args['link']['label'] ?? ''),
+                'url' => esc_url_raw($args['link']['url']),
+            ];
+        }
+
+        if (wp_doing_ajax() && !headers_sent()) {
+            self::$sent[] = $notice;
+            header(self::HEADER . ': ' . rawurlencode(wp_json_encode(self::$sent)));
+            return;
+        }
+
+        $user_id = get_current_user_id();
+
+        if (!$user_id) {
+            return;
+        }
+
+        $queue = get_transient(self::get_key($user_id));
+        $queue = is_array($queue) ? $queue : [];
+        $queue[] = $notice;
+
+        set_transient(self::get_key($user_id), array_slice($queue, -10), HOUR_IN_SECONDS);
+    }
+
+    /**
+     * Does the current user have queued notices
+     *
+     * @return bool
+     */
+    public static function has_pending(): bool {
+        $user_id = get_current_user_id();
+
+        return $user_id && !empty(get_transient(self::get_key($user_id)));
+    }
+
+    /**
+     * Take the queued notices of the current user
+     *
+     * @return array
+     */
+    public static function pull(): array {
+        $user_id = get_current_user_id();
+
+        if (!$user_id) {
+            return [];
+        }
+
+        $queue = get_transient(self::get_key($user_id));
+
+        if (!is_array($queue)) {
+            return [];
+        }
+
+        delete_transient(self::get_key($user_id));
+
+        return $queue;
+    }
+
+    /**
+     * Transient key of a user's queue
+     *
+     * @param int $user_id User ID
+     * @return string
+     */
+    private static function get_key(int $user_id): string {
+        return 'wpapp_notices_' . $user_id;
+    }
+}
@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Controllers/Platform
- * @version     3.0.0
+ * @version     3.6.3
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Controllers/Platform/PlatformStaffDashboardController.php
@@ -14,6 +14,47 @@
  *              Uses hook-based architecture untuk extensibility.
  *
  * Changelog:
+ * 3.6.3 - 2026-10-18
+ * - save_platform_staff requires the version token: a save without one is
+ *   answered with code "conflict" like a stale one
+ *
+ * 3.6.2 - 2026-10-18
+ * - platform_staff_inline_edit requires the row version and answers a stale
+ *   one with code "conflict" and the current row; bulk status skips rows
+ *   changed since their posted version (versions[id])
+ *
+ * 3.6.1 - 2026-10-18
+ * - Bulk delete marks the rows as deleted and returns one undo token for
+ *   the whole batch (chunks join it via undo_token); the resolve query is
+ *   unslashed and sanitized
+ *
+ * 3.6.0 - 2026-10-18
+ * - delete_platform_staff returns an undo token (UndoController): the row
+ *   is only marked as deleted for the undo window, Undo clears the mark,
+ *   the end of the window deletes it
+ *
+ * 3.5.0 - 2026-10-18
+ * - History tab (audit trail): platform_staff registered with
+ *   wpapp_history_entities, tab loaded by wpapp-history.js
+ *
+ * 3.4.0 - 2026-10-18
+ * - Optimistic concurrency: save_platform_staff rejects stale writes
+ *   (posted version != current) with code "conflict" and the current values,
+ *   get_platform_staff_details returns the version token
+ *
+ * 3.3.0 - 2026-10-18
+ * - Change feed: staff notices only for users who may view staff,
+ *   bulk role change published as update
+ *
+ * 3.2.0 - 2026-10-18
+ * - Inline edit endpoint (platform_staff_inline_edit): full name, phone,
+ *   status - validated per field, returns the formatted DataTable row
+ *
+ * 3.1.0 - 2026-10-18
+ * - Bulk actions endpoint (platform_staff_bulk_action): resolve matching IDs,
+ *   delete, change status, assign role, export - processed in chunks with
+ *   per-item errors
+ *
  * 3.0.0 - 2025-12-25 (TODO-2205: wp-datatable Integration)
  * - BREAKING: Removed dependency on AbstractDashboardController
  * - Migrated to wp-datatable DualPanel layout system
@@ -32,13 +73,42 @@
 namespace WPAppCore\Controllers\Platform;
 
 use WPDataTable\Templates\DualPanel\DashboardTemplate;
+use WPAppCore\Controllers\DataTable\DataTableHistoryController;
+use WPAppCore\Controllers\UndoController;
 use WPAppCore\Models\Platform\PlatformStaffDataTableModel;
 use WPAppCore\Models\Platform\PlatformStaffModel;
+use WPAppCore\Validators\Platform\PlatformStaffValidator;
 
 defined('ABSPATH') || exit;
 
 class PlatformStaffDashboardController {
 
+    /**
+     * Max IDs per bulk chunk request
+     */
+    const BULK_CHUNK_MAX = 100;
+
+    /**
+     * Max IDs resolved for "select all matching"
+     */
+    const BULK_SELECT_MAX = 5000;
+
+    /**
+     * Capability per bulk operation (manage_options always allowed)
+     */
+    const BULK_CAPABILITIES = [
+        'resolve' => 'view_platform_users',
+        'export' => 'view_platform_users',
+        'status' => 'edit_platform_users',
+        'delete' => 'delete_platform_users',
+        'role' => 'promote_users',
+    ];
+
+    /**
+     * Fields editable inline in the DataTable
+     */
+    const INLINE_FIELDS = ['full_name', 'phone', 'status'];
+
     /**
      * @var PlatformStaffModel
      */
@@ -82,6 +152,20 @@ class PlatformStaffDashboardController {
         add_action('wp_ajax_get_platform_staff_form', [$this, 'handle_get_staff_form']);
         add_action('wp_ajax_save_platform_staff', [$this, 'handle_save_staff']);
         add_action('wp_ajax_delete_platform_staff', [$this, 'handle_delete_staff']);
+        add_action('wp_ajax_platform_staff_bulk_action', [$this, 'handle_bulk_action']);
+        add_action('wp_ajax_platform_staff_inline_edit', [$this, 'handle_inline_edit']);
+
+        // Change feed (DataTableChangeFeedController)
+        add_filter('wpapp_datatable_change_feed_can_view', [$this, 'can_view_change_feed'], 10, 2);
+
+        // History tab (DataTableHistoryController)
+        add_filter('wpapp_history_entities', [$this, 'register_history']);
+
+        // Undo delete (UndoController)
+        add_filter('wpapp_undo_restore_platform_staff_delete', [$this, 'restore_deleted_staff'], 10, 2);
+        add_filter('wpapp_undo_commit_platform_staff_delete', [$this, 'commit_deleted_staff'], 10, 2);
+        add_filter('wpapp_undo_restore_platform_staff_bulk_delete', [$this, 'restore_bulk_deleted_staff'], 10, 2);
+        add_filter('wpapp_undo_commit_platform_staff_bulk_delete', [$this, 'commit_bulk_deleted_staff'], 10, 2);
 
         // Backward compatibility
         add_action('wp_ajax_handle_platform_staff_datatable', [$this, 'handle_datatable']);
@@ -138,13 +222,54 @@ class PlatformStaffDashboardController {
             return $tabs;
         }
 
-        return [
+        $tabs = [
             'info' => [
                 'title' => __('Staff Information', 'wp-app-core'),
                 'template' => WP_APP_CORE_PATH . 'src/Views/platform/tabs/platform-staff-info.php',
                 'priority' => 10
             ]
         ];
+
+        if (DataTableHistoryController::can_view('platform_staff')) {
+            $tabs['history'] = [
+                'title' => __('History', 'wp-app-core'),
+                'template' => WP_APP_CORE_PATH . 'src/Views/platform/tabs/platform-staff-history.php',
+                'priority' => 90
+            ];
+        }
+
+        return $tabs;
+    }
+
+    /**
+     * Register platform staff for the History tab (audit trail)
+     *
+     * Tab is added by register_tabs() (wp-datatable panel), not by the
+     * wpapp_datatable_tabs filter.
+     *
+     * @param array $entities Registered entities
+     * @return array
+     */
+    public function register_history($entities): array {
+        $entities['platform_staff'] = [
+            'capability' => 'view_platform_users',
+            'tab' => false,
+            'fields' => [
+                'full_name' => __('Full Name', 'wp-app-core'),
+                'department' => __('Department', 'wp-app-core'),
+                'phone' => __('Phone', 'wp-app-core'),
+                'hire_date' => __('Hire Date', 'wp-app-core'),
+                'status' => __('Status', 'wp-app-core'),
+            ],
+            'values' => [
+                'status' => [
+                    'aktif' => __('Active', 'wp-app-core'),
+                    'tidak_aktif' => __('Inactive', 'wp-app-core'),
+                ],
+            ],
+        ];
+
+        return $entities;
     }
 
     // ========================================
@@ -257,7 +382,8 @@ class PlatformStaffDashboardController {
 
             wp_send_json_success([
                 'title' => sprintf(__('Platform Staff: %s', 'wp-app-core'), $staff->name),
-                'tabs' => $tabs_content
+                'tabs' => $tabs_content,
+                'version' => $this->model->get_version($staff)
             ]);
 
         } catch (\Exception $e) {
@@ -337,17 +463,17 @@ class PlatformStaffDashboardController {
         return [
             [
                 'label' => __('Total Staff', 'wp-app-core'),
-                'value' => $wpdb->get_var("SELECT COUNT(*) FROM {$table}"),
+                'value' => $wpdb->get_var("SELECT COUNT(*) FROM {$table} WHERE deleted_at IS NULL"),
                 'icon' => 'dashicons-groups'
             ],
             [
                 'label' => __('Active', 'wp-app-core'),
-                'value' => $wpdb->get_var("SELECT COUNT(*) FROM {$table} WHERE status = 'active'"),
+                'value' => $wpdb->get_var("SELECT COUNT(*) FROM {$table} WHERE status = 'active' AND deleted_at IS NULL"),
                 'icon' => 'dashicons-yes'
             ],
             [
                 'label' => __('Inactive', 'wp-app-core'),
-                'value' => $wpdb->get_var("SELECT COUNT(*) FROM {$table} WHERE status = 'inactive'"),
+                'value' => $wpdb->get_var("SELECT COUNT(*) FROM {$table} WHERE status = 'inactive' AND deleted_at IS NULL"),
                 'icon' => 'dashicons-no'
             ]
         ];
@@ -385,6 +511,8 @@ class PlatformStaffDashboardController {
                     wp_die();
                 }
 
+                $version = $this->model->get_version($staff);
+
                 include WP_APP_CORE_PATH . 'src/Views/platform/forms/edit-staff-form.php';
             }
         } catch (\Exception $e) {
@@ -445,6 +573,35 @@ class PlatformStaffDashboardController {
             wp_die();
         }
 
+        // Stale form: someone saved the record after it was loaded
+        // (no token: the form was not loaded with get_platform_staff_details)
+        $version = sanitize_text_field(wp_unslash($_POST['version'] ?? ''));
+        $current = $this->model->find($staff_id);
+
+        if (!$current) {
+            ob_end_clean();
+            wp_send_json_error(['message' => __('Staff not found', 'wp-app-core')]);
+            wp_die();
+        }
+
+        $current_version = $this->model->get_version($current);
+
+        if ($version === '' || !hash_equals($current_version, $version)) {
+            $values = [];
+            foreach (PlatformStaffModel::EDITABLE_FIELDS as $field) {
+                $values[$field] = (string) ($current->$field ?? '');
+            }
+
+            ob_end_clean();
+            wp_send_json_error([
+                'code' => 'conflict',
+                'message' => __('This staff member was changed by someone else while you were editing. Choose which values to keep.', 'wp-app-core'),
+                'version' => $current_version,
+                'current' => $values
+            ]);
+            wp_die();
+        }
+
         try {
             // Update staff
             $result = $this->model->update($staff_id, $data);
@@ -495,11 +652,22 @@ class PlatformStaffDashboardController {
         }
 
         try {
-            // Use model delete() method
-            $result = $this->model->delete($staff_id);
+            $staff = $this->model->find($staff_id);
+
+            // Only marked as deleted: the row is deleted when the undo window ends
+            $result = $staff && $this->model->mark_deleted($staff_id);
 
             if ($result) {
-                wp_send_json_success(['message' => __('Staff deleted successfully', 'wp-app-core')]);
+                /* translators: %s: staff full name */
+                $message = sprintf(__('Staff "%s" deleted.', 'wp-app-core'), $staff->full_name);
+
+                wp_send_json_success([
+                    'message' => $message,
+                    'undo' => UndoController::defer('platform_staff_delete', [
+                        'id' => $staff_id,
+                        'full_name' => $staff->full_name
+                    ], $message)
+                ]);
             } else {
                 wp_send_json_error(['message' => __('Staff not found or failed to delete', 'wp-app-core')]);
             }
@@ -508,4 +676,406 @@ class PlatformStaffDashboardController {
             wp_send_json_error(['message' => $e->getMessage()]);
         }
     }
+
+    /**
+     * Undo a staff delete within the window (wpapp_undo_restore_platform_staff_delete)
+     *
+     * @param mixed $result Result of earlier handlers
+     * @param array $payload ['id', 'full_name']
+     * @return array|\WP_Error
+     */
+    public function restore_deleted_staff($result, $payload) {
+        if (!current_user_can('manage_options') && !current_user_can('delete_platform_users')) {
+            return new \WP_Error('permission_denied', __('Permission denied', 'wp-app-core'));
+        }
+
+        $staff_id = (int) ($payload['id'] ?? 0);
+
+        if (!$this->model->restore($staff_id)) {
+            return new \WP_Error('restore_failed', __('Staff could not be restored.', 'wp-app-core'));
+        }
+
+        return [
+            /* translators: %s: staff full name */
+            'message' => sprintf(__('Staff "%s" restored.', 'wp-app-core'), $payload['full_name'] ?? ''),
+            'id' => $staff_id,
+        ];
+    }
+
+    /**
+     * Delete staff when the undo window ends (wpapp_undo_commit_platform_staff_delete)
+     *
+     * May run on another user's request (UndoController), so no capability
+     * check here: it was checked when the delete was requested.
+     *
+     * @param array $result Result of earlier handlers
+     * @param array $payload ['id', 'full_name']
+     * @return array|\WP_Error
+     */
+    public function commit_deleted_staff($result, $payload) {
+        $staff_id = (int) ($payload['id'] ?? 0);
+
+        if (!$this->model->delete($staff_id)) {
+            return new \WP_Error('delete_failed', __('Staff not found or failed to delete', 'wp-app-core'));
+        }
+
+        return is_array($result) ? $result : [];
+    }
+
+    /**
+     * Undo a bulk staff delete within the window (wpapp_undo_restore_platform_staff_bulk_delete)
+     *
+     * @param mixed $result Result of earlier handlers
+     * @param array $payload ['ids']
+     * @return array|\WP_Error
+     */
+    public function restore_bulk_deleted_staff($result, $payload) {
+        if (!current_user_can('manage_options') && !current_user_can('delete_platform_users')) {
+            return new \WP_Error('permission_denied', __('Permission denied', 'wp-app-core'));
+        }
+
+        $restored = array_values(array_filter(
+            array_map('absint', (array) ($payload['ids'] ?? [])),
+            [$this->model, 'restore']
+        ));
+
+        if (empty($restored)) {
+            return new \WP_Error('restore_failed', __('Staff could not be restored.', 'wp-app-core'));
+        }
+
+        return [
+            /* translators: %d: number of restored staff */
+            'message' => sprintf(_n('%d staff restored.', '%d staff restored.', count($restored), 'wp-app-core'), count($restored)),
+            'ids' => $restored,
+        ];
+    }
+
+    /**
+     * Delete bulk-deleted staff when the undo window ends (wpapp_undo_commit_platform_staff_bulk_delete)
+     *
+     * Like commit_deleted_staff(): no capability check, it was checked per
+     * chunk when the delete was requested.
+     *
+     * @param array $result Result of earlier handlers
+     * @param array $payload ['ids']
+     * @return array|\WP_Error
+     */
+    public function commit_bulk_deleted_staff($result, $payload) {
+        $failed = 0;
+
+        foreach (array_map('absint', (array) ($payload['ids'] ?? [])) as $staff_id) {
+            if (!$this->model->delete($staff_id)) {
+                $failed++;
+            }
+        }
+
+        if ($failed) {
+            return new \WP_Error('delete_failed', sprintf(
+                /* translators: %d: number of staff that failed to delete */
+                _n('%d staff not found or failed to delete', '%d staff not found or failed to delete', $failed, 'wp-app-core'),
+                $failed
+            ));
+        }
+
+        return is_array($result) ? $result : [];
+    }
+
+    // ========================================
+    // AJAX HANDLERS - Bulk Actions
+    // ========================================
+
+    /**
+     * Handle bulk action (wpAppDataTableBulk)
+     *
+     * operation=resolve: IDs of all rows matching `query` (DataTables request)
+     * other operations: process `ids` chunk, returns processed IDs and
+     * per-item errors ({ id, message }) so one failure does not stop the batch
+     * operation=delete: rows are marked as deleted, `undo` is the batch's
+     * undo entry (later chunks post its token as undo_token)
+     * operation=status: rows whose posted version (versions[id], rows the
+     * user saw) is stale are reported as errors, not overwritten
+     */
+    public function handle_bulk_action(): void {
+        if (!check_ajax_referer('wpdt_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-app-core')]);
+        }
+
+        $operation = sanitize_key($_POST['operation'] ?? '');
+
+        if (!isset(self::BULK_CAPABILITIES[$operation])) {
+            wp_send_json_error(['message' => __('Invalid bulk action', 'wp-app-core')]);
+        }
+
+        if (!current_user_can('manage_options') && !current_user_can(self::BULK_CAPABILITIES[$operation])) {
+            wp_send_json_error(['message' => __('Permission denied', 'wp-app-core')]);
+        }
+
+        if ($operation === 'resolve') {
+            $query = isset($_POST['query']) && is_array($_POST['query'])
+                ? map_deep(wp_unslash($_POST['query']), 'sanitize_text_field')
+                : [];
+
+            wp_send_json_success([
+                'ids' => $this->datatable_model->get_matching_ids($query, self::BULK_SELECT_MAX)
+            ]);
+        }
+
+        $ids = isset($_POST['ids']) ? array_filter(array_map('absint', (array) $_POST['ids'])) : [];
+        $ids = array_slice(array_values(array_unique($ids)), 0, self::BULK_CHUNK_MAX);
+        $params = isset($_POST['params']) && is_array($_POST['params']) ? wp_unslash($_POST['params']) : [];
+        $value = sanitize_text_field($params['value'] ?? '');
+        $versions = isset($_POST['versions']) && is_array($_POST['versions'])
+            ? map_deep(wp_unslash($_POST['versions']), 'sanitize_text_field')
+            : [];
+
+        if (empty($ids)) {
+            wp_send_json_error(['message' => __('No items selected', 'wp-app-core')]);
+        }
+
+        if ($operation === 'status' && !in_array($value, ['aktif', 'tidak_aktif'], true)) {
+            wp_send_json_error(['message' => __('Invalid status', 'wp-app-core')]);
+        }
+
+        if ($operation === 'role' && !array_key_exists($value, \WP_App_Core_Role_Manager::getAdminRoles())) {
+            wp_send_json_error(['message' => __('Invalid role', 'wp-app-core')]);
+        }
+
+        $processed = [];
+        $errors = [];
+        $rows = [];
+
+        foreach ($ids as $id) {
+            try {
+                $staff = $this->model->find($id);
+
+                if (!$staff) {
+                    throw new \Exception(__('Staff not found', 'wp-app-core'));
+                }
+
+                switch ($operation) {
+                    case 'delete':
+                        if ((int) $staff->user_id === get_current_user_id()) {
+                            throw new \Exception(__('You cannot delete your own staff record', 'wp-app-core'));
+                        }
+
+                        // Deleted when the undo window of the batch ends
+                        if (!$this->model->mark_deleted($id)) {
+                            throw new \Exception(__('Failed to delete staff', 'wp-app-core'));
+                        }
+                        break;
+
+                    case 'status':
+                        if (isset($versions[$id]) && !hash_equals($this->model->get_version($staff), (string) $versions[$id])) {
+                            throw new \Exception(__('Changed by someone else since the list was loaded', 'wp-app-core'));
+                        }
+
+                        if ($staff->status !== $value && !$this->model->update($id, ['status' => $value])) {
+                            throw new \Exception(__('Failed to update status', 'wp-app-core'));
+                        }
+                        break;
+
+                    case 'role':
+                        $this->assign_admin_role($staff, $value);
+                        do_action('wpapp_datatable_record_changed', 'platform_staff', $id, 'updated');
+                        break;
+
+                    case 'export':
+                        $rows[] = [
+                            'employee_id' => $staff->employee_id,
+                            'full_name' => $staff->full_name,
+                            'email' => $staff->email,
+                            'department' => $staff->department,
+                            'hire_date' => $staff->hire_date,
+                            'phone' => $staff->phone,
+                            'status' => $staff->status,
+                        ];
+                        break;
+                }
+
+                $processed[] = $id;
+
+            } catch (\Exception $e) {
+                $errors[] = [
+                    'id' => $id,
+                    'label' => $staff->full_name ?? '#' . $id,
+                    'message' => $e->getMessage()
+                ];
+            }
+        }
+
+        $response = [
+            'processed' => $processed,
+            'errors' => $errors
+        ];
+
+        if ($operation === 'export') {
+            $response['rows'] = $rows;
+        }
+
+        if ($operation === 'delete' && !empty($processed)) {
+            // Chunks of one batch join the same entry, one toast undoes all
+            $response['undo'] = UndoController::defer(
+                'platform_staff_bulk_delete',
+                ['ids' => $processed],
+                '',
+                (string) wp_unslash($_POST['undo_token'] ?? '')
+            );
+        }
+
+        wp_send_json_success($response);
+    }
+
+    /**
+     * Staff change notices only for users who may view staff
+     *
+     * @param bool $can Default access
+     * @param string $entity Entity slug
+     * @return bool
+     */
+    public function can_view_change_feed($can, $entity) {
+        if ($entity !== 'platform_staff') {
+            return $can;
+        }
+
+        return current_user_can('manage_options') || current_user_can('view_platform_users');
+    }
+
+    // ========================================
+    // AJAX HANDLERS - Inline Edit
+    // ========================================
+
+    /**
+     * Handle inline cell edit (wpAppDataTableInlineEdit)
+     *
+     * Saves one whitelisted field and returns the formatted DataTable row
+     * so the client redraws only that row. The posted row version must be
+     * current, otherwise code "conflict" with the current row.
+     */
+    public function handle_inline_edit(): void {
+        if (!check_ajax_referer('wpdt_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-app-core')]);
+        }
+
+        if (!current_user_can('manage_options') && !current_user_can('edit_platform_users')) {
+            wp_send_json_error(['message' => __('Permission denied', 'wp-app-core')]);
+        }
+
+        $staff_id = absint($_POST['id'] ?? 0);
+        $field = sanitize_key($_POST['field'] ?? '');
+        $value = trim(sanitize_text_field(wp_unslash($_POST['value'] ?? '')));
+
+        if (!in_array($field, self::INLINE_FIELDS, true)) {
+            wp_send_json_error(['message' => __('This field cannot be edited inline', 'wp-app-core')]);
+        }
+
+        $staff = $staff_id ? $this->model->find($staff_id) : null;
+
+        if (!$staff) {
+            wp_send_json_error(['message' => __('Staff not found', 'wp-app-core')]);
+        }
+
+        // Stale row: someone saved the record after the table was drawn
+        $version = sanitize_text_field(wp_unslash($_POST['version'] ?? ''));
+
+        if ($version === '' || !hash_equals($this->model->get_version($staff), $version)) {
+            wp_send_json_error([
+                'code' => 'conflict',
+                'message' => __('This staff member was changed by someone else. The row now shows the current values.', 'wp-app-core'),
+                'row' => $this->datatable_model->get_row($staff_id)
+            ]);
+        }
+
+        $error = $this->validate_inline_field($field, $value);
+
+        if ($error) {
+            wp_send_json_error(['message' => $error]);
+        }
+
+        if (!$this->model->update($staff_id, [$field => $value])) {
+            wp_send_json_error(['message' => __('Failed to update staff', 'wp-app-core')]);
+        }
+
+        wp_cache_delete('platform_staff_' . $staff_id, 'wp-app-core');
+
+        wp_send_json_success([
+            'message' => __('Staff updated successfully', 'wp-app-core'),
+            'row' => $this->datatable_model->get_row($staff_id)
+        ]);
+    }
+
+    /**
+     * Validate one inline field (same rules as the edit form / validator)
+     *
+     * @param string $field Field name (INLINE_FIELDS)
+     * @param string $value Sanitized value
+     * @return string Error message, empty when valid
+     */
+    private function validate_inline_field(string $field, string $value): string {
+        switch ($field) {
+            case 'full_name':
+                if ($value === '') {
+                    return __('Full name is required', 'wp-app-core');
+                }
+
+                if (strlen($value) > 100) {
+                    return __('Full name must not exceed 100 characters', 'wp-app-core');
+                }
+                break;
+
+            case 'phone':
+                if ($value !== '') {
+                    $validation = (new PlatformStaffValidator())->validatePhone($value);
+
+                    if (is_wp_error($validation)) {
+                        return $validation->get_error_message();
+                    }
+                }
+                break;
+
+            case 'status':
+                if (!in_array($value, ['aktif', 'tidak_aktif'], true)) {
+                    return __('Invalid status', 'wp-app-core');
+                }
+                break;
+        }
+
+        return '';
+    }
+
+    /**
+     * Replace staff member's platform admin role
+     *
+     * Other platform admin roles are removed, base role is kept.
+     *
+     * @param object $staff Staff record
+     * @param string $role Role slug from WP_App_Core_Role_Manager::getAdminRoles()
+     * @throws \Exception When user missing or own role
+     */
+    private function assign_admin_role($staff, string $role): void {
+        $user = get_userdata((int) $staff->user_id);
+
+        if (!$user) {
+            throw new \Exception(__('WordPress user not found', 'wp-app-core'));
+        }
+
+        if ($user->ID === get_current_user_id()) {
+            throw new \Exception(__('You cannot change your own role', 'wp-app-core'));
+        }
+
+        foreach (array_keys(\WP_App_Core_Role_Manager::getAdminRoles()) as $admin_role) {
+            if ($admin_role !== $role && in_array($admin_role, $user->roles, true)) {
+                $user->remove_role($admin_role);
+            }
+        }
+
+        $base_role = \WP_App_Core_Role_Manager::getBaseRole();
+
+        if (!in_array($base_role, $user->roles, true)) {
+            $user->add_role($base_role);
+        }
+
+        if (!in_array($role, $user->roles, true)) {
+            $user->add_role($role);
+        }
+    }
 }
@@ -0,0 +1,203 @@
+<?php
+/**
+ * Platform Staff Import Controller
+ *
+ * @package     WP_App_Core
+ * @subpackage  Controllers/Platform
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/src/Controllers/Platform/PlatformStaffImportController.php
+ *
+ * Description: AJAX endpoint untuk wizard import CSV platform staff.
+ *              CSV dibaca dan kolom dipetakan di browser, controller menerima
+ *              baris yang sudah dipetakan per batch (maks 50 baris).
+ *              Mode validate = dry run (tidak ada data yang disimpan),
+ *              mode import = validasi ulang lalu buat WordPress user + staff.
+ *
+ * Request (POST, nonce wpdt_nonce):
+ * - mode: validate | import
+ * - rows[]: { line, user_login, user_email, full_name, department, phone,
+ *             hire_date, status, role }
+ *
+ * Response:
+ * - results[]: { line, errors: [], staff_id (import only) }
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - Dry run memakai PlatformStaffValidator::validateImportRow()
+ * - Import: WordPress user (role dasar + role admin opsional), lalu staff,
+ *   user dihapus lagi jika pembuatan staff gagal
+ */
+
+namespace WPAppCore\Controllers\Platform;
+
+use WPAppCore\Models\Platform\PlatformStaffModel;
+use WPAppCore\Validators\Platform\PlatformStaffValidator;
+
+defined('ABSPATH') || exit;
+
+class PlatformStaffImportController {
+
+    /**
+     * Max rows per request
+     */
+    const BATCH_MAX = 50;
+
+    /**
+     * Importable fields
+     */
+    const FIELDS = ['user_login', 'user_email', 'full_name', 'department', 'phone', 'hire_date', 'status', 'role'];
+
+    /**
+     * @var PlatformStaffModel
+     */
+    private $model;
+
+    /**
+     * @var PlatformStaffValidator
+     */
+    private $validator;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->model = new PlatformStaffModel();
+        $this->validator = new PlatformStaffValidator();
+
+        add_action('wp_ajax_platform_staff_import', [$this, 'handle_import']);
+    }
+
+    /**
+     * Handle dry run / import batch
+     */
+    public function handle_import(): void {
+        if (!check_ajax_referer('wpdt_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-app-core')]);
+        }
+
+        if (!current_user_can('manage_options') && !current_user_can('create_platform_users')) {
+            wp_send_json_error(['message' => __('Permission denied', 'wp-app-core')]);
+        }
+
+        $mode = sanitize_key($_POST['mode'] ?? '');
+
+        if (!in_array($mode, ['validate', 'import'], true)) {
+            wp_send_json_error(['message' => __('Invalid import mode', 'wp-app-core')]);
+        }
+
+        $rows = isset($_POST['rows']) && is_array($_POST['rows'])
+            ? array_slice(wp_unslash($_POST['rows']), 0, self::BATCH_MAX)
+            : [];
+
+        if (empty($rows)) {
+            wp_send_json_error(['message' => __('No rows to import', 'wp-app-core')]);
+        }
+
+        $results = [];
+        $seen = ['user_login' => [], 'user_email' => []];
+
+        foreach ($rows as $raw) {
+            $row = $this->sanitize_row(is_array($raw) ? $raw : []);
+            $errors = $this->validator->validateImportRow($row);
+
+            // Duplicates inside the batch (whole file is checked in the browser)
+            foreach (['user_login', 'user_email'] as $field) {
+                $value = strtolower($row[$field]);
+
+                if ($value !== '' && isset($seen[$field][$value])) {
+                    $errors[] = sprintf(__('%s duplikat di file (baris %d)', 'wp-app-core'), $value, $seen[$field][$value]);
+                }
+
+                $seen[$field][$value] = $row['line'];
+            }
+
+            $result = [
+                'line' => $row['line'],
+                'errors' => $errors
+            ];
+
+            if ($mode === 'import' && empty($errors)) {
+                try {
+                    $result['staff_id'] = $this->create_staff($row);
+                } catch (\Exception $e) {
+                    $result['errors'][] = $e->getMessage();
+                }
+            }
+
+            $results[] = $result;
+        }
+
+        wp_send_json_success(['results' => $results]);
+    }
+
+    /**
+     * Sanitize mapped row
+     *
+     * @param array $raw Row from request
+     * @return array Row with all fields (empty string when missing)
+     */
+    private function sanitize_row(array $raw): array {
+        $row = ['line' => absint($raw['line'] ?? 0)];
+
+        foreach (self::FIELDS as $field) {
+            $row[$field] = isset($raw[$field]) && is_scalar($raw[$field]) ? trim((string) $raw[$field]) : '';
+        }
+
+        $row['user_login'] = sanitize_user($row['user_login'], true);
+        $row['user_email'] = sanitize_email($row['user_email']);
+        $row['full_name'] = sanitize_text_field($row['full_name']);
+        $row['department'] = sanitize_text_field($row['department']);
+        $row['phone'] = sanitize_text_field($row['phone']);
+        $row['hire_date'] = sanitize_text_field($row['hire_date']);
+        $row['status'] = sanitize_key($row['status']);
+        $row['role'] = sanitize_key($row['role']);
+
+        return $row;
+    }
+
+    /**
+     * Create WordPress user and staff profile
+     *
+     * @param array $row Validated row
+     * @return int Staff ID
+     * @throws \Exception On failure (user rolled back)
+     */
+    private function create_staff(array $row): int {
+        $user_id = wp_insert_user([
+            'user_login' => $row['user_login'],
+            'user_email' => $row['user_email'],
+            'user_pass' => wp_generate_password(12, true, true),
+            'display_name' => $row['full_name'],
+            'role' => \WP_App_Core_Role_Manager::getBaseRole()
+        ]);
+
+        if (is_wp_error($user_id)) {
+            throw new \Exception($user_id->get_error_message());
+        }
+
+        if (!empty($row['role'])) {
+            $user = get_userdata($user_id);
+            $user->add_role($row['role']);
+        }
+
+        $staff_id = $this->model->create([
+            'user_id' => $user_id,
+            'full_name' => $row['full_name'],
+            'department' => $row['department'],
+            'hire_date' => $row['hire_date'],
+            'phone' => $row['phone'],
+            'status' => $row['status'] ?: 'aktif',
+        ]);
+
+        if (!$staff_id) {
+            // Rollback: no WordPress user without staff profile
+            wp_delete_user($user_id);
+            throw new \Exception(__('Gagal membuat data staff', 'wp-app-core'));
+        }
+
+        return (int) $staff_id;
+    }
+}
@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Controllers/Settings
- * @version     2.1.0
+ * @version     2.3.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Controllers/Settings/PlatformDemoDataController.php
@@ -14,6 +14,16 @@
  *              Does NOT extend AbstractSettingsController (not settings, but demo data).
  *
  * Changelog:
+ * 2.3.0 - 2026-10-18
+ * - Nonce tombol demo data didaftarkan ke WPAppAjax
+ *   (wpapp_ajax_nonce_actions) agar nonce kedaluwarsa di-refresh
+ * 2.2.1 - 2026-10-18
+ * - commitDeletePlatformStaff() mengembalikan hasil handler sebelumnya apa
+ *   adanya (deleteAll() tidak dijalankan dua kali)
+ * 2.2.0 - 2026-10-18
+ * - Hapus demo staff ditunda selama jendela undo (UndoController):
+ *   handleDeletePlatformStaff() hanya mendaftarkan aksi, deleteAll()
+ *   jalan di commitDeletePlatformStaff() setelah jendela habis
  * 2.1.0 - 2025-01-12 (TODO-1207)
  * - Updated AJAX handlers to use PlatformDemoData instance methods
  * - Changed from static methods to instance methods pattern
@@ -29,6 +39,7 @@
 
 namespace WPAppCore\Controllers\Settings;
 
+use WPAppCore\Controllers\UndoController;
 use WPAppCore\Models\Settings\PlatformPermissionModel;
 
 class PlatformDemoDataController {
@@ -59,6 +70,30 @@ class PlatformDemoDataController {
         add_action('wp_ajax_wpapp_generate_platform_staff', [$this, 'handleGeneratePlatformStaff']);
         add_action('wp_ajax_wpapp_delete_platform_staff', [$this, 'handleDeletePlatformStaff']);
         add_action('wp_ajax_wpapp_platform_staff_stats', [$this, 'handlePlatformStaffStats']);
+
+        // Deferred demo staff deletion (undo toast)
+        add_filter('wpapp_undo_commit_platform_demo_staff_delete', [$this, 'commitDeletePlatformStaff']);
+        add_filter('wpapp_undo_restore_platform_demo_staff_delete', [$this, 'cancelDeletePlatformStaff']);
+
+        // Button nonces refreshed by WPAppAjax (data-nonce-action)
+        add_filter('wpapp_ajax_nonce_actions', [$this, 'registerNonceActions']);
+    }
+
+    /**
+     * Register demo data button nonces with WPAppAjax (refreshed when expired)
+     *
+     * @param array $actions Nonce actions
+     * @return array
+     */
+    public function registerNonceActions(array $actions): array {
+        return array_merge($actions, [
+            'create_platform_roles',
+            'delete_platform_roles',
+            'reset_platform_capabilities',
+            'generate_platform_staff',
+            'delete_platform_staff',
+            'platform_staff_stats',
+        ]);
     }
 
     /**
@@ -208,6 +243,7 @@ class PlatformDemoDataController {
 
     /**
      * Handle delete platform staff
+     * Nothing is deleted yet: the deletion runs when the undo window ends
      */
     public function handleDeletePlatformStaff(): void {
         // Verify nonce
@@ -219,6 +255,27 @@ class PlatformDemoDataController {
             wp_send_json_error(['message' => __('Permission denied', 'wp-app-core')]);
         }
 
+        $message = __('Demo platform staff will be deleted.', 'wp-app-core');
+
+        wp_send_json_success([
+            'message' => $message,
+            'undo' => UndoController::defer('platform_demo_staff_delete', [], $message)
+        ]);
+    }
+
+    /**
+     * Delete demo platform staff when the undo window ends
+     * (wpapp_undo_commit_platform_demo_staff_delete)
+     *
+     * @param array|\WP_Error $result Result of earlier handlers
+     * @return array|\WP_Error
+     */
+    public function commitDeletePlatformStaff($result) {
+        // Already committed by an earlier handler: keep its counts
+        if (is_wp_error($result) || !empty($result)) {
+            return $result;
+        }
+
         try {
             require_once WP_APP_CORE_PLUGIN_DIR . 'src/Database/Demo/Data/PlatformUsersData.php';
             require_once WP_APP_CORE_PLUGIN_DIR . 'src/Database/Demo/AbstractDemoData.php';
@@ -227,28 +284,39 @@ class PlatformDemoDataController {
 
             // Create instance and delete all
             $generator = new \WPAppCore\Database\Demo\PlatformDemoData();
-            $result = $generator->deleteAll();
+            $deleted = $generator->deleteAll();
 
-            if ($result['success']) {
-                wp_send_json_success([
-                    'message' => $result['message'],
-                    'users_deleted' => $result['users_deleted'],
-                    'staff_records_deleted' => $result['staff_records_deleted'],
-                    'errors' => $result['errors']
-                ]);
-            } else {
-                wp_send_json_error([
-                    'message' => $result['message'],
-                    'errors' => $result['errors']
-                ]);
+            if (!$deleted['success']) {
+                return new \WP_Error('delete_failed', $deleted['message']);
             }
+
+            return [
+                'message' => $deleted['message'],
+                'users_deleted' => $deleted['users_deleted'],
+                'staff_records_deleted' => $deleted['staff_records_deleted'],
+                'errors' => $deleted['errors']
+            ];
         } catch (\Exception $e) {
-            wp_send_json_error([
-                'message' => sprintf(__('Error deleting platform staff: %s', 'wp-app-core'), $e->getMessage())
-            ]);
+            return new \WP_Error(
+                'delete_failed',
+                sprintf(__('Error deleting platform staff: %s', 'wp-app-core'), $e->getMessage())
+            );
         }
     }
 
+    /**
+     * Undo demo platform staff deletion (nothing was deleted yet)
+     * (wpapp_undo_restore_platform_demo_staff_delete)
+     *
+     * @param mixed $result Result of earlier handlers
+     * @return array
+     */
+    public function cancelDeletePlatformStaff($result): array {
+        return [
+            'message' => __('Deleting demo platform staff was cancelled.', 'wp-app-core')
+        ];
+    }
+
     /**
      * Handle platform staff statistics
      */
@@ -0,0 +1,315 @@
+<?php
+/**
+ * Undo Controller
+ *
+ * Grace period for destructive actions. The action registers a pending
+ * entry (defer()) and answers with an undo token; the client shows a toast
+ * with "Undo" for the window (10 seconds). Undo calls the entry's restore
+ * handler, the end of the window calls its commit handler. Handlers are
+ * filters per entry type: the action is only prepared (a record marked as
+ * deleted and hidden, nothing at all) and really runs when the window
+ * closes (commit), Undo drops what was prepared (restore).
+ *
+ * @package WPAppCore
+ * @subpackage Controllers
+ * @since 1.2.0
+ * @author arisciwek
+ *
+ * Path: wp-app-core/src/Controllers/UndoController.php
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - AJAX actions: wpapp_undo_restore, wpapp_undo_commit (nonce wpapp_undo_nonce)
+ * - Entries left by closed pages are committed by a single WP-Cron event
+ *   per entry (wpapp_undo_commit_expired) after the window
+ * - defer() can join an open entry ($join) so chunked bulk actions share one token
+ *
+ * Handlers:
+ * ```php
+ * // Marked at once (hidden), unmarked on Undo, deleted when the window ends
+ * add_filter('wpapp_undo_restore_customer_delete', function($result, $payload) {
+ *     return $model->restore($payload['id']) ?: new WP_Error('restore_failed', __('...'));
+ * }, 10, 2);
+ * add_filter('wpapp_undo_commit_customer_delete', function($result, $payload) {
+ *     return $model->delete($payload['id']) ? [] : new WP_Error('delete_failed', __('...'));
+ * }, 10, 2);
+ *
+ * // Deferred, runs when the window closes (return data for the client)
+ * add_filter('wpapp_undo_commit_customer_demo_clear', function($result, $payload) {
+ *     return ['message' => $generator->deleteAll()['message']];
+ * }, 10, 2);
+ *
+ * // In the AJAX handler of the action
+ * $model->mark_deleted($id);
+ * wp_send_json_success([
+ *     'message' => __('Customer deleted', 'wp-customer'),
+ *     'undo' => UndoController::defer('customer_delete', ['id' => $id]),
+ * ]);
+ * ```
+ */
+
+namespace WPAppCore\Controllers;
+
+defined('ABSPATH') || exit;
+
+class UndoController {
+
+    /**
+     * Default undo window in seconds
+     *
+     * @var int
+     */
+    const WINDOW = 10;
+
+    /**
+     * Seconds the owner's page gets to commit before WP-Cron does
+     *
+     * @var int
+     */
+    const COMMIT_GRACE = 30;
+
+    /**
+     * Nonce action of the AJAX endpoints
+     *
+     * @var string
+     */
+    const NONCE = 'wpapp_undo_nonce';
+
+    /**
+     * WP-Cron hook committing one entry (args: [token])
+     *
+     * @var string
+     */
+    const CRON_HOOK = 'wpapp_undo_commit_expired';
+
+    /**
+     * Register hooks
+     *
+     * @return void
+     */
+    public function init(): void {
+        add_action('wp_ajax_wpapp_undo_restore', [$this, 'handle_restore']);
+        add_action('wp_ajax_wpapp_undo_commit', [$this, 'handle_commit']);
+        add_action(self::CRON_HOOK, [$this, 'commit_expired']);
+    }
+
+    /**
+     * Undo window in seconds
+     *
+     * @param string $type Entry type
+     * @return int
+     */
+    public static function get_window(string $type = ''): int {
+        /**
+         * Filter: Seconds an action can be undone
+         *
+         * @param int $window Default: 10
+         * @param string $type Entry type ('' for the default)
+         *
+         * @return int
+         */
+        return max(3, (int) apply_filters('wpapp_undo_window', self::WINDOW, $type));
+    }
+
+    /**
+     * Register a pending action
+     *
+     * @param string $type Entry type (handlers: wpapp_undo_restore_{type}, wpapp_undo_commit_{type})
+     * @param array $payload Data the handlers need (snapshot, IDs)
+     * @param string $message Toast text
+     * @param string $join Token of an open entry of the same type and user to add to
+     *                     (chunked bulk actions): payload lists are merged and the
+     *                     window restarts; a new entry when it is no longer pending
+     * @return array { token, window, message } for the AJAX response ('undo' key)
+     */
+    public static function defer(string $type, array $payload = [], string $message = '', string $join = ''): array {
+        $type = sanitize_key($type);
+        $window = self::get_window($type);
+        $token = preg_replace('/[^A-Za-z0-9]/', '', $join);
+        $entry = $token !== '' ? get_transient('wpapp_undo_' . $token) : false;
+
+        if (is_array($entry) && $entry['type'] === $type && (int) $entry['user_id'] === get_current_user_id()) {
+            $payload = array_merge_recursive((array) $entry['payload'], $payload);
+            wp_clear_scheduled_hook(self::CRON_HOOK, [$token]);
+        } else {
+            $token = wp_generate_password(32, false);
+        }
+
+        $expires = time() + $window;
+
+        set_transient('wpapp_undo_' . $token, [
+            'type' => $type,
+            'payload' => $payload,
+            'user_id' => get_current_user_id(),
+            'expires' => $expires,
+        ], DAY_IN_SECONDS);
+
+        wp_schedule_single_event($expires + self::COMMIT_GRACE, self::CRON_HOOK, [$token]);
+
+        return [
+            'token' => $token,
+            'window' => $window,
+            'message' => $message,
+        ];
+    }
+
+    /**
+     * Handle AJAX undo
+     *
+     * @return void Sends JSON response
+     */
+    public function handle_restore(): void {
+        $entry = $this->claim_request();
+
+        if ($entry['expires'] + 5 < time()) {
+            $this->commit($entry);
+
+            wp_send_json_error([
+                'message' => __('It is too late to undo this action.', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        /**
+         * Filter: Revert a pending action
+         *
+         * @param mixed $result null (no handler) | true | array (response data) | WP_Error
+         * @param array $payload Payload given to defer()
+         * @param array $entry Pending entry (type, user_id, expires)
+         *
+         * @return mixed
+         */
+        $result = apply_filters("wpapp_undo_restore_{$entry['type']}", null, $entry['payload'], $entry);
+
+        if ($result === null || is_wp_error($result) || $result === false) {
+            wp_send_json_error([
+                'message' => is_wp_error($result)
+                    ? $result->get_error_message()
+                    : __('This action cannot be undone.', 'wp-app-core')
+            ]);
+            return;
+        }
+
+        wp_send_json_success(array_merge(
+            ['message' => __('Action undone.', 'wp-app-core')],
+            is_array($result) ? $result : []
+        ));
+    }
+
+    /**
+     * Handle AJAX commit (toast closed or window ended)
+     *
+     * @return void Sends JSON response
+     */
+    public function handle_commit(): void {
+        $result = $this->commit($this->claim_request());
+
+        if (is_wp_error($result)) {
+            wp_send_json_error([
+                'message' => $result->get_error_message()
+            ]);
+            return;
+        }
+
+        wp_send_json_success(is_array($result) ? $result : []);
+    }
+
+    /**
+     * Commit an entry whose page was closed before the window ended
+     *
+     * Runs from WP-Cron, so commit handlers must not depend on the current
+     * user. Does nothing when the entry was already undone or committed.
+     *
+     * @param string $token Entry token
+     * @return void
+     */
+    public function commit_expired($token): void {
+        $entry = $this->claim((string) $token);
+
+        if ($entry) {
+            $this->commit($entry);
+        }
+    }
+
+    /**
+     * Run the commit handler of an entry
+     *
+     * @param array $entry Claimed entry
+     * @return array|\WP_Error Response data
+     */
+    private function commit(array $entry) {
+        /**
+         * Filter: Finish a pending action (window ended)
+         *
+         * @param array $result Response data for the client
+         * @param array $payload Payload given to defer()
+         * @param array $entry Pending entry (type, user_id, expires)
+         *
+         * @return array|WP_Error
+         */
+        $result = apply_filters("wpapp_undo_commit_{$entry['type']}", [], $entry['payload'], $entry);
+
+        if (is_wp_error($result)) {
+            error_log('[UndoController] Commit ' . $entry['type'] . ' failed: ' . $result->get_error_message());
+        }
+
+        return $result;
+    }
+
+    /**
+     * Verify an AJAX request and claim its entry
+     *
+     * Sends a JSON error and stops when the request is invalid or the entry
+     * is gone (already undone or committed).
+     *
+     * @return array Claimed entry
+     */
+    private function claim_request(): array {
+        if (!check_ajax_referer(self::NONCE, 'nonce', false)) {
+            wp_send_json_error([
+                'message' => __('Security check failed', 'wp-app-core')
+            ]);
+        }
+
+        $token = preg_replace('/[^A-Za-z0-9]/', '', (string) wp_unslash($_POST['token'] ?? ''));
+        $entry = $token !== '' ? get_transient('wpapp_undo_' . $token) : false;
+
+        if (!is_array($entry) || (int) $entry['user_id'] !== get_current_user_id()) {
+            wp_send_json_error([
+                'message' => __('This action is no longer pending.', 'wp-app-core')
+            ]);
+        }
+
+        $entry = $this->claim($token);
+
+        if (!$entry) {
+            wp_send_json_error([
+                'message' => __('This action is no longer pending.', 'wp-app-core')
+            ]);
+        }
+
+        return $entry;
+    }
+
+    /**
+     * Take a pending entry
+     *
+     * Deleting the transient is the lock: only the request that removed it
+     * runs a handler. The entry's cron event is dropped with it.
+     *
+     * @param string $token Entry token
+     * @return array|null Entry or null when already claimed
+     */
+    private function claim(string $token): ?array {
+        $entry = get_transient('wpapp_undo_' . $token);
+
+        if (!is_array($entry) || !delete_transient('wpapp_undo_' . $token)) {
+            return null;
+        }
+
+        wp_clear_scheduled_hook(self::CRON_HOOK, [$token]);
+
+        return $entry;
+    }
+}
@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Database
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Database/Installer.php
@@ -13,6 +13,9 @@
  *              for wp-app-core plugin.
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Added app_change_log table (audit trail / History tab)
+ *
  * 1.0.0 - 2025-10-19
  * - Initial creation
  * - Platform staff table installation
@@ -26,11 +29,13 @@ class Installer {
     // Complete list of tables to install, in dependency order
     private static $tables = [
         'app_platform_staff',
+        'app_change_log',
     ];
 
     // Table class mappings for easier maintenance
     private static $table_classes = [
         'app_platform_staff' => Tables\PlatformStaffDB::class,
+        'app_change_log' => Tables\ChangeLogDB::class,
     ];
 
     private static function debug($message) {
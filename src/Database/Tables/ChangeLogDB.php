@@ -0,0 +1,63 @@
+<?php
+/**
+ * Change Log Table Schema
+ *
+ * @package     WP_App_Core
+ * @subpackage  Database/Tables
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/src/Database/Tables/ChangeLogDB.php
+ *
+ * Description: Mendefinisikan struktur tabel audit trail (History tab).
+ *              Table prefix yang digunakan adalah 'app_'.
+ *              Satu baris per field yang berubah; field dari satu kali
+ *              simpan memiliki changeset yang sama.
+ *
+ * Fields:
+ * - id             : Primary key
+ * - entity         : Entity slug (platform_staff, customer_employee, ...)
+ * - record_id      : ID record pada entity
+ * - changeset      : ID kelompok perubahan (satu kali simpan)
+ * - action         : created / updated / deleted
+ * - field          : Nama field (kosong untuk created / deleted)
+ * - old_value      : Nilai lama
+ * - new_value      : Nilai baru
+ * - user_id        : ID User WP yang melakukan perubahan
+ * - ip_address     : IP address pelaku
+ * - created_at     : Waktu perubahan
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial version
+ */
+
+namespace WPAppCore\Database\Tables;
+
+defined('ABSPATH') || exit;
+
+class ChangeLogDB {
+    public static function get_schema() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'app_change_log';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        return "CREATE TABLE {$table_name} (
+            id bigint(20) UNSIGNED NOT NULL auto_increment,
+            entity varchar(50) NOT NULL,
+            record_id bigint(20) UNSIGNED NOT NULL,
+            changeset char(32) NOT NULL,
+            action varchar(20) NOT NULL DEFAULT 'updated',
+            field varchar(64) NOT NULL DEFAULT '',
+            old_value longtext NULL,
+            new_value longtext NULL,
+            user_id bigint(20) UNSIGNED NOT NULL DEFAULT 0,
+            ip_address varchar(45) NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY record_index (entity, record_id, created_at),
+            KEY changeset_index (changeset),
+            KEY user_index (user_id)
+        ) $charset_collate ENGINE=InnoDB;";
+    }
+}
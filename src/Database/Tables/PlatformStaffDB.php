@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Database/Tables
- * @version     1.1.0
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Database/Tables/PlatformStaffDB.php
@@ -24,8 +24,13 @@
  * - status         : Staff status (aktif/tidak_aktif)
  * - created_at     : Timestamp pembuatan
  * - updated_at     : Timestamp update terakhir
+ * - deleted_at     : Waktu hapus selama jendela undo (NULL = aktif),
+ *                    baris dihapus permanen saat jendela habis
  *
  * Changelog:
+ * 1.2.0 - 2026-10-18
+ * - Added deleted_at field (hapus tertunda selama jendela undo)
+ *
  * 1.1.0 - 2025-10-19
  * - Added status field (aktif/tidak_aktif)
  *
@@ -55,12 +60,14 @@ class PlatformStaffDB {
             status varchar(20) NOT NULL DEFAULT 'aktif',
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            deleted_at datetime NULL DEFAULT NULL,
             PRIMARY KEY  (id),
             UNIQUE KEY user_id (user_id),
             UNIQUE KEY employee_id (employee_id),
             KEY department_index (department),
             KEY full_name_index (full_name),
-            KEY status_index (status)
+            KEY status_index (status),
+            KEY deleted_at_index (deleted_at)
         ) $charset_collate ENGINE=InnoDB;";
     }
 }
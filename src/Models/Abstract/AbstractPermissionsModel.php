@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Models/Abstract
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Models/Abstract/AbstractPermissionsModel.php
@@ -44,6 +44,10 @@
  * ```
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - getCapabilitySnapshot() / restoreCapabilitySnapshot(): plugin capabilities
+ *   per role sebelum reset, untuk undo reset permission
+ *
  * 1.0.0 - 2025-01-12 (TODO-1206)
  * - Initial creation
  * - Standardized resetToDefault() pattern
@@ -252,6 +256,72 @@ abstract class AbstractPermissionsModel {
         }
     }
 
+    /**
+     * Get plugin capabilities granted per role (plugin roles + administrator)
+     * Taken before resetToDefault() so the reset can be undone
+     *
+     * @return array Array of role_name => granted plugin capabilities
+     */
+    public function getCapabilitySnapshot(): array {
+        global $wpdb;
+
+        $role_manager = $this->getRoleManagerClass();
+        $roles = get_option($wpdb->prefix . 'user_roles', []);
+        $plugin_caps = array_keys($this->getAllCapabilities());
+        $snapshot = [];
+
+        foreach ((array) $roles as $role_name => $role_data) {
+            if ($role_name !== 'administrator' && !$role_manager::isPluginRole($role_name)) {
+                continue;
+            }
+
+            $granted = array_keys(array_filter((array) ($role_data['capabilities'] ?? [])));
+            $snapshot[$role_name] = array_values(array_intersect($granted, $plugin_caps));
+        }
+
+        return $snapshot;
+    }
+
+    /**
+     * Restore plugin capabilities from getCapabilitySnapshot()
+     * Other capabilities and roles created since the snapshot are left alone
+     *
+     * @param array $snapshot Array of role_name => granted plugin capabilities
+     * @return bool True if restored successfully
+     */
+    public function restoreCapabilitySnapshot(array $snapshot): bool {
+        global $wpdb;
+
+        $option = $wpdb->prefix . 'user_roles';
+        $roles = get_option($option, []);
+        $plugin_caps = array_keys($this->getAllCapabilities());
+
+        if (empty($roles) || !is_array($roles)) {
+            return false;
+        }
+
+        foreach ($snapshot as $role_name => $granted) {
+            if (!isset($roles[$role_name])) {
+                continue;
+            }
+
+            foreach ($plugin_caps as $cap) {
+                unset($roles[$role_name]['capabilities'][$cap]);
+            }
+
+            foreach (array_intersect((array) $granted, $plugin_caps) as $cap) {
+                $roles[$role_name]['capabilities'][$cap] = true;
+            }
+        }
+
+        update_option($option, $roles);
+
+        // Reload roles of this request from the restored option
+        wp_roles()->for_site();
+
+        return true;
+    }
+
     /**
      * Update role capabilities
      * Updates single capability for a role (called from AJAX save)
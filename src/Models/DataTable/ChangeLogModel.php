@@ -0,0 +1,301 @@
+<?php
+/**
+ * Change Log Model
+ *
+ * Field-level audit trail of panel entities (History tab). Every save
+ * becomes a changeset: one row per changed field with old / new value,
+ * actor, IP address and time. Created / deleted records are a single row
+ * without field.
+ *
+ * @package WPAppCore
+ * @subpackage Models\DataTable
+ * @since 1.2.0
+ * @author arisciwek
+ *
+ * Path: wp-app-core/src/Models/DataTable/ChangeLogModel.php
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ * - record(): diff before / after values into one changeset
+ * - get_entries(): paginated, filter by field and actor
+ * - get_fields() / get_actors(): filter options of a record
+ *
+ * Usage:
+ * ```php
+ * $log = new ChangeLogModel();
+ * $log->record('platform_staff', 7, 'updated', ['status' => 'aktif'], ['status' => 'tidak_aktif']);
+ *
+ * $page = $log->get_entries('platform_staff', 7, ['field' => 'status', 'page' => 1]);
+ * // ['items' => [...], 'total' => 3, 'pages' => 1]
+ * ```
+ */
+
+namespace WPAppCore\Models\DataTable;
+
+defined('ABSPATH') || exit;
+
+class ChangeLogModel {
+
+    /**
+     * Entries per page
+     *
+     * @var int
+     */
+    const PER_PAGE = 20;
+
+    /**
+     * Accepted actions
+     *
+     * @var array
+     */
+    const ACTIONS = ['created', 'updated', 'deleted'];
+
+    /**
+     * Keys never logged as field changes
+     *
+     * @var array
+     */
+    const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'created_by', 'updated_by'];
+
+    /**
+     * Database table name (with prefix)
+     *
+     * @var string
+     */
+    private $table;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->table = $wpdb->prefix . 'app_change_log';
+    }
+
+    /**
+     * Record a change of an entity record
+     *
+     * For updates only keys present in $after are compared; unchanged
+     * values are skipped and nothing is stored when no field changed.
+     *
+     * @param string $entity Entity slug
+     * @param int $record_id Record ID
+     * @param string $action created | updated | deleted
+     * @param array $before Values before the change
+     * @param array $after Values after the change
+     * @param array $fields Logged fields (empty = all scalar fields)
+     * @return int Number of rows written
+     */
+    public function record(string $entity, int $record_id, string $action, array $before = [], array $after = [], array $fields = []): int {
+        global $wpdb;
+
+        if ($entity === '' || !$record_id || !in_array($action, self::ACTIONS, true)) {
+            return 0;
+        }
+
+        $rows = [];
+
+        if ($action === 'updated') {
+            foreach ($after as $field => $new_value) {
+                if (!$this->is_logged_field($field, $fields) || !is_scalar($new_value ?? '')) {
+                    continue;
+                }
+
+                $old_value = $before[$field] ?? null;
+
+                if ((string) $old_value === (string) $new_value) {
+                    continue;
+                }
+
+                $rows[] = [
+                    'field' => (string) $field,
+                    'old_value' => $old_value === null ? null : (string) $old_value,
+                    'new_value' => $new_value === null ? null : (string) $new_value,
+                ];
+            }
+        } else {
+            $rows[] = ['field' => '', 'old_value' => null, 'new_value' => null];
+        }
+
+        if (empty($rows)) {
+            return 0;
+        }
+
+        $common = [
+            'entity' => $entity,
+            'record_id' => $record_id,
+            'changeset' => md5(uniqid($entity . $record_id, true)),
+            'action' => $action,
+            'user_id' => get_current_user_id(),
+            'ip_address' => $this->get_ip_address(),
+            'created_at' => current_time('mysql'),
+        ];
+
+        $written = 0;
+
+        foreach ($rows as $row) {
+            $result = $wpdb->insert(
+                $this->table,
+                array_merge($common, $row),
+                ['%s', '%d', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s']
+            );
+
+            if ($result) {
+                $written++;
+            }
+        }
+
+        return $written;
+    }
+
+    /**
+     * Get log entries of a record, newest first
+     *
+     * @param string $entity Entity slug
+     * @param int $record_id Record ID
+     * @param array $args { field, user_id, page, per_page }
+     * @return array { items, total, page, pages }
+     */
+    public function get_entries(string $entity, int $record_id, array $args = []): array {
+        global $wpdb;
+
+        $per_page = max(1, min(100, (int) ($args['per_page'] ?? self::PER_PAGE)));
+        $page = max(1, (int) ($args['page'] ?? 1));
+
+        list($where, $params) = $this->build_where($entity, $record_id, $args);
+
+        $total = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->table} l WHERE {$where}",
+            $params
+        ));
+
+        $pages = max(1, (int) ceil($total / $per_page));
+        $page = min($page, $pages);
+
+        $items = $wpdb->get_results($wpdb->prepare(
+            "SELECT l.*, u.display_name AS user_name
+             FROM {$this->table} l
+             LEFT JOIN {$wpdb->users} u ON l.user_id = u.ID
+             WHERE {$where}
+             ORDER BY l.created_at DESC, l.id DESC
+             LIMIT %d OFFSET %d",
+            array_merge($params, [$per_page, ($page - 1) * $per_page])
+        ));
+
+        return [
+            'items' => $items ?: [],
+            'total' => $total,
+            'page' => $page,
+            'pages' => $pages,
+        ];
+    }
+
+    /**
+     * Fields that have log entries for a record
+     *
+     * @param string $entity Entity slug
+     * @param int $record_id Record ID
+     * @return array Field names
+     */
+    public function get_fields(string $entity, int $record_id): array {
+        global $wpdb;
+
+        return $wpdb->get_col($wpdb->prepare(
+            "SELECT DISTINCT field FROM {$this->table}
+             WHERE entity = %s AND record_id = %d AND field <> ''
+             ORDER BY field",
+            $entity,
+            $record_id
+        )) ?: [];
+    }
+
+    /**
+     * Users that changed a record
+     *
+     * @param string $entity Entity slug
+     * @param int $record_id Record ID
+     * @return array [user_id => display name]
+     */
+    public function get_actors(string $entity, int $record_id): array {
+        global $wpdb;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT DISTINCT l.user_id, u.display_name
+             FROM {$this->table} l
+             LEFT JOIN {$wpdb->users} u ON l.user_id = u.ID
+             WHERE l.entity = %s AND l.record_id = %d
+             ORDER BY u.display_name",
+            $entity,
+            $record_id
+        ));
+
+        $actors = [];
+
+        foreach ($rows ?: [] as $row) {
+            $actors[(int) $row->user_id] = $row->display_name ?: __('Unknown user', 'wp-app-core');
+        }
+
+        return $actors;
+    }
+
+    /**
+     * WHERE clause for a record's entries
+     *
+     * @param string $entity Entity slug
+     * @param int $record_id Record ID
+     * @param array $args { field, user_id }
+     * @return array [where, params]
+     */
+    private function build_where(string $entity, int $record_id, array $args): array {
+        $where = 'l.entity = %s AND l.record_id = %d';
+        $params = [$entity, $record_id];
+
+        if (!empty($args['field'])) {
+            $where .= ' AND l.field = %s';
+            $params[] = (string) $args['field'];
+        }
+
+        if (isset($args['user_id']) && $args['user_id'] !== '') {
+            $where .= ' AND l.user_id = %d';
+            $params[] = (int) $args['user_id'];
+        }
+
+        return [$where, $params];
+    }
+
+    /**
+     * Whether a field is written to the log
+     *
+     * @param string|int $field Field name
+     * @param array $fields Logged fields (empty = all)
+     * @return bool
+     */
+    private function is_logged_field($field, array $fields): bool {
+        if (!is_string($field) || in_array($field, self::IGNORED_FIELDS, true)) {
+            return false;
+        }
+
+        return empty($fields) || in_array($field, $fields, true);
+    }
+
+    /**
+     * IP address of the current request
+     *
+     * @return string
+     */
+    private function get_ip_address(): string {
+        $ip = isset($_SERVER['REMOTE_ADDR']) ? sanitize_text_field(wp_unslash($_SERVER['REMOTE_ADDR'])) : '';
+
+        /**
+         * Filter: IP address stored with a change (e.g. read a trusted proxy header)
+         *
+         * @param string $ip REMOTE_ADDR
+         *
+         * @return string
+         */
+        $ip = apply_filters('wpapp_history_ip_address', $ip);
+
+        return filter_var($ip, FILTER_VALIDATE_IP) ? $ip : '';
+    }
+}
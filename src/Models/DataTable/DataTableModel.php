@@ -77,6 +77,20 @@ abstract class DataTableModel {
      */
     protected $base_where = [];
 
+    /**
+     * Columns allowed in structured filters (filter bar "filters" payload)
+     * Field name => ['column' => SQL column, 'type' => in|eq|date|number]
+     *
+     * @example
+     * $this->filterable_columns = [
+     *     'status' => ['column' => 's.status', 'type' => 'in'],
+     *     'hire_date' => ['column' => 's.hire_date', 'type' => 'date'],
+     * ];
+     *
+     * @var array
+     */
+    protected $filterable_columns = [];
+
     /**
      * Base JOIN clauses that always apply
      * Can be set by child classes for default joins
@@ -139,58 +153,8 @@ abstract class DataTableModel {
             $request_data
         );
 
-        // 2. Initialize query builder
-        $query_builder = new DataTableQueryBuilder($this->table);
-        $query_builder->set_columns($columns);
-        $query_builder->set_searchable_columns($this->searchable_columns);
-        $query_builder->set_index_column($this->index_column);
-
-        // 3. Build WHERE conditions
-        $where_conditions = $this->base_where;
-
-        /**
-         * Filter WHERE conditions
-         *
-         * Modules can add WHERE conditions to filter records
-         *
-         * @param array $where_conditions Current WHERE conditions
-         * @param array $request_data DataTables request
-         * @param DataTableModel $this Model instance
-         */
-        $where_conditions = apply_filters(
-            $this->get_filter_hook('where'),
-            $where_conditions,
-            $request_data,
-            $this
-        );
-
-        $query_builder->set_where_conditions($where_conditions);
-
-        // 4. Build JOINs
-        $joins = $this->base_joins;
-
-        /**
-         * Filter JOIN clauses
-         *
-         * Modules can add JOINs to include related tables
-         *
-         * @param array $joins Current JOIN clauses
-         * @param array $request_data DataTables request
-         * @param DataTableModel $this Model instance
-         */
-        $joins = apply_filters(
-            $this->get_filter_hook('joins'),
-            $joins,
-            $request_data,
-            $this
-        );
-
-        $query_builder->set_joins($joins);
-
-        // 5. Apply search from DataTables
-        if (!empty($request_data['search']['value'])) {
-            $query_builder->set_search_value($request_data['search']['value']);
-        }
+        // 2-5. Query builder with WHERE, JOINs and search applied
+        $query_builder = $this->prepare_query_builder($columns, $request_data);
 
         // 6. Apply ordering
         if (isset($request_data['order'][0])) {
@@ -283,6 +247,231 @@ abstract class DataTableModel {
         return $response;
     }
 
+    /**
+     * Create query builder with WHERE, JOINs and search applied
+     *
+     * Shared by get_datatable_data() and get_matching_ids() so both see
+     * exactly the same rows for a request.
+     *
+     * @param array $columns Columns to select
+     * @param array $request_data DataTables request
+     * @return DataTableQueryBuilder
+     *
+     * @since 1.2.0
+     */
+    protected function prepare_query_builder($columns, $request_data) {
+        $query_builder = new DataTableQueryBuilder($this->table);
+        $query_builder->set_columns($columns);
+        $query_builder->set_searchable_columns($this->searchable_columns);
+        $query_builder->set_index_column($this->index_column);
+
+        // Build WHERE conditions (base + structured filters)
+        $where_conditions = array_merge(
+            $this->base_where,
+            $this->get_structured_filter_where($request_data)
+        );
+
+        /**
+         * Filter WHERE conditions
+         *
+         * Modules can add WHERE conditions to filter records
+         *
+         * @param array $where_conditions Current WHERE conditions
+         * @param array $request_data DataTables request
+         * @param DataTableModel $this Model instance
+         */
+        $where_conditions = apply_filters(
+            $this->get_filter_hook('where'),
+            $where_conditions,
+            $request_data,
+            $this
+        );
+
+        $query_builder->set_where_conditions($where_conditions);
+
+        // Build JOINs
+        $joins = $this->base_joins;
+
+        /**
+         * Filter JOIN clauses
+         *
+         * Modules can add JOINs to include related tables
+         *
+         * @param array $joins Current JOIN clauses
+         * @param array $request_data DataTables request
+         * @param DataTableModel $this Model instance
+         */
+        $joins = apply_filters(
+            $this->get_filter_hook('joins'),
+            $joins,
+            $request_data,
+            $this
+        );
+
+        $query_builder->set_joins($joins);
+
+        // Apply search from DataTables
+        if (!empty($request_data['search']['value'])) {
+            $query_builder->set_search_value($request_data['search']['value']);
+        }
+
+        return $query_builder;
+    }
+
+    /**
+     * Get IDs of all rows matching a DataTables request
+     *
+     * Used by "select all matching" bulk actions: same WHERE, JOINs and
+     * search as get_datatable_data(), without the 100 rows page cap.
+     *
+     * @param array $request_data DataTables request (search, filters, filter_*)
+     * @param int $limit Max IDs returned
+     * @return int[] Matching IDs
+     *
+     * @since 1.2.0
+     */
+    public function get_matching_ids($request_data, $limit = 5000) {
+        $query_builder = $this->prepare_query_builder(
+            [$this->index_column . ' as id'],
+            $request_data
+        );
+        $query_builder->set_pagination(0, max(1, intval($limit)));
+
+        return array_map('intval', wp_list_pluck($query_builder->get_results(), 'id'));
+    }
+
+    /**
+     * Get one formatted row by ID
+     *
+     * Used after inline edits to redraw a single row: same columns, JOINs,
+     * WHERE hooks and row formatting as get_datatable_data().
+     *
+     * @param int $id Row ID (index column)
+     * @return array|null Formatted row, null if not found or filtered out
+     *
+     * @since 1.2.0
+     */
+    public function get_row($id) {
+        $columns = apply_filters(
+            $this->get_filter_hook('columns'),
+            $this->get_columns(),
+            $this,
+            []
+        );
+
+        $query_builder = $this->prepare_query_builder($columns, []);
+        $query_builder->set_where_conditions(array_merge(
+            $query_builder->get_where_conditions(),
+            [$this->wpdb->prepare("{$this->index_column} = %d", $id)]
+        ));
+        $query_builder->set_pagination(0, 1);
+
+        $results = $query_builder->get_results();
+
+        if (empty($results)) {
+            return null;
+        }
+
+        return apply_filters(
+            $this->get_filter_hook('row_data'),
+            $this->format_row($results[0]),
+            $results[0],
+            $this
+        );
+    }
+
+    /**
+     * Build WHERE conditions from structured filters
+     *
+     * Reads $request_data['filters'] ([{ field, op, value }], sent by the
+     * DataTable filter bar). Fields not in $filterable_columns are ignored.
+     *
+     * Types:
+     * - in: value is a list (max 50 values)
+     * - eq: single value
+     * - date: value [from, to] (Y-m-d, either bound may be empty, "to" inclusive)
+     * - number: value [from, to] (either bound may be empty)
+     *
+     * @param array $request_data DataTables request
+     * @return array Prepared WHERE conditions
+     *
+     * @since 1.2.0
+     */
+    protected function get_structured_filter_where($request_data) {
+        $filters = isset($request_data['filters']) && is_array($request_data['filters'])
+            ? array_slice(wp_unslash($request_data['filters']), 0, 20)
+            : [];
+        $conditions = [];
+
+        foreach ($filters as $filter) {
+            $field = isset($filter['field']) ? sanitize_key($filter['field']) : '';
+
+            if (!isset($this->filterable_columns[$field]) || !isset($filter['value'])) {
+                continue;
+            }
+
+            $column = $this->filterable_columns[$field]['column'];
+            $type = $this->filterable_columns[$field]['type'] ?? 'eq';
+            $value = $filter['value'];
+
+            switch ($type) {
+                case 'in':
+                    $values = array_slice(array_map('sanitize_text_field', (array) $value), 0, 50);
+
+                    if (!empty($values)) {
+                        $placeholders = implode(', ', array_fill(0, count($values), '%s'));
+                        $conditions[] = $this->wpdb->prepare("{$column} IN ({$placeholders})", $values);
+                    }
+                    break;
+
+                case 'date':
+                    $range = array_values((array) $value);
+                    $from = $this->sanitize_filter_date($range[0] ?? '');
+                    $to = $this->sanitize_filter_date($range[1] ?? '');
+
+                    if ($from) {
+                        $conditions[] = $this->wpdb->prepare("{$column} >= %s", $from);
+                    }
+
+                    if ($to) {
+                        $conditions[] = $this->wpdb->prepare("{$column} < DATE_ADD(%s, INTERVAL 1 DAY)", $to);
+                    }
+                    break;
+
+                case 'number':
+                    $range = array_values((array) $value);
+
+                    if (isset($range[0]) && is_numeric($range[0])) {
+                        $conditions[] = $this->wpdb->prepare("{$column} >= %f", $range[0]);
+                    }
+
+                    if (isset($range[1]) && is_numeric($range[1])) {
+                        $conditions[] = $this->wpdb->prepare("{$column} <= %f", $range[1]);
+                    }
+                    break;
+
+                default:
+                    if (is_scalar($value) && $value !== '') {
+                        $conditions[] = $this->wpdb->prepare("{$column} = %s", sanitize_text_field($value));
+                    }
+            }
+        }
+
+        return $conditions;
+    }
+
+    /**
+     * Validate Y-m-d filter date
+     *
+     * @param mixed $value Raw value
+     * @return string Date or empty string
+     */
+    private function sanitize_filter_date($value) {
+        $value = is_scalar($value) ? (string) $value : '';
+
+        return preg_match('/^\d{4}-\d{2}-\d{2}$/', $value) ? $value : '';
+    }
+
     /**
      * Get columns to select
      *
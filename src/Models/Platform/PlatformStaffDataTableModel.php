@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Models/Platform
- * @version     1.0.0
+ * @version     1.4.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Models/Platform/PlatformStaffDataTableModel.php
@@ -15,6 +15,20 @@
  *              Integrates dengan base panel system.
  *
  * Changelog:
+ * 1.4.0 - 2026-10-18
+ * - Row `version` (PlatformStaffModel::get_version) untuk cek konflik
+ *   inline edit dan bulk status
+ *
+ * 1.3.0 - 2026-10-18
+ * - Staff yang menunggu hapus permanen (deleted_at, jendela undo) tidak
+ *   ditampilkan dan tidak dihitung
+ *
+ * 1.2.0 - 2026-10-18
+ * - Row `raw` values (full_name, phone, status) untuk inline edit
+ *
+ * 1.1.0 - 2026-10-18
+ * - Structured filters from filter bar: status (in), department (equals), hire_date (range)
+ *
  * 1.0.0 - 2025-11-01 (TODO-1192)
  * - Updated to follow AgencyDataTableModel pattern
  * - Extends WPAppCore\Models\DataTable\DataTableModel
@@ -33,6 +47,13 @@ use WPAppCore\Models\DataTable\DataTableModel;
 
 class PlatformStaffDataTableModel extends DataTableModel {
 
+    /**
+     * Staff model (row version tokens)
+     *
+     * @var PlatformStaffModel
+     */
+    private $staff_model;
+
     /**
      * Constructor
      * Setup table and columns configuration
@@ -42,6 +63,8 @@ class PlatformStaffDataTableModel extends DataTableModel {
 
         global $wpdb;
 
+        $this->staff_model = new PlatformStaffModel();
+
         $this->table = $wpdb->prefix . 'app_platform_staff s';  // Include alias 's' for columns
         $this->index_column = 's.id';
 
@@ -54,6 +77,18 @@ class PlatformStaffDataTableModel extends DataTableModel {
             'u.user_email'
         ];
 
+        // Fields accepted in the filter bar "filters" payload
+        $this->filterable_columns = [
+            'status' => ['column' => 's.status', 'type' => 'in'],
+            'department' => ['column' => 's.department', 'type' => 'eq'],
+            'hire_date' => ['column' => 's.hire_date', 'type' => 'date'],
+        ];
+
+        // Staff pending deletion (undo window) are hidden
+        $this->base_where = [
+            's.deleted_at IS NULL'
+        ];
+
         // Define base JOINs to get user email
         $this->base_joins = [
             "LEFT JOIN {$wpdb->users} u ON s.user_id = u.ID"
@@ -73,7 +108,10 @@ class PlatformStaffDataTableModel extends DataTableModel {
             's.full_name as name',
             'u.user_email as email',
             's.phone as phone',
-            's.status as status'
+            's.status as status',
+            's.department as department',             // Version token only
+            's.hire_date as hire_date',
+            's.updated_at as updated_at'
         ];
     }
 
@@ -97,7 +135,20 @@ class PlatformStaffDataTableModel extends DataTableModel {
             'email' => esc_html($row->email ?? '-'),
             'phone' => esc_html($row->phone ?? '-'),
             'status' => $this->format_status_badge($row->status),
-            'actions' => $this->generate_action_buttons($row)
+            'actions' => $this->generate_action_buttons($row),
+            'raw' => [                                    // Unformatted values for inline edit
+                'full_name' => $row->name ?? '',
+                'phone' => $row->phone ?? '',
+                'status' => $row->status
+            ],
+            'version' => $this->staff_model->get_version((object) [
+                'updated_at' => $row->updated_at ?? '',
+                'full_name' => $row->name ?? '',
+                'department' => $row->department ?? '',
+                'hire_date' => $row->hire_date ?? '',
+                'phone' => $row->phone ?? '',
+                'status' => $row->status ?? ''
+            ])
         ];
     }
 
@@ -209,7 +260,7 @@ class PlatformStaffDataTableModel extends DataTableModel {
         $_POST['status_filter'] = $status_filter;
 
         // Build WHERE conditions
-        $where_conditions = $this->get_where();
+        $where_conditions = array_merge($this->base_where, $this->get_where());
 
         // Restore original POST
         $_POST = $original_post;
@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Models/Platform
- * @version     1.0.11
+ * @version     1.4.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Models/Platform/PlatformStaffModel.php
@@ -23,6 +23,24 @@
  * - WordPress $wpdb
  *
  * Changelog:
+ * 1.4.0 - 2026-10-18
+ * - Hapus tertunda untuk undo: mark_deleted() mengisi deleted_at, restore()
+ *   mengosongkannya lagi, delete() menghapus permanen saat jendela habis
+ * - Record dengan deleted_at disembunyikan dari find(), getAll(),
+ *   DataTable, statistik dan daftar department
+ *
+ * 1.3.0 - 2026-10-18
+ * - create/update/delete mencatat audit trail (wpapp_history_record, tab History)
+ *
+ * 1.2.0 - 2026-10-18
+ * - get_version(): token versi record (updated_at + field yang bisa diedit)
+ *   untuk menolak penyimpanan dari form yang sudah basi
+ * - EDITABLE_FIELDS dipakai bersama oleh update() dan get_version()
+ *
+ * 1.1.0 - 2026-10-18
+ * - create/update/delete publish wpapp_datatable_record_changed (change feed
+ *   for open staff lists and panels of other admins)
+ *
  * 1.0.11 - 2025-11-01 (TODO-1190: Static ID Hook Pattern)
  * - Added wp_app_core_platform_staff_before_insert filter hook
  * - Reorder $insert_data if 'id' field injected via hook
@@ -44,6 +62,11 @@ use WPAppCore\Cache\PlatformCacheManager;
 defined('ABSPATH') || exit;
 
 class PlatformStaffModel {
+    /**
+     * Fields that can be changed by update()
+     */
+    const EDITABLE_FIELDS = ['full_name', 'department', 'hire_date', 'phone', 'status'];
+
     /**
      * Database table name
      * @var string
@@ -85,7 +108,7 @@ class PlatformStaffModel {
                     u.user_email as email
              FROM {$this->table} s
              LEFT JOIN {$wpdb->users} u ON s.user_id = u.ID
-             WHERE s.id = %d",
+             WHERE s.id = %d AND s.deleted_at IS NULL",
             $id
         ));
 
@@ -96,9 +119,47 @@ class PlatformStaffModel {
         return $staff;
     }
 
+    /**
+     * Find staff by ID, including a record pending deletion
+     *
+     * Not cached: used by delete() and restore() only.
+     *
+     * @param int $id Staff ID
+     * @return object|null Staff data or null
+     */
+    private function find_including_deleted(int $id): ?object {
+        global $wpdb;
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->table} WHERE id = %d",
+            $id
+        ));
+    }
+
+    /**
+     * Version token of a staff record
+     *
+     * Changes whenever the record is saved. updated_at alone has one second
+     * resolution, so the editable values are part of the token.
+     *
+     * @param object $staff Staff data (from find())
+     * @return string Version token
+     */
+    public function get_version(object $staff): string {
+        $values = [$staff->updated_at ?? ''];
+
+        foreach (self::EDITABLE_FIELDS as $field) {
+            $values[] = (string) ($staff->$field ?? '');
+        }
+
+        return md5(implode('|', $values));
+    }
+
     /**
      * Find staff by user ID
      *
+     * Includes a record pending deletion: user_id is unique until the row
+     * is really deleted.
+     *
      * @param int $user_id User ID
      * @return object|null Staff data or null
      */
@@ -126,6 +187,8 @@ class PlatformStaffModel {
     /**
      * Find staff by employee ID
      *
+     * Includes a record pending deletion (unique key, like findByUserId()).
+     *
      * @param string $employee_id Employee ID (e.g., STAFF-001)
      * @return object|null Staff data or null
      */
@@ -154,7 +217,7 @@ class PlatformStaffModel {
 
         global $wpdb;
 
-        $where = ['1=1'];
+        $where = ['deleted_at IS NULL'];
         $params = [];
 
         // Filter by department
@@ -261,6 +324,9 @@ class PlatformStaffModel {
             // Clear caches
             $this->cache->clearStaffCache();
 
+            do_action('wpapp_datatable_record_changed', 'platform_staff', $staff_id, 'created');
+            do_action('wpapp_history_record', 'platform_staff', $staff_id, 'created', [], $insert_data);
+
             return $staff_id;
         }
 
@@ -287,9 +353,7 @@ class PlatformStaffModel {
         $format = [];
 
         // Only update provided fields
-        $allowed_fields = ['full_name', 'department', 'hire_date', 'phone', 'status'];
-
-        foreach ($allowed_fields as $field) {
+        foreach (self::EDITABLE_FIELDS as $field) {
             if (isset($data[$field])) {
                 $update_data[$field] = $data[$field];
                 $format[] = '%s';
@@ -316,6 +380,84 @@ class PlatformStaffModel {
                 $current_staff->department
             );
 
+            do_action('wpapp_datatable_record_changed', 'platform_staff', $id, 'updated');
+            do_action('wpapp_history_record', 'platform_staff', $id, 'updated', (array) $current_staff, $update_data);
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Mark staff as deleted (undo window)
+     *
+     * The row is kept, hidden from find(), lists and statistics, until
+     * delete() runs when the window ends or restore() brings it back.
+     * updated_at is left as is, so the version token survives an undo.
+     *
+     * @param int $id Staff ID
+     * @return bool True on success, false on failure
+     */
+    public function mark_deleted(int $id): bool {
+        global $wpdb;
+
+        $staff = $this->find($id);
+        if (!$staff) {
+            return false;
+        }
+
+        $result = $wpdb->query($wpdb->prepare(
+            "UPDATE {$this->table}
+             SET deleted_at = %s, updated_at = updated_at
+             WHERE id = %d AND deleted_at IS NULL",
+            current_time('mysql'),
+            $id
+        ));
+
+        if ($result) {
+            // Clear caches
+            $this->cache->clearSpecificStaffCache(
+                $id,
+                $staff->user_id,
+                $staff->department
+            );
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Restore staff marked as deleted (undo delete)
+     *
+     * @param int $id Staff ID
+     * @return bool True on success, false when not pending deletion
+     */
+    public function restore(int $id): bool {
+        global $wpdb;
+
+        $staff = $this->find_including_deleted($id);
+        if (!$staff || $staff->deleted_at === null) {
+            return false;
+        }
+
+        $result = $wpdb->query($wpdb->prepare(
+            "UPDATE {$this->table}
+             SET deleted_at = NULL, updated_at = updated_at
+             WHERE id = %d AND deleted_at IS NOT NULL",
+            $id
+        ));
+
+        if ($result) {
+            // Clear caches
+            $this->cache->clearSpecificStaffCache(
+                $id,
+                $staff->user_id,
+                $staff->department
+            );
+
             return true;
         }
 
@@ -325,6 +467,8 @@ class PlatformStaffModel {
     /**
      * Delete staff
      *
+     * Also deletes a record marked by mark_deleted().
+     *
      * @param int $id Staff ID
      * @return bool True on success, false on failure
      */
@@ -332,7 +476,7 @@ class PlatformStaffModel {
         global $wpdb;
 
         // Get staff data before deletion for cache clearing
-        $staff = $this->find($id);
+        $staff = $this->find_including_deleted($id);
         if (!$staff) {
             return false;
         }
@@ -351,6 +495,9 @@ class PlatformStaffModel {
                 $staff->department
             );
 
+            do_action('wpapp_datatable_record_changed', 'platform_staff', $id, 'deleted');
+            do_action('wpapp_history_record', 'platform_staff', $id, 'deleted', (array) $staff, []);
+
             return true;
         }
 
@@ -379,7 +526,7 @@ class PlatformStaffModel {
         $order_dir = isset($params['order'][0]['dir']) && $params['order'][0]['dir'] === 'asc' ? 'ASC' : 'DESC';
 
         // Build WHERE clause
-        $where = ['1=1'];
+        $where = ['deleted_at IS NULL'];
         $where_params = [];
 
         // Search
@@ -407,7 +554,7 @@ class PlatformStaffModel {
         $where_clause = implode(' AND ', $where);
 
         // Get total records (without filtering)
-        $total_records = $wpdb->get_var("SELECT COUNT(*) FROM {$this->table}");
+        $total_records = $wpdb->get_var("SELECT COUNT(*) FROM {$this->table} WHERE deleted_at IS NULL");
 
         // Get filtered records count
         $count_query = "SELECT COUNT(*) FROM {$this->table} WHERE {$where_clause}";
@@ -476,13 +623,13 @@ class PlatformStaffModel {
         ];
 
         // Total staff
-        $stats['total_staff'] = $wpdb->get_var("SELECT COUNT(*) FROM {$this->table}");
+        $stats['total_staff'] = $wpdb->get_var("SELECT COUNT(*) FROM {$this->table} WHERE deleted_at IS NULL");
 
         // Staff by department
         $dept_stats = $wpdb->get_results(
             "SELECT department, COUNT(*) as count
              FROM {$this->table}
-             WHERE department IS NOT NULL
+             WHERE department IS NOT NULL AND deleted_at IS NULL
              GROUP BY department
              ORDER BY count DESC"
         );
@@ -495,7 +642,8 @@ class PlatformStaffModel {
         // Recent hires (last 30 days)
         $stats['recent_hires'] = $wpdb->get_var(
             "SELECT COUNT(*) FROM {$this->table}
-             WHERE hire_date >= DATE_SUB(NOW(), INTERVAL 30 DAY)"
+             WHERE hire_date >= DATE_SUB(NOW(), INTERVAL 30 DAY)
+               AND deleted_at IS NULL"
         );
 
         // Cache statistics
@@ -543,7 +691,7 @@ class PlatformStaffModel {
         $departments = $wpdb->get_col(
             "SELECT DISTINCT department
              FROM {$this->table}
-             WHERE department IS NOT NULL
+             WHERE department IS NOT NULL AND deleted_at IS NULL
              ORDER BY department ASC"
         );
 
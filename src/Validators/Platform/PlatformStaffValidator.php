@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Validators/Platform
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Validators/Platform/PlatformStaffValidator.php
@@ -19,6 +19,9 @@
  * - PlatformStaffModel untuk check data
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - validateImportRow(): semua error per baris untuk import CSV (dry run dan import)
+ *
  * 1.0.0 - 2025-10-19
  * - Initial implementation
  * - Staff creation validation
@@ -187,6 +190,73 @@ class PlatformStaffValidator {
         return true;
     }
 
+    /**
+     * Validate one CSV import row
+     *
+     * Same rules as the staff form (full name, department required) and
+     * validateStaffCreation(), plus the WordPress user fields. Returns every
+     * error of the row so the import preview can list them together.
+     *
+     * @param array $row Row data (user_login, user_email, full_name, department,
+     *                   phone, hire_date, status, role)
+     * @return string[] Error messages (empty if valid)
+     */
+    public function validateImportRow(array $row): array {
+        $errors = [];
+
+        if (empty($row['user_login'])) {
+            $errors[] = __('Username harus diisi', 'wp-app-core');
+        } elseif (!validate_username($row['user_login'])) {
+            $errors[] = __('Username tidak valid', 'wp-app-core');
+        } elseif (username_exists($row['user_login'])) {
+            $errors[] = __('Username sudah terdaftar', 'wp-app-core');
+        }
+
+        if (empty($row['user_email'])) {
+            $errors[] = __('Email harus diisi', 'wp-app-core');
+        } elseif (!is_email($row['user_email'])) {
+            $errors[] = __('Format email tidak valid', 'wp-app-core');
+        } elseif (email_exists($row['user_email'])) {
+            $errors[] = __('Email sudah terdaftar', 'wp-app-core');
+        }
+
+        if (empty($row['full_name'])) {
+            $errors[] = __('Nama lengkap harus diisi', 'wp-app-core');
+        } elseif (strlen($row['full_name']) > 100) {
+            $errors[] = __('Nama lengkap tidak boleh lebih dari 100 karakter', 'wp-app-core');
+        }
+
+        if (empty($row['department'])) {
+            $errors[] = __('Department harus diisi', 'wp-app-core');
+        } else {
+            $validation = $this->validateDepartment($row['department']);
+            if (is_wp_error($validation)) {
+                $errors[] = $validation->get_error_message();
+            }
+        }
+
+        if (!empty($row['hire_date']) && !$this->validateDate($row['hire_date'])) {
+            $errors[] = __('Format tanggal hire_date tidak valid (gunakan YYYY-MM-DD)', 'wp-app-core');
+        }
+
+        if (!empty($row['phone'])) {
+            $validation = $this->validatePhone($row['phone']);
+            if (is_wp_error($validation)) {
+                $errors[] = $validation->get_error_message();
+            }
+        }
+
+        if (!empty($row['status']) && !in_array($row['status'], ['aktif', 'tidak_aktif'], true)) {
+            $errors[] = __('Status harus aktif atau tidak_aktif', 'wp-app-core');
+        }
+
+        if (!empty($row['role']) && !array_key_exists($row['role'], \WP_App_Core_Role_Manager::getAdminRoles())) {
+            $errors[] = __('Role tidak dikenal', 'wp-app-core');
+        }
+
+        return $errors;
+    }
+
     /**
      * Validate department
      *
@@ -33,6 +33,7 @@
  *     'ajax_action' => 'get_customer_details',
  *     'has_stats' => true,
  *     'has_tabs' => true,
+ *     'prefetch' => true, // Optional: prefetch panel on row hover/focus
  *     'nonce' => wp_create_nonce('customer_nonce')
  * ]);
  * ```
@@ -227,6 +228,7 @@ class DashboardTemplate {
             'ajax_action' => '',
             'has_stats' => false,
             'has_tabs' => false,
+            'prefetch' => false,
             'nonce' => '',
         ];
 
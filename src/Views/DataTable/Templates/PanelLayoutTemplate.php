@@ -43,7 +43,8 @@ class PanelLayoutTemplate {
             <div class="wpapp-datatable-layout"
                  data-entity="<?php echo esc_attr($entity); ?>"
                  data-ajax-action="<?php echo esc_attr($config['ajax_action']); ?>"
-                 data-has-tabs="<?php echo $config['has_tabs'] ? 'true' : 'false'; ?>">
+                 data-has-tabs="<?php echo $config['has_tabs'] ? 'true' : 'false'; ?>"
+                 <?php if (!empty($config['prefetch'])): ?>data-prefetch="true"<?php endif; ?>>
 
             <!-- Sliding Panel Row Container -->
             <div class="wpapp-row" id="wpapp-<?php echo esc_attr($entity); ?>-container">
@@ -58,6 +59,13 @@ class PanelLayoutTemplate {
                 </div>
                 <!-- End Left Panel -->
 
+                <!-- Resizable divider (drag, arrow keys, double-click to reset) -->
+                <div class="wpapp-panel-divider"
+                     role="separator"
+                     aria-orientation="vertical"
+                     aria-label="<?php esc_attr_e('Resize panels', 'wp-app-core'); ?>"
+                     tabindex="0"></div>
+
                 <!-- Right Panel: Detail (sliding panel, 55% width) -->
                 <div class="wpapp-col-md-5 wpapp-right-panel wpapp-detail-panel hidden"
                      id="wpapp-<?php echo esc_attr($entity); ?>-detail-panel">
@@ -129,9 +137,21 @@ class PanelLayoutTemplate {
             <h2 class="wpapp-panel-title">
                 <span class="wpapp-entity-name"></span>
             </h2>
-            <button type="button" class="wpapp-panel-close" aria-label="<?php esc_attr_e('Close', 'wp-app-core'); ?>">
-                <span class="dashicons dashicons-no-alt"></span>
-            </button>
+            <div class="wpapp-panel-actions">
+                <!-- Previous/Next record (follows DataTable order and filters) -->
+                <button type="button" class="wpapp-panel-nav wpapp-panel-prev" aria-label="<?php esc_attr_e('Previous record', 'wp-app-core'); ?>" title="<?php esc_attr_e('Previous record', 'wp-app-core'); ?>">
+                    <span class="dashicons dashicons-arrow-left-alt2"></span>
+                </button>
+                <button type="button" class="wpapp-panel-nav wpapp-panel-next" aria-label="<?php esc_attr_e('Next record', 'wp-app-core'); ?>" title="<?php esc_attr_e('Next record', 'wp-app-core'); ?>">
+                    <span class="dashicons dashicons-arrow-right-alt2"></span>
+                </button>
+                <button type="button" class="wpapp-panel-nav wpapp-panel-maximize" aria-pressed="false" aria-label="<?php esc_attr_e('Maximize panel', 'wp-app-core'); ?>" title="<?php esc_attr_e('Maximize panel', 'wp-app-core'); ?>">
+                    <span class="dashicons dashicons-editor-expand"></span>
+                </button>
+                <button type="button" class="wpapp-panel-close" aria-label="<?php esc_attr_e('Close', 'wp-app-core'); ?>">
+                    <span class="dashicons dashicons-no-alt"></span>
+                </button>
+            </div>
         </div>
 
         <!-- Panel Content -->
@@ -11,12 +11,16 @@
  * @package WPAppCore
  * @subpackage Views\DataTable\Templates
  * @since 1.0.0
- * @version 1.1.0
+ * @version 1.2.0
  * @author arisciwek
  *
  * Path: /wp-app-core/src/Views/DataTable/Templates/TabSystemTemplate.php
  *
  * Changelog:
+ * 1.2.0 - 2026-10-18
+ * - Added optional tab badge keys: 'badge_action', 'badge_source'
+ * - Badge config rendered as data attributes on .nav-tab (badges set by WPAppTabManager)
+ *
  * 1.1.0 - 2025-10-29 (TODO-3089)
  * - Support hook-based pattern (no 'template' key required)
  * - 'template' key is now OPTIONAL (was required)
@@ -40,6 +44,16 @@
  * ]
  * ```
  *
+ * Optional Badge Keys (count next to tab title, per record):
+ * ```php
+ * 'employees' => [
+ *     'title' => 'Employees',
+ *     'badge_action' => 'get_employee_count', // Count endpoint (AJAX action)
+ *     'badge_source' => 'datatable'           // Follow DataTable record count in tab
+ * ]
+ * ```
+ * Badges can also be returned by the panel AJAX response ('badges' key).
+ *
  * Pattern 2 - Hook-Based AJAX (Modern):
  * ```php
  * [
@@ -162,7 +176,9 @@ class TabSystemTemplate {
                 <a href="#"
                    class="nav-tab <?php echo esc_attr($active_class); ?>"
                    data-tab="<?php echo esc_attr($tab_id); ?>"
-                   data-entity="<?php echo esc_attr($entity); ?>">
+                   data-entity="<?php echo esc_attr($entity); ?>"
+                   <?php if (!empty($tab['badge_action'])): ?>data-badge-action="<?php echo esc_attr($tab['badge_action']); ?>"<?php endif; ?>
+                   <?php if (!empty($tab['badge_source'])): ?>data-badge-source="<?php echo esc_attr($tab['badge_source']); ?>"<?php endif; ?>>
                     <?php echo esc_html($title); ?>
                 </a>
                 <?php
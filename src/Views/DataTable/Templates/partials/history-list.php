@@ -0,0 +1,144 @@
+<?php
+/**
+ * History List Partial
+ *
+ * @package     WP_App_Core
+ * @subpackage  Views/DataTable/Templates/Partials
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/src/Views/DataTable/Templates/partials/history-list.php
+ *
+ * Description: Isi tab History: filter field / pelaku, tabel perubahan per
+ *              penyimpanan (diff per field, pelaku, waktu, IP) dan paginasi.
+ *              Dirender oleh DataTableHistoryController::handle_load().
+ *
+ * Variables:
+ * @var string $entity Entity slug
+ * @var int $record_id Record ID
+ * @var array $filters ['field' => string, 'actor' => int|'']
+ * @var array $fields [field => label] Fields with entries
+ * @var array $actors [user_id => display name]
+ * @var array $changesets Grouped entries (see group_changesets())
+ * @var array $result ['total', 'page', 'pages']
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+defined('ABSPATH') || exit;
+
+$datetime_format = get_option('date_format') . ' ' . get_option('time_format');
+$action_labels = [
+    'created' => __('Created', 'wp-app-core'),
+    'deleted' => __('Deleted', 'wp-app-core'),
+];
+?>
+
+<div class="wpapp-history"
+     data-history-entity="<?php echo esc_attr($entity); ?>"
+     data-history-id="<?php echo esc_attr($record_id); ?>"
+     data-history-page="<?php echo esc_attr($result['page']); ?>">
+
+    <div class="wpapp-history-filters">
+        <label class="screen-reader-text" for="wpapp-history-field-<?php echo esc_attr($record_id); ?>">
+            <?php esc_html_e('Filter by field', 'wp-app-core'); ?>
+        </label>
+        <select id="wpapp-history-field-<?php echo esc_attr($record_id); ?>" class="wpapp-history-filter" name="field">
+            <option value=""><?php esc_html_e('All fields', 'wp-app-core'); ?></option>
+            <?php foreach ($fields as $field => $label): ?>
+                <option value="<?php echo esc_attr($field); ?>" <?php selected($filters['field'], $field); ?>>
+                    <?php echo esc_html($label); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+
+        <label class="screen-reader-text" for="wpapp-history-actor-<?php echo esc_attr($record_id); ?>">
+            <?php esc_html_e('Filter by user', 'wp-app-core'); ?>
+        </label>
+        <select id="wpapp-history-actor-<?php echo esc_attr($record_id); ?>" class="wpapp-history-filter" name="actor">
+            <option value=""><?php esc_html_e('All users', 'wp-app-core'); ?></option>
+            <?php foreach ($actors as $user_id => $name): ?>
+                <option value="<?php echo esc_attr($user_id); ?>" <?php selected((string) $filters['actor'], (string) $user_id); ?>>
+                    <?php echo esc_html($name); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+    </div>
+
+    <?php if (empty($changesets)): ?>
+        <p class="wpapp-history-empty">
+            <?php
+            echo ($filters['field'] !== '' || $filters['actor'] !== '')
+                ? esc_html__('No changes match the filter.', 'wp-app-core')
+                : esc_html__('No changes recorded yet.', 'wp-app-core');
+            ?>
+        </p>
+    <?php else: ?>
+        <table class="wpapp-history-table widefat striped">
+            <thead>
+                <tr>
+                    <th scope="col"><?php esc_html_e('When', 'wp-app-core'); ?></th>
+                    <th scope="col"><?php esc_html_e('Who', 'wp-app-core'); ?></th>
+                    <th scope="col"><?php esc_html_e('IP Address', 'wp-app-core'); ?></th>
+                    <th scope="col"><?php esc_html_e('Changes', 'wp-app-core'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($changesets as $changeset): ?>
+                    <tr>
+                        <td class="wpapp-history-time"><?php echo esc_html(mysql2date($datetime_format, $changeset['time'])); ?></td>
+                        <td class="wpapp-history-user"><?php echo esc_html($changeset['user']); ?></td>
+                        <td class="wpapp-history-ip"><?php echo esc_html($changeset['ip'] ?: '-'); ?></td>
+                        <td class="wpapp-history-changes">
+                            <?php if (isset($action_labels[$changeset['action']])): ?>
+                                <span class="wpapp-history-action wpapp-history-action-<?php echo esc_attr($changeset['action']); ?>">
+                                    <?php echo esc_html($action_labels[$changeset['action']]); ?>
+                                </span>
+                            <?php else: ?>
+                                <ul class="wpapp-history-diff">
+                                    <?php foreach ($changeset['changes'] as $change): ?>
+                                        <li>
+                                            <strong><?php echo esc_html($change['label']); ?>:</strong>
+                                            <?php if ($change['old'] !== ''): ?>
+                                                <del><?php echo esc_html($change['old']); ?></del>
+                                            <?php else: ?>
+                                                <em class="wpapp-history-none"><?php esc_html_e('(empty)', 'wp-app-core'); ?></em>
+                                            <?php endif; ?>
+                                            <span class="wpapp-history-arrow" aria-hidden="true">&rarr;</span>
+                                            <?php if ($change['new'] !== ''): ?>
+                                                <ins><?php echo esc_html($change['new']); ?></ins>
+                                            <?php else: ?>
+                                                <em class="wpapp-history-none"><?php esc_html_e('(empty)', 'wp-app-core'); ?></em>
+                                            <?php endif; ?>
+                                        </li>
+                                    <?php endforeach; ?>
+                                </ul>
+                            <?php endif; ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+
+        <?php if ($result['pages'] > 1): ?>
+            <div class="wpapp-history-pagination tablenav-pages">
+                <button type="button" class="button wpapp-history-page" data-page="<?php echo esc_attr($result['page'] - 1); ?>" <?php disabled($result['page'] <= 1); ?>>
+                    <span aria-hidden="true">&lsaquo;</span>
+                    <span class="screen-reader-text"><?php esc_html_e('Previous page', 'wp-app-core'); ?></span>
+                </button>
+                <span class="wpapp-history-page-info">
+                    <?php
+                    /* translators: 1: current page, 2: total pages */
+                    echo esc_html(sprintf(__('Page %1$d of %2$d', 'wp-app-core'), $result['page'], $result['pages']));
+                    ?>
+                </span>
+                <button type="button" class="button wpapp-history-page" data-page="<?php echo esc_attr($result['page'] + 1); ?>" <?php disabled($result['page'] >= $result['pages']); ?>>
+                    <span aria-hidden="true">&rsaquo;</span>
+                    <span class="screen-reader-text"><?php esc_html_e('Next page', 'wp-app-core'); ?></span>
+                </button>
+            </div>
+        <?php endif; ?>
+    <?php endif; ?>
+</div>
@@ -0,0 +1,48 @@
+<?php
+/**
+ * History Tab Container Partial
+ *
+ * @package     WP_App_Core
+ * @subpackage  Views/DataTable/Templates/Partials
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/src/Views/DataTable/Templates/partials/history-tab.php
+ *
+ * Description: Container tab History (audit trail). Isi dimuat via AJAX:
+ *              - mode 'tab': autoload tab WPAppTabManager (reload tiap kunjungan)
+ *              - mode 'self': dimuat wpapp-history.js saat terlihat (panel
+ *                yang dirender framework lain, mis. wp-datatable)
+ *
+ * Variables:
+ * @var string $entity Entity slug
+ * @var int $record_id Record ID
+ * @var string $mode tab | self
+ * @var string $load_action AJAX action
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+defined('ABSPATH') || exit;
+?>
+
+<?php if ($mode === 'self'): ?>
+<div class="wpapp-history-autoload"
+     data-history-entity="<?php echo esc_attr($entity); ?>"
+     data-history-id="<?php echo esc_attr($record_id); ?>">
+    <p class="wpapp-history-loading">
+        <span class="spinner is-active"></span>
+        <?php esc_html_e('Loading history...', 'wp-app-core'); ?>
+    </p>
+</div>
+<?php else: ?>
+<div class="wpapp-tab-autoload wpapp-history-tab"
+     data-<?php echo esc_attr($entity); ?>-id="<?php echo esc_attr($record_id); ?>"
+     data-load-action="<?php echo esc_attr($load_action); ?>"
+     data-reload="visit"
+     data-refreshable="true"
+     data-skeleton="5">
+</div>
+<?php endif; ?>
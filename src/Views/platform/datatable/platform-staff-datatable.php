@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Views/Platform/DataTable
- * @version     1.0.0
+ * @version     1.8.1
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Views/platform/datatable/datatable.php
@@ -17,17 +17,163 @@
  * Important Classes:
  * - wpdt-datatable: Required for panel-manager.js to find DataTable instance
  *
+ * Data Attributes (read by WPAppDataTable):
+ * - data-ajax-action: Server-side DataTable AJAX action
+ * - data-columns: Column definitions (status / actions HTML rendered by Model)
+ * - data-state-key: URL param prefix for search, order, page
+ * - data-views: Column chooser + saved views above the table
+ * - data-filter-builder: Filter bar fields (whitelisted in PlatformStaffDataTableModel)
+ * - data-bulk: Row checkboxes + bulk actions (only those the user may run)
+ * - data-export: Export menu (CSV / XLSX of the current query)
+ * - data-inline-edit: Double-click editing of name, phone, status (edit capability only)
+ * - data-changes: Redraw rows changed by other admins (Heartbeat change feed)
+ *
+ * Import button + wizard (forms/import-staff-wizard.php) only for users
+ * who may create staff.
+ *
  * Changelog:
+ * 1.8.1 - 2026-10-18
+ * - Bulk delete confirmation mentions the undo window
+ *
+ * 1.8.0 - 2026-10-18
+ * - Change feed subscription (data-changes="platform_staff")
+ *
+ * 1.7.0 - 2026-10-18
+ * - Inline editing: name, phone, status (data-inline-edit)
+ *
+ * 1.6.0 - 2026-10-18
+ * - Import CSV button and import wizard dialog
+ *
+ * 1.5.0 - 2026-10-18
+ * - Export menu: CSV / XLSX of current query (data-export), actions column left out
+ *
+ * 1.4.0 - 2026-10-18
+ * - Bulk actions: delete, change status, assign role, export (data-bulk)
+ *
+ * 1.3.0 - 2026-10-18
+ * - Filter bar: status, department, hire date (data-filter-builder)
+ *
+ * 1.2.0 - 2026-10-18
+ * - Column chooser and saved views (data-views)
+ *
+ * 1.1.0 - 2026-10-18
+ * - AJAX action, columns and URL state key as data attributes (WPAppDataTable.init)
+ *
  * 1.0.0 - 2025-12-25
  * - Created for wp-datatable integration
  * - Standalone DataTable view for left panel
  */
 
 defined('ABSPATH') || exit;
+
+$columns = [
+    ['data' => 'name', 'name' => 'name'],
+    ['data' => 'email', 'name' => 'email'],
+    ['data' => 'phone', 'name' => 'phone'],
+    ['data' => 'status', 'name' => 'status'],
+    ['data' => 'actions', 'name' => 'actions', 'orderable' => false, 'searchable' => false, 'exportable' => false],
+];
+
+$filter_builder = [
+    [
+        'field' => 'status',
+        'label' => __('Status', 'wp-app-core'),
+        'type' => 'in',
+        'options' => [
+            ['value' => 'aktif', 'label' => __('Active', 'wp-app-core')],
+            ['value' => 'tidak_aktif', 'label' => __('Inactive', 'wp-app-core')],
+        ],
+    ],
+    ['field' => 'department', 'label' => __('Department', 'wp-app-core'), 'type' => 'text'],
+    ['field' => 'hire_date', 'label' => __('Hire Date', 'wp-app-core'), 'type' => 'date'],
+];
+
+$status_options = $filter_builder[0]['options'];
+$bulk_actions = [];
+
+if (current_user_can('manage_options') || current_user_can('edit_platform_users')) {
+    $bulk_actions[] = [
+        'id' => 'status',
+        'label' => __('Change status', 'wp-app-core'),
+        'options' => $status_options,
+    ];
+}
+
+if (current_user_can('manage_options') || current_user_can('promote_users')) {
+    $role_options = [];
+
+    foreach (WP_App_Core_Role_Manager::getAdminRoles() as $slug => $name) {
+        $role_options[] = ['value' => $slug, 'label' => $name];
+    }
+
+    $bulk_actions[] = [
+        'id' => 'role',
+        'label' => __('Assign role', 'wp-app-core'),
+        'options' => $role_options,
+    ];
+}
+
+$bulk_actions[] = [
+    'id' => 'export',
+    'label' => __('Export CSV', 'wp-app-core'),
+    'download' => 'platform-staff.csv',
+    'confirm' => false,
+];
+
+if (current_user_can('manage_options') || current_user_can('delete_platform_users')) {
+    $bulk_actions[] = [
+        'id' => 'delete',
+        'label' => __('Delete', 'wp-app-core'),
+        /* translators: %d: number of selected staff */
+        'confirm' => __('Delete %d staff? You can undo this for a few seconds afterwards.', 'wp-app-core'),
+        'danger' => true,
+    ];
+}
+
+$bulk = [
+    'action' => 'platform_staff_bulk_action',
+    'actions' => $bulk_actions,
+];
+
+$can_import = current_user_can('manage_options') || current_user_can('create_platform_users');
+
+$inline_edit = null;
+
+if (current_user_can('manage_options') || current_user_can('edit_platform_users')) {
+    $inline_edit = [
+        'action' => 'platform_staff_inline_edit',
+        'columns' => [
+            'name' => ['field' => 'full_name', 'type' => 'text', 'required' => true, 'maxlength' => 100],
+            'phone' => ['field' => 'phone', 'type' => 'text', 'maxlength' => 20],
+            'status' => ['field' => 'status', 'type' => 'select', 'options' => $status_options],
+        ],
+    ];
+}
 ?>
 
 <div class="wpdt-datatable-wrapper">
-    <table id="platform-staff-datatable" class="wpdt-datatable display" style="width:100%">
+    <?php if ($can_import) : ?>
+        <div class="platform-staff-import-bar">
+            <button type="button" class="button platform-staff-import-btn">
+                <span class="dashicons dashicons-upload"></span>
+                <?php _e('Import CSV', 'wp-app-core'); ?>
+            </button>
+        </div>
+    <?php endif; ?>
+
+    <table id="platform-staff-datatable"
+           class="wpdt-datatable display"
+           style="width:100%"
+           data-key="platform-staff"
+           data-ajax-action="get_platform_staff_datatable"
+           data-state-key="staff"
+           data-views="true"
+           data-changes="platform_staff"
+           data-export="<?php echo esc_attr(wp_json_encode(['filename' => 'platform-staff'])); ?>"
+           data-bulk="<?php echo esc_attr(wp_json_encode($bulk)); ?>"
+           <?php if ($inline_edit) : ?>data-inline-edit="<?php echo esc_attr(wp_json_encode($inline_edit)); ?>"<?php endif; ?>
+           data-filter-builder="<?php echo esc_attr(wp_json_encode($filter_builder)); ?>"
+           data-columns="<?php echo esc_attr(wp_json_encode($columns)); ?>">
         <thead>
             <tr>
                 <th><?php _e('Name', 'wp-app-core'); ?></th>
@@ -42,3 +188,8 @@ defined('ABSPATH') || exit;
         </tbody>
     </table>
 </div>
+
+<?php
+if ($can_import) {
+    include WP_APP_CORE_PATH . 'src/Views/platform/forms/import-staff-wizard.php';
+}
@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Views/Platform/Forms
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Views/platform/forms/edit-staff-form.php
@@ -14,8 +14,12 @@
  *
  * Variables:
  * @var object $staff Staff data object
+ * @var string $version Record version token
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Hidden version token (stale saves are rejected with a conflict)
+ *
  * 1.0.0 - 2025-12-25
  * - Initial implementation
  */
@@ -33,6 +37,7 @@ if (!isset($staff) || !is_object($staff)) {
     <input type="hidden" name="action" value="save_platform_staff">
     <input type="hidden" name="mode" value="edit">
     <input type="hidden" name="staff_id" value="<?php echo esc_attr($staff->id); ?>">
+    <input type="hidden" name="version" value="<?php echo esc_attr($version ?? ''); ?>">
     <input type="hidden" name="nonce" value="<?php echo wp_create_nonce('wpdt_nonce'); ?>">
 
     <!-- Two Column Layout -->
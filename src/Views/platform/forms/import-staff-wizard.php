@@ -0,0 +1,128 @@
+<?php
+/**
+ * Import Platform Staff Wizard
+ *
+ * @package     WP_App_Core
+ * @subpackage  Views/Platform/Forms
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/src/Views/platform/forms/import-staff-wizard.php
+ *
+ * Description: Dialog wizard untuk import CSV platform staff.
+ *              Included by platform-staff-datatable.php (hidden).
+ *              Steps: upload -> mapping kolom -> preview (dry run) -> import.
+ *              PURE HTML - behaviour in platform-staff-import.js.
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+defined('ABSPATH') || exit;
+
+$import_fields = [
+    'user_login' => ['label' => __('Username', 'wp-app-core'), 'required' => true],
+    'user_email' => ['label' => __('Email', 'wp-app-core'), 'required' => true],
+    'full_name' => ['label' => __('Full Name', 'wp-app-core'), 'required' => true],
+    'department' => ['label' => __('Department', 'wp-app-core'), 'required' => true],
+    'phone' => ['label' => __('Phone', 'wp-app-core'), 'required' => false],
+    'hire_date' => ['label' => __('Hire Date (YYYY-MM-DD)', 'wp-app-core'), 'required' => false],
+    'status' => ['label' => __('Status (aktif / tidak_aktif)', 'wp-app-core'), 'required' => false],
+    'role' => ['label' => __('Role', 'wp-app-core'), 'required' => false],
+];
+?>
+
+<div id="platform-staff-import" class="wpapp-import-overlay" hidden>
+    <div class="wpapp-import-dialog" role="dialog" aria-modal="true" aria-labelledby="platform-staff-import-title">
+        <div class="wpapp-import-header">
+            <h2 id="platform-staff-import-title"><?php esc_html_e('Import Staff from CSV', 'wp-app-core'); ?></h2>
+            <button type="button" class="button-link wpapp-import-close" aria-label="<?php esc_attr_e('Close', 'wp-app-core'); ?>">
+                <span class="dashicons dashicons-no-alt"></span>
+            </button>
+        </div>
+
+        <ol class="wpapp-import-steps">
+            <li data-step="upload"><?php esc_html_e('Upload', 'wp-app-core'); ?></li>
+            <li data-step="mapping"><?php esc_html_e('Map Columns', 'wp-app-core'); ?></li>
+            <li data-step="preview"><?php esc_html_e('Preview', 'wp-app-core'); ?></li>
+            <li data-step="import"><?php esc_html_e('Import', 'wp-app-core'); ?></li>
+        </ol>
+
+        <div class="wpapp-import-body">
+            <!-- Step 1: Upload -->
+            <div class="wpapp-import-step" data-step="upload">
+                <p><?php esc_html_e('Select a CSV file (comma or semicolon separated) with a header row. One row per staff member.', 'wp-app-core'); ?></p>
+                <p>
+                    <input type="file" class="wpapp-import-file" accept=".csv,text/csv">
+                </p>
+                <p>
+                    <button type="button" class="button-link wpapp-import-template">
+                        <?php esc_html_e('Download CSV template', 'wp-app-core'); ?>
+                    </button>
+                </p>
+                <p class="wpapp-import-message" hidden></p>
+            </div>
+
+            <!-- Step 2: Column mapping -->
+            <div class="wpapp-import-step" data-step="mapping" hidden>
+                <p><?php esc_html_e('Choose the CSV column for each staff field.', 'wp-app-core'); ?></p>
+                <table class="widefat striped wpapp-import-mapping">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('Staff field', 'wp-app-core'); ?></th>
+                            <th><?php esc_html_e('CSV column', 'wp-app-core'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($import_fields as $field => $config) : ?>
+                            <tr data-field="<?php echo esc_attr($field); ?>" data-required="<?php echo $config['required'] ? '1' : '0'; ?>">
+                                <td>
+                                    <?php echo esc_html($config['label']); ?>
+                                    <?php if ($config['required']) : ?>
+                                        <span class="required">*</span>
+                                    <?php endif; ?>
+                                </td>
+                                <td>
+                                    <select class="wpapp-import-column"></select>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+                <p class="wpapp-import-message" hidden></p>
+            </div>
+
+            <!-- Step 3: Preview (client validation + server dry run) -->
+            <div class="wpapp-import-step" data-step="preview" hidden>
+                <p class="wpapp-import-summary"></p>
+                <progress class="wpapp-import-progress" max="100" value="0" hidden></progress>
+                <label>
+                    <input type="checkbox" class="wpapp-import-errors-only">
+                    <?php esc_html_e('Show only rows with errors', 'wp-app-core'); ?>
+                </label>
+                <div class="wpapp-import-preview-wrap">
+                    <table class="widefat striped wpapp-import-preview">
+                        <thead></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <!-- Step 4: Import progress + report -->
+            <div class="wpapp-import-step" data-step="import" hidden>
+                <progress class="wpapp-import-progress" max="100" value="0"></progress>
+                <p class="wpapp-import-summary"></p>
+                <ul class="wpapp-import-errors" hidden></ul>
+            </div>
+        </div>
+
+        <div class="wpapp-import-footer">
+            <button type="button" class="button wpapp-import-back" hidden><?php esc_html_e('Back', 'wp-app-core'); ?></button>
+            <button type="button" class="button wpapp-import-error-file" hidden><?php esc_html_e('Download error file', 'wp-app-core'); ?></button>
+            <button type="button" class="button button-primary wpapp-import-next" hidden><?php esc_html_e('Next', 'wp-app-core'); ?></button>
+            <button type="button" class="button button-primary wpapp-import-run" hidden></button>
+            <button type="button" class="button wpapp-import-done" hidden><?php esc_html_e('Close', 'wp-app-core'); ?></button>
+        </div>
+    </div>
+</div>
@@ -0,0 +1,32 @@
+<?php
+/**
+ * Platform Staff History Tab
+ *
+ * @package     WP_App_Core
+ * @subpackage  Views/Platform/Tabs
+ * @version     1.0.0
+ * @author      arisciwek
+ *
+ * Path: /wp-app-core/src/Views/platform/tabs/platform-staff-history.php
+ *
+ * Description: Tab audit trail platform staff (siapa mengubah field apa,
+ *              kapan dan dari IP mana). Panel dirender wp-datatable, jadi
+ *              isi dimuat sendiri oleh wpapp-history.js saat tab terlihat.
+ *
+ * Changelog:
+ * 1.0.0 - 2026-10-18
+ * - Initial implementation
+ */
+
+defined('ABSPATH') || exit;
+
+// $data is passed from controller (staff object)
+if (!isset($data) || !is_object($data)) {
+    echo '<p>' . esc_html__('Staff data not available', 'wp-app-core') . '</p>';
+    return;
+}
+?>
+
+<div class="staff-history-tab">
+    <?php \WPAppCore\Controllers\DataTable\DataTableHistoryController::render_container('platform_staff', (int) $data->id, 'self'); ?>
+</div>
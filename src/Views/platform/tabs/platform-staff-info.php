@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Views/Platform/Tabs
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Views/platform/tabs/info.php
@@ -13,6 +13,9 @@
  *              Shows staff details and contact info.
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Record marker (data-wpapp-record-*) for "updated by another admin" banner
+ *
  * 1.0.0 - 2025-12-25
  * - Initial implementation for wp-datatable integration
  */
@@ -28,7 +31,9 @@ if (!isset($data) || !is_object($data)) {
 $staff = $data;
 ?>
 
-<div class="staff-info-tab">
+<div class="staff-info-tab"
+     data-wpapp-record-entity="platform_staff"
+     data-wpapp-record-id="<?php echo esc_attr($staff->id); ?>">
     <div class="staff-info-section">
         <h3><?php echo esc_html__('Staff Details', 'wp-app-core'); ?></h3>
 
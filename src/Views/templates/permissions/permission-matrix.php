@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Views/Templates/Permissions
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Views/templates/permissions/permission-matrix.php
@@ -35,6 +35,9 @@
  * - {prefix}_permission_matrix_actions
  *
  * Changelog:
+ * 1.1.0 - 2026-10-18
+ * - Peringatan reset: reset bisa di-undo beberapa detik lewat toast
+ *
  * 1.0.0 - 2025-01-12 (TODO-1206)
  * - Initial creation
  * - Nested tab navigation
@@ -119,7 +122,7 @@ $page_description = $page_description ?? __('Configure role capabilities for thi
             <?php _e('Reset All Permissions to Default', $text_domain); ?>
         </button>
         <p class="description reset-warning">
-            <?php _e('Warning: This will reset ALL permissions across all tabs to their default values. This action cannot be undone.', $text_domain); ?>
+            <?php _e('Warning: This will reset ALL permissions across all tabs to their default values. It can be undone for a few seconds after the reset.', $text_domain); ?>
         </p>
 
         <?php
@@ -4,7 +4,7 @@
  *
  * @package     WP_App_Core
  * @subpackage  Views/Settings
- * @version     1.0.0
+ * @version     1.2.0
  * @author      arisciwek
  *
  * Path: /wp-app-core/src/Views/templates/settings/tab-demo-data.php
@@ -15,6 +15,12 @@
  *              - Clear data on deactivation
  *
  * Changelog:
+ * 1.2.0 - 2026-10-18
+ * - Tombol demo data memuat data-nonce-action (nonce di-refresh WPAppAjax)
+ *
+ * 1.1.0 - 2026-10-18
+ * - Delete Platform Staff tanpa konfirmasi kedua (bisa di-undo lewat toast)
+ *
  * 1.0.0 - 2025-10-19
  * - Initial creation
  * - Platform role management
@@ -73,6 +79,7 @@ foreach ($platform_roles as $role_slug) {
                         class="button button-primary demo-data-button platform-create-roles"
                         data-action="wpapp_create_platform_roles"
                         data-nonce="<?php echo wp_create_nonce('create_platform_roles'); ?>"
+                        data-nonce-action="create_platform_roles"
                         data-confirm="<?php esc_attr_e('Create all 7 platform roles with default capabilities?', 'wp-app-core'); ?>"
                         data-success-reload="true"
                         <?php echo $existing_role_count === 7 ? 'disabled' : ''; ?>>
@@ -100,6 +107,7 @@ foreach ($platform_roles as $role_slug) {
                         class="button button-secondary demo-data-button platform-delete-roles"
                         data-action="wpapp_delete_platform_roles"
                         data-nonce="<?php echo wp_create_nonce('delete_platform_roles'); ?>"
+                        data-nonce-action="delete_platform_roles"
                         data-confirm="<?php esc_attr_e('Delete all platform roles and their capabilities?', 'wp-app-core'); ?>"
                         data-double-confirm="<?php esc_attr_e('This will remove all role permissions. Are you sure?', 'wp-app-core'); ?>"
                         data-success-reload="true"
@@ -128,6 +136,7 @@ foreach ($platform_roles as $role_slug) {
                         class="button button-secondary demo-data-button platform-reset-capabilities"
                         data-action="wpapp_reset_platform_capabilities"
                         data-nonce="<?php echo wp_create_nonce('reset_platform_capabilities'); ?>"
+                        data-nonce-action="reset_platform_capabilities"
                         data-confirm="<?php esc_attr_e('Reset all platform capabilities to default values?', 'wp-app-core'); ?>"
                         <?php echo !$roles_exist ? 'disabled' : ''; ?>>
                     <?php _e('Reset Capabilities', 'wp-app-core'); ?>
@@ -159,6 +168,7 @@ foreach ($platform_roles as $role_slug) {
                         class="button button-primary demo-data-button platform-generate-staff"
                         data-action="wpapp_generate_platform_staff"
                         data-nonce="<?php echo wp_create_nonce('generate_platform_staff'); ?>"
+                        data-nonce-action="generate_platform_staff"
                         data-confirm="<?php esc_attr_e('Generate 20 platform staff users with demo data?', 'wp-app-core'); ?>"
                         data-stats-refresh=".platform-refresh-stats">
                     <?php _e('Generate Platform Staff', 'wp-app-core'); ?>
@@ -180,8 +190,8 @@ foreach ($platform_roles as $role_slug) {
                         class="button button-secondary demo-data-button platform-delete-staff"
                         data-action="wpapp_delete_platform_staff"
                         data-nonce="<?php echo wp_create_nonce('delete_platform_staff'); ?>"
+                        data-nonce-action="delete_platform_staff"
                         data-confirm="<?php esc_attr_e('Delete all 20 platform staff users and their data?', 'wp-app-core'); ?>"
-                        data-double-confirm="<?php esc_attr_e('This action cannot be undone. Are you absolutely sure?', 'wp-app-core'); ?>"
                         data-stats-refresh=".platform-refresh-stats">
                     <?php _e('Delete Platform Staff', 'wp-app-core'); ?>
                 </button>
@@ -200,6 +210,7 @@ foreach ($platform_roles as $role_slug) {
                         class="button button-secondary demo-data-stats-refresh platform-refresh-stats"
                         data-action="wpapp_platform_staff_stats"
                         data-nonce="<?php echo wp_create_nonce('platform_staff_stats'); ?>"
+                        data-nonce-action="platform_staff_stats"
                         data-stats-container="#platform-staff-stats">
                     <?php _e('Refresh Statistics', 'wp-app-core'); ?>
                 </button>
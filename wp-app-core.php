@@ -3,7 +3,7 @@
  * Plugin Name: WP App Core
  * Plugin URI: https://example.com/wp-app-core
  * Description: Core plugin untuk mengelola fitur global aplikasi marketplace. Menyediakan user profile management, membership system, dan fitur shared lainnya.
- * Version: 1.0.4
+ * Version: 1.0.5
  * Author: arisciwek
  * Author URI: https://example.com
  * License: GPL v2 or later
@@ -19,6 +19,13 @@
  *              dan fitur dari WP App Core plugin.
  *
  * Changelog:
+ * 1.0.5 - 2026-10-18
+ * - Added: History tab (audit trail) for panel entities, app_change_log table
+ * - Added: Undo toast for destructive actions (UndoController)
+ * - Added: Notification toasts on plugin screens (WPAppNotify, NotifyController)
+ * - Added: Shared AJAX client with nonce refresh and retries (WPAppAjax, AjaxController)
+ * - Fixed: PlatformSettingsPageController initialized once (by MenuManager)
+ *
  * 1.0.4 - 2025-11-02 (Complete Global Map Integration)
  * - Added: wpapp-map-adapter.js - Global generic adapter for map integration
  * - File: assets/js/map/wpapp-map-adapter.js
@@ -54,7 +61,7 @@
 defined('ABSPATH') || exit;
 
 // Define plugin constants
-define('WP_APP_CORE_VERSION', '1.0.4');
+define('WP_APP_CORE_VERSION', '1.0.5');
 define('WP_APP_CORE_PATH', plugin_dir_path(__FILE__));
 define('WP_APP_CORE_PLUGIN_DIR', plugin_dir_path(__FILE__)); // Backward compatibility
 define('WP_APP_CORE_PLUGIN_URL', plugin_dir_url(__FILE__));
@@ -298,20 +305,43 @@ class WP_App_Core {
      */
     public function init() {
         // Initialize Menu Manager
-        if (is_admin()) {
+        // (also on WP-Cron: pending undo entries are committed by the
+        // handlers of these controllers, see UndoController)
+        if (is_admin() || wp_doing_cron()) {
             $menu_manager = new \WPAppCore\Controllers\MenuManager('wp-app-core', WP_APP_CORE_VERSION);
+            // (also initializes PlatformSettingsPageController: a second
+            // instance would register every settings / undo handler twice)
             $menu_manager->init();
 
-            // Initialize Platform Settings Page Controller
-            $platform_settings = new \WPAppCore\Controllers\Settings\PlatformSettingsPageController();
-            $platform_settings->init();
-
             // Initialize Platform Staff Controller
             $platform_staff = new \WPAppCore\Controllers\Platform\PlatformStaffController();
 
+            // Initialize Platform Staff CSV Import Controller
+            $platform_staff_import = new \WPAppCore\Controllers\Platform\PlatformStaffImportController();
+
             // Initialize DataTable Assets Controller
             $datatable_assets = new \WPAppCore\Controllers\DataTable\DataTableAssetsController();
             $datatable_assets->init();
+
+            // Initialize DataTable Preferences Controller (per-user panel width, etc.)
+            $datatable_preferences = new \WPAppCore\Controllers\DataTable\DataTablePreferencesController();
+            $datatable_preferences->init();
+
+            // Initialize DataTable Change Feed (record changed notices via Heartbeat)
+            $datatable_change_feed = new \WPAppCore\Controllers\DataTable\DataTableChangeFeedController();
+            $datatable_change_feed->init();
+
+            // Initialize DataTable History (audit trail tab)
+            $datatable_history = new \WPAppCore\Controllers\DataTable\DataTableHistoryController();
+            $datatable_history->init();
+
+            // Initialize Undo (grace period for destructive actions)
+            $undo = new \WPAppCore\Controllers\UndoController();
+            $undo->init();
+
+            // Initialize AJAX client support (nonce refresh, expired nonce header)
+            $ajax = new \WPAppCore\Controllers\AjaxController();
+            $ajax->init();
         }
 
         // Initialize components here